@@ -12,11 +12,14 @@
  
  */
 
-import { Command } from 'commander';
-import { createProvider, runHealthChecks, formatResultsAsText, formatResultsAsJson, formatResultsAsHtml } from '../lib/index.js';
+import { Command, InvalidArgumentError } from 'commander';
+import { createProvider, runHealthChecks, formatResultsAsText, formatResultsAsJson, formatResultsAsHtml, formatResultsAsMarkdown, formatResultsAsSarif, formatResultsAsJunit, loadConfig, mergeConfigWithOptions, evaluateThresholds, createBaseline, applyBaseline, loadBaseline, saveBaseline, DEFAULT_BASELINE_FILE, diffReports, readReportFile, formatReportDiffAsText, formatReportDiffAsJson, formatReportDiffAsMarkdown, applyFixes, formatFixResultAsText, watchHealthChecks, createConfiguredNetworkClient, DEFAULT_CACHE_DIR, createLocalProvider, createRepositoryContext, resolveInstalledSpecUpTVersion, fetchReferenceBundle, getReferenceBundlePath, isOfflineError, createSpecsJsonSchema, loadRepositoryReferenceBundle } from '../lib/index.js';
 import { openHtmlFile } from '../lib/file-opener.js';
+import { globalOrchestrator } from '../lib/health-check-orchestrator.js';
 import { mkdirSync, existsSync } from 'fs';
-import { join, dirname } from 'path';
+import { writeFile } from 'fs/promises';
+import { join, dirname, resolve, relative, isAbsolute, sep } from 'path';
+import { pathToFileURL } from 'url';
 
 const program = new Command();
 
@@ -25,12 +28,232 @@ program
   .description('Health check tool for spec-up-t repositories')
   .version('1.0.2');
 
+/**
+ * Collects repeated `--check-option` values into check-scoped options.
+ * 
+ * Each value has the form `<check-id>.<option>=<value>`. The value is parsed as
+ * JSON when possible (numbers, booleans, arrays) and used as a plain string
+ * otherwise. Validation against the check's options schema happens when the
+ * checks run.
+ * 
+ * @param {string} value - The raw option value from the command line
+ * @param {Object<string, Object>} previous - Options collected so far, keyed by check ID
+ * @returns {Object<string, Object>} The updated options
+ * @throws {InvalidArgumentError} When the value does not have the expected form
+ */
+function collectCheckOption(value, previous) {
+  const match = value.match(/^([^.=]+)\.([^=]+)=(.*)$/s);
+  if (!match) {
+    throw new InvalidArgumentError('Expected <check-id>.<option>=<value>.');
+  }
+
+  const [, checkId, key, rawValue] = match;
+  let parsedValue;
+  try {
+    parsedValue = JSON.parse(rawValue);
+  } catch {
+    parsedValue = rawValue;
+  }
+
+  return {
+    ...previous,
+    [checkId]: { ...previous[checkId], [key]: parsedValue }
+  };
+}
+
+/**
+ * Parses the `--cache-ttl` value.
+ * 
+ * @param {string} value - The raw option value from the command line
+ * @returns {number} The time-to-live in minutes
+ * @throws {InvalidArgumentError} When the value is not a non-negative number
+ */
+function parseCacheTtl(value) {
+  const minutes = Number(value);
+  if (value.trim() === '' || !(minutes >= 0)) {
+    throw new InvalidArgumentError('Expected a non-negative number of minutes.');
+  }
+  return minutes;
+}
+
+/**
+ * Parses the `--min-time-delta` value.
+ * 
+ * @param {string} value - The raw option value from the command line
+ * @returns {number} The minimum slowdown in milliseconds
+ * @throws {InvalidArgumentError} When the value is not a non-negative number
+ */
+function parseMinTimeDelta(value) {
+  const milliseconds = Number(value);
+  if (value.trim() === '' || !(milliseconds >= 0)) {
+    throw new InvalidArgumentError('Expected a non-negative number of milliseconds.');
+  }
+  return milliseconds;
+}
+
+/**
+ * Parses the `--min-time-ratio` value.
+ * 
+ * @param {string} value - The raw option value from the command line
+ * @returns {number} The minimum slowdown factor
+ * @throws {InvalidArgumentError} When the value is not a number of at least 1
+ */
+function parseMinTimeRatio(value) {
+  const factor = Number(value);
+  if (value.trim() === '' || !(factor >= 1)) {
+    throw new InvalidArgumentError('Expected a factor of at least 1.');
+  }
+  return factor;
+}
+
+/**
+ * Formats a health check report in one of the supported output formats.
+ * 
+ * @param {Object} results - The health check report
+ * @param {string} format - Output format (text, json, html, markdown, sarif or junit)
+ * @param {Object} context - Information about the checked repository
+ * @param {string} context.target - The target as given on the command line
+ * @param {import('../lib/providers.js').Provider} context.provider - The provider of the repository
+ * @param {number} [context.liveReloadSeconds] - Reload interval of HTML reports (watch mode)
+ * @returns {{output: string, defaultOutputFile: string}} The formatted report and a default file name for it
+ */
+function formatReport(results, format, { target, provider, liveReloadSeconds }) {
+  if (format === 'json') {
+    return { output: formatResultsAsJson(results, 2), defaultOutputFile: `health-check-${Date.now()}.json` };
+  }
+  if (format === 'markdown') {
+    return {
+      output: formatResultsAsMarkdown(results, { title: `Health Check Report - ${target}` }),
+      defaultOutputFile: `health-check-${Date.now()}.md`
+    };
+  }
+  if (format === 'sarif') {
+    // Resolve locations against the local checkout, so SARIF viewers can open the files
+    const sourceRoot = provider.type === 'local' ? pathToFileURL(resolve(provider.repoPath)).href : undefined;
+    return {
+      output: formatResultsAsSarif(results, { toolVersion: program.version(), sourceRoot }),
+      defaultOutputFile: `health-check-${Date.now()}.sarif`
+    };
+  }
+  if (format === 'junit') {
+    return { output: formatResultsAsJunit(results), defaultOutputFile: `health-check-${Date.now()}.xml` };
+  }
+  if (format === 'html') {
+    // For HTML, determine repository URL if possible
+    let repositoryUrl;
+    if (provider.repoPath && !provider.repoPath.startsWith('/')) {
+      repositoryUrl = provider.repoPath; // Assume it's a URL
+    }
+    
+    return {
+      output: formatResultsAsHtml(results, {
+        title: `Health Check Report - ${target}`,
+        repositoryUrl,
+        liveReloadSeconds
+      }),
+      defaultOutputFile: `health-check-${Date.now()}.html`
+    };
+  }
+  return { output: formatResultsAsText(results), defaultOutputFile: `health-check-${Date.now()}.txt` };
+}
+
+/**
+ * Writes a report to a file, creating its directory when needed.
+ * 
+ * @param {string} outputFile - Path of the file
+ * @param {string} output - The formatted report
+ * @returns {Promise<void>}
+ */
+async function writeOutputFile(outputFile, output) {
+  const outputDir = dirname(outputFile);
+  if (!existsSync(outputDir)) {
+    mkdirSync(outputDir, { recursive: true });
+  }
+  
+  await writeFile(outputFile, output);
+}
+
+/**
+ * Interval in seconds at which HTML reports written in watch mode reload.
+ * @type {number}
+ */
+const WATCH_RELOAD_SECONDS = 2;
+
+/**
+ * Runs the health checks in watch mode: after every run the report is printed
+ * again (or rewritten, for output files and HTML reports) until the process is
+ * interrupted.
+ * 
+ * @param {import('../lib/providers.js').Provider} provider - A local provider for the repository
+ * @param {Object} runOptions - Options for the health checks
+ * @param {Object} settings - Output settings of the check command
+ * @param {string} settings.target - The target as given on the command line
+ * @param {string} settings.format - Output format
+ * @param {string} [settings.outputFile] - Output file path
+ * @param {string} [settings.baselineFile] - Baseline file whose findings are hidden
+ * @param {boolean} settings.openReport - Whether to open HTML reports in the browser
+ * @param {string} [settings.cacheDir] - Directory of the persistent network cache
+ * @returns {Promise<void>} Resolves once the initial run completed
+ */
+async function watchRepository(provider, runOptions, { target, format, outputFile, baselineFile, openReport, cacheDir }) {
+  const baseline = baselineFile ? await loadBaseline(baselineFile) : null;
+  if (format === 'html' && !outputFile) {
+    outputFile = join(process.cwd(), '.cache', `health-check-watch-${Date.now()}.html`);
+  }
+  
+  // Writing the report or the network cache into the repository must not trigger another run
+  const ignore = [];
+  for (const [ignoredPath, isDirectory] of [[outputFile, false], [cacheDir, true]]) {
+    if (!ignoredPath) {
+      continue;
+    }
+    const relativePath = relative(resolve(provider.repoPath), resolve(ignoredPath));
+    if (relativePath && !relativePath.startsWith('..') && !isAbsolute(relativePath)) {
+      const pattern = relativePath.split(sep).join('/');
+      ignore.push(isDirectory ? `${pattern}/**` : pattern);
+    }
+  }
+  
+  let firstRun = true;
+  await watchHealthChecks(provider, { ...runOptions, ignore }, async ({ report, changedFiles, checks }) => {
+    const results = baseline ? applyBaseline(report, baseline) : report;
+    const { output } = formatReport(results, format, {
+      target,
+      provider,
+      liveReloadSeconds: WATCH_RELOAD_SECONDS
+    });
+    
+    if (process.stdout.isTTY) {
+      console.clear();
+    }
+    if (outputFile) {
+      await writeOutputFile(outputFile, output);
+      console.log(`✅ Results written to ${outputFile} (${results.summary.passed}/${results.summary.total} checks passed)`);
+    } else {
+      console.log(output);
+    }
+    
+    if (changedFiles.length > 0) {
+      console.error(`\n🔄 Changed: ${changedFiles.join(', ')} → re-ran ${checks.join(', ')}`);
+    }
+    console.error(`\n👀 Watching ${target} for changes (Ctrl+C to stop)...`);
+    
+    if (firstRun && format === 'html' && openReport) {
+      const opened = await openHtmlFile(outputFile);
+      if (!opened) {
+        console.log(`💡 Could not automatically open browser. Please open the file manually: ${outputFile}`);
+      }
+    }
+    firstRun = false;
+  });
+}
+
 /**
  * Main 'check' command that performs health checks on a repository.
  * 
  * This command creates a provider for the target repository, runs the specified
  * health checks, and outputs the results in the requested format. It supports
- * both local and remote repositories (when implemented) and provides flexible
+ * both local repositories and remote GitHub repositories and provides flexible
  * output options.
  * 
  * Exit codes:
@@ -38,6 +261,14 @@ program
  * - 1: One or more checks failed or command error
  * - 2: Checks passed but with warnings
  * 
+ * In watch mode the command keeps running until it is interrupted (Ctrl+C).
+ * 
+ * Reference data and URL checks go through a network cache in the user's cache
+ * directory, e.g. `~/.cache/spec-up-t-healthcheck/network` on Linux (see
+ * `--cache-dir` and `DEFAULT_CACHE_DIR`). With `--offline` the network
+ * is never accessed: cached data is used regardless of its age, and validations
+ * without cached data are skipped with a note in the report.
+ * 
  * @example
  * ```bash
  * # Basic usage
@@ -48,54 +279,168 @@ program
  * 
  * # JSON output to file
  * spec-up-t-healthcheck check ./my-repo --format json --output report.json
+ * 
+ * # Markdown report for a GitHub Actions job summary
+ * spec-up-t-healthcheck check ./my-repo --format markdown --output "$GITHUB_STEP_SUMMARY"
+ * 
+ * # SARIF log for GitHub code scanning
+ * spec-up-t-healthcheck check ./my-repo --format sarif --output health-check.sarif
+ * 
+ * # JUnit XML for CI test dashboards (Jenkins, GitLab)
+ * spec-up-t-healthcheck check ./my-repo --format junit --output health-check.xml
+ * 
+ * # Remote GitHub repository (branch, tag or commit in the URL)
+ * spec-up-t-healthcheck check https://github.com/org/spec/tree/main
+ * 
+ * # Another branch or commit of a local clone, without checking it out
+ * spec-up-t-healthcheck check ./my-repo --ref origin/main
+ * 
+ * # Configure individual checks
+ * spec-up-t-healthcheck check ./my-repo --check-option specs-json.checkUrls=false
+ * 
+ * # Preview the automatic fixes, then apply them
+ * spec-up-t-healthcheck check ./my-repo --fix-dry-run
+ * spec-up-t-healthcheck check ./my-repo --fix
+ * 
+ * # Re-run affected checks on every change, with a live-reloading HTML report
+ * spec-up-t-healthcheck check ./my-repo --watch
+ * spec-up-t-healthcheck check ./my-repo --watch --format html
+ * 
+ * # Pin the reference data to the installed spec-up-t version (see the bundle command)
+ * spec-up-t-healthcheck bundle ./my-repo
+ * 
+ * # Air-gapped CI: populate the cache while online, then run offline
+ * spec-up-t-healthcheck check ./my-repo --cache-dir ci/network-cache --refresh-cache
+ * spec-up-t-healthcheck check ./my-repo --cache-dir ci/network-cache --offline
+ * 
+ * # Record the current findings, then only fail on new ones
+ * spec-up-t-healthcheck check ./my-repo --update-baseline
+ * spec-up-t-healthcheck check ./my-repo --baseline .healthcheck-baseline.json
+ * 
+ * # Use an explicit configuration file (otherwise .healthcheckrc etc. are discovered)
+ * spec-up-t-healthcheck check ./my-repo --config ./ci/healthcheck.json
  * ```
  */
 program
   .command('check')
   .description('Run health checks on a repository')
-  .argument('<target>', 'Repository path (local) or URL (remote)')
+  .argument('<target>', 'Repository path (local), archive (.tar.gz, .zip) or GitHub URL (remote)')
   .option('-c, --checks <checks>', 'Comma-separated list of checks to run (package-json,spec-files)')
-  .option('-f, --format <format>', 'Output format (text|json|html)', 'text')
+  .option('-f, --format <format>', 'Output format (text|json|html|markdown|sarif|junit, default: text)')
   .option('-o, --output <file>', 'Output file path')
   .option('--no-open', 'Don\'t automatically open HTML reports in browser')
-  .action(async (target, options) => {
+  .option('--token <token>', 'GitHub token for remote repositories (defaults to the GITHUB_TOKEN environment variable)')
+  .option('--ref <ref>', 'Branch, tag or commit SHA to check (local git clones and GitHub URLs)')
+  .option('--check-option <id.option=value>', 'Option for a single check, repeatable (see list-checks)', collectCheckOption, {})
+  .option('--config <file>', 'Configuration file (default: .healthcheckrc or .healthcheckrc.json in the target, or one of those or healthcheck.config.js in the current directory)')
+  .option('--no-config', 'Ignore configuration files')
+  .option('--baseline <file>', 'Only report findings that are not in this baseline file')
+  .option('--update-baseline', `Record the current findings in the baseline file (default: ${DEFAULT_BASELINE_FILE})`)
+  .option('--fix', 'Fix findings with mechanical fixes in place (local repositories), then report on the fixed repository')
+  .option('--fix-dry-run', 'Show the changes --fix would make, without writing them')
+  .option('-w, --watch', 'Keep running and re-run the affected checks when files change (local repositories)')
+  .option('--offline', 'Never access the network: use cached data and skip network validations without it')
+  .option('--cache-dir <dir>', `Directory of the persistent network cache (default: ${DEFAULT_CACHE_DIR})`)
+  .option('--cache-ttl <minutes>', 'Minutes for which cached reference data is used without refetching it (default: 60)', parseCacheTtl)
+  .option('--refresh-cache', 'Refetch all cached network data')
+  .action(async (target, options, command) => {
     try {
-      console.log(`\n🔍 Checking: ${target}\n`);
+      // Notices go to stderr, so that reports printed to stdout (e.g. SARIF or JSON) stay parseable
+      console.error(`\n🔍 Checking: ${target}${options.ref ? ` @ ${options.ref}` : ''}\n`);
+      
+      // Load the project configuration; command line flags take precedence over it
+      const { config, path: configPath } = options.config === false
+        ? { config: {}, path: null }
+        : await loadConfig({ target, configPath: options.config });
+      if (configPath) {
+        console.error(`⚙️  Using configuration: ${configPath}\n`);
+      }
+      const format = options.format || config.format || 'text';
+      const openReport = command.getOptionValueSource('open') === 'default'
+        ? config.open !== false
+        : options.open;
       
       // Parse checks option
       const checks = options.checks ? options.checks.split(',').map(c => c.trim()) : undefined;
       
+      // All network access goes through one client with a persistent cache
+      const offline = Boolean(options.offline || config.offline);
+      if (offline && options.refreshCache) {
+        throw new Error('--refresh-cache cannot be combined with offline mode');
+      }
+      if (offline && /^https?:\/\//.test(target)) {
+        throw new Error(`Remote repositories cannot be checked in offline mode: ${target}`);
+      }
+      const cacheDir = options.cacheDir || config.cacheDir || DEFAULT_CACHE_DIR;
+      const network = createConfiguredNetworkClient({
+        offline,
+        cacheDir,
+        cacheTtl: options.cacheTtl ?? config.cacheTtl,
+        refresh: Boolean(options.refreshCache)
+      });
+      if (offline) {
+        console.error(`📴 Offline mode: using cached network data from ${cacheDir}\n`);
+      }
+      
       // Create provider and run checks
-      const provider = createProvider(target);
-      const results = await runHealthChecks(provider, { checks });
+      const provider = createProvider(target, {
+        ref: options.ref,
+        token: options.token || process.env.GITHUB_TOKEN
+      });
+      if (provider.type === 'git-ref') {
+        // Fail fast with git's error instead of reporting every file as missing
+        await provider.getCommit();
+      }
+      const runOptions = mergeConfigWithOptions(config, {
+        checks,
+        checkOptions: options.checkOption,
+        network
+      });
+      if (options.watch) {
+        if (options.fix || options.fixDryRun || options.updateBaseline) {
+          throw new Error('--watch cannot be combined with --fix, --fix-dry-run or --update-baseline');
+        }
+        await watchRepository(provider, runOptions, {
+          target,
+          format,
+          outputFile: options.output || config.output,
+          baselineFile: options.baseline || config.baseline,
+          openReport,
+          cacheDir
+        });
+        return;
+      }
       
-      // Format output based on requested format
-      let output;
-      let defaultOutputFile;
+      let results = await runHealthChecks(provider, runOptions);
       
-      if (options.format === 'json') {
-        output = formatResultsAsJson(results, 2);
-        defaultOutputFile = `health-check-${Date.now()}.json`;
-      } else if (options.format === 'html') {
-        // For HTML, determine repository URL if possible
-        let repositoryUrl;
-        if (provider.repoPath && !provider.repoPath.startsWith('/')) {
-          repositoryUrl = provider.repoPath; // Assume it's a URL
+      // Apply or preview fixes before the baseline, so known findings are fixed as well
+      if (options.fix || options.fixDryRun) {
+        const fixResult = await applyFixes(provider, results, { ...runOptions, dryRun: Boolean(options.fixDryRun) });
+        console.error(`${formatFixResultAsText(fixResult)}\n`);
+        if (!fixResult.dryRun && fixResult.changes.length > 0) {
+          results = await runHealthChecks(provider, runOptions);
         }
-        
-        output = formatResultsAsHtml(results, {
-          title: `Health Check Report - ${target}`,
-          repositoryUrl
-        });
-        defaultOutputFile = `health-check-${Date.now()}.html`;
-      } else {
-        output = formatResultsAsText(results);
-        defaultOutputFile = `health-check-${Date.now()}.txt`;
       }
       
+      // Record or apply the baseline, so that only new findings affect the outcome
+      const baselineFile = options.baseline || config.baseline;
+      if (options.updateBaseline) {
+        const baseline = createBaseline(results);
+        const writtenPath = await saveBaseline(baselineFile || DEFAULT_BASELINE_FILE, baseline);
+        console.error(`📌 Baseline with ${baseline.findings.length} finding(s) written to ${writtenPath}\n`);
+        results = applyBaseline(results, baseline);
+      } else if (baselineFile) {
+        results = applyBaseline(results, await loadBaseline(baselineFile));
+        const { newFindings, knownFindings, fixedFindings } = results.baseline;
+        console.error(`📌 Baseline: ${newFindings} new, ${knownFindings} known and ${fixedFindings.length} fixed finding(s)\n`);
+      }
+      
+      // Format output based on requested format
+      const { output, defaultOutputFile } = formatReport(results, format, { target, provider });
+      
       // Determine output file path
-      let outputFile = options.output;
-      if (options.format === 'html' && !outputFile) {
+      let outputFile = options.output || config.output;
+      if (format === 'html' && !outputFile) {
         // For HTML format, create a default output file in .cache directory
         const cacheDir = join(process.cwd(), '.cache');
         if (!existsSync(cacheDir)) {
@@ -106,19 +451,11 @@ program
       
       // Output results
       if (outputFile) {
-        const fs = await import('fs/promises');
-        
-        // Ensure output directory exists
-        const outputDir = dirname(outputFile);
-        if (!existsSync(outputDir)) {
-          mkdirSync(outputDir, { recursive: true });
-        }
-        
-        await fs.writeFile(outputFile, output);
+        await writeOutputFile(outputFile, output);
         console.log(`✅ Results written to ${outputFile}`);
         
         // Automatically open HTML files in browser (unless disabled)
-        if (options.format === 'html' && options.open !== false) {
+        if (format === 'html' && openReport) {
           console.log('🌐 Opening report in browser...');
           const opened = await openHtmlFile(outputFile);
           if (!opened) {
@@ -130,11 +467,13 @@ program
         console.log(output);
       }
       
-      // Exit with appropriate code
-      if (results.summary.hasErrors) {
-        process.exit(1);
-      } else if (results.summary.hasWarnings) {
-        process.exit(2);
+      // Exit with appropriate code (1 failed, 2 warnings), honoring configured thresholds
+      const evaluation = evaluateThresholds(results.summary, config.thresholds);
+      if (config.thresholds && !evaluation.passed) {
+        console.error(`\n❌ Thresholds not met:\n${evaluation.reasons.map(reason => `   - ${reason}`).join('\n')}`);
+      }
+      if (evaluation.exitCode !== 0) {
+        process.exit(evaluation.exitCode);
       }
       
     } catch (error) {
@@ -143,6 +482,192 @@ program
     }
   });
 
+/**
+ * 'diff' command that compares two health check reports saved as JSON.
+ * 
+ * The comparison shows checks whose status changed, the score delta, new and
+ * resolved findings and checks that became slower.
+ * 
+ * Exit codes:
+ * - 0: Comparison completed (or no regressions with --fail-on-regression)
+ * - 1: Regressions found with --fail-on-regression, or command error
+ * 
+ * @example
+ * ```bash
+ * # Compare the reports of two releases
+ * spec-up-t-healthcheck diff reports/v1.0.json reports/v1.1.json
+ * 
+ * # Markdown for release notes, failing the build on regressions
+ * spec-up-t-healthcheck diff old.json new.json --format markdown --fail-on-regression
+ * ```
+ */
+program
+  .command('diff')
+  .description('Compare two health check reports (JSON output of --format json)')
+  .argument('<old>', 'Earlier report file')
+  .argument('<new>', 'Later report file')
+  .option('-f, --format <format>', 'Output format (text|json|markdown)', 'text')
+  .option('-o, --output <file>', 'Output file path')
+  .option('--min-time-delta <ms>', 'Minimum slowdown of a check in milliseconds to report it', parseMinTimeDelta, 500)
+  .option('--min-time-ratio <factor>', 'Minimum slowdown of a check as a factor to report it', parseMinTimeRatio, 1.5)
+  .option('--fail-on-regression', 'Exit with code 1 when anything got worse')
+  .action(async (oldFile, newFile, options) => {
+    try {
+      if (!['text', 'json', 'markdown'].includes(options.format)) {
+        throw new Error(`Unknown format "${options.format}" (supported: text, json, markdown)`);
+      }
+
+      const diff = diffReports(await readReportFile(oldFile), await readReportFile(newFile), {
+        minTimeDeltaMs: options.minTimeDelta,
+        minTimeRatio: options.minTimeRatio
+      });
+
+      let output;
+      if (options.format === 'json') {
+        output = formatReportDiffAsJson(diff);
+      } else if (options.format === 'markdown') {
+        output = formatReportDiffAsMarkdown(diff);
+      } else {
+        output = formatReportDiffAsText(diff);
+      }
+
+      if (options.output) {
+        const fs = await import('fs/promises');
+        mkdirSync(dirname(options.output), { recursive: true });
+        await fs.writeFile(options.output, output);
+        console.log(`✅ Comparison written to ${options.output}`);
+      } else {
+        console.log(output);
+      }
+
+      if (options.failOnRegression && diff.hasRegressions) {
+        process.exit(1);
+      }
+    } catch (error) {
+      console.error(`❌ Error: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+/**
+ * 'bundle' command that exports a reference bundle.
+ * 
+ * The .gitignore, package.json and specs.json checks compare a repository with
+ * Spec-Up-T reference data. The bundle command fetches this data for one
+ * spec-up-t version (by default the one installed in the repository) and
+ * writes it to `.healthcheck/reference-bundles/spec-up-t-<version>.json`.
+ * Once committed, the checks use the bundle instead of fetching the data, so
+ * results only change when the bundle is exported again, e.g. after upgrading
+ * spec-up-t.
+ * 
+ * Exit codes:
+ * - 0: Bundle written
+ * - 1: Reference data could not be fetched, or command error
+ * 
+ * @example
+ * ```bash
+ * # Export the bundle for the installed spec-up-t version
+ * spec-up-t-healthcheck bundle ./my-repo
+ * 
+ * # Refresh the bundle, ignoring cached reference data
+ * spec-up-t-healthcheck bundle ./my-repo --refresh
+ * 
+ * # Export the bundle of another version to a file of your choice
+ * spec-up-t-healthcheck bundle --spec-up-t 1.3.0 --output reference/spec-up-t-1.3.0.json
+ * ```
+ */
+program
+  .command('bundle')
+  .description('Export the reference data of a spec-up-t version as a bundle the checks validate against')
+  .argument('[target]', 'Local repository path', '.')
+  .option('--spec-up-t <version>', 'spec-up-t version (default: the version installed in the repository)')
+  .option('-o, --output <file>', 'Output file path (default: <target>/.healthcheck/reference-bundles/spec-up-t-<version>.json)')
+  .option('--refresh', 'Refetch reference data that is cached')
+  .option('--offline', 'Never access the network: build the bundle from cached data only')
+  .option('--cache-dir <dir>', `Directory of the persistent network cache (default: ${DEFAULT_CACHE_DIR})`)
+  .action(async (target, options) => {
+    try {
+      if (options.offline && options.refresh) {
+        throw new Error('--refresh cannot be combined with --offline');
+      }
+
+      let specUpTVersion = options.specUpT;
+      if (!specUpTVersion) {
+        const installed = await resolveInstalledSpecUpTVersion(createRepositoryContext(createLocalProvider(target)));
+        if (!installed) {
+          throw new Error(`spec-up-t is not installed or locked in ${target}; run npm install or use --spec-up-t <version>`);
+        }
+        specUpTVersion = installed.version;
+        console.log(`📦 spec-up-t ${specUpTVersion} (from ${installed.source})\n`);
+      }
+      specUpTVersion = specUpTVersion.replace(/^v/, '');
+
+      const network = createConfiguredNetworkClient({
+        offline: Boolean(options.offline),
+        cacheDir: options.cacheDir || DEFAULT_CACHE_DIR,
+        refresh: Boolean(options.refresh)
+      });
+      const { bundle, failures } = await fetchReferenceBundle(network, { specUpTVersion });
+      if (failures.length > 0) {
+        throw new Error(`Could not fetch the reference data for spec-up-t ${specUpTVersion}:\n${
+          failures.map(({ part, error }) => `   - ${part}: ${isOfflineError(error) ? error.message : `${bundle.sources[part]}: ${error.message}`}`).join('\n')}`);
+      }
+
+      const outputFile = options.output || join(target, getReferenceBundlePath(specUpTVersion));
+      await writeOutputFile(outputFile, `${JSON.stringify(bundle, null, 2)}\n`);
+      console.log(`✅ Reference bundle for spec-up-t ${specUpTVersion} written to ${outputFile}`);
+      if (options.output) {
+        console.log(`💡 The checks use bundles at ${getReferenceBundlePath(specUpTVersion)} in the repository`);
+      }
+    } catch (error) {
+      console.error(`❌ Error: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+/**
+ * 'schema' command that writes the JSON Schema of specs.json.
+ * 
+ * Editors validate and complete specs.json against the schema once it is
+ * referenced with `"$schema": "./specs.schema.json"`. The required fields are
+ * those of the reference bundle committed to the target repository, if there
+ * is one, and otherwise the defaults the specs-json check uses.
+ * 
+ * @example
+ * ```bash
+ * # Print the schema
+ * spec-up-t-healthcheck schema
+ * 
+ * # Write the schema of a repository next to its specs.json
+ * spec-up-t-healthcheck schema ./my-repo --output ./my-repo/specs.schema.json
+ * ```
+ */
+program
+  .command('schema')
+  .description('Print or write the JSON Schema of specs.json')
+  .argument('[target]', 'Local repository whose reference bundle determines the required fields', '.')
+  .option('-o, --output <file>', 'Output file path (default: print to stdout)')
+  .action(async (target, options) => {
+    try {
+      const committed = await loadRepositoryReferenceBundle(createRepositoryContext(createLocalProvider(target)));
+      const schema = createSpecsJsonSchema(committed?.bundle.specsJsonFields);
+      const output = `${JSON.stringify(schema, null, 2)}\n`;
+
+      if (options.output) {
+        await writeOutputFile(options.output, output);
+        console.log(`✅ JSON Schema of specs.json written to ${options.output}`);
+        if (committed) {
+          console.log(`💡 Required fields taken from ${committed.path}`);
+        }
+      } else {
+        process.stdout.write(output);
+      }
+    } catch (error) {
+      console.error(`❌ Error: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
 /**
  * 'list-checks' command that displays available health checks.
  * 
@@ -153,11 +678,19 @@ program
 program
   .command('list-checks')
   .description('List available health checks')
-  .action(() => {
+  .action(async () => {
+    await globalOrchestrator.registry.autoDiscover();
+    const availableChecks = globalOrchestrator.getAvailableChecks();
+
     console.log('📋 Available Health Checks:\n');
-    console.log('1. package-json - Validates package.json structure and required fields');
-    console.log('2. spec-files   - Finds and validates specification markdown files');
+    availableChecks.forEach((check, index) => {
+      console.log(`${index + 1}. ${check.id} - ${check.description}`);
+      for (const [key, definition] of Object.entries(check.options)) {
+        console.log(`     ${key} (${definition.type}, default: ${JSON.stringify(definition.default)}) - ${definition.description}`);
+      }
+    });
     console.log('\nUsage: spec-up-t-healthcheck check <target> --checks package-json,spec-files');
+    console.log('       spec-up-t-healthcheck check <target> --check-option <check-id>.<option>=<value>');
   });
 
 /**
@@ -174,16 +707,46 @@ program
     console.log('📚 Usage Examples:\n');
     console.log('Local repository:');
     console.log('  spec-up-t-healthcheck check ./my-spec-repo\n');
+    console.log('Another branch or commit of a local clone (no checkout needed):');
+    console.log('  spec-up-t-healthcheck check ./my-spec-repo --ref origin/main\n');
+    console.log('Release snapshot archive (.tar.gz, .tgz, .tar or .zip):');
+    console.log('  spec-up-t-healthcheck check ./spec-v1.0.0.tar.gz\n');
+    console.log('Remote GitHub repository (optionally with a branch, tag or commit):');
+    console.log('  spec-up-t-healthcheck check https://github.com/org/spec/tree/main\n');
     console.log('Specific checks only:');
     console.log('  spec-up-t-healthcheck check ./repo --checks package-json\n');
+    console.log('Configure a check (values are parsed as JSON when possible):');
+    console.log('  spec-up-t-healthcheck check ./repo --check-option console-messages.maxWarnings=25\n');
     console.log('JSON output:');
     console.log('  spec-up-t-healthcheck check ./repo --format json\n');
+    console.log('Markdown report for pull request comments and job summaries:');
+    console.log('  spec-up-t-healthcheck check ./repo --format markdown --output report.md\n');
+    console.log('SARIF log for GitHub code scanning and other SARIF viewers:');
+    console.log('  spec-up-t-healthcheck check ./repo --format sarif --output health-check.sarif\n');
+    console.log('JUnit XML for CI test dashboards:');
+    console.log('  spec-up-t-healthcheck check ./repo --format junit --output health-check.xml\n');
     console.log('HTML report (auto-opens in browser):');
     console.log('  spec-up-t-healthcheck check ./repo --format html\n');
     console.log('Save to specific file:');
     console.log('  spec-up-t-healthcheck check ./repo --output report.html --format html\n');
     console.log('HTML report without auto-opening:');
-    console.log('  spec-up-t-healthcheck check ./repo --format html --no-open');
+    console.log('  spec-up-t-healthcheck check ./repo --format html --no-open\n');
+    console.log('Fix mechanical problems (.gitignore entries, npm scripts, headings, table rows):');
+    console.log('  spec-up-t-healthcheck check ./repo --fix-dry-run');
+    console.log('  spec-up-t-healthcheck check ./repo --fix\n');
+    console.log('Baseline of known issues (only new findings fail the run):');
+    console.log('  spec-up-t-healthcheck check ./repo --update-baseline');
+    console.log('  spec-up-t-healthcheck check ./repo --baseline .healthcheck-baseline.json\n');
+    console.log('Offline run (e.g. air-gapped CI) with a cache populated by an earlier online run:');
+    console.log('  spec-up-t-healthcheck check ./repo --cache-dir ci/network-cache --refresh-cache');
+    console.log('  spec-up-t-healthcheck check ./repo --cache-dir ci/network-cache --offline\n');
+    console.log('Pin the reference data to the installed spec-up-t version (commit the written bundle):');
+    console.log('  spec-up-t-healthcheck bundle ./repo\n');
+    console.log('Compare two saved JSON reports:');
+    console.log('  spec-up-t-healthcheck diff reports/v1.0.json reports/v1.1.json --format markdown\n');
+    console.log('Project configuration (.healthcheckrc in the repository or current directory):');
+    console.log('  { "disabledChecks": ["link-checker"], "severity": { "gitignore": "warn" },');
+    console.log('    "format": "html", "thresholds": { "minScore": 80 } }');
   });
 
 /**
@@ -0,0 +1,325 @@
+/**
+ * @fileoverview Baselines of known health check findings
+ *
+ * A baseline records the findings of a health check run, so that later runs
+ * only report findings that are new. This lets legacy specifications with many
+ * known issues adopt the health check in CI without fixing everything at once:
+ * the run fails only when new problems are introduced, and findings that were
+ * fixed since the baseline was recorded are reported separately.
+ *
+ * Findings are identified by fingerprints built from their rule, file and
+ * message. Line and column numbers are deliberately left out, so editing
+ * unrelated parts of a file doesn't turn known findings into new ones.
+ * Identical findings in one file are told apart by their order. For the same
+ * reason, checks keep counts and the locations of other places out of finding
+ * messages; those belong in the result details or the suggestion.
+ *
+ * This module depends on Node.js' `fs` and `crypto` modules and is therefore
+ * not available in browser environments.
+ *
+ * @author spec-up-t-healthcheck
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { createHash } from 'crypto';
+import { calculateSummary } from './health-check-utils.js';
+
+/**
+ * Version of the baseline file format.
+ * @type {number}
+ */
+export const BASELINE_VERSION = 1;
+
+/**
+ * Baseline file used when none is specified.
+ * @type {string}
+ */
+export const DEFAULT_BASELINE_FILE = '.healthcheck-baseline.json';
+
+/**
+ * @typedef {Object} BaselineEntry
+ * @property {string} fingerprint - Stable identifier of the finding
+ * @property {string} check - Name of the check that reported the finding
+ * @property {string} ruleId - Rule of the finding
+ * @property {string} severity - Severity of the finding when it was recorded
+ * @property {string} message - Message of the finding
+ * @property {string} [file] - File of the finding
+ */
+
+/**
+ * @typedef {Object} Baseline
+ * @property {number} version - Baseline file format version
+ * @property {string} createdAt - ISO timestamp when the baseline was recorded
+ * @property {BaselineEntry[]} findings - The recorded findings
+ */
+
+/**
+ * @typedef {Object} BaselineComparison
+ * @property {number} newFindings - Number of findings that are not in the baseline
+ * @property {number} knownFindings - Number of findings suppressed by the baseline
+ * @property {BaselineEntry[]} fixedFindings - Baseline findings that no longer occur
+ */
+
+/**
+ * Computes the fingerprint base of a finding, without its occurrence number.
+ *
+ * @param {import('./health-check-utils.js').Finding} finding - The finding
+ * @returns {string} A hex digest of the rule, file and message
+ * @private
+ */
+function hashFinding(finding) {
+  const file = (finding.file || '').replace(/\\/g, '/').replace(/^\.\//, '');
+  const message = finding.message.trim().replace(/\s+/g, ' ');
+  return createHash('sha256').update(`${finding.ruleId}\n${file}\n${message}`).digest('hex').slice(0, 16);
+}
+
+/**
+ * Computes the fingerprints of a list of findings.
+ *
+ * Identical findings (same rule, file and message) get increasing occurrence
+ * numbers, e.g. `3f2a…:0` and `3f2a…:1`, so a baseline with two of them still
+ * reports a third one as new.
+ *
+ * @param {import('./health-check-utils.js').Finding[]} findings - The findings, in report order
+ * @returns {string[]} The fingerprints, in the same order
+ *
+ * @example
+ * ```javascript
+ * const [fingerprint] = getFindingFingerprints(result.details.findings);
+ * // e.g. '9b1c6a1f0e2d4c3b:0'
+ * ```
+ */
+export function getFindingFingerprints(findings) {
+  const occurrences = new Map();
+  return findings.map(finding => {
+    const hash = hashFinding(finding);
+    const occurrence = occurrences.get(hash) || 0;
+    occurrences.set(hash, occurrence + 1);
+    return `${hash}:${occurrence}`;
+  });
+}
+
+/**
+ * Returns the findings of a check result.
+ *
+ * @param {import('./health-check-utils.js').HealthCheckResult} result - The check result
+ * @returns {import('./health-check-utils.js').Finding[]} The findings
+ * @private
+ */
+function getFindings(result) {
+  return Array.isArray(result.details?.findings) ? result.details.findings : [];
+}
+
+/**
+ * Records the findings of a report as a baseline.
+ *
+ * @param {import('./health-check-utils.js').HealthCheckReport} report - The health check report
+ * @returns {Baseline} The baseline
+ *
+ * @example
+ * ```javascript
+ * const report = await runHealthChecks(provider);
+ * await saveBaseline('.healthcheck-baseline.json', createBaseline(report));
+ * ```
+ */
+export function createBaseline(report) {
+  const findings = report.results.flatMap(result => getFindings(result).map(finding => ({ check: result.check, finding })));
+  const fingerprints = getFindingFingerprints(findings.map(({ finding }) => finding));
+
+  return {
+    version: BASELINE_VERSION,
+    createdAt: new Date().toISOString(),
+    findings: findings.map(({ check, finding }, index) => ({
+      fingerprint: fingerprints[index],
+      check,
+      ruleId: finding.ruleId,
+      severity: finding.severity,
+      message: finding.message,
+      ...(finding.file && { file: finding.file })
+    }))
+  };
+}
+
+/**
+ * Determines the status of a check after known findings were removed.
+ *
+ * A check keeps its status while new errors (for failures) or new warnings
+ * remain. A failed check with only new warnings becomes a warning, and a check
+ * without new errors or warnings passes.
+ *
+ * @param {string} status - The original status
+ * @param {import('./health-check-utils.js').Finding[]} remaining - The new findings of the check
+ * @returns {string} The status
+ * @private
+ */
+function getStatusAfterBaseline(status, remaining) {
+  const hasErrors = remaining.some(finding => finding.severity === 'error');
+  const hasWarnings = remaining.some(finding => finding.severity === 'warning');
+
+  if (status === 'fail' && !hasErrors) {
+    return hasWarnings ? 'warn' : 'pass';
+  }
+  if (status === 'warn' && !hasErrors && !hasWarnings) {
+    return 'pass';
+  }
+  return status;
+}
+
+/**
+ * Applies a baseline to a health check report.
+ *
+ * Findings recorded in the baseline are removed from the results, and the
+ * status of checks whose problems are all known is lowered accordingly (see
+ * `details.baseline` of an affected result for the original status). The
+ * summary is recalculated, so exit codes and thresholds only consider new
+ * findings. The comparison with the baseline is added as `report.baseline`.
+ * Baseline findings only count as fixed when their check ran and wasn't
+ * skipped, so running a subset of the checks doesn't report fixes.
+ *
+ * The report passed in is not modified.
+ *
+ * @param {import('./health-check-utils.js').HealthCheckReport} report - The health check report
+ * @param {Baseline} baseline - The baseline to apply
+ * @returns {import('./health-check-utils.js').HealthCheckReport & {baseline: BaselineComparison}} The filtered report
+ *
+ * @example
+ * ```javascript
+ * const report = applyBaseline(await runHealthChecks(provider), await loadBaseline('.healthcheck-baseline.json'));
+ * console.log(`${report.baseline.newFindings} new, ${report.baseline.fixedFindings.length} fixed`);
+ * ```
+ */
+export function applyBaseline(report, baseline) {
+  const known = new Set(baseline.findings.map(entry => entry.fingerprint));
+  const seen = new Set();
+  const fingerprints = getFindingFingerprints(report.results.flatMap(getFindings));
+  let position = 0;
+  let newFindings = 0;
+  let knownFindings = 0;
+  const checkedNames = new Set(report.results.filter(result => result.status !== 'skip').map(result => result.check));
+
+  const results = report.results.map(result => {
+    const findings = getFindings(result);
+    const remaining = [];
+
+    for (const finding of findings) {
+      const fingerprint = fingerprints[position++];
+      if (known.has(fingerprint)) {
+        seen.add(fingerprint);
+        knownFindings++;
+      } else {
+        remaining.push(finding);
+      }
+    }
+
+    newFindings += remaining.length;
+    if (remaining.length === findings.length) {
+      return result;
+    }
+
+    const suppressed = findings.length - remaining.length;
+    const status = getStatusAfterBaseline(result.status, remaining);
+
+    return {
+      ...result,
+      status,
+      message: status === result.status
+        ? result.message
+        : `${result.message} (${suppressed} known issue${suppressed === 1 ? '' : 's'} in baseline)`,
+      details: {
+        ...result.details,
+        findings: remaining,
+        baseline: { originalStatus: result.status, suppressed }
+      }
+    };
+  });
+
+  return {
+    ...report,
+    results,
+    summary: { ...report.summary, ...calculateSummary(results) },
+    baseline: {
+      newFindings,
+      knownFindings,
+      fixedFindings: baseline.findings.filter(entry => !seen.has(entry.fingerprint) && checkedNames.has(entry.check))
+    }
+  };
+}
+
+/**
+ * Validates the structure of a parsed baseline file.
+ *
+ * @param {any} baseline - The parsed file content
+ * @param {string} source - The file path (used in error messages)
+ * @returns {Baseline} The baseline
+ * @throws {Error} When the content isn't a baseline
+ * @private
+ */
+function validateBaseline(baseline, source) {
+  if (!baseline || typeof baseline !== 'object' || !Array.isArray(baseline.findings)) {
+    throw new Error(`Baseline file ${source} must contain an object with a "findings" array`);
+  }
+  if (baseline.version !== BASELINE_VERSION) {
+    throw new Error(`Baseline file ${source} has unsupported version ${baseline.version} (expected ${BASELINE_VERSION})`);
+  }
+  if (!baseline.findings.every(entry => entry && typeof entry.fingerprint === 'string')) {
+    throw new Error(`Baseline file ${source} contains findings without a fingerprint`);
+  }
+  return baseline;
+}
+
+/**
+ * Reads a baseline file.
+ *
+ * @param {string} baselinePath - Path to the baseline file
+ * @returns {Promise<Baseline>} The baseline
+ * @throws {Error} When the file cannot be read or is not a valid baseline
+ */
+export async function loadBaseline(baselinePath) {
+  const absolutePath = path.resolve(baselinePath);
+  let content;
+  try {
+    content = await fs.readFile(absolutePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error(`Baseline file not found: ${absolutePath} (record one with --update-baseline)`);
+    }
+    throw new Error(`Failed to read baseline file ${absolutePath}: ${error.message}`);
+  }
+
+  try {
+    return validateBaseline(JSON.parse(content), absolutePath);
+  } catch (error) {
+    if (error instanceof SyntaxError) {
+      throw new Error(`Baseline file ${absolutePath} contains invalid JSON: ${error.message}`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Writes a baseline file, creating its directory if needed.
+ *
+ * Findings are written one per line in report order, so baseline updates
+ * produce readable diffs in version control.
+ *
+ * @param {string} baselinePath - Path to the baseline file
+ * @param {Baseline} baseline - The baseline to write
+ * @returns {Promise<string>} The absolute path of the written file
+ */
+export async function saveBaseline(baselinePath, baseline) {
+  const absolutePath = path.resolve(baselinePath);
+  const findings = baseline.findings.map(entry => `    ${JSON.stringify(entry)}`).join(',\n');
+  const content = [
+    '{',
+    `  "version": ${JSON.stringify(baseline.version)},`,
+    `  "createdAt": ${JSON.stringify(baseline.createdAt)},`,
+    `  "findings": [${findings ? `\n${findings}\n  ` : ''}]`,
+    '}',
+    ''
+  ].join('\n');
+
+  await fs.mkdir(path.dirname(absolutePath), { recursive: true });
+  await fs.writeFile(absolutePath, content);
+  return absolutePath;
+}
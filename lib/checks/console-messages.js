@@ -14,6 +14,26 @@
  * @module checks/console-messages
  */
 
+import { createFinding, findJsonErrorLocation, resolveCheckOptions } from '../health-check-utils.js';
+
+/**
+ * Options accepted by this health check.
+ * @type {import('../health-check-utils.js').CheckOptionsSchema}
+ */
+export const CHECK_OPTIONS = Object.freeze({
+    maxWarnings: {
+        type: 'number',
+        default: 10,
+        minimum: 0,
+        description: 'Maximum number of warning messages listed in the result details'
+    },
+    failOnWarnings: {
+        type: 'boolean',
+        default: false,
+        description: 'Report the check as failed (instead of warning) when warnings were captured'
+    }
+});
+
 /**
  * Analyzes console messages captured from spec-up-t operations
  * 
@@ -22,18 +42,21 @@
  * external reference collection operations.
  * 
  * @param {Object} provider - File system provider for accessing project files
- * @param {Object} [options={}] - Check options
- * @param {boolean} [options.verbose=false] - Include all messages in details
+ * @param {Object} [options={}] - Check options (see {@link CHECK_OPTIONS})
+ * @param {number} [options.maxWarnings=10] - Maximum number of warnings listed in details
+ * @param {boolean} [options.failOnWarnings=false] - Fail instead of warn when warnings were captured
  * @returns {Promise<Object>} Health check result with console message analysis
+ * @throws {Error} When the options are invalid
  * 
  * @example
- * const result = await checkConsoleMessages(provider);
+ * const result = await checkConsoleMessages(provider, { maxWarnings: 25 });
  * console.log(`Status: ${result.status}`);
  * console.log(`Errors found: ${result.details.errorCount}`);
  */
 export async function checkConsoleMessages(provider, options = {}) {
     const checkName = 'console-messages';
     const messagePath = '.cache/console-messages.json';
+    const { maxWarnings, failOnWarnings } = resolveCheckOptions(CHECK_OPTIONS, options, checkName);
     
     try {
         // Check if the console messages file exists
@@ -66,6 +89,12 @@ export async function checkConsoleMessages(provider, options = {}) {
                 message: 'Failed to parse console messages file',
                 timestamp: new Date().toISOString(),
                 details: {
+                    findings: [
+                        createFinding(`${checkName}/invalid-json`, 'error', `Failed to parse console messages file: ${parseError.message}`, {
+                            file: messagePath,
+                            ...findJsonErrorLocation(content, parseError.message)
+                        })
+                    ],
                     path: messagePath,
                     error: parseError.message,
                     fileExists: true
@@ -90,7 +119,7 @@ export async function checkConsoleMessages(provider, options = {}) {
             status = 'fail';
             message = `Found ${errorMessages.length} error(s) in console output`;
         } else if (warningMessages.length > 0) {
-            status = 'warn';
+            status = failOnWarnings ? 'fail' : 'warn';
             message = `Found ${warningMessages.length} warning(s) in console output`;
         } else if (messages.length === 0) {
             status = 'skip';
@@ -101,7 +130,12 @@ export async function checkConsoleMessages(provider, options = {}) {
         }
         
         // Build detailed information
+        const listedWarnings = warningMessages.slice(0, maxWarnings);
         const details = {
+            findings: [
+                ...errorMessages.map(m => createConsoleFinding(messagePath, 'error', 'error', m)),
+                ...listedWarnings.map(m => createConsoleFinding(messagePath, 'warning', failOnWarnings ? 'error' : 'warning', m))
+            ],
             path: messagePath,
             fileExists: true,
             metadata: {
@@ -123,7 +157,7 @@ export async function checkConsoleMessages(provider, options = {}) {
                 operation: m.operation,
                 additionalData: m.additionalData
             })),
-            warnings: warningMessages.slice(0, 10).map(m => ({
+            warnings: listedWarnings.map(m => ({
                 timestamp: m.timestamp,
                 message: m.message,
                 operation: m.operation,
@@ -137,8 +171,8 @@ export async function checkConsoleMessages(provider, options = {}) {
         details.allMessages = messages;
         
         // Add truncation notice only for warnings (errors are never truncated)
-        if (warningMessages.length > 10) {
-            details.warningsNote = `Showing first 10 of ${warningMessages.length} warnings`;
+        if (warningMessages.length > maxWarnings) {
+            details.warningsNote = `Showing first ${maxWarnings} of ${warningMessages.length} warnings`;
         }
         
         return {
@@ -164,6 +198,25 @@ export async function checkConsoleMessages(provider, options = {}) {
     }
 }
 
+/**
+ * Creates a finding for a captured console message.
+ * 
+ * Console messages are produced at runtime, so the finding points at the
+ * console messages file and names the operation that produced the message.
+ * 
+ * @param {string} messagePath - Path of the console messages file
+ * @param {string} rule - Rule name, without the check ID prefix
+ * @param {'error'|'warning'} severity - Severity of the finding
+ * @param {Object} consoleMessage - The captured message
+ * @returns {import('../health-check-utils.js').Finding} The finding
+ */
+function createConsoleFinding(messagePath, rule, severity, consoleMessage) {
+    const operation = consoleMessage.operation ? ` (during ${consoleMessage.operation})` : '';
+    return createFinding(`console-messages/${rule}`, severity, `${String(consoleMessage.message || 'Empty message')}${operation}`, {
+        file: messagePath
+    });
+}
+
 /**
  * Get statistics from console messages without performing a full check
  * 
@@ -0,0 +1,387 @@
+/**
+ * @fileoverview External reference resolution health check module
+ *
+ * This module validates the `[[xref: spec, term]]` and `[[tref: spec, term]]`
+ * references of a Spec-Up-T specification against the `external_specs`
+ * declared in specs.json: every reference must use a declared `external_spec`
+ * ID, and every declared external specification should be referenced.
+ *
+ * When data about the external specifications is available locally, the
+ * referenced terms are verified as well. Two sources are used:
+ * - The xtrefs cache Spec-Up-T writes when rendering (see xtrefs-data.js)
+ * - Rendered glossaries of external specifications, configured with the
+ *   `glossaries` option
+ *
+ * This check only reads repository files, so it can run in both Node.js and
+ * browser environments.
+ *
+ * @author spec-up-t-healthcheck
+ */
+
+import {
+  createHealthCheckResult,
+  createErrorResult,
+  createFinding,
+  findTextLocation,
+  resolveCheckOptions
+} from '../health-check-utils.js';
+import { createRepositoryContext, SPECS_JSON_PATH } from '../repository-context.js';
+import { parseSuppressions, findSuppression } from '../suppressions.js';
+import { parseTermMarkup, normalizeTerm, getSpecMarkdownPaths } from '../spec-markup.js';
+import { parseXtrefsData, findXtrefEntry, XTREFS_DATA_PATH } from '../xtrefs-data.js';
+
+/**
+ * The identifier for this health check, used in reports and registries.
+ * @type {string}
+ */
+export const CHECK_ID = 'external-references';
+
+/**
+ * Human-readable name for this health check.
+ * @type {string}
+ */
+export const CHECK_NAME = 'External Reference Resolution';
+
+/**
+ * Description of what this health check validates.
+ * @type {string}
+ */
+export const CHECK_DESCRIPTION = 'Validates that xref and tref references use declared external specs and existing terms';
+
+/**
+ * Options accepted by this health check.
+ * @type {import('../health-check-utils.js').CheckOptionsSchema}
+ */
+export const CHECK_OPTIONS = Object.freeze({
+  xtrefsDataPath: {
+    type: 'string',
+    default: XTREFS_DATA_PATH,
+    description: 'Path of the xtrefs cache generated by Spec-Up-T, used to verify referenced terms'
+  },
+  glossaries: {
+    type: 'array',
+    items: 'string',
+    default: [],
+    description: 'Rendered glossaries of external specs as <external_spec>=<path to HTML file>, used to verify referenced terms'
+  }
+});
+
+/**
+ * Matches the term anchors of a rendered Spec-Up-T glossary, e.g. `id="term:verifiable-credential"`.
+ * Captures the anchor name.
+ * @type {RegExp}
+ * @private
+ */
+const TERM_ANCHOR_REGEX = /\bid=["']term:([^"']+)["']/g;
+
+/**
+ * Parses the `glossaries` option into glossary paths by external spec ID.
+ *
+ * @param {string[]} glossaries - Entries of the form `<external_spec>=<path>`
+ * @returns {Map<string, string>} Glossary paths by external spec ID
+ * @throws {Error} When an entry doesn't have the expected form
+ * @private
+ */
+function parseGlossaryOption(glossaries) {
+  const paths = new Map();
+  for (const entry of glossaries) {
+    const separator = entry.indexOf('=');
+    if (separator <= 0 || separator === entry.length - 1) {
+      throw new Error(`Invalid options for health check '${CHECK_ID}': option 'glossaries' entries must have the form <external_spec>=<path>, got '${entry}'`);
+    }
+    paths.set(entry.slice(0, separator).trim(), entry.slice(separator + 1).trim());
+  }
+  return paths;
+}
+
+/**
+ * Extracts the normalized terms (and aliases) of a rendered glossary.
+ *
+ * @param {string} html - The rendered HTML
+ * @returns {Set<string>} The normalized terms
+ * @private
+ */
+function extractGlossaryTerms(html) {
+  const terms = new Set();
+  for (const match of html.matchAll(TERM_ANCHOR_REGEX)) {
+    let anchor = match[1];
+    try {
+      anchor = decodeURIComponent(anchor);
+    } catch (error) {
+      // Keep malformed escapes as they are
+    }
+    terms.add(normalizeTerm(anchor));
+  }
+  return terms;
+}
+
+/**
+ * Escapes a string for use in a regular expression.
+ *
+ * @param {string} text - The text to escape
+ * @returns {string} The escaped text
+ * @private
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Records a problem as a finding and as a message, unless an inline comment
+ * suppresses it.
+ *
+ * @param {Object} state - Results being collected
+ * @param {'error'|'warning'} severity - Severity of the problem
+ * @param {string} rule - Rule name, without the check ID prefix
+ * @param {string} message - Human-readable description of the problem
+ * @param {Object} location - Where the problem is
+ * @param {string} location.file - The file of the problem
+ * @param {number} [location.line] - The line of the problem
+ * @param {number} [location.column] - The column of the problem
+ * @param {string} [location.suggestion] - How to fix the problem
+ * @private
+ */
+function addIssue(state, severity, rule, message, { file, line, column, suggestion }) {
+  const ruleId = `${CHECK_ID}/${rule}`;
+  const finding = createFinding(ruleId, severity, message, { file, line, column, suggestion });
+
+  const suppression = findSuppression(state.suppressions.get(file) || [], ruleId, line);
+  if (suppression) {
+    state.suppressedFindings.push({
+      ...finding,
+      suppressedBy: { directive: suppression.directive, line: suppression.line }
+    });
+    return;
+  }
+
+  state.findings.push(finding);
+  (severity === 'error' ? state.errors : state.warnings).push(line ? `${file}:${line}: ${message}` : `${file}: ${message}`);
+}
+
+/**
+ * Loads the term data available locally: the xtrefs cache and the configured glossaries.
+ *
+ * Missing sources are skipped; unreadable ones are noted in `state.info`.
+ *
+ * @param {Object} state - Results being collected
+ * @param {import('../repository-context.js').RepositoryContext} context - Shared repository context
+ * @param {string} xtrefsDataPath - Path of the xtrefs cache
+ * @param {Map<string, string>} glossaryPaths - Glossary paths by external spec ID
+ * @returns {Promise<{xtrefs: import('../xtrefs-data.js').XtrefEntry[]|null, glossaries: Map<string, Set<string>>}>}
+ *          The cached xtrefs (null if unavailable) and the glossary terms by external spec ID
+ * @private
+ */
+async function loadTermSources(state, context, xtrefsDataPath, glossaryPaths) {
+  let xtrefs = null;
+  if (await context.fileExists(xtrefsDataPath)) {
+    try {
+      xtrefs = parseXtrefsData(await context.readFile(xtrefsDataPath));
+      state.termSources.push(xtrefsDataPath);
+    } catch (error) {
+      state.info.push(`Could not use ${xtrefsDataPath}: ${error.message}`);
+    }
+  }
+
+  const glossaries = new Map();
+  for (const [specId, glossaryPath] of glossaryPaths) {
+    try {
+      glossaries.set(specId, extractGlossaryTerms(await context.readFile(glossaryPath)));
+      state.termSources.push(glossaryPath);
+    } catch (error) {
+      state.info.push(`Could not read the glossary of "${specId}" at ${glossaryPath}: ${error.message}`);
+    }
+  }
+
+  return { xtrefs, glossaries };
+}
+
+/**
+ * Verifies that a referenced term exists in the external specification.
+ *
+ * A configured glossary takes precedence over the xtrefs cache. Terms that
+ * are not in the cache at all are left unverified: the cache only holds the
+ * terms of the last render (see the xtrefs-cache check for staleness).
+ *
+ * @param {{xtrefs: Array|null, glossaries: Map<string, Set<string>>}} sources - The term sources
+ * @param {string} specId - ID of the external specification
+ * @param {string} term - The referenced term
+ * @returns {{exists: boolean, source: string}|null} Whether the term exists and the source that says so,
+ *          or null if no source knows the term
+ * @private
+ */
+function verifyTerm(sources, specId, term) {
+  const glossary = sources.glossaries.get(specId);
+  if (glossary) {
+    return { exists: glossary.has(normalizeTerm(term)), source: 'glossary' };
+  }
+
+  const entry = sources.xtrefs ? findXtrefEntry(sources.xtrefs, specId, term) : undefined;
+  if (entry) {
+    return { exists: entry.found, source: 'xtrefs cache' };
+  }
+  return null;
+}
+
+/**
+ * Validates the external references of a Spec-Up-T specification.
+ *
+ * This health check reads the markdown files in spec_directory and
+ * spec_terms_directory (from the first spec in specs.json) and validates:
+ * - Every xref and tref uses an `external_spec` ID from external_specs (`undeclared-spec`, error)
+ * - Every declared external spec is referenced (`unused-spec`, warning)
+ * - Referenced terms exist in the external spec, when its glossary or the
+ *   xtrefs cache is available (`unknown-term`, error)
+ *
+ * Findings in markdown can be suppressed with inline comments such as
+ * `<!-- healthcheck-disable-next-line external-references/unknown-term -->`
+ * (see suppressions.js).
+ *
+ * @param {import('../providers.js').Provider} provider - The provider instance for file operations
+ * @param {Object} [options={}] - Check options (see {@link CHECK_OPTIONS})
+ * @param {string} [options.xtrefsDataPath='.cache/xtrefs-data.json'] - Path of the xtrefs cache
+ * @param {string[]} [options.glossaries=[]] - Rendered glossaries as `<external_spec>=<path>`
+ * @param {import('../repository-context.js').RepositoryContext} [context] - Shared repository context
+ * @returns {Promise<import('../health-check-utils.js').HealthCheckResult>} The health check result
+ * @throws {Error} When the options are invalid
+ *
+ * @example
+ * ```javascript
+ * const provider = createLocalProvider('/path/to/repo');
+ * const result = await checkExternalReferences(provider, {
+ *   glossaries: ['keri-spec=vendor/keri-spec/index.html']
+ * });
+ * console.log(result.details.usage); // { 'keri-spec': 12, 'vc-data-model': 0 }
+ * ```
+ */
+export async function checkExternalReferences(provider, options = {}, context = createRepositoryContext(provider)) {
+  const { xtrefsDataPath, glossaries } = resolveCheckOptions(CHECK_OPTIONS, options, CHECK_ID);
+  const glossaryPaths = parseGlossaryOption(glossaries);
+
+  try {
+    const { exists, content: specsJsonContent, data: specsData, parseError } = await context.getSpecsJson();
+    if (!exists || parseError || !Array.isArray(specsData.specs) || specsData.specs.length === 0) {
+      return createHealthCheckResult(
+        CHECK_ID,
+        'skip',
+        `${!exists ? 'specs.json not found' : 'specs.json is invalid'} - cannot resolve external references`,
+        {}
+      );
+    }
+
+    const spec = specsData.specs[0];
+    const declaredSpecs = (Array.isArray(spec.external_specs) ? spec.external_specs : [])
+      .map(externalSpec => externalSpec && externalSpec.external_spec)
+      .filter(specId => typeof specId === 'string' && specId !== '');
+
+    const state = {
+      findings: [],
+      suppressedFindings: [],
+      errors: [],
+      warnings: [],
+      info: [],
+      suppressions: new Map(),
+      termSources: []
+    };
+
+    const references = [];
+    const files = await context.findMarkdownFiles(getSpecMarkdownPaths(spec));
+    for (const file of files) {
+      let content;
+      try {
+        content = await context.readFile(file);
+      } catch (error) {
+        continue; // File could not be read — skip it
+      }
+
+      state.suppressions.set(file, parseSuppressions(content));
+      for (const markup of parseTermMarkup(content)) {
+        const [specId, term] = markup.args;
+        // Malformed markup is reported by the terminology check
+        if ((markup.type === 'xref' || markup.type === 'tref') && specId && term) {
+          references.push({ type: markup.type, specId, term, source: markup.source, file, line: markup.line, column: markup.column });
+        }
+      }
+    }
+
+    const sources = await loadTermSources(state, context, xtrefsDataPath, glossaryPaths);
+    const usage = Object.fromEntries(declaredSpecs.map(specId => [specId, 0]));
+    let verifiedTerms = 0;
+    let unverifiedTerms = 0;
+
+    for (const reference of references) {
+      const location = { file: reference.file, line: reference.line, column: reference.column };
+
+      if (!Object.hasOwn(usage, reference.specId)) {
+        addIssue(state, 'error', 'undeclared-spec', `${reference.source} uses external spec "${reference.specId}", which is not declared in external_specs`, {
+          ...location,
+          suggestion: declaredSpecs.length > 0
+            ? `Use one of the declared external specs (${declaredSpecs.join(', ')}) or add "${reference.specId}" to external_specs in specs.json`
+            : `Add "${reference.specId}" to external_specs in specs.json`
+        });
+        continue;
+      }
+      usage[reference.specId]++;
+
+      const verification = verifyTerm(sources, reference.specId, reference.term);
+      if (!verification) {
+        unverifiedTerms++;
+      } else if (verification.exists) {
+        verifiedTerms++;
+      } else {
+        addIssue(state, 'error', 'unknown-term', `Term "${reference.term}" does not exist in external spec "${reference.specId}" (according to the ${verification.source})`, {
+          ...location,
+          suggestion: `Check the spelling of the term or the terms of "${reference.specId}"`
+        });
+      }
+    }
+
+    for (const specId of declaredSpecs.filter(declared => usage[declared] === 0)) {
+      const fieldPattern = new RegExp(`"external_spec"\\s*:\\s*"${escapeRegExp(specId)}"`);
+      addIssue(state, 'warning', 'unused-spec', `External spec "${specId}" is declared but never referenced with xref or tref`, {
+        file: SPECS_JSON_PATH,
+        ...findTextLocation(specsJsonContent, fieldPattern),
+        suggestion: `Reference a term of "${specId}" or remove it from external_specs`
+      });
+    }
+
+    if (unverifiedTerms > 0) {
+      state.info.push(state.termSources.length > 0
+        ? `${unverifiedTerms} referenced term(s) could not be verified: they are not in ${state.termSources.join(' or ')}`
+        : `${unverifiedTerms} referenced term(s) were not verified: no xtrefs cache (${xtrefsDataPath}) or glossary is available`);
+    }
+
+    const suppressedNote = state.suppressedFindings.length > 0 ? ` (${state.suppressedFindings.length} suppressed)` : '';
+    let status = 'pass';
+    let message = references.length > 0
+      ? `All ${references.length} external reference(s) use declared external specs${verifiedTerms > 0 ? ` (${verifiedTerms} term(s) verified)` : ''}${suppressedNote}`
+      : `No external references${suppressedNote}`;
+    if (state.errors.length > 0) {
+      status = 'fail';
+      message = `Found ${state.errors.length} unresolved external reference(s)${suppressedNote}`;
+    } else if (state.warnings.length > 0) {
+      status = 'warn';
+      message = `${state.warnings.length} declared external spec(s) are never referenced${suppressedNote}`;
+    }
+
+    return createHealthCheckResult(CHECK_ID, status, message, {
+      findings: state.findings,
+      suppressedFindings: state.suppressedFindings,
+      errors: state.errors,
+      warnings: state.warnings,
+      info: state.info,
+      declaredSpecs,
+      usage,
+      referenceCount: references.length,
+      verifiedTerms,
+      unverifiedTerms,
+      termSources: state.termSources
+    });
+
+  } catch (error) {
+    return createErrorResult(
+      CHECK_ID,
+      `Failed to resolve external references: ${error.message}`,
+      { error: error.message, stack: error.stack }
+    );
+  }
+}
@@ -10,7 +10,16 @@
  */
 
 import axios from 'axios';
-import { createHealthCheckResult, createErrorResult } from '../health-check-utils.js';
+import {
+    createHealthCheckResult,
+    createErrorResult,
+    createFinding,
+    findTextLocation,
+    findJsonErrorLocation,
+    resolveCheckOptions
+} from '../health-check-utils.js';
+import { createRepositoryContext, SPECS_JSON_PATH } from '../repository-context.js';
+import { defaultNetworkClient, isOfflineError } from '../network.js';
 
 /**
  * The identifier for this health check
@@ -30,6 +39,18 @@ export const CHECK_NAME = 'External Specs URL Validation';
  */
 export const CHECK_DESCRIPTION = 'Validates external specification URLs exist, have correct structure, and are accessible';
 
+/**
+ * Options accepted by this health check
+ * @type {import('../health-check-utils.js').CheckOptionsSchema}
+ */
+export const CHECK_OPTIONS = Object.freeze({
+    checkAccessibility: {
+        type: 'boolean',
+        default: true,
+        description: 'Send HTTP requests to verify that gh_page and url are reachable'
+    }
+});
+
 /**
  * Timeout for HTTP requests in milliseconds
  * @type {number}
@@ -311,30 +332,75 @@ function createAccessibilityResult(statusCode, fieldName) {
  * @param {Object} spec - The external spec object to validate
  * @param {number} index - Index of the spec in the array
  * @param {boolean} checkAccessibility - Whether to check URL accessibility
+ * @param {string} [specsJsonContent] - Raw specs.json content, used to locate findings
+ * @param {import('../network.js').NetworkClient} [network=defaultNetworkClient] - The network client; accessibility
+ *        results are cached for offline runs, which skip URLs without a cached result
  * @returns {Promise<Object>} Validation results for this spec
  */
-async function validateExternalSpec(spec, index, checkAccessibility = true) {
+async function validateExternalSpec(spec, index, checkAccessibility = true, specsJsonContent, network = defaultNetworkClient) {
     const results = {
         specIndex: index,
         specId: spec.external_spec || `[spec ${index}]`,
         errors: [],
         warnings: [],
         info: [],
-        success: []
+        success: [],
+        findings: []
+    };
+
+    // Records an error both as a message and as a finding, located at the offending
+    // value in specs.json or else at the external spec's ID
+    const addError = (rule, message, locate, suggestion) => {
+        results.errors.push(message);
+        const location = (locate && findTextLocation(specsJsonContent, `"${locate}"`)) ||
+            findTextLocation(specsJsonContent, `"${results.specId}"`);
+        results.findings.push(createFinding(`${CHECK_ID}/${rule}`, 'error', `${results.specId}: ${message}`, {
+            file: SPECS_JSON_PATH,
+            ...location,
+            suggestion
+        }));
+    };
+
+    // Records the accessibility of a URL, from the cache when offline
+    const checkAccessible = async (fieldName, url) => {
+        let accessibility;
+        try {
+            accessibility = await network.cached(
+                `${CHECK_ID}:${fieldName}:${url}`,
+                () => checkUrlAccessibility(url, fieldName),
+                // Only HTTP responses are cached, not failures to reach the server
+                { ttl: 0, cacheable: accessibility => accessibility.statusCode !== undefined }
+            );
+        } catch (error) {
+            if (!isOfflineError(error)) {
+                throw error;
+            }
+            results.info.push(`${fieldName} accessibility not checked (offline mode, no cached result)`);
+            return;
+        }
+
+        const cachedNote = network.offline ? ' (cached result)' : '';
+        if (accessibility.isAccessible) {
+            results.success.push(`${fieldName} is accessible (HTTP ${accessibility.statusCode})${cachedNote}`);
+        } else {
+            // The response is left out of the message, which identifies the finding in baselines
+            const reason = `${accessibility.message || 'no response'}${cachedNote}`;
+            addError('inaccessible-url', `${fieldName} is not accessible`, url, `Fix the URL or make it publicly reachable (${reason})`);
+        }
     };
 
     // Check gh_page field existence
     if (!('gh_page' in spec)) {
-        results.errors.push('Field "gh_page" is missing');
+        addError('missing-field', 'Field "gh_page" is missing', null, 'Add the GitHub Pages URL of the external spec as "gh_page"');
     } else if (!spec.gh_page) {
-        results.errors.push('Field "gh_page" is empty');
+        addError('missing-field', 'Field "gh_page" is empty', null, 'Add the GitHub Pages URL of the external spec as "gh_page"');
     } else {
         results.success.push('Field "gh_page" exists');
 
         // Validate gh_page structure
         const ghPageStructure = validateGitHubPagesStructure(spec.gh_page);
         if (!ghPageStructure.isValid) {
-            results.errors.push(`gh_page structure invalid: ${ghPageStructure.message}`);
+            addError('invalid-url', `gh_page structure invalid: ${ghPageStructure.message}`, spec.gh_page);
         } else {
             results.success.push('Field "gh_page" has valid URL structure');
 
@@ -344,39 +410,29 @@ async function validateExternalSpec(spec, index, checkAccessibility = true) {
 
             // Check gh_page accessibility
             if (checkAccessibility) {
-                const accessibility = await checkUrlAccessibility(spec.gh_page, 'gh_page');
-                if (accessibility.isAccessible) {
-                    results.success.push(`gh_page is accessible (HTTP ${accessibility.statusCode})`);
-                } else {
-                    results.errors.push(accessibility.message || 'gh_page is not accessible');
-                }
+                await checkAccessible('gh_page', spec.gh_page);
             }
         }
     }
 
     // Check url field existence
     if (!('url' in spec)) {
-        results.errors.push('Field "url" is missing');
+        addError('missing-field', 'Field "url" is missing', null, 'Add the GitHub repository URL of the external spec as "url"');
     } else if (!spec.url) {
-        results.errors.push('Field "url" is empty');
+        addError('missing-field', 'Field "url" is empty', null, 'Add the GitHub repository URL of the external spec as "url"');
     } else {
         results.success.push('Field "url" exists');
 
         // Validate url structure
         const urlStructure = validateGitHubRepoStructure(spec.url);
         if (!urlStructure.isValid) {
-            results.errors.push(`url structure invalid: ${urlStructure.message}`);
+            addError('invalid-url', `url structure invalid: ${urlStructure.message}`, spec.url);
         } else {
             results.success.push('Field "url" has valid GitHub repository structure');
 
             // Check url accessibility
             if (checkAccessibility) {
-                const accessibility = await checkUrlAccessibility(spec.url, 'url');
-                if (accessibility.isAccessible) {
-                    results.success.push(`url is accessible (HTTP ${accessibility.statusCode})`);
-                } else {
-                    results.errors.push(accessibility.message || 'url is not accessible');
-                }
+                await checkAccessible('url', spec.url);
             }
         }
     }
@@ -399,9 +455,12 @@ async function validateExternalSpec(spec, index, checkAccessibility = true) {
  * to bypass CORS restrictions. The proxy must be available for full validation.
  *
  * @param {import('../providers.js').Provider} provider - The provider instance for file operations
- * @param {Object} options - Validation options
- * @param {boolean} options.checkAccessibility - Whether to check URL accessibility (default: true)
+ * @param {Object} [options={}] - Validation options (see {@link CHECK_OPTIONS})
+ * @param {boolean} [options.checkAccessibility=true] - Whether to check URL accessibility
+ * @param {import('../repository-context.js').RepositoryContext} [context] - Shared repository context; in offline
+ *        mode of its network client, accessibility is taken from cached results or skipped
  * @returns {Promise<import('../health-check-utils.js').HealthCheckResult>} The health check result
+ * @throws {Error} When the options are invalid
  *
  * @example
  * ```javascript
@@ -410,21 +469,26 @@ async function validateExternalSpec(spec, index, checkAccessibility = true) {
  * console.log(result.status); // 'pass', 'fail', or 'warn'
  * ```
  */
-export async function checkExternalSpecsUrls(provider, options = {}) {
-    // Default to checking accessibility (proxy handles CORS in browser)
-    const checkAccessibility = options.checkAccessibility !== undefined 
-        ? options.checkAccessibility 
-        : true;
+export async function checkExternalSpecsUrls(provider, options = {}, context = createRepositoryContext(provider)) {
+    // Accessibility is checked by default (proxy handles CORS in browser)
+    const { checkAccessibility } = resolveCheckOptions(CHECK_OPTIONS, options, CHECK_ID);
+    const network = context.network ?? defaultNetworkClient;
 
     try {
         // Check if specs.json exists
-        const exists = await provider.fileExists('specs.json');
+        const { exists, content, data: specsData, parseError } = await context.getSpecsJson();
         if (!exists) {
             return createHealthCheckResult(
                 CHECK_NAME,
                 'fail',
                 'specs.json not found - cannot validate external specs',
                 {
+                    findings: [
+                        createFinding(`${CHECK_ID}/missing-specs-json`, 'error', 'specs.json not found - cannot validate external specs', {
+                            file: SPECS_JSON_PATH,
+                            suggestion: 'Create a specs.json file in the repository root'
+                        })
+                    ],
                     suggestions: [
                         'Create a specs.json file in the repository root',
                         'Run the specs-json health check first'
@@ -433,18 +497,20 @@ export async function checkExternalSpecsUrls(provider, options = {}) {
             );
         }
 
-        // Read and parse specs.json
-        const content = await provider.readFile('specs.json');
-        let specsData;
-
-        try {
-            specsData = JSON.parse(content);
-        } catch (parseError) {
+        if (parseError) {
             return createHealthCheckResult(
                 CHECK_NAME,
                 'fail',
                 'specs.json contains invalid JSON',
-                { parseError: parseError.message }
+                {
+                    findings: [
+                        createFinding(`${CHECK_ID}/invalid-specs-json`, 'error', `specs.json contains invalid JSON: ${parseError}`, {
+                            file: SPECS_JSON_PATH,
+                            ...findJsonErrorLocation(content, parseError)
+                        })
+                    ],
+                    parseError
+                }
             );
         }
 
@@ -454,7 +520,14 @@ export async function checkExternalSpecsUrls(provider, options = {}) {
                 CHECK_NAME,
                 'fail',
                 'No specs found in specs.json',
-                { details: 'specs.json must contain a "specs" array with at least one entry' }
+                {
+                    findings: [
+                        createFinding(`${CHECK_ID}/invalid-specs-json`, 'error', 'specs.json must contain a "specs" array with at least one entry', {
+                            file: SPECS_JSON_PATH
+                        })
+                    ],
+                    details: 'specs.json must contain a "specs" array with at least one entry'
+                }
             );
         }
 
@@ -467,6 +540,7 @@ export async function checkExternalSpecsUrls(provider, options = {}) {
                 'pass',
                 'No external_specs defined (this is acceptable)',
                 {
+                    findings: [],
                     info: 'This specification does not reference external specifications',
                     note: 'If you want to add external specs, add an "external_specs" array to your spec'
                 }
@@ -479,7 +553,15 @@ export async function checkExternalSpecsUrls(provider, options = {}) {
                 CHECK_NAME,
                 'fail',
                 'external_specs must be an array',
-                { actualType: typeof spec.external_specs }
+                {
+                    findings: [
+                        createFinding(`${CHECK_ID}/invalid-external-specs`, 'error', 'external_specs must be an array', {
+                            file: SPECS_JSON_PATH,
+                            ...findTextLocation(content, '"external_specs"')
+                        })
+                    ],
+                    actualType: typeof spec.external_specs
+                }
             );
         }
 
@@ -489,7 +571,7 @@ export async function checkExternalSpecsUrls(provider, options = {}) {
                 CHECK_NAME,
                 'pass',
                 'external_specs array is empty (this is acceptable)',
-                { info: 'No external specifications are configured' }
+                { findings: [], info: 'No external specifications are configured' }
             );
         }
 
@@ -499,11 +581,13 @@ export async function checkExternalSpecsUrls(provider, options = {}) {
         const totalWarnings = [];
         const totalInfo = [];
         const totalSuccess = [];
+        const findings = [];
 
         for (let i = 0; i < spec.external_specs.length; i++) {
             const extSpec = spec.external_specs[i];
-            const result = await validateExternalSpec(extSpec, i, checkAccessibility);
+            const result = await validateExternalSpec(extSpec, i, checkAccessibility, content, network);
             allResults.push(result);
+            findings.push(...result.findings);
 
             totalErrors.push(...result.errors.map(err => `${result.specId}: ${err}`));
             totalWarnings.push(...result.warnings.map(warn => `${result.specId}: ${warn}`));
@@ -528,7 +612,7 @@ export async function checkExternalSpecsUrls(provider, options = {}) {
 
         // Collect all informational messages
         const infoMessages = [...totalInfo];
-        if (isBrowserEnvironment() && checkAccessibility) {
+        if (isBrowserEnvironment() && checkAccessibility && !network.offline) {
             infoMessages.push('URL accessibility checks performed via proxy (browser environment)');
         }
 
@@ -537,13 +621,15 @@ export async function checkExternalSpecsUrls(provider, options = {}) {
             status,
             message,
             {
+                findings,
                 totalSpecs: spec.external_specs.length,
                 errors: totalErrors,
                 warnings: totalWarnings,
                 success: totalSuccess,
                 info: infoMessages.length > 0 ? infoMessages : undefined,
                 detailedResults: allResults,
-                accessibilityChecked: checkAccessibility
+                accessibilityChecked: checkAccessibility,
+                offline: network.offline
             }
         );
 
@@ -13,7 +13,10 @@
  * @author spec-up-t-healthcheck
  */
 
-import { createHealthCheckResult, createErrorResult } from '../health-check-utils.js';
+import { createHealthCheckResult, createErrorResult, createFinding, resolveCheckOptions } from '../health-check-utils.js';
+import { createRepositoryContext } from '../repository-context.js';
+import { defaultNetworkClient } from '../network.js';
+import { describeReferenceData, parseGitignoreEntries, resolveReferenceData } from '../reference-bundles.js';
 
 /**
  * The identifier for this health check, used in reports and registries.
@@ -34,31 +37,26 @@ export const CHECK_NAME = '.gitignore';
 export const CHECK_DESCRIPTION = 'Validates the existence and content of .gitignore file';
 
 /**
- * GitHub URL for the boilerplate .gitignore file that defines the reference entries.
- * This is used to fetch the latest required .gitignore entries dynamically.
- * @type {string}
- */
-const BOILERPLATE_GITIGNORE_URL = 'https://raw.githubusercontent.com/trustoverip/spec-up-t/master/src/install-from-boilerplate/boilerplate/gitignore';
-
-/**
- * Cache duration for fetched boilerplate .gitignore (in milliseconds).
- * Set to 1 hour to avoid excessive network requests while keeping data reasonably fresh.
- * @type {number}
- */
-const CACHE_DURATION = 60 * 60 * 1000; // 1 hour
-
-/**
- * In-memory cache for required entries.
- * @type {Object}
- * @private
+ * Options accepted by this health check.
+ * @type {import('../health-check-utils.js').CheckOptionsSchema}
  */
-let entriesCache = {
-  entries: null,
-  lastFetch: 0
-};
+export const CHECK_OPTIONS = Object.freeze({
+  additionalEntries: {
+    type: 'array',
+    items: 'string',
+    default: [],
+    description: 'Entries required in addition to those of the spec-up-t boilerplate .gitignore'
+  },
+  excludedEntries: {
+    type: 'array',
+    items: 'string',
+    default: [],
+    description: 'Boilerplate entries that this repository intentionally does not ignore'
+  }
+});
 
 /**
- * Fallback required entries if the remote fetch fails.
+ * Fallback required entries if the reference bundle has no boilerplate entries.
  * These entries prevent common files and directories from being committed.
  * 
  * Each entry can appear as-is or with variations (e.g., /node_modules, node_modules/, etc.)
@@ -80,55 +78,39 @@ const FALLBACK_REQUIRED_ENTRIES = Object.freeze([
 ]);
 
 /**
- * Fetches the latest required .gitignore entries from the boilerplate repository.
- * 
- * This function retrieves the reference .gitignore file from the spec-up-t
- * repository to determine the currently required entries. Results are cached
- * to minimize network requests.
+ * @typedef {Object} RequiredEntries
+ * @property {string[]} entries - The required .gitignore entries
+ * @property {boolean} usedFallback - Whether the built-in fallback entries are used
+ * @property {boolean} offline - Whether the boilerplate was unavailable because of offline mode
+ * @property {string} boilerplateUrl - URL of the boilerplate .gitignore the entries come from
+ * @property {Object} referenceBundle - Summary of the reference data (see `describeReferenceData`)
+ * @private
+ */
+
+/**
+ * Determines the required .gitignore entries from the reference bundle.
  * 
- * The boilerplate .gitignore is parsed line by line, filtering out empty lines
- * and comments to extract the actual entries.
+ * The bundle holds the entries of the boilerplate .gitignore of the installed
+ * spec-up-t version, either committed to the repository or fetched through
+ * the network client of the context (which caches the file).
  * 
- * @returns {Promise<string[]>} Array of required .gitignore entries, or fallback entries if fetch fails
+ * @param {import('../repository-context.js').RepositoryContext} context - The repository context
+ * @returns {Promise<RequiredEntries>} The required entries, or the fallback entries if the bundle has none
+ * @throws {Error} When the reference bundle committed to the repository is invalid
  * @private
  */
-async function fetchRequiredEntries() {
-  const now = Date.now();
-  
-  // Return cached entries if still valid
-  if (entriesCache.entries && (now - entriesCache.lastFetch) < CACHE_DURATION) {
-    return entriesCache.entries;
-  }
+async function getRequiredEntries(context) {
+  const referenceData = await resolveReferenceData(context);
+  const { gitignoreEntries, sources } = referenceData.bundle;
 
-  try {
-    const response = await fetch(BOILERPLATE_GITIGNORE_URL);
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-    }
-    
-    const content = await response.text();
-    
-    // Parse the .gitignore content to extract entries
-    const entries = parseGitignoreContent(content);
-    
-    if (entries.length === 0) {
-      throw new Error('No entries found in boilerplate .gitignore');
-    }
-    
-    // Cache the fetched entries
-    entriesCache.entries = entries;
-    entriesCache.lastFetch = now;
-    
-    return entries;
-  } catch (error) {
-    // If fetch fails, return cached entries if available, otherwise use fallback
-    if (entriesCache.entries) {
-      return entriesCache.entries;
-    }
-    
+  return {
     // Use fallback entries as last resort
-    return Array.from(FALLBACK_REQUIRED_ENTRIES);
-  }
+    entries: gitignoreEntries ? [...gitignoreEntries] : Array.from(FALLBACK_REQUIRED_ENTRIES),
+    usedFallback: !gitignoreEntries,
+    offline: referenceData.offlineParts.includes('gitignore'),
+    boilerplateUrl: sources.gitignore,
+    referenceBundle: describeReferenceData(referenceData)
+  };
 }
 
 /**
@@ -187,26 +169,6 @@ function isEntryPresent(requiredEntry, normalizedLines) {
   });
 }
 
-/**
- * Parses .gitignore content into an array of valid entries.
- * 
- * This function:
- * - Splits content by newlines
- * - Removes empty lines
- * - Removes comment lines (starting with #)
- * - Trims whitespace
- * 
- * @param {string} content - The raw .gitignore content
- * @returns {string[]} Array of valid .gitignore entries
- * @private
- */
-function parseGitignoreContent(content) {
-  return content
-    .split('\n')
-    .map(line => line.trim())
-    .filter(line => line.length > 0 && !line.startsWith('#'));
-}
-
 /**
  * Validates the .gitignore file in a specification repository.
  * 
@@ -216,8 +178,17 @@ function parseGitignoreContent(content) {
  * 3. Checks for required entries
  * 4. Reports missing entries as warnings or failures
  * 
+ * Findings about a missing, empty or incomplete .gitignore carry fixes that
+ * add the missing entries (applied with `check --fix`).
+ * 
  * @param {import('../providers.js').Provider} provider - The provider instance for repository access
+ * @param {Object} [options={}] - Check options (see {@link CHECK_OPTIONS})
+ * @param {string[]} [options.additionalEntries=[]] - Extra entries that must be present
+ * @param {string[]} [options.excludedEntries=[]] - Boilerplate entries that are not required
+ * @param {import('../repository-context.js').RepositoryContext} [context] - Shared repository context,
+ *        used to resolve the reference bundle of the installed spec-up-t version
  * @returns {Promise<import('../health-check-utils.js').HealthCheckResult>} Result of the .gitignore validation
+ * @throws {Error} When the options are invalid
  * 
  * @example
  * ```javascript
@@ -228,10 +199,19 @@ function parseGitignoreContent(content) {
  * console.log(result.details.missingEntries);
  * ```
  */
-export async function checkGitignore(provider) {
+export async function checkGitignore(provider, options = {}, context = createRepositoryContext(provider)) {
+  const { additionalEntries, excludedEntries } = resolveCheckOptions(CHECK_OPTIONS, options, CHECK_ID);
+
   try {
-    // Fetch the required entries from the boilerplate repository
-    const requiredEntries = await fetchRequiredEntries();
+    // Take the required entries from the reference bundle and apply the configured adjustments
+    const excluded = excludedEntries.map(normalizeLine);
+    const reference = await getRequiredEntries(context);
+    const { boilerplateUrl, referenceBundle } = reference;
+    const requiredEntries = [...new Set([...reference.entries, ...additionalEntries])]
+      .filter(entry => !excluded.includes(normalizeLine(entry)));
+    const info = reference.offline
+      ? ['Offline mode: the boilerplate .gitignore is not cached, so the built-in list of required entries is used']
+      : undefined;
     
     // Check if .gitignore file exists
     const exists = await provider.fileExists('.gitignore');
@@ -242,9 +222,18 @@ export async function checkGitignore(provider) {
         'fail',
         '.gitignore file not found - repository should have a .gitignore file',
         {
+          findings: [
+            createFinding(`${CHECK_ID}/missing-file`, 'error', '.gitignore file not found', {
+              file: '.gitignore',
+              suggestion: `Create a .gitignore file based on ${boilerplateUrl}`,
+              fix: { description: 'Create .gitignore with the required entries', appendLines: requiredEntries }
+            })
+          ],
           fileExists: false,
           recommendation: 'Create a .gitignore file with common exclusion patterns',
-          boilerplateUrl: BOILERPLATE_GITIGNORE_URL
+          boilerplateUrl,
+          referenceBundle,
+          info
         }
       );
     }
@@ -259,16 +248,25 @@ export async function checkGitignore(provider) {
         'fail',
         '.gitignore file is empty - should contain exclusion patterns',
         {
+          findings: [
+            createFinding(`${CHECK_ID}/empty-file`, 'error', '.gitignore file is empty', {
+              file: '.gitignore',
+              suggestion: 'Add common exclusion patterns to .gitignore',
+              fix: { description: 'Add the required entries to .gitignore', appendLines: requiredEntries }
+            })
+          ],
           fileExists: true,
           isEmpty: true,
           recommendation: 'Add common exclusion patterns to .gitignore',
-          boilerplateUrl: BOILERPLATE_GITIGNORE_URL
+          boilerplateUrl,
+          referenceBundle,
+          info
         }
       );
     }
 
     // Parse .gitignore content
-    const lines = parseGitignoreContent(content);
+    const lines = parseGitignoreEntries(content);
     
     if (lines.length === 0) {
       return createHealthCheckResult(
@@ -276,10 +274,19 @@ export async function checkGitignore(provider) {
         'fail',
         '.gitignore file contains no valid entries (only comments or empty lines)',
         {
+          findings: [
+            createFinding(`${CHECK_ID}/empty-file`, 'error', '.gitignore file contains no valid entries (only comments or empty lines)', {
+              file: '.gitignore',
+              suggestion: 'Add valid exclusion patterns to .gitignore',
+              fix: { description: 'Add the required entries to .gitignore', appendLines: requiredEntries }
+            })
+          ],
           fileExists: true,
           hasOnlyComments: true,
           recommendation: 'Add valid exclusion patterns to .gitignore',
-          boilerplateUrl: BOILERPLATE_GITIGNORE_URL
+          boilerplateUrl,
+          referenceBundle,
+          info
         }
       );
     }
@@ -294,14 +301,21 @@ export async function checkGitignore(provider) {
 
     // Build details object
     const details = {
+      findings: missingEntries.map(entry => createFinding(`${CHECK_ID}/missing-entry`, 'warning', `Required entry "${entry}" is missing from .gitignore`, {
+        file: '.gitignore',
+        suggestion: `Add "${entry}" to .gitignore`,
+        fix: { description: `Add "${entry}" to .gitignore`, appendLines: [entry] }
+      })),
       fileExists: true,
       totalEntries: lines.length,
       requiredEntriesCount: requiredEntries.length,
       presentEntriesCount: requiredEntries.length - missingEntries.length,
       missingEntries: missingEntries.length > 0 ? missingEntries : undefined,
       sample: lines.slice(0, 10), // Include first 10 entries as sample
-      boilerplateUrl: BOILERPLATE_GITIGNORE_URL,
-      usedFallback: entriesCache.entries === FALLBACK_REQUIRED_ENTRIES
+      boilerplateUrl,
+      referenceBundle,
+      usedFallback: reference.usedFallback,
+      info
     };
 
     // Determine status and message
@@ -334,16 +348,14 @@ export async function checkGitignore(provider) {
 }
 
 /**
- * Clears the cached required entries.
+ * Clears the cached required entries of the default network client.
  * This is primarily useful for testing to force a fresh fetch.
  * 
+ * @returns {Promise<void>}
  * @private
  */
 export function clearEntriesCache() {
-  entriesCache = {
-    entries: null,
-    lastFetch: 0
-  };
+  return defaultNetworkClient.clear();
 }
 
 // Export the health check function as default for easy registration
@@ -11,7 +11,9 @@
  * @author spec-up-t-healthcheck
  */
 
-import { createHealthCheckResult, createErrorResult } from '../health-check-utils.js';
+import { createHealthCheckResult, createErrorResult, createFinding, resolveCheckOptions } from '../health-check-utils.js';
+import { createRepositoryContext } from '../repository-context.js';
+import { parseSuppressions, findSuppression } from '../suppressions.js';
 
 /**
  * The identifier for this health check, used in reports and registries.
@@ -31,6 +33,31 @@ export const CHECK_NAME = 'Heading Hierarchy Validation';
  */
 export const CHECK_DESCRIPTION = 'Validates that heading levels do not skip levels (W3C accessibility)';
 
+/**
+ * Directories searched for markdown files by default ('' is the repository root).
+ * @type {readonly string[]}
+ */
+const DEFAULT_SEARCH_PATHS = Object.freeze(['spec/', 'specs/', 'docs/', '']);
+
+/**
+ * Options accepted by this health check.
+ * @type {import('../health-check-utils.js').CheckOptionsSchema}
+ */
+export const CHECK_OPTIONS = Object.freeze({
+  searchPaths: {
+    type: 'array',
+    items: 'string',
+    default: DEFAULT_SEARCH_PATHS,
+    description: 'Directories searched for markdown files (not recursive)'
+  },
+  maxSkippedLevels: {
+    type: 'number',
+    default: 0,
+    minimum: 0,
+    description: 'Number of heading levels a heading may skip before it is reported'
+  }
+});
+
 /**
  * Regex to match markdown headings at the start of a line.
  * Captures the hash characters and the heading text.
@@ -46,7 +73,7 @@ const HEADING_REGEX = /^(#{1,6})\s+(.+)$/;
  * 
  * @param {string} content - The markdown content to parse
  * @param {string} filePath - Path to the file (for reporting)
- * @returns {Array<{level: number, text: string, line: number, file: string}>} Array of heading info
+ * @returns {Array<{level: number, text: string, line: number, file: string, source: string}>} Array of heading info
  */
 function extractHeadings(content, filePath) {
   const lines = content.split('\n');
@@ -69,7 +96,8 @@ function extractHeadings(content, filePath) {
         level: match[1].length,
         text: match[2].trim(),
         line: i + 1,
-        file: filePath
+        file: filePath,
+        source: lines[i]
       });
     }
   }
@@ -84,9 +112,10 @@ function extractHeadings(content, filePath) {
  * from the previous heading. For example, going from h2 to h4 skips h3.
  * 
  * @param {Array<{level: number, text: string, line: number, file: string}>} headings - Headings to check
+ * @param {number} [maxSkippedLevels=0] - Number of levels a heading may skip without a violation
  * @returns {Array<{current: Object, previous: Object, skipped: number}>} Array of violations
  */
-function findViolations(headings) {
+function findViolations(headings, maxSkippedLevels = 0) {
   const violations = [];
 
   for (let i = 1; i < headings.length; i++) {
@@ -95,7 +124,7 @@ function findViolations(headings) {
 
     // Only flag when going deeper by more than one level
     // Going up (e.g. h4 back to h2) is always valid
-    if (curr.level > prev.level + 1) {
+    if (curr.level > prev.level + 1 + maxSkippedLevels) {
       violations.push({
         current: curr,
         previous: prev,
@@ -107,6 +136,42 @@ function findViolations(headings) {
   return violations;
 }
 
+/**
+ * Describes a heading hierarchy violation.
+ * 
+ * @param {{current: Object, previous: Object, skipped: number}} violation - The violation
+ * @returns {string} Human-readable description
+ */
+function describeViolation(violation) {
+  const { current, previous, skipped } = violation;
+  return `h${current.level} "${current.text}" follows h${previous.level} "${previous.text}", skipping ${skipped} heading level${skipped > 1 ? 's' : ''}`;
+}
+
+/**
+ * Creates the finding for a heading hierarchy violation.
+ * 
+ * The finding carries a fix that raises the heading to the level below the
+ * previous heading. Headings nested under it may skip a level afterwards;
+ * they are fixed in a later pass (see fixes.js).
+ * 
+ * @param {{current: Object, previous: Object, skipped: number}} violation - The violation
+ * @returns {import('../health-check-utils.js').Finding} The finding
+ */
+function createViolationFinding(violation) {
+  const { current, previous } = violation;
+  const level = previous.level + 1;
+  return createFinding(`${CHECK_ID}/skipped-level`, 'warning', describeViolation(violation), {
+    file: current.file,
+    line: current.line,
+    suggestion: `Use an h${level} heading or add the missing intermediate heading level`,
+    fix: {
+      description: `Change h${current.level} "${current.text}" to h${level}`,
+      line: current.line,
+      text: current.source.replace(/^(\s*)#{1,6}/, `$1${'#'.repeat(level)}`)
+    }
+  });
+}
+
 /**
  * Validates heading hierarchy in specification markdown files.
  * 
@@ -115,8 +180,17 @@ function findViolations(headings) {
  * levels when going deeper. Skipping heading levels violates W3C
  * accessibility guidelines and causes validation warnings.
  * 
+ * Intentional violations can be suppressed with inline comments such as
+ * `<!-- healthcheck-disable-next-line heading-hierarchy -->` (see suppressions.js);
+ * they are listed in `details.suppressedFindings`.
+ * 
  * @param {import('../providers.js').Provider} provider - The provider instance for file operations
+ * @param {Object} [options={}] - Check options (see {@link CHECK_OPTIONS})
+ * @param {string[]} [options.searchPaths] - Directories searched for markdown files
+ * @param {number} [options.maxSkippedLevels=0] - Heading levels that may be skipped without a violation
+ * @param {import('../repository-context.js').RepositoryContext} [context] - Shared repository context
  * @returns {Promise<import('../health-check-utils.js').HealthCheckResult>} The health check result
+ * @throws {Error} When the options are invalid
  * 
  * @example
  * ```javascript
@@ -125,48 +199,71 @@ function findViolations(headings) {
  * console.log(result.status); // 'pass' or 'warn'
  * ```
  */
-export async function checkHeadingHierarchy(provider) {
+export async function checkHeadingHierarchy(provider, options = {}, context = createRepositoryContext(provider)) {
+  const { searchPaths, maxSkippedLevels } = resolveCheckOptions(CHECK_OPTIONS, options, CHECK_ID);
+
   try {
-    const specFiles = await discoverSpecificationFiles(provider);
+    const specFiles = await context.findMarkdownFiles(searchPaths);
 
     if (specFiles.length === 0) {
       return createHealthCheckResult(
         CHECK_ID,
         'warn',
         'No specification files found to validate heading hierarchy',
-        { filesChecked: 0, totalHeadings: 0, violations: [] }
+        {
+          findings: [
+            createFinding(`${CHECK_ID}/no-files`, 'warning', 'No specification files found to validate heading hierarchy', {
+              suggestion: `Add markdown files to one of: ${searchPaths.map(searchPath => searchPath || '(repository root)').join(', ')}`
+            })
+          ],
+          filesChecked: 0,
+          totalHeadings: 0,
+          violations: []
+        }
       );
     }
 
     let totalHeadings = 0;
     const allViolations = [];
+    const suppressedFindings = [];
 
     for (const filePath of specFiles) {
       try {
-        const content = await provider.readFile(filePath);
+        const content = await context.readFile(filePath);
         const headings = extractHeadings(content, filePath);
         totalHeadings += headings.length;
 
-        const violations = findViolations(headings);
-        allViolations.push(...violations);
+        const suppressions = parseSuppressions(content);
+        for (const violation of findViolations(headings, maxSkippedLevels)) {
+          const suppression = findSuppression(suppressions, `${CHECK_ID}/skipped-level`, violation.current.line);
+          if (suppression) {
+            suppressedFindings.push({
+              ...createViolationFinding(violation),
+              suppressedBy: { directive: suppression.directive, line: suppression.line }
+            });
+          } else {
+            allViolations.push(violation);
+          }
+        }
       } catch (error) {
         // File could not be read — skip it
       }
     }
 
+    const suppressedNote = suppressedFindings.length > 0 ? ` (${suppressedFindings.length} suppressed)` : '';
     if (allViolations.length === 0) {
       return createHealthCheckResult(
         CHECK_ID,
         'pass',
-        `All ${totalHeadings} headings follow a valid hierarchy`,
-        { filesChecked: specFiles.length, totalHeadings, violations: [] }
+        `All ${totalHeadings} headings follow a valid hierarchy${suppressedNote}`,
+        { findings: [], suppressedFindings, filesChecked: specFiles.length, totalHeadings, violations: [] }
       );
     }
 
     const violationDetails = allViolations.map(v => ({
       file: v.current.file,
       line: v.current.line,
-      message: `h${v.current.level} "${v.current.text}" follows h${v.previous.level} "${v.previous.text}", skipping ${v.skipped} heading level${v.skipped > 1 ? 's' : ''}`,
+      message: describeViolation(v),
       currentLevel: v.current.level,
       previousLevel: v.previous.level,
       skippedLevels: v.skipped
@@ -175,8 +272,10 @@ export async function checkHeadingHierarchy(provider) {
     return createHealthCheckResult(
       CHECK_ID,
       'warn',
-      `Found ${allViolations.length} heading hierarchy violation${allViolations.length > 1 ? 's' : ''} (W3C accessibility)`,
+      `Found ${allViolations.length} heading hierarchy violation${allViolations.length > 1 ? 's' : ''} (W3C accessibility)${suppressedNote}`,
       {
+        findings: allViolations.map(createViolationFinding),
+        suppressedFindings,
         filesChecked: specFiles.length,
         totalHeadings,
         violations: violationDetails
@@ -191,35 +290,3 @@ export async function checkHeadingHierarchy(provider) {
     );
   }
 }
-
-/**
- * Discovers specification files to check for heading hierarchy.
- * 
- * Searches for markdown files in common spec directories
- * and the repository root.
- * 
- * @param {import('../providers.js').Provider} provider - The provider instance
- * @returns {Promise<string[]>} Array of file paths to check
- * @private
- */
-async function discoverSpecificationFiles(provider) {
-  const files = [];
-  const searchPaths = ['spec/', 'specs/', 'docs/', ''];
-
-  for (const searchPath of searchPaths) {
-    try {
-      const entries = await provider.listFiles(searchPath);
-
-      const mdFiles = entries.filter(entry =>
-        entry.isFile &&
-        (entry.name.endsWith('.md') || entry.name.endsWith('.markdown'))
-      );
-
-      files.push(...mdFiles.map(entry => entry.path));
-    } catch (error) {
-      // Directory doesn't exist or can't be read — continue
-    }
-  }
-
-  return [...new Set(files)];
-}
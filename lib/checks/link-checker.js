@@ -12,12 +12,15 @@
  * - Handles redirects gracefully
  * - Provides detailed information about broken links
  * - Categorizes issues by severity (broken, timeout, errors)
+ * - In offline mode, only checks links into the generated output
  * 
  * @author spec-up-t-healthcheck
  */
 
 import { LinkChecker } from 'linkinator';
-import { createHealthCheckResult, createErrorResult } from '../health-check-utils.js';
+import { createHealthCheckResult, createErrorResult, createFinding, resolveCheckOptions } from '../health-check-utils.js';
+import { createRepositoryContext } from '../repository-context.js';
+import { defaultNetworkClient } from '../network.js';
 import path from 'path';
 
 /**
@@ -64,6 +67,38 @@ const BROKEN_STATES = Object.freeze(['BROKEN']);
  */
 const SKIPPED_STATES = Object.freeze(['SKIPPED']);
 
+/**
+ * Host names of the local server linkinator starts for the output directory.
+ * Links to other hosts are external.
+ * @type {readonly string[]}
+ */
+const LOCAL_HOSTS = Object.freeze(['localhost', '127.0.0.1', '[::1]']);
+
+/**
+ * Options accepted by this health check.
+ * @type {import('../health-check-utils.js').CheckOptionsSchema}
+ */
+export const CHECK_OPTIONS = Object.freeze({
+  timeout: {
+    type: 'number',
+    default: LINK_CHECK_TIMEOUT,
+    minimum: 1,
+    description: 'Timeout for each link request in milliseconds'
+  },
+  concurrency: {
+    type: 'number',
+    default: MAX_CONCURRENCY,
+    minimum: 1,
+    description: 'Maximum number of links checked at the same time'
+  },
+  linksToSkip: {
+    type: 'array',
+    items: 'string',
+    default: [],
+    description: 'Regular expressions for URLs that are not checked'
+  }
+});
+
 /**
  * Validates all links in the generated HTML output file.
  * 
@@ -81,7 +116,14 @@ const SKIPPED_STATES = Object.freeze(['SKIPPED']);
  * - Categorizes issues by type (404, 500 errors, timeouts, etc.)
  * 
  * @param {import('../providers.js').Provider} provider - The provider instance for file operations
+ * @param {Object} [options={}] - Check options (see {@link CHECK_OPTIONS})
+ * @param {number} [options.timeout=30000] - Timeout for each link request in milliseconds
+ * @param {number} [options.concurrency=25] - Maximum number of concurrent link checks
+ * @param {string[]} [options.linksToSkip=[]] - Regular expressions for URLs that are not checked
+ * @param {import('../repository-context.js').RepositoryContext} [context] - Shared repository context; in offline
+ *        mode of its network client, external links are skipped
  * @returns {Promise<import('../health-check-utils.js').HealthCheckResult>} The health check result with link validation details
+ * @throws {Error} When the options are invalid
  * 
  * @example
  * ```javascript
@@ -91,10 +133,24 @@ const SKIPPED_STATES = Object.freeze(['SKIPPED']);
  * console.log(result.details.brokenLinks); // Array of broken links
  * ```
  */
-export async function checkLinks(provider) {
+export async function checkLinks(provider, options = {}, context = createRepositoryContext(provider)) {
+  const { timeout, concurrency, linksToSkip } = resolveCheckOptions(CHECK_OPTIONS, options, CHECK_ID);
+
   try {
+    // Linkinator serves the output directory from disk, so a filesystem provider is required
+    if (typeof provider.getBasePath !== 'function') {
+      return createHealthCheckResult(
+        CHECK_NAME,
+        'skip',
+        `Link checking requires a local repository (provider type: ${provider.type})`,
+        {
+          suggestions: ['Run the health check against a local clone to validate links in the generated HTML']
+        }
+      );
+    }
+
     // Step 1: Read and parse specs.json
-    const specsExists = await provider.fileExists('specs.json');
+    const { exists: specsExists, data: specsData, parseError } = await context.getSpecsJson();
     if (!specsExists) {
       return createHealthCheckResult(
         CHECK_NAME,
@@ -109,17 +165,13 @@ export async function checkLinks(provider) {
       );
     }
 
-    let specsData;
-    try {
-      const specsContent = await provider.readFile('specs.json');
-      specsData = JSON.parse(specsContent);
-    } catch (parseError) {
+    if (parseError) {
       return createHealthCheckResult(
         CHECK_NAME,
         'skip',
         'specs.json contains invalid JSON - cannot determine output path',
         {
-          parseError: parseError.message
+          parseError
         }
       );
     }
@@ -190,6 +242,20 @@ export async function checkLinks(provider) {
     // Linkinator needs the directory path, and it will look for index.html automatically
     const outputDirPath = path.join(provider.getBasePath(), outputPath);
     
+    // Offline, only links into the output directory are checked
+    const network = context.network ?? defaultNetworkClient;
+    const offlineSkipped = new Set();
+    const skipPatterns = linksToSkip.map(pattern => new RegExp(pattern));
+    const skipLinks = network.offline
+      ? async link => {
+        if (isExternalLink(link)) {
+          offlineSkipped.add(link);
+          return true;
+        }
+        return skipPatterns.some(pattern => pattern.test(link));
+      }
+      : linksToSkip;
+    
     // Create a linkinator instance
     const checker = new LinkChecker();
     
@@ -228,8 +294,9 @@ export async function checkLinks(provider) {
     const checkResult = await checker.check({
       path: outputDirPath,
       recurse: false, // Only check links in this file, don't crawl
-      timeout: LINK_CHECK_TIMEOUT,
-      concurrency: MAX_CONCURRENCY,
+      timeout,
+      concurrency,
+      linksToSkip: skipLinks,
       retry: true, // Retry on 429 (rate limit)
       retryErrors: false, // Don't retry on other errors to save time
     });
@@ -263,12 +330,16 @@ export async function checkLinks(provider) {
       status = 'warn';
       message = 'No links found to check in the HTML file';
     }
+    if (offlineSkipped.size > 0) {
+      message += ` (${offlineSkipped.size} external link(s) not checked in offline mode)`;
+    }
 
     return createHealthCheckResult(
       CHECK_NAME,
       status,
       message,
       {
+        findings: createLinkFindings(indexPath, brokenLinks, warnings, totalLinks),
         totalLinks,
         passedLinks,
         brokenLinks: brokenLinks.length,
@@ -278,6 +349,10 @@ export async function checkLinks(provider) {
         indexPath,
         brokenLinkDetails: categorizedBroken,
         redirectDetails: warnings.slice(0, 10), // Limit to first 10 redirects
+        offline: network.offline,
+        info: offlineSkipped.size > 0
+          ? [`Offline mode: ${offlineSkipped.size} external link(s) were not checked`]
+          : undefined,
         suggestions: brokenLinks.length > 0 ? generateSuggestions(categorizedBroken) : []
       }
     );
@@ -287,6 +362,57 @@ export async function checkLinks(provider) {
   }
 }
 
+/**
+ * Checks whether a link points outside the local server of the output directory.
+ * 
+ * @param {string} link - The resolved URL of the link
+ * @returns {boolean} True if the link is external
+ * @private
+ */
+function isExternalLink(link) {
+  try {
+    return !LOCAL_HOSTS.includes(new URL(link).hostname);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Creates the findings for a link check: one per broken link and redirect.
+ * 
+ * Linkinator reports resolved URLs, which don't map back to positions in the
+ * HTML source, so the findings point at the checked file without a line.
+ * 
+ * @param {string} indexPath - Repository-relative path of the checked HTML file
+ * @param {Array<Object>} brokenLinks - Broken links
+ * @param {Array<Object>} redirects - Redirecting links
+ * @param {number} totalLinks - Number of links that were checked
+ * @returns {import('../health-check-utils.js').Finding[]} The findings
+ * @private
+ */
+function createLinkFindings(indexPath, brokenLinks, redirects, totalLinks) {
+  const file = indexPath.replace(/\\/g, '/');
+
+  if (totalLinks === 0) {
+    return [createFinding(`${CHECK_ID}/no-links`, 'warning', 'No links found to check in the HTML file', { file })];
+  }
+
+  return [
+    ...brokenLinks.map(link => createFinding(
+      `${CHECK_ID}/broken-link`,
+      'error',
+      `Broken link: ${link.url} (${link.status || 'Error'}${link.statusText ? ` ${link.statusText}` : ''})`,
+      { file, suggestion: 'Fix or remove the link in the markdown source and render again' }
+    )),
+    ...redirects.map(link => createFinding(
+      `${CHECK_ID}/redirect`,
+      'warning',
+      `Link redirects: ${link.url} (${link.status})`,
+      { file, suggestion: 'Link directly to the redirect target' }
+    ))
+  ];
+}
+
 /**
  * Categorizes broken links by HTTP status code or error type.
  * This helps identify patterns in link failures (e.g., all 404s vs timeouts).
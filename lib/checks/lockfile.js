@@ -0,0 +1,343 @@
+/**
+ * @fileoverview Lockfile consistency health check module
+ *
+ * A specification renders with the spec-up-t version that `npm install`
+ * resolves, so a repository without a lockfile may render differently from
+ * one day to the next. This module validates that spec-up-t is locked and
+ * that package.json, the lockfile and node_modules agree:
+ * - a lockfile exists (required for repositories that publish to GitHub Pages)
+ * - the lockfile locks spec-up-t, at a version within the declared range
+ * - the lockfile was created from the current package.json
+ * - node_modules contains the locked spec-up-t version
+ *
+ * npm, yarn and pnpm lockfiles are supported (see lockfiles.js). This check
+ * only reads repository files, so it can run in both Node.js and browser
+ * environments.
+ *
+ * @author spec-up-t-healthcheck
+ */
+
+import {
+  createHealthCheckResult,
+  createErrorResult,
+  createFinding,
+  findTextLocation,
+  findJsonErrorLocation,
+  resolveCheckOptions
+} from '../health-check-utils.js';
+import { createRepositoryContext } from '../repository-context.js';
+import { LOCKFILES, DEPENDENCY_SECTIONS, parseLockfile, findLockedDependency } from '../lockfiles.js';
+import { parseRange, satisfies } from '../semver.js';
+
+/**
+ * The identifier for this health check, used in reports and registries.
+ * @type {string}
+ */
+export const CHECK_ID = 'lockfile';
+
+/**
+ * Human-readable name for this health check.
+ * @type {string}
+ */
+export const CHECK_NAME = 'Lockfile Consistency';
+
+/**
+ * Description of what this health check validates.
+ * @type {string}
+ */
+export const CHECK_DESCRIPTION = 'Validates that spec-up-t is locked and that package.json, the lockfile and node_modules agree';
+
+/**
+ * Options accepted by this health check.
+ * @type {import('../health-check-utils.js').CheckOptionsSchema}
+ */
+export const CHECK_OPTIONS = Object.freeze({
+  requireLockfile: {
+    type: 'boolean',
+    default: false,
+    description: 'Report a missing lockfile as an error even if the repository does not publish to GitHub Pages'
+  },
+  checkNodeModules: {
+    type: 'boolean',
+    default: true,
+    description: 'Compare the spec-up-t version in node_modules with the lockfile'
+  }
+});
+
+/**
+ * Path of package.json, relative to the repository root.
+ * @type {string}
+ * @private
+ */
+const PACKAGE_JSON_PATH = 'package.json';
+
+/**
+ * Directory of the GitHub Actions workflows.
+ * @type {string}
+ * @private
+ */
+const WORKFLOWS_DIRECTORY = '.github/workflows';
+
+/**
+ * Patterns of workflow steps and npm scripts that publish to GitHub Pages.
+ * @type {readonly RegExp[]}
+ * @private
+ */
+const GITHUB_PAGES_PATTERNS = Object.freeze([
+  /actions\/deploy-pages/,
+  /actions\/upload-pages-artifact/,
+  /peaceiris\/actions-gh-pages/,
+  /JamesIves\/github-pages-deploy-action/,
+  /\bgh-pages\b/
+]);
+
+/**
+ * Install commands for each package manager, used in suggestions.
+ * @type {Readonly<Object<string, {install: string, ci: string}>>}
+ * @private
+ */
+const INSTALL_COMMANDS = Object.freeze({
+  npm: { install: 'npm install', ci: 'npm ci' },
+  yarn: { install: 'yarn install', ci: 'yarn install --frozen-lockfile' },
+  pnpm: { install: 'pnpm install', ci: 'pnpm install --frozen-lockfile' }
+});
+
+/**
+ * Finds the workflows and npm scripts that publish to GitHub Pages.
+ *
+ * @param {import('../repository-context.js').RepositoryContext} context - The repository context
+ * @param {Object|null} packageData - The parsed package.json
+ * @returns {Promise<string[]>} Where publishing was found (workflow paths and `npm script "<name>"`)
+ * @private
+ */
+async function findGitHubPagesPublishing(context, packageData) {
+  const publishers = [];
+  const publishes = text => GITHUB_PAGES_PATTERNS.some(pattern => pattern.test(text));
+
+  let workflows = [];
+  try {
+    workflows = (await context.listFiles(WORKFLOWS_DIRECTORY))
+      .filter(entry => entry.isFile && /\.ya?ml$/.test(entry.name));
+  } catch (error) {
+    // No workflows directory
+  }
+  for (const workflow of workflows) {
+    try {
+      if (publishes(await context.readFile(workflow.path))) {
+        publishers.push(workflow.path);
+      }
+    } catch (error) {
+      // Workflow could not be read — skip it
+    }
+  }
+
+  for (const [name, command] of Object.entries(packageData?.scripts ?? {})) {
+    if (typeof command === 'string' && publishes(command)) {
+      publishers.push(`npm script "${name}"`);
+    }
+  }
+  return publishers;
+}
+
+/**
+ * Validates the lockfile of a repository against package.json and node_modules.
+ *
+ * The check reports:
+ * - No lockfile (`missing-lockfile`, error when publishing to GitHub Pages or with
+ *   `requireLockfile`, warning otherwise)
+ * - Lockfiles of several package managers (`multiple-lockfiles`, warning)
+ * - A lockfile that cannot be parsed (`invalid-lockfile`, error)
+ * - spec-up-t declared but not locked (`not-locked`, error)
+ * - A locked spec-up-t version outside the declared range (`locked-outside-range`, error)
+ * - Dependencies whose range in package.json differs from the range the
+ *   lockfile was created from (`manifest-mismatch`, warning)
+ * - A spec-up-t version in node_modules that differs from the lockfile (`node-modules-mismatch`, warning)
+ *
+ * @param {import('../providers.js').Provider} provider - The provider instance for file operations
+ * @param {Object} [options={}] - Check options (see {@link CHECK_OPTIONS})
+ * @param {boolean} [options.requireLockfile=false] - Always report a missing lockfile as an error
+ * @param {boolean} [options.checkNodeModules=true] - Compare node_modules with the lockfile
+ * @param {import('../repository-context.js').RepositoryContext} [context] - Shared repository context
+ * @returns {Promise<import('../health-check-utils.js').HealthCheckResult>} The health check result
+ * @throws {Error} When the options are invalid
+ *
+ * @example
+ * ```javascript
+ * const provider = createLocalProvider('/path/to/repo');
+ * const result = await checkLockfile(provider);
+ * console.log(result.details.lockfile, result.details.lockedVersion);
+ * ```
+ */
+export async function checkLockfile(provider, options = {}, context = createRepositoryContext(provider)) {
+  const { requireLockfile, checkNodeModules } = resolveCheckOptions(CHECK_OPTIONS, options, CHECK_ID);
+
+  try {
+    if (!await context.fileExists(PACKAGE_JSON_PATH)) {
+      return createHealthCheckResult(CHECK_NAME, 'skip', 'package.json not found - there are no dependencies to lock', {});
+    }
+    const packageContent = await context.readFile(PACKAGE_JSON_PATH);
+    let packageData;
+    try {
+      packageData = JSON.parse(packageContent);
+    } catch (error) {
+      return createHealthCheckResult(CHECK_NAME, 'skip', 'package.json is invalid - cannot compare it with the lockfile', {});
+    }
+
+    const state = { findings: [], errors: [], warnings: [], info: [] };
+    const addIssue = (severity, rule, message, { file, content, locate, suggestion, ...location }) => {
+      state.findings.push(createFinding(`${CHECK_ID}/${rule}`, severity, message, {
+        file,
+        ...(locate && content && findTextLocation(content, locate)),
+        ...location,
+        suggestion
+      }));
+      ({ error: state.errors, warning: state.warnings, info: state.info })[severity].push(message);
+    };
+
+    const declaredRange = DEPENDENCY_SECTIONS.map(section => packageData[section]?.['spec-up-t']).find(Boolean) ?? null;
+    const present = [];
+    for (const lockfile of LOCKFILES) {
+      if (await context.fileExists(lockfile.path)) {
+        present.push(lockfile);
+      }
+    }
+
+    // A repository without a lockfile installs whatever versions are current
+    if (present.length === 0) {
+      const publishers = await findGitHubPagesPublishing(context, packageData);
+      const severity = publishers.length > 0 || requireLockfile ? 'error' : 'warning';
+      addIssue(severity, 'missing-lockfile', publishers.length > 0
+        ? `No lockfile, although the repository publishes to GitHub Pages (${publishers.join(', ')}), so every deployment may render with another spec-up-t version`
+        : 'No lockfile, so every installation may use another spec-up-t version', {
+        file: PACKAGE_JSON_PATH,
+        suggestion: 'Run "npm install" and commit package-lock.json, and use "npm ci" in workflows'
+      });
+      return createHealthCheckResult(CHECK_NAME, severity === 'error' ? 'fail' : 'warn', 'No lockfile found', {
+        findings: state.findings,
+        errors: state.errors,
+        warnings: state.warnings,
+        lockfile: null,
+        declaredRange,
+        githubPagesPublishers: publishers
+      });
+    }
+
+    const managers = [...new Set(present.map(lockfile => lockfile.manager))];
+    if (managers.length > 1) {
+      addIssue('warning', 'multiple-lockfiles', `Lockfiles of several package managers: ${present.map(lockfile => lockfile.path).join(', ')}`, {
+        file: present[1].path,
+        suggestion: 'Keep the lockfile of the package manager you use and delete the others'
+      });
+    }
+
+    // Package managers prefer the first lockfile (npm-shrinkwrap.json over package-lock.json)
+    const { path: lockfilePath } = present[0];
+    const lockContent = await context.readFile(lockfilePath);
+    let lock;
+    try {
+      lock = parseLockfile(lockfilePath, lockContent);
+    } catch (error) {
+      addIssue('error', 'invalid-lockfile', error.message, {
+        file: lockfilePath,
+        ...(lockfilePath.endsWith('.json') && findJsonErrorLocation(lockContent, error.message)),
+        suggestion: 'Delete the lockfile and run "npm install" to recreate it'
+      });
+      return createHealthCheckResult(CHECK_NAME, 'fail', `${lockfilePath} cannot be parsed`, {
+        findings: state.findings,
+        errors: state.errors,
+        warnings: state.warnings,
+        lockfile: lockfilePath
+      });
+    }
+    const commands = INSTALL_COMMANDS[lock.manager];
+
+    // The ranges the lockfile was created from must match package.json; yarn.lock
+    // records them per entry, npm lockfiles of version 1 not at all
+    for (const section of lock.manifestRanges || lock.manager === 'yarn' ? DEPENDENCY_SECTIONS : []) {
+      for (const [name, range] of Object.entries(packageData[section] ?? {})) {
+        let mismatch = null;
+        if (lock.manifestRanges) {
+          const lockedRange = lock.manifestRanges[name];
+          if (lockedRange !== range) {
+            mismatch = lockedRange === undefined
+              ? `"${name}" is not in it`
+              : `"${name}" is "${range}" in package.json but "${lockedRange}" in the lockfile`;
+          }
+        } else if (!lock.dependencies.some(entry => entry.name === name && entry.specifiers.includes(range))) {
+          mismatch = `"${name}@${range}" is not in it`;
+        }
+        if (mismatch) {
+          addIssue('warning', 'manifest-mismatch', `${lockfilePath} is out of date: ${mismatch}`, {
+            file: PACKAGE_JSON_PATH,
+            content: packageContent,
+            locate: `"${name}"`,
+            suggestion: `Run "${commands.install}" and commit ${lockfilePath}`
+          });
+        }
+      }
+    }
+
+    // spec-up-t must be locked, within the declared range
+    const locked = declaredRange ? findLockedDependency(lock, 'spec-up-t', declaredRange) : findLockedDependency(lock, 'spec-up-t');
+    if (declaredRange && !locked) {
+      addIssue('error', 'not-locked', `spec-up-t is declared in package.json but not locked in ${lockfilePath}`, {
+        file: lockfilePath,
+        suggestion: `Run "${commands.install}" and commit ${lockfilePath}`
+      });
+    } else if (locked && declaredRange && parseRange(declaredRange) && !satisfies(locked.version, declaredRange)) {
+      addIssue('error', 'locked-outside-range', `${lockfilePath} locks spec-up-t ${locked.version}, which does not satisfy "${declaredRange}" of package.json`, {
+        file: lockfilePath,
+        content: lockContent,
+        locate: 'spec-up-t',
+        suggestion: `Run "${commands.install}" and commit ${lockfilePath}`
+      });
+    }
+
+    // node_modules must contain what the lockfile locks
+    let installedVersion = null;
+    if (checkNodeModules && locked && await context.fileExists('node_modules/spec-up-t/package.json')) {
+      try {
+        installedVersion = JSON.parse(await context.readFile('node_modules/spec-up-t/package.json')).version ?? null;
+      } catch (error) {
+        state.info.push(`node_modules/spec-up-t/package.json cannot be read: ${error.message}`);
+      }
+      if (installedVersion && installedVersion !== locked.version) {
+        addIssue('warning', 'node-modules-mismatch', `node_modules contains spec-up-t ${installedVersion}, but ${lockfilePath} locks ${locked.version}`, {
+          file: 'node_modules/spec-up-t/package.json',
+          suggestion: `Run "${commands.ci}" to install the locked versions`
+        });
+      }
+    }
+    if (!declaredRange) {
+      state.info.push('spec-up-t is not a dependency in package.json');
+    }
+
+    const problems = state.errors.length + state.warnings.length;
+    const status = state.errors.length > 0 ? 'fail' : problems > 0 ? 'warn' : 'pass';
+    const message = status === 'pass'
+      ? `${lockfilePath} is consistent with package.json${locked ? ` (spec-up-t ${locked.version})` : ''}`
+      : `${problems} lockfile problem(s) found in ${lockfilePath}`;
+
+    return createHealthCheckResult(CHECK_NAME, status, message, {
+      findings: state.findings,
+      errors: state.errors,
+      warnings: state.warnings,
+      info: state.info,
+      lockfile: lockfilePath,
+      manager: lock.manager,
+      lockfileVersion: lock.lockfileVersion,
+      declaredRange,
+      lockedVersion: locked ? locked.version : null,
+      installedVersion
+    });
+
+  } catch (error) {
+    return createErrorResult(CHECK_NAME, error, {
+      context: 'checking the lockfile',
+      provider: provider.type
+    });
+  }
+}
+
+// Export the health check function as default for easy registration
+export default checkLockfile;
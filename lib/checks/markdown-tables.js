@@ -14,7 +14,9 @@
  * @author spec-up-t-healthcheck
  */
 
-import { createHealthCheckResult, createErrorResult } from '../health-check-utils.js';
+import { createHealthCheckResult, createErrorResult, createFinding, resolveCheckOptions } from '../health-check-utils.js';
+import { createRepositoryContext } from '../repository-context.js';
+import { parseSuppressions, findSuppression } from '../suppressions.js';
 
 /**
  * The identifier for this health check, used in reports and registries.
@@ -34,6 +36,30 @@ export const CHECK_NAME = 'Markdown Table Validation';
  */
 export const CHECK_DESCRIPTION = 'Validates markdown table structure and syntax';
 
+/**
+ * Directories searched for markdown files by default ('' is the repository root).
+ * @type {readonly string[]}
+ */
+const DEFAULT_SEARCH_PATHS = Object.freeze(['spec/', 'specs/', 'docs/', '']);
+
+/**
+ * Options accepted by this health check.
+ * @type {import('../health-check-utils.js').CheckOptionsSchema}
+ */
+export const CHECK_OPTIONS = Object.freeze({
+  searchPaths: {
+    type: 'array',
+    items: 'string',
+    default: DEFAULT_SEARCH_PATHS,
+    description: 'Directories searched for markdown files (not recursive)'
+  },
+  reportInfo: {
+    type: 'boolean',
+    default: true,
+    description: 'Report informational findings (e.g. attribute syntax in cells) as issues'
+  }
+});
+
 /**
  * Represents a table found in a markdown file.
  * @typedef {Object} TableInfo
@@ -162,7 +188,8 @@ function analyzeTable(tableLines, startLine, filePath) {
           type: 'row-column-mismatch',
           line: tableLines[i].lineNum,
           message: `Row has ${rowColumns} columns, expected ${expectedColumns}`,
-          content: tableLines[i].content
+          content: tableLines[i].content,
+          expectedColumns
         });
       }
     }
@@ -240,10 +267,13 @@ function validateTableRow(line, lineNum, isSeparator) {
   }
 
   // Split line into cells
-  const cells = line.split('|').slice(1, -1); // Remove first/last empty elements
+  const parts = line.split('|');
+  const cells = parts.slice(1, -1); // Remove first/last empty elements
   
   cells.forEach((cell, cellIdx) => {
     const trimmedCell = cell.trim();
+    // 1-based column of the cell content, just after its opening pipe
+    const column = parts.slice(0, cellIdx + 1).join('|').length + 2;
     
     // Check for problematic quote patterns in code spans
     // Pattern: `'text or `text'
@@ -254,6 +284,7 @@ function validateTableRow(line, lineNum, isSeparator) {
         type: 'quote-in-code',
         line: lineNum,
         cell: cellIdx + 1,
+        column,
         message: `Cell ${cellIdx + 1} contains potentially problematic quote/backtick combination: ${backtickWithQuote.join(', ')}`,
         content: cell,
         severity: 'warning'
@@ -267,6 +298,7 @@ function validateTableRow(line, lineNum, isSeparator) {
         type: 'mismatched-backticks',
         line: lineNum,
         cell: cellIdx + 1,
+        column,
         message: `Cell ${cellIdx + 1} has mismatched backticks`,
         content: cell,
         severity: 'error'
@@ -290,6 +322,7 @@ function validateTableRow(line, lineNum, isSeparator) {
             type: 'likely-typo',
             line: lineNum,
             cell: cellIdx + 1,
+            column,
             message: `Cell ${cellIdx + 1} has likely typo: opening quote inside backticks without matching closing quote`,
             content: cell,
             example: match,
@@ -307,6 +340,7 @@ function validateTableRow(line, lineNum, isSeparator) {
           type: 'has-attributes',
           line: lineNum,
           cell: cellIdx + 1,
+          column,
           message: `Cell ${cellIdx + 1} contains attribute syntax {.class} or {#id} - ensure table structure is correct`,
           content: cell,
           severity: 'info'
@@ -318,6 +352,70 @@ function validateTableRow(line, lineNum, isSeparator) {
   return issues;
 }
 
+/**
+ * Determines the finding severity of a table issue.
+ * 
+ * Structural issues (missing separator, header/separator column mismatch)
+ * break table rendering and are errors; other issues without an explicit
+ * severity are warnings.
+ * 
+ * @param {Object} issue - The table issue
+ * @returns {'error'|'warning'|'info'} The severity of the issue
+ */
+function getIssueSeverity(issue) {
+  if (issue.severity) {
+    return issue.severity;
+  }
+  return issue.type === 'column-mismatch' || issue.type === 'missing-separator' ? 'error' : 'warning';
+}
+
+/**
+ * Creates the fix for a row with the wrong number of columns.
+ * 
+ * Missing cells are added as empty cells. Surplus cells are only removed when
+ * they are empty, so no content is lost; other rows can't be fixed mechanically.
+ * 
+ * @param {Object} issue - A 'row-column-mismatch' issue
+ * @returns {import('../health-check-utils.js').FindingFix|undefined} The fix, if the row can be fixed
+ */
+function createRowFix(issue) {
+  const leading = issue.content.match(/^\s*\|?/)[0];
+  const rest = issue.content.slice(leading.length).replace(/\s+$/, '');
+  const cells = (rest.endsWith('|') ? rest.slice(0, -1) : rest).split('|');
+  const difference = issue.expectedColumns - cells.length;
+
+  if (difference < 0 && cells.slice(issue.expectedColumns).some(cell => cell.trim() !== '')) {
+    return undefined;
+  }
+
+  const fixedCells = difference > 0
+    ? [...cells, ...Array(difference).fill(' ')]
+    : cells.slice(0, issue.expectedColumns);
+  return {
+    description: difference > 0
+      ? `Add ${difference} empty cell${difference > 1 ? 's' : ''} to the row`
+      : `Remove ${-difference} empty cell${difference < -1 ? 's' : ''} from the row`,
+    line: issue.line,
+    text: `${leading}${fixedCells.join('|')}|`
+  };
+}
+
+/**
+ * Creates the finding for a table issue.
+ * 
+ * @param {Object} issue - The table issue
+ * @param {string} filePath - Path to the file containing the table
+ * @returns {import('../health-check-utils.js').Finding} The finding
+ */
+function createIssueFinding(issue, filePath) {
+  return createFinding(`${CHECK_ID}/${issue.type}`, getIssueSeverity(issue), issue.message, {
+    file: filePath,
+    line: issue.line,
+    column: issue.column,
+    fix: issue.type === 'row-column-mismatch' ? createRowFix(issue) : undefined
+  });
+}
+
 /**
  * Checks markdown tables in specification files.
  * 
@@ -331,8 +429,17 @@ function validateTableRow(line, lineNum, isSeparator) {
  * - Detection of problematic characters
  * - Validation of quotes and backticks in cells
  * 
+ * Intentional issues can be suppressed with inline comments such as
+ * `<!-- healthcheck-disable markdown-tables -->` … `<!-- healthcheck-enable markdown-tables -->`
+ * (see suppressions.js); they are listed in `details.suppressedFindings`.
+ * 
  * @param {import('../providers.js').Provider} provider - The provider instance for file operations
+ * @param {Object} [options={}] - Check options (see {@link CHECK_OPTIONS})
+ * @param {string[]} [options.searchPaths] - Directories searched for markdown files
+ * @param {boolean} [options.reportInfo=true] - Whether informational findings count as issues
+ * @param {import('../repository-context.js').RepositoryContext} [context] - Shared repository context
  * @returns {Promise<import('../health-check-utils.js').HealthCheckResult>} The health check result
+ * @throws {Error} When the options are invalid
  * 
  * @example
  * ```javascript
@@ -341,10 +448,12 @@ function validateTableRow(line, lineNum, isSeparator) {
  * console.log(result.status); // 'pass', 'warning', or 'error'
  * ```
  */
-export async function checkMarkdownTables(provider) {
+export async function checkMarkdownTables(provider, options = {}, context = createRepositoryContext(provider)) {
+  const { searchPaths, reportInfo } = resolveCheckOptions(CHECK_OPTIONS, options, CHECK_ID);
+
   try {
     // Discover specification files
-    const specFiles = await discoverSpecificationFiles(provider);
+    const specFiles = await context.findMarkdownFiles(searchPaths);
     
     if (specFiles.length === 0) {
       return createHealthCheckResult(
@@ -352,6 +461,11 @@ export async function checkMarkdownTables(provider) {
         'warn',
         'No specification files found to validate tables',
         {
+          findings: [
+            createFinding(`${CHECK_ID}/no-files`, 'warning', 'No specification files found to validate tables', {
+              suggestion: `Add markdown files to one of: ${searchPaths.map(searchPath => searchPath || '(repository root)').join(', ')}`
+            })
+          ],
           filesChecked: 0,
           tablesFound: 0,
           tablesWithIssues: 0
@@ -363,12 +477,34 @@ export async function checkMarkdownTables(provider) {
     let tablesWithIssues = 0;
     let totalIssues = 0;
     const fileResults = [];
+    const findings = [];
+    const suppressedFindings = [];
 
     // Check each file for tables
     for (const filePath of specFiles) {
       try {
-        const content = await provider.readFile(filePath);
+        const content = await context.readFile(filePath);
         const tables = extractTables(content, filePath);
+        if (!reportInfo) {
+          tables.forEach(table => {
+            table.issues = table.issues.filter(issue => issue.severity !== 'info');
+          });
+        }
+
+        // Move issues that are suppressed by inline comments out of the tables
+        const suppressions = parseSuppressions(content);
+        tables.forEach(table => {
+          table.issues = table.issues.filter(issue => {
+            const suppression = findSuppression(suppressions, `${CHECK_ID}/${issue.type}`, issue.line);
+            if (suppression) {
+              suppressedFindings.push({
+                ...createIssueFinding(issue, filePath),
+                suppressedBy: { directive: suppression.directive, line: suppression.line }
+              });
+            }
+            return !suppression;
+          });
+        });
         
         totalTables += tables.length;
 
@@ -377,6 +513,10 @@ export async function checkMarkdownTables(provider) {
         tablesWithIssues += tablesWithProblems.length;
         totalIssues += tablesWithProblems.reduce((sum, t) => sum + t.issues.length, 0);
 
+        for (const table of tablesWithProblems) {
+          findings.push(...table.issues.map(issue => createIssueFinding(issue, filePath)));
+        }
+
         if (tablesWithProblems.length > 0) {
           fileResults.push({
             file: filePath,
@@ -396,21 +536,23 @@ export async function checkMarkdownTables(provider) {
 
     if (tablesWithIssues > 0) {
       // Check if any issues are errors vs warnings
-      const hasErrors = fileResults.some(fr => 
-        fr.tables.some(t => 
-          t.issues.some(i => i.severity === 'error' || i.type === 'column-mismatch' || i.type === 'missing-separator')
-        )
-      );
+      const hasErrors = findings.some(finding => finding.severity === 'error');
 
       status = hasErrors ? 'fail' : 'warn';
       message = `Found ${totalIssues} issue(s) in ${tablesWithIssues} of ${totalTables} tables`;
     }
 
+    if (suppressedFindings.length > 0) {
+      message += ` (${suppressedFindings.length} suppressed)`;
+    }
+
     return createHealthCheckResult(
       CHECK_ID,
       status,
       message,
       {
+        findings,
+        suppressedFindings,
         filesChecked: specFiles.length,
         tablesFound: totalTables,
         tablesWithIssues,
@@ -427,37 +569,3 @@ export async function checkMarkdownTables(provider) {
     );
   }
 }
-
-/**
- * Discovers specification files to check for tables.
- * 
- * This function searches for markdown files in common spec directories
- * and the repository root.
- * 
- * @param {import('../providers.js').Provider} provider - The provider instance
- * @returns {Promise<string[]>} Array of file paths to check
- * @private
- */
-async function discoverSpecificationFiles(provider) {
-  const files = [];
-  const searchPaths = ['spec/', 'specs/', 'docs/', ''];
-
-  for (const searchPath of searchPaths) {
-    try {
-      const entries = await provider.listFiles(searchPath);
-      
-      // Filter for markdown files only (not subdirectories)
-      const mdFiles = entries.filter(entry => 
-        entry.isFile && 
-        (entry.name.endsWith('.md') || entry.name.endsWith('.markdown'))
-      );
-      
-      // Use the full path from the entry
-      files.push(...mdFiles.map(entry => entry.path));
-    } catch (error) {
-      // Directory doesn't exist or can't be read, continue
-    }
-  }
-
-  return [...new Set(files)]; // Remove duplicates
-}
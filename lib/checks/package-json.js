@@ -12,7 +12,16 @@
  * @author spec-up-t-healthcheck
  */
 
-import { createHealthCheckResult, createErrorResult } from '../health-check-utils.js';
+import {
+  createHealthCheckResult,
+  createErrorResult,
+  createFinding,
+  findTextLocation,
+  findJsonErrorLocation,
+  resolveCheckOptions
+} from '../health-check-utils.js';
+import { createRepositoryContext } from '../repository-context.js';
+import { describeReferenceData, resolveReferenceData } from '../reference-bundles.js';
 
 /**
  * The identifier for this health check, used in reports and registries.
@@ -32,6 +41,12 @@ export const CHECK_NAME = 'package.json';
  */
 export const CHECK_DESCRIPTION = 'Validates the existence and structure of package.json file';
 
+/**
+ * Path of the checked file, relative to the repository root.
+ * @type {string}
+ */
+const PACKAGE_JSON_PATH = 'package.json';
+
 /**
  * Required fields that must be present in a valid package.json file.
  * These fields are essential for proper Node.js package identification.
@@ -47,155 +62,39 @@ const REQUIRED_FIELDS = Object.freeze(['name', 'version']);
 const RECOMMENDED_FIELDS = Object.freeze(['description', 'author', 'license']);
 
 /**
- * GitHub URL for the starter pack repository that defines the reference configuration.
- * This is used to fetch the latest recommended spec-up-t version dynamically.
- * @type {string}
- */
-const STARTER_PACK_PACKAGE_URL = 'https://raw.githubusercontent.com/trustoverip/spec-up-t-starter-pack/main/package.spec-up-t.json';
-
-/**
- * GitHub URL for the config scripts keys that define required npm scripts.
- * This is used to fetch the latest required scripts dynamically.
- * @type {string}
- */
-const CONFIG_SCRIPTS_URL = 'https://raw.githubusercontent.com/trustoverip/spec-up-t/master/src/install-from-boilerplate/config-scripts-keys.js';
-
-/**
- * Cache duration for fetched external configuration (in milliseconds).
- * Set to 1 hour to avoid excessive network requests while keeping data reasonably fresh.
- * @type {number}
- */
-const CACHE_DURATION = 60 * 60 * 1000; // 1 hour
-
-/**
- * In-memory cache for external configuration data.
- * @type {Object}
- * @private
- */
-let configCache = {
-  starterPackVersion: null,
-  configScripts: null,
-  lastFetch: 0
-};
-
-/**
- * Fetches the latest spec-up-t version from the starter pack repository.
- * 
- * This function retrieves the reference package.json from the spec-up-t-starter-pack
- * repository to determine the currently recommended spec-up-t version. Results are
- * cached to minimize network requests.
- * 
- * @returns {Promise<string|null>} The spec-up-t version string (e.g., "^1.3.0") or null if fetch fails
- * @private
+ * Options accepted by this health check.
+ * @type {import('../health-check-utils.js').CheckOptionsSchema}
  */
-async function fetchStarterPackVersion() {
-  const now = Date.now();
-  
-  // Return cached version if still valid
-  if (configCache.starterPackVersion && (now - configCache.lastFetch) < CACHE_DURATION) {
-    return configCache.starterPackVersion;
+export const CHECK_OPTIONS = Object.freeze({
+  recommendedFields: {
+    type: 'array',
+    items: 'string',
+    default: RECOMMENDED_FIELDS,
+    description: 'Fields that trigger a warning when missing'
+  },
+  checkDependency: {
+    type: 'boolean',
+    default: true,
+    description: 'Compare the spec-up-t dependency with the version used by the starter pack'
+  },
+  checkScripts: {
+    type: 'boolean',
+    default: true,
+    description: 'Compare npm scripts with the scripts required by spec-up-t'
   }
-
-  try {
-    const response = await fetch(STARTER_PACK_PACKAGE_URL);
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-    }
-    
-    const packageData = await response.json();
-    const version = packageData?.dependencies?.[`spec-up-t`];
-    
-    if (version) {
-      configCache.starterPackVersion = version;
-      configCache.lastFetch = now;
-      return version;
-    }
-    
-    return null;
-  } catch (error) {
-    // Return cached version if available, even if expired
-    return configCache.starterPackVersion || null;
-  }
-}
+});
 
 /**
- * Fetches the required npm scripts from the config-scripts-keys.js file.
- * 
- * This function retrieves the reference configScriptsKeys from the spec-up-t
- * repository to determine which npm scripts should be present. Results are
- * cached to minimize network requests.
- * 
- * @returns {Promise<Object|null>} The configScriptsKeys object or null if fetch fails
- * @private
- */
-async function fetchConfigScriptsKeys() {
-  const now = Date.now();
-  
-  // Return cached scripts if still valid
-  if (configCache.configScripts && (now - configCache.lastFetch) < CACHE_DURATION) {
-    return configCache.configScripts;
-  }
-
-  try {
-    const response = await fetch(CONFIG_SCRIPTS_URL);
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-    }
-    
-    const scriptContent = await response.text();
-    
-    // Extract configScriptsKeys using regex since we're parsing JS, not JSON
-    const match = scriptContent.match(/const configScriptsKeys = ({[\s\S]*?});/);
-    if (!match) {
-      return null;
-    }
-    
-    // Convert the JavaScript object literal to JSON
-    // This is a simplified parser that handles the specific format used
-    const scriptsObj = parseConfigScriptsObject(match[1]);
-    
-    if (scriptsObj) {
-      configCache.configScripts = scriptsObj;
-      configCache.lastFetch = now;
-      return scriptsObj;
-    }
-    
-    return null;
-  } catch (error) {
-    // Return cached scripts if available, even if expired
-    return configCache.configScripts || null;
-  }
-}
-
-/**
- * Parses a JavaScript object literal string into a proper object.
- * 
- * This function handles the specific format used in config-scripts-keys.js,
- * extracting key-value pairs from the object literal. It uses a simple
- * regex-based approach suitable for the expected format.
- * 
- * @param {string} objStr - The JavaScript object literal string
- * @returns {Object|null} The parsed object or null if parsing fails
+ * Validation outcome used when a validation is disabled through the check options.
+ * @type {Readonly<{isValid: boolean, severity: string, message: null, details: {skipped: boolean}}>}
  * @private
  */
-function parseConfigScriptsObject(objStr) {
-  try {
-    // Extract all key-value pairs from the object literal
-    // Handles escaped quotes within string values
-    const pairs = objStr.matchAll(/^\s*"([^"]+)":\s*"((?:[^"\\]|\\.)*)"/gm);
-    const result = {};
-    
-    for (const match of pairs) {
-      // Unescape the captured value to match JSON-parsed strings
-      const unescapedValue = match[2].replace(/\\"/g, '"').replace(/\\\\/g, '\\');
-      result[match[1]] = unescapedValue;
-    }
-    
-    return Object.keys(result).length > 0 ? result : null;
-  } catch (error) {
-    return null;
-  }
-}
+const SKIPPED_VALIDATION = Object.freeze({
+  isValid: true,
+  severity: 'pass',
+  message: null,
+  details: { skipped: true }
+});
 
 /**
  * Validates that the spec-up-t dependency is present and has a compatible version.
@@ -206,10 +105,12 @@ function parseConfigScriptsObject(objStr) {
  * 
  * @param {Object} packageData - The parsed package.json data
  * @param {string|null} referenceVersion - The reference version from starter pack
+ * @param {boolean} offline - Whether the reference version is unavailable because of offline mode
+ * @param {string} starterPackUrl - URL of the starter pack package.json the reference version comes from
  * @returns {Object} Validation result with status and details
  * @private
  */
-function validateSpecUpTDependency(packageData, referenceVersion) {
+function validateSpecUpTDependency(packageData, referenceVersion, offline, starterPackUrl) {
   const dependencies = packageData.dependencies || {};
   const devDependencies = packageData.devDependencies || {};
   const allDeps = { ...dependencies, ...devDependencies };
@@ -221,6 +122,7 @@ function validateSpecUpTDependency(packageData, referenceVersion) {
     return {
       isValid: false,
       severity: 'fail',
+      rule: 'missing-dependency',
       message: 'spec-up-t dependency not found in dependencies or devDependencies',
       details: {
         expectedInDependencies: true,
@@ -229,11 +131,27 @@ function validateSpecUpTDependency(packageData, referenceVersion) {
     };
   }
   
+  // In offline mode without a cached reference, the comparison is skipped rather than reported
+  if (!referenceVersion && offline) {
+    return {
+      isValid: true,
+      severity: 'pass',
+      message: null,
+      details: {
+        currentVersion: specUpTVersion,
+        referenceVersionUnavailable: true,
+        skipped: true,
+        skipReason: 'Offline mode: spec-up-t version not compared with the starter pack (no cached copy)'
+      }
+    };
+  }
+  
   // If we couldn't fetch the reference version, just verify presence
   if (!referenceVersion) {
     return {
       isValid: true,
       severity: 'warn',
+      rule: 'unverified-dependency',
       message: 'spec-up-t dependency found, but could not verify version against starter pack (network issue)',
       details: {
         currentVersion: specUpTVersion,
@@ -249,11 +167,12 @@ function validateSpecUpTDependency(packageData, referenceVersion) {
     return {
       isValid: false,
       severity: 'warn',
+      rule: 'dependency-version-mismatch',
       message: `spec-up-t version differs from starter pack recommendation`,
       details: {
         currentVersion: specUpTVersion,
         recommendedVersion: referenceVersion,
-        starterPackUrl: STARTER_PACK_PACKAGE_URL
+        starterPackUrl
       }
     };
   }
@@ -278,17 +197,35 @@ function validateSpecUpTDependency(packageData, referenceVersion) {
  * 
  * @param {Object} packageData - The parsed package.json data
  * @param {Object|null} configScriptsKeys - The reference scripts from spec-up-t
+ * @param {boolean} offline - Whether the reference scripts are unavailable because of offline mode
+ * @param {string} configScriptsUrl - URL of the config-scripts-keys.js the reference scripts come from
  * @returns {Object} Validation result with status and details
  * @private
  */
-function validateScripts(packageData, configScriptsKeys) {
+function validateScripts(packageData, configScriptsKeys, offline, configScriptsUrl) {
   const packageScripts = packageData.scripts || {};
   
+  // In offline mode without a cached reference, the comparison is skipped rather than reported
+  if (!configScriptsKeys && offline) {
+    return {
+      isValid: true,
+      severity: 'pass',
+      message: null,
+      details: {
+        referenceScriptsUnavailable: true,
+        scriptCount: Object.keys(packageScripts).length,
+        skipped: true,
+        skipReason: 'Offline mode: npm scripts not compared with the spec-up-t reference (no cached copy)'
+      }
+    };
+  }
+  
   // If we couldn't fetch the reference scripts, skip validation
   if (!configScriptsKeys) {
     return {
       isValid: true,
       severity: 'warn',
+      rule: 'unverified-scripts',
       message: 'Could not verify npm scripts against spec-up-t reference (network issue)',
       details: {
         referenceScriptsUnavailable: true,
@@ -323,7 +260,7 @@ function validateScripts(packageData, configScriptsKeys) {
         missingScripts,
         differentScripts: differentScripts.length > 0 ? differentScripts : undefined,
         totalRequired: Object.keys(configScriptsKeys).length,
-        configScriptsUrl: CONFIG_SCRIPTS_URL
+        configScriptsUrl
       }
     };
   }
@@ -335,7 +272,7 @@ function validateScripts(packageData, configScriptsKeys) {
       message: `Some npm scripts differ from spec-up-t reference: ${differentScripts.map(s => s.name).join(', ')}`,
       details: {
         differentScripts,
-        configScriptsUrl: CONFIG_SCRIPTS_URL
+        configScriptsUrl
       }
     };
   }
@@ -368,29 +305,49 @@ function validateScripts(packageData, configScriptsKeys) {
  * - Required npm scripts from configScriptsKeys are present
  * 
  * @param {import('../providers.js').Provider} provider - The provider instance for file operations
+ * @param {Object} [options={}] - Check options (see {@link CHECK_OPTIONS})
+ * @param {string[]} [options.recommendedFields] - Fields that trigger a warning when missing
+ * @param {boolean} [options.checkDependency=true] - Validate the spec-up-t dependency version
+ * @param {boolean} [options.checkScripts=true] - Validate the required npm scripts
+ * @param {import('../repository-context.js').RepositoryContext} [context] - Shared repository context,
+ *        used to resolve the reference bundle of the installed spec-up-t version
  * @returns {Promise<import('../health-check-utils.js').HealthCheckResult>} The health check result with validation details
+ * @throws {Error} When the options are invalid
  * 
  * @example
  * ```javascript
  * const provider = createLocalProvider('/path/to/repo');
  * const result = await checkPackageJson(provider);
  * console.log(result.status); // 'pass', 'fail', or 'warn'
+ * 
+ * // Offline validation of the package metadata only
+ * await checkPackageJson(provider, { checkDependency: false, checkScripts: false });
  * ```
  */
-export async function checkPackageJson(provider) {
+export async function checkPackageJson(provider, options = {}, context = createRepositoryContext(provider)) {
+  const { recommendedFields, checkDependency, checkScripts } = resolveCheckOptions(CHECK_OPTIONS, options, CHECK_ID);
+
   try {
     // Check if package.json exists
-    const exists = await provider.fileExists('package.json');
+    const exists = await provider.fileExists(PACKAGE_JSON_PATH);
     if (!exists) {
       return createHealthCheckResult(
         CHECK_NAME, 
         'fail', 
-        'package.json not found in repository root'
+        'package.json not found in repository root',
+        {
+          findings: [
+            createFinding(`${CHECK_ID}/missing-file`, 'error', 'package.json not found in repository root', {
+              file: PACKAGE_JSON_PATH,
+              suggestion: 'Create a package.json file, e.g. from the Spec-Up-T starter pack'
+            })
+          ]
+        }
       );
     }
 
     // Read and parse the package.json file
-    const content = await provider.readFile('package.json');
+    const content = await provider.readFile(PACKAGE_JSON_PATH);
     let packageData;
     
     try {
@@ -401,6 +358,12 @@ export async function checkPackageJson(provider) {
         'fail',
         'package.json contains invalid JSON',
         { 
+          findings: [
+            createFinding(`${CHECK_ID}/invalid-json`, 'error', `package.json contains invalid JSON: ${parseError.message}`, {
+              file: PACKAGE_JSON_PATH,
+              ...findJsonErrorLocation(content, parseError.message)
+            })
+          ],
           parseError: parseError.message,
           fileContent: content.substring(0, 500) + (content.length > 500 ? '...' : '')
         }
@@ -418,6 +381,10 @@ export async function checkPackageJson(provider) {
         'fail', 
         `Missing required fields: ${missingRequired.join(', ')}`,
         { 
+          findings: missingRequired.map(field => createPackageFinding(
+            content, 'missing-required-field', 'error', `Required field "${field}" is missing or empty`,
+            { key: field, suggestion: `Add a "${field}" field to package.json` }
+          )),
           missingRequired,
           presentFields: Object.keys(packageData),
           packageSample: extractPackageSample(packageData)
@@ -425,31 +392,47 @@ export async function checkPackageJson(provider) {
       );
     }
 
-    // Fetch external reference data (with caching)
-    const [referenceVersion, configScriptsKeys] = await Promise.all([
-      fetchStarterPackVersion(),
-      fetchConfigScriptsKeys()
-    ]);
+    // Resolve the reference bundle of the installed spec-up-t version, only for enabled validations
+    const referenceData = checkDependency || checkScripts ? await resolveReferenceData(context) : null;
+    const bundle = referenceData?.bundle;
+    const configScriptsKeys = bundle?.configScripts ?? null;
 
     // Validate spec-up-t dependency
-    const depValidation = validateSpecUpTDependency(packageData, referenceVersion);
+    const depValidation = checkDependency
+      ? validateSpecUpTDependency(packageData, bundle.starterPackSpecUpT, referenceData.offlineParts.includes('starterPack'), bundle.sources.starterPack)
+      : SKIPPED_VALIDATION;
     
     // Validate npm scripts
-    const scriptsValidation = validateScripts(packageData, configScriptsKeys);
+    const scriptsValidation = checkScripts
+      ? validateScripts(packageData, configScriptsKeys, referenceData.offlineParts.includes('configScripts'), bundle.sources.configScripts)
+      : SKIPPED_VALIDATION;
+
+    // Comparisons skipped in offline mode are reported as info
+    const skipReasons = [depValidation.details.skipReason, scriptsValidation.details.skipReason].filter(Boolean);
 
     // Check for recommended fields (warnings)
-    const missingRecommended = RECOMMENDED_FIELDS.filter(field => 
+    const missingRecommended = recommendedFields.filter(field => 
       !packageData[field] || (typeof packageData[field] === 'string' && packageData[field].trim() === '')
     );
 
     // Aggregate all validation results
     const details = {
+      findings: [
+        ...missingRecommended.map(field => createPackageFinding(
+          content, 'missing-recommended-field', 'warning', `Recommended field "${field}" is missing or empty`,
+          { key: field, suggestion: `Add a "${field}" field to package.json` }
+        )),
+        ...createDependencyFindings(content, depValidation),
+        ...createScriptFindings(content, scriptsValidation, configScriptsKeys)
+      ],
       packageSample: extractPackageSample(packageData),
       hasAllRequired: true,
       missingRecommended,
       fieldCount: Object.keys(packageData).length,
       dependency: depValidation.details,
-      scripts: scriptsValidation.details
+      scripts: scriptsValidation.details,
+      referenceBundle: referenceData ? describeReferenceData(referenceData) : undefined,
+      info: skipReasons.length > 0 ? skipReasons : undefined
     };
 
     // Determine overall status based on all validations
@@ -473,7 +456,9 @@ export async function checkPackageJson(provider) {
       overallStatus = 'warn';
       messages = validations.filter(v => v.severity === 'warn').map(v => v.message);
     } else {
-      messages = ['package.json is valid and well-formed with correct spec-up-t configuration'];
+      messages = [skipReasons.length > 0
+        ? `package.json is valid and well-formed (offline: ${skipReasons.length} reference comparison(s) skipped)`
+        : 'package.json is valid and well-formed with correct spec-up-t configuration'];
     }
 
     return createHealthCheckResult(
@@ -491,6 +476,92 @@ export async function checkPackageJson(provider) {
   }
 }
 
+/**
+ * Creates a finding about package.json, located at a property if one is given.
+ * 
+ * @param {string} content - The raw package.json content
+ * @param {string} rule - Rule name, without the check ID prefix
+ * @param {'error'|'warning'|'info'} severity - Severity of the finding
+ * @param {string} message - Human-readable description of the problem
+ * @param {Object} [location={}] - Location hints
+ * @param {string} [location.key] - Property name to locate in package.json
+ * @param {string} [location.suggestion] - How to fix the problem
+ * @param {import('../health-check-utils.js').FindingFix} [location.fix] - Mechanical fix for the problem
+ * @returns {import('../health-check-utils.js').Finding} The finding
+ * @private
+ */
+function createPackageFinding(content, rule, severity, message, { key, suggestion, fix } = {}) {
+  return createFinding(`${CHECK_ID}/${rule}`, severity, message, {
+    file: PACKAGE_JSON_PATH,
+    ...(key && findTextLocation(content, `"${key}"`)),
+    suggestion,
+    fix
+  });
+}
+
+/**
+ * Creates the findings for the spec-up-t dependency validation.
+ * 
+ * @param {string} content - The raw package.json content
+ * @param {Object} validation - Result of {@link validateSpecUpTDependency}
+ * @returns {import('../health-check-utils.js').Finding[]} The findings (empty if the dependency is fine)
+ * @private
+ */
+function createDependencyFindings(content, validation) {
+  if (validation.severity === 'pass') {
+    return [];
+  }
+
+  const suggestion = validation.details.recommendedVersion
+    ? `Use "spec-up-t": "${validation.details.recommendedVersion}" as in the starter pack`
+    : 'Add spec-up-t to the dependencies';
+  return [
+    createPackageFinding(content, validation.rule, validation.severity === 'fail' ? 'error' : 'warning', validation.message, {
+      key: validation.details.currentVersion ? 'spec-up-t' : 'dependencies',
+      suggestion
+    })
+  ];
+}
+
+/**
+ * Creates the findings for the npm scripts validation, one per affected script.
+ * Missing scripts carry fixes that add them with the reference command.
+ * 
+ * @param {string} content - The raw package.json content
+ * @param {Object} validation - Result of {@link validateScripts}
+ * @param {Object|null} configScriptsKeys - The reference scripts from spec-up-t
+ * @returns {import('../health-check-utils.js').Finding[]} The findings (empty if the scripts are fine)
+ * @private
+ */
+function createScriptFindings(content, validation, configScriptsKeys) {
+  if (validation.severity === 'pass') {
+    return [];
+  }
+
+  if (validation.rule) {
+    return [createPackageFinding(content, validation.rule, 'warning', validation.message, { key: 'scripts' })];
+  }
+
+  const { missingScripts = [], differentScripts = [] } = validation.details;
+  return [
+    ...missingScripts.map(name => createPackageFinding(
+      content, 'missing-script', 'error', `Required npm script "${name}" is missing`,
+      {
+        key: 'scripts',
+        suggestion: `Add the "${name}" script from the spec-up-t reference configuration`,
+        fix: {
+          description: `Add the "${name}" script to package.json`,
+          jsonSet: { path: ['scripts', name], value: configScriptsKeys[name] }
+        }
+      }
+    )),
+    ...differentScripts.map(script => createPackageFinding(
+      content, 'script-mismatch', 'warning', `npm script "${script.name}" differs from the spec-up-t reference`,
+      { key: script.name, suggestion: `Use "${script.expected}"` }
+    ))
+  ];
+}
+
 /**
  * Extracts a safe sample of package.json data for reporting purposes.
  * 
@@ -8,7 +8,15 @@
  * @author spec-up-t-healthcheck
  */
 
-import { createHealthCheckResult, createErrorResult } from '../health-check-utils.js';
+import {
+  createHealthCheckResult,
+  createErrorResult,
+  createFinding,
+  findTextLocation,
+  findJsonErrorLocation,
+  resolveCheckOptions
+} from '../health-check-utils.js';
+import { createRepositoryContext, SPECS_JSON_PATH } from '../repository-context.js';
 
 /**
  * Simple cross-platform path joining that works in both Node.js and browser.
@@ -60,6 +68,36 @@ const REQUIRED_SPEC_FILES = Object.freeze(['terms-and-definitions-intro.md']);
  */
 const RECOMMENDED_SPEC_FILES = Object.freeze(['spec-head.md', 'spec-body.md']);
 
+/**
+ * Initial content of recommended files created by `--fix`, by file name.
+ * Other recommended files start with a heading derived from their name.
+ * @type {Object<string, function(string): string>}
+ * @private
+ */
+const RECOMMENDED_FILE_TEMPLATES = Object.freeze({
+  'spec-head.md': title => `# ${title}\n`,
+  'spec-body.md': () => '## Introduction\n'
+});
+
+/**
+ * Options accepted by this health check.
+ * @type {import('../health-check-utils.js').CheckOptionsSchema}
+ */
+export const CHECK_OPTIONS = Object.freeze({
+  requiredFiles: {
+    type: 'array',
+    items: 'string',
+    default: REQUIRED_SPEC_FILES,
+    description: 'Markdown files that must exist in spec_directory (missing files are errors)'
+  },
+  recommendedFiles: {
+    type: 'array',
+    items: 'string',
+    default: RECOMMENDED_SPEC_FILES,
+    description: 'Markdown files that should exist in spec_directory (missing files are warnings)'
+  }
+});
+
 /**
  * Validates the existence of spec directories and required files specified in specs.json.
  * 
@@ -72,7 +110,12 @@ const RECOMMENDED_SPEC_FILES = Object.freeze(['spec-head.md', 'spec-body.md']);
  * - Checks if spec_terms_directory contains any markdown files (triggers warning if empty)
  * 
  * @param {import('../providers.js').Provider} provider - The provider instance for file operations
+ * @param {Object} [options={}] - Check options (see {@link CHECK_OPTIONS})
+ * @param {string[]} [options.requiredFiles] - Markdown files that must exist in spec_directory
+ * @param {string[]} [options.recommendedFiles] - Markdown files that should exist in spec_directory
+ * @param {import('../repository-context.js').RepositoryContext} [context] - Shared repository context
  * @returns {Promise<import('../health-check-utils.js').HealthCheckResult>} The health check result with validation details
+ * @throws {Error} When the options are invalid
  * 
  * @example
  * ```javascript
@@ -81,34 +124,41 @@ const RECOMMENDED_SPEC_FILES = Object.freeze(['spec-head.md', 'spec-body.md']);
  * console.log(result.status); // 'pass', 'fail', or 'warn'
  * ```
  */
-export async function checkSpecDirectoryAndFiles(provider) {
+export async function checkSpecDirectoryAndFiles(provider, options = {}, context = createRepositoryContext(provider)) {
+  const { requiredFiles, recommendedFiles } = resolveCheckOptions(CHECK_OPTIONS, options, CHECK_ID);
+
   try {
     // First, check if specs.json exists
-    const specsJsonExists = await provider.fileExists('specs.json');
+    const { exists: specsJsonExists, content, data: specsData, parseError } = await context.getSpecsJson();
     if (!specsJsonExists) {
       return createHealthCheckResult(
         CHECK_NAME,
         'fail',
         'specs.json not found - cannot validate spec directories',
         {
+          findings: [
+            createFinding(`${CHECK_ID}/missing-specs-json`, 'error', 'specs.json file is required to determine spec directory locations', {
+              file: SPECS_JSON_PATH
+            })
+          ],
           errors: ['specs.json file is required to determine spec directory locations']
         }
       );
     }
 
-    // Read and parse specs.json
-    const specsJsonContent = await provider.readFile('specs.json');
-    let specsData;
-    
-    try {
-      specsData = JSON.parse(specsJsonContent);
-    } catch (parseError) {
+    if (parseError) {
       return createHealthCheckResult(
         CHECK_NAME,
         'fail',
         'specs.json contains invalid JSON',
         {
-          errors: [`Failed to parse specs.json: ${parseError.message}`]
+          findings: [
+            createFinding(`${CHECK_ID}/invalid-specs-json`, 'error', `Failed to parse specs.json: ${parseError}`, {
+              file: SPECS_JSON_PATH,
+              ...findJsonErrorLocation(content, parseError)
+            })
+          ],
+          errors: [`Failed to parse specs.json: ${parseError}`]
         }
       );
     }
@@ -120,6 +170,11 @@ export async function checkSpecDirectoryAndFiles(provider) {
         'fail',
         'specs.json has invalid structure',
         {
+          findings: [
+            createFinding(`${CHECK_ID}/invalid-specs-json`, 'error', 'specs.json must contain a "specs" array with at least one entry', {
+              file: SPECS_JSON_PATH
+            })
+          ],
           errors: ['specs.json must contain a "specs" array with at least one entry']
         }
       );
@@ -129,7 +184,9 @@ export async function checkSpecDirectoryAndFiles(provider) {
     const validationResults = {
       errors: [],
       warnings: [],
-      success: []
+      success: [],
+      findings: [],
+      specsJsonContent: content
     };
 
     // Extract directory paths
@@ -154,8 +211,8 @@ export async function checkSpecDirectoryAndFiles(provider) {
 
     // Validate required files in spec_directory
     if (specDirectory) {
-      await validateRequiredFiles(provider, specDirectory, validationResults);
-      await validateRecommendedFiles(provider, specDirectory, validationResults);
+      await validateRequiredFiles(provider, specDirectory, requiredFiles, validationResults);
+      await validateRecommendedFiles(provider, specDirectory, recommendedFiles, validationResults, spec.title);
     }
 
     // Validate spec_terms_directory contains markdown files
@@ -180,6 +237,7 @@ export async function checkSpecDirectoryAndFiles(provider) {
       status,
       message,
       {
+        findings: validationResults.findings,
         errors: validationResults.errors,
         warnings: validationResults.warnings,
         success: validationResults.success,
@@ -194,6 +252,32 @@ export async function checkSpecDirectoryAndFiles(provider) {
   }
 }
 
+/**
+ * Records a problem in the validation results, both as a message and as a finding.
+ * 
+ * Problems with a specs.json setting are located at that setting (`field`);
+ * problems with a missing file point at the file itself (`file`).
+ * 
+ * @param {Object} validationResults - Results object to populate
+ * @param {'error'|'warning'} severity - Severity of the problem
+ * @param {string} rule - Rule name, without the check ID prefix
+ * @param {string} message - Human-readable description of the problem
+ * @param {Object} location - Where the problem is
+ * @param {string} [location.field] - The specs.json field the problem relates to
+ * @param {string} [location.file] - The repository file the problem relates to
+ * @param {string} [location.suggestion] - How to fix the problem
+ * @private
+ */
+function addIssue(validationResults, severity, rule, message, { field, file, suggestion }) {
+  (severity === 'error' ? validationResults.errors : validationResults.warnings).push(message);
+  validationResults.findings.push(createFinding(`${CHECK_ID}/${rule}`, severity, message, {
+    ...(file
+      ? { file }
+      : { file: SPECS_JSON_PATH, ...findTextLocation(validationResults.specsJsonContent, `"${field}"`) }),
+    suggestion
+  }));
+}
+
 /**
  * Validates that the spec_directory exists.
  * 
@@ -205,7 +289,10 @@ export async function checkSpecDirectoryAndFiles(provider) {
 async function validateSpecDirectory(provider, specDirectory, validationResults) {
   // Check if spec_directory field exists
   if (!specDirectory) {
-    validationResults.errors.push('spec_directory is not defined in specs.json');
+    addIssue(validationResults, 'error', 'missing-spec-directory', 'spec_directory is not defined in specs.json', {
+      field: 'specs',
+      suggestion: 'Add a "spec_directory" field to specs.json'
+    });
     return;
   }
 
@@ -216,10 +303,13 @@ async function validateSpecDirectory(provider, specDirectory, validationResults)
     if (dirExists) {
       validationResults.success.push(`spec_directory exists: ${specDirectory}`);
     } else {
-      validationResults.errors.push(`spec_directory does not exist: ${specDirectory}`);
+      addIssue(validationResults, 'error', 'missing-spec-directory', `spec_directory does not exist: ${specDirectory}`, {
+        field: 'spec_directory',
+        suggestion: `Create the directory ${specDirectory} or correct spec_directory`
+      });
     }
   } catch (error) {
-    validationResults.errors.push(`Error checking spec_directory: ${error.message}`);
+    addIssue(validationResults, 'error', 'missing-spec-directory', `Error checking spec_directory: ${error.message}`, { field: 'spec_directory' });
   }
 }
 
@@ -235,7 +325,10 @@ async function validateSpecDirectory(provider, specDirectory, validationResults)
 async function validateSpecTermsDirectory(provider, fullSpecTermsDirectory, originalSpecTermsDirectory, validationResults) {
   // Check if spec_terms_directory field exists
   if (!originalSpecTermsDirectory) {
-    validationResults.errors.push('spec_terms_directory is not defined in specs.json');
+    addIssue(validationResults, 'error', 'missing-terms-directory', 'spec_terms_directory is not defined in specs.json', {
+      field: 'specs',
+      suggestion: 'Add a "spec_terms_directory" field to specs.json'
+    });
     return;
   }
 
@@ -246,10 +339,13 @@ async function validateSpecTermsDirectory(provider, fullSpecTermsDirectory, orig
     if (dirExists) {
       validationResults.success.push(`spec_terms_directory exists: ${originalSpecTermsDirectory}`);
     } else {
-      validationResults.errors.push(`spec_terms_directory does not exist: ${originalSpecTermsDirectory}`);
+      addIssue(validationResults, 'error', 'missing-terms-directory', `spec_terms_directory does not exist: ${originalSpecTermsDirectory}`, {
+        field: 'spec_terms_directory',
+        suggestion: `Create the directory ${fullSpecTermsDirectory} or correct spec_terms_directory`
+      });
     }
   } catch (error) {
-    validationResults.errors.push(`Error checking spec_terms_directory: ${error.message}`);
+    addIssue(validationResults, 'error', 'missing-terms-directory', `Error checking spec_terms_directory: ${error.message}`, { field: 'spec_terms_directory' });
   }
 }
 
@@ -258,11 +354,12 @@ async function validateSpecTermsDirectory(provider, fullSpecTermsDirectory, orig
  * 
  * @param {import('../providers.js').Provider} provider - The provider instance
  * @param {string} specDirectory - The spec_directory path
+ * @param {string[]} requiredFiles - File names that must exist
  * @param {Object} validationResults - Results object to populate
  * @private
  */
-async function validateRequiredFiles(provider, specDirectory, validationResults) {
-  for (const filename of REQUIRED_SPEC_FILES) {
+async function validateRequiredFiles(provider, specDirectory, requiredFiles, validationResults) {
+  for (const filename of requiredFiles) {
     const filePath = joinPath(specDirectory, filename);
     
     try {
@@ -271,27 +368,52 @@ async function validateRequiredFiles(provider, specDirectory, validationResults)
       if (fileExists) {
         validationResults.success.push(`Required file exists: ${filePath}`);
       } else {
-        validationResults.errors.push(`Required file missing: ${filePath}`);
+        addIssue(validationResults, 'error', 'missing-required-file', `Required file missing: ${filePath}`, {
+          file: filePath,
+          suggestion: `Create ${filePath}`
+        });
       }
     } catch (error) {
-      validationResults.errors.push(`Error checking required file ${filePath}: ${error.message}`);
+      addIssue(validationResults, 'error', 'missing-required-file', `Error checking required file ${filePath}: ${error.message}`, { file: filePath });
     }
   }
 }
 
+/**
+ * Creates the initial content of a missing recommended file.
+ * 
+ * @param {string} filename - Name of the recommended file
+ * @param {string} [title] - Title of the specification from specs.json
+ * @returns {string} The file content
+ * @private
+ */
+function createRecommendedFileContent(filename, title) {
+  const template = RECOMMENDED_FILE_TEMPLATES[filename];
+  if (template) {
+    return template(title || 'Specification');
+  }
+  const words = filename.replace(/\.(md|markdown)$/, '').replace(/[-_]+/g, ' ').trim();
+  return `## ${words.charAt(0).toUpperCase()}${words.slice(1)}\n`;
+}
+
 /**
  * Validates the presence of recommended markdown files in spec_directory.
  * 
+ * Missing files carry fixes that create them with minimal content, as long as
+ * spec_directory exists (a missing directory more likely means a wrong setting).
+ * 
  * @param {import('../providers.js').Provider} provider - The provider instance
  * @param {string} specDirectory - The spec_directory path
+ * @param {string[]} recommendedFiles - File names that should exist
  * @param {Object} validationResults - Results object to populate
+ * @param {string} [title] - Title of the specification, used for created files
  * @private
  */
-async function validateRecommendedFiles(provider, specDirectory, validationResults) {
+async function validateRecommendedFiles(provider, specDirectory, recommendedFiles, validationResults, title) {
   const foundFiles = [];
   const missingFiles = [];
 
-  for (const filename of RECOMMENDED_SPEC_FILES) {
+  for (const filename of recommendedFiles) {
     const filePath = joinPath(specDirectory, filename);
     
     try {
@@ -310,11 +432,22 @@ async function validateRecommendedFiles(provider, specDirectory, validationResul
 
   // Report results
   if (foundFiles.length > 0) {
-    validationResults.success.push(`Found ${foundFiles.length} of ${RECOMMENDED_SPEC_FILES.length} recommended files: ${foundFiles.join(', ')}`);
+    validationResults.success.push(`Found ${foundFiles.length} of ${recommendedFiles.length} recommended files: ${foundFiles.join(', ')}`);
   }
 
   if (missingFiles.length > 0) {
     validationResults.warnings.push(`Missing ${missingFiles.length} recommended markdown file(s) in ${specDirectory}: ${missingFiles.join(', ')}`);
+    const canCreate = await provider.directoryExists(specDirectory).catch(() => false);
+    for (const filename of missingFiles) {
+      const filePath = joinPath(specDirectory, filename);
+      validationResults.findings.push(createFinding(`${CHECK_ID}/missing-recommended-file`, 'warning', `Recommended file missing: ${filePath}`, {
+        file: filePath,
+        suggestion: `Create ${filePath}`,
+        ...(canCreate && {
+          fix: { description: `Create ${filePath}`, createContent: createRecommendedFileContent(filename, title) }
+        })
+      }));
+    }
   }
 }
 
@@ -348,9 +481,12 @@ async function validateTermsDirectoryFiles(provider, fullSpecTermsDirectory, ori
     if (markdownFiles.length > 0) {
       validationResults.success.push(`spec_terms_directory contains ${markdownFiles.length} markdown file(s)`);
     } else {
-      validationResults.warnings.push(`spec_terms_directory exists but contains no markdown files: ${originalSpecTermsDirectory}`);
+      addIssue(validationResults, 'warning', 'empty-terms-directory', `spec_terms_directory exists but contains no markdown files: ${originalSpecTermsDirectory}`, {
+        file: fullSpecTermsDirectory,
+        suggestion: 'Add a markdown file for each term to the terms directory'
+      });
     }
   } catch (error) {
-    validationResults.warnings.push(`Unable to list files in spec_terms_directory: ${error.message}`);
+    addIssue(validationResults, 'warning', 'empty-terms-directory', `Unable to list files in spec_terms_directory: ${error.message}`, { field: 'spec_terms_directory' });
   }
 }
@@ -8,7 +8,7 @@
  * @author spec-up-t-healthcheck
  */
 
-import { createHealthCheckResult, createErrorResult } from '../health-check-utils.js';
+import { createHealthCheckResult, createErrorResult, createFinding, resolveCheckOptions } from '../health-check-utils.js';
 
 /**
  * The identifier for this health check, used in reports and registries.
@@ -60,6 +60,25 @@ const PRIMARY_SPEC_NAMES = Object.freeze([
   'main.md'
 ]);
 
+/**
+ * Options accepted by this health check.
+ * @type {import('../health-check-utils.js').CheckOptionsSchema}
+ */
+export const CHECK_OPTIONS = Object.freeze({
+  directories: {
+    type: 'array',
+    items: 'string',
+    default: SPEC_DIRECTORIES,
+    description: 'Directories searched for specification files, in order of preference'
+  },
+  extensions: {
+    type: 'array',
+    items: 'string',
+    default: SPEC_EXTENSIONS,
+    description: 'File extensions that are considered specification files'
+  }
+});
+
 /**
  * Checks for the presence and accessibility of specification files in the repository.
  * 
@@ -74,7 +93,11 @@ const PRIMARY_SPEC_NAMES = Object.freeze([
  * - Reports on file organization and accessibility
  * 
  * @param {import('../providers.js').Provider} provider - The provider instance for file operations
+ * @param {Object} [options={}] - Check options (see {@link CHECK_OPTIONS})
+ * @param {string[]} [options.directories] - Directories searched for specification files
+ * @param {string[]} [options.extensions] - File extensions considered specification files
  * @returns {Promise<import('../health-check-utils.js').HealthCheckResult>} The health check result with file discovery details
+ * @throws {Error} When the options are invalid
  * 
  * @example
  * ```javascript
@@ -83,9 +106,11 @@ const PRIMARY_SPEC_NAMES = Object.freeze([
  * console.log(result.details.specFiles); // Array of found specification files
  * ```
  */
-export async function checkSpecFiles(provider) {
+export async function checkSpecFiles(provider, options = {}) {
+  const { directories, extensions } = resolveCheckOptions(CHECK_OPTIONS, options, CHECK_ID);
+
   try {
-    const discoveryResult = await discoverSpecificationFiles(provider);
+    const discoveryResult = await discoverSpecificationFiles(provider, directories, extensions);
     
     const {
       specFiles,
@@ -103,12 +128,17 @@ export async function checkSpecFiles(provider) {
         'fail', 
         'No specification files found in repository',
         { 
+          findings: [
+            createFinding(`${CHECK_ID}/no-spec-files`, 'error', 'No specification files found in repository', {
+              suggestion: `Add specification files (${extensions.join(', ')}) to one of: ${directories.join(', ')}`
+            })
+          ],
           searchedPaths,
-          searchedExtensions: SPEC_EXTENSIONS,
+          searchedExtensions: extensions,
           suggestions: [
             'Create a spec/ or docs/ directory',
             'Add a README.md file with specification content',
-            'Ensure specification files use supported extensions (.md, .markdown, .rst, .txt)'
+            `Ensure specification files use supported extensions (${extensions.join(', ')})`
           ]
         }
       );
@@ -119,6 +149,7 @@ export async function checkSpecFiles(provider) {
     let message = `Found ${totalFiles} specification file${totalFiles === 1 ? '' : 's'}`;
     
     const details = {
+      findings: [],
       specFiles: specFiles.map(f => f.name),
       specDirectory,
       primarySpecs: primarySpecs.map(f => f.name),
@@ -137,12 +168,18 @@ export async function checkSpecFiles(provider) {
       // Only warn if there are many unorganized files in root (more aggressive threshold)
       if (rootSpecFiles.length > 5) {
         details.organizationSuggestion = 'Consider moving specification files to a dedicated directory like spec/ or docs/';
+        details.findings.push(createFinding(`${CHECK_ID}/unorganized-files`, 'info', 'Many specification files are in the repository root', {
+          suggestion: details.organizationSuggestion
+        }));
       }
     }
 
     // Don't warn about missing primary specs - this is optional organizational advice only
     if (primarySpecs.length === 0 && totalFiles > 1) {
       details.primarySpecSuggestion = 'Consider adding a main specification file (spec.md, README.md, or index.md)';
+      details.findings.push(createFinding(`${CHECK_ID}/no-primary-spec`, 'info', 'No main specification file found', {
+        suggestion: details.primarySpecSuggestion
+      }));
     }
 
     return createHealthCheckResult(CHECK_NAME, status, message, details);
@@ -162,10 +199,12 @@ export async function checkSpecFiles(provider) {
  * common specification directories and the repository root for relevant files.
  * 
  * @param {import('../providers.js').Provider} provider - The provider instance for file operations
+ * @param {string[]} directories - Directories to search, in order of preference
+ * @param {string[]} extensions - File extensions of specification files
  * @returns {Promise<Object>} Discovery result with found files and metadata
  * @private
  */
-async function discoverSpecificationFiles(provider) {
+async function discoverSpecificationFiles(provider, directories, extensions) {
   let specFiles = [];
   let specDirectory = null;
   let primarySpecs = [];
@@ -173,12 +212,12 @@ async function discoverSpecificationFiles(provider) {
   const searchedPaths = [];
 
   // Search spec directories first
-  for (const dir of SPEC_DIRECTORIES) {
+  for (const dir of directories) {
     searchedPaths.push(dir);
     try {
       const files = await provider.listFiles(dir);
       if (files.length > 0) {
-        const relevantFiles = filterSpecificationFiles(files);
+        const relevantFiles = filterSpecificationFiles(files, extensions);
         if (relevantFiles.length > 0) {
           specDirectory = dir;
           specFiles = relevantFiles;
@@ -194,7 +233,7 @@ async function discoverSpecificationFiles(provider) {
   // Also check root directory for specification files
   try {
     const rootFiles = await provider.listFiles('');
-    const rootRelevantFiles = filterSpecificationFiles(rootFiles);
+    const rootRelevantFiles = filterSpecificationFiles(rootFiles, extensions);
     rootSpecFiles = rootRelevantFiles;
     
     // If no organized spec directory found, use root files as primary
@@ -222,14 +261,15 @@ async function discoverSpecificationFiles(provider) {
  * Filters a list of files to include only specification-relevant files.
  * 
  * @param {Array} files - Array of file objects from provider.listFiles()
+ * @param {string[]} extensions - File extensions of specification files
  * @returns {Array} Filtered array of specification files
  * @private
  */
-function filterSpecificationFiles(files) {
+function filterSpecificationFiles(files, extensions) {
   return files.filter(file => {
     if (!file.isFile) return false;
     
-    return SPEC_EXTENSIONS.some(ext => 
+    return extensions.some(ext => 
       file.name.toLowerCase().endsWith(ext.toLowerCase())
     );
   });
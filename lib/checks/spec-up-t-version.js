@@ -0,0 +1,398 @@
+/**
+ * @fileoverview spec-up-t version compatibility health check module
+ *
+ * The package.json check compares the declared spec-up-t range with the range
+ * of the starter pack as strings. This module looks at the version that is
+ * actually installed (from node_modules or a lockfile) and reports:
+ * - an installed version outside the declared range
+ * - an installed version behind or ahead of the starter pack's range
+ * - specs.json fields and npm scripts the installed version doesn't support,
+ *   according to a compatibility matrix (e.g. the deprecated `source.branch`)
+ * - npm scripts that run files missing from the installed spec-up-t package
+ *
+ * This check only reads repository files and the reference bundle, so it can
+ * run in both Node.js and browser environments.
+ *
+ * @author spec-up-t-healthcheck
+ */
+
+import {
+  createHealthCheckResult,
+  createErrorResult,
+  createFinding,
+  findTextLocation,
+  resolveCheckOptions
+} from '../health-check-utils.js';
+import { createRepositoryContext, SPECS_JSON_PATH } from '../repository-context.js';
+import { resolveInstalledSpecUpTVersion, resolveReferenceData } from '../reference-bundles.js';
+import { compareVersions, formatVersion, minVersion, parseRange, parseVersion, satisfies } from '../semver.js';
+
+/**
+ * The identifier for this health check, used in reports and registries.
+ * @type {string}
+ */
+export const CHECK_ID = 'spec-up-t-version';
+
+/**
+ * Human-readable name for this health check.
+ * @type {string}
+ */
+export const CHECK_NAME = 'spec-up-t Version Compatibility';
+
+/**
+ * Description of what this health check validates.
+ * @type {string}
+ */
+export const CHECK_DESCRIPTION = 'Validates that the installed spec-up-t version matches the declared range, the starter pack and the features the repository uses';
+
+/**
+ * @typedef {Object} CompatibilityRule
+ * @property {string} [field] - Field of the spec object in specs.json, as a dotted path
+ *           (`[]` for the items of an array, e.g. 'external_specs[].terms_dir')
+ * @property {string} [script] - Name of an npm script in package.json
+ * @property {string} [since] - First spec-up-t version that supports the feature
+ * @property {string} [deprecated] - First spec-up-t version in which the feature is deprecated
+ * @property {string} [removed] - First spec-up-t version without the feature
+ * @property {string} [note] - What to do instead, used in suggestions
+ */
+
+/**
+ * Compatibility matrix of specs.json fields and npm scripts with spec-up-t
+ * versions. Extended per repository with the `rules` option.
+ * @type {readonly CompatibilityRule[]}
+ */
+export const COMPATIBILITY_MATRIX = Object.freeze([
+  Object.freeze({
+    field: 'source.branch',
+    deprecated: '1.0.0',
+    note: 'Remove "branch": spec-up-t reads the branch from the spec-up-t:github-repo-info meta tag'
+  })
+]);
+
+/**
+ * Options accepted by this health check.
+ * @type {import('../health-check-utils.js').CheckOptionsSchema}
+ */
+export const CHECK_OPTIONS = Object.freeze({
+  compareWithStarterPack: {
+    type: 'boolean',
+    default: true,
+    description: 'Report installed versions behind or ahead of the spec-up-t range of the starter pack'
+  },
+  rules: {
+    type: 'array',
+    items: 'object',
+    default: [],
+    description: 'Compatibility rules in addition to the built-in matrix, e.g. { "field": "katex", "since": "1.1.0" }'
+  }
+});
+
+/**
+ * Path of package.json, relative to the repository root.
+ * @type {string}
+ * @private
+ */
+const PACKAGE_JSON_PATH = 'package.json';
+
+/**
+ * How to install the declared version, used in suggestions.
+ * @type {string}
+ * @private
+ */
+const INSTALL_SUGGESTION = 'Run "npm install" to install a spec-up-t version that satisfies package.json';
+
+/**
+ * Validates the compatibility rules given in the check options.
+ *
+ * @param {Object[]} rules - The rules
+ * @returns {CompatibilityRule[]} The rules
+ * @throws {Error} When a rule is invalid
+ * @private
+ */
+function validateRules(rules) {
+  rules.forEach((rule, index) => {
+    const fail = reason => {
+      throw new Error(`Invalid options for health check '${CHECK_ID}': rules[${index}] ${reason}`);
+    };
+    if (typeof rule.field !== 'string' && typeof rule.script !== 'string') {
+      fail('must have a "field" or a "script"');
+    }
+    for (const key of ['since', 'deprecated', 'removed']) {
+      if (rule[key] !== undefined && !parseVersion(rule[key])) {
+        fail(`has an invalid "${key}" version: ${JSON.stringify(rule[key])}`);
+      }
+    }
+    if (rule.since === undefined && rule.deprecated === undefined && rule.removed === undefined) {
+      fail('must have a "since", "deprecated" or "removed" version');
+    }
+  });
+  return rules;
+}
+
+/**
+ * Collects the values at a dotted path, following `[]` into array items.
+ *
+ * @param {*} value - The value to start at
+ * @param {string[]} segments - The remaining path segments
+ * @returns {Array<*>} The values found (none if the path doesn't exist)
+ * @private
+ */
+function collectPathValues(value, segments) {
+  if (segments.length === 0) {
+    return [value];
+  }
+  const [segment, ...rest] = segments;
+  const isArraySegment = segment.endsWith('[]');
+  const key = isArraySegment ? segment.slice(0, -2) : segment;
+  if (value === null || typeof value !== 'object' || !Object.prototype.hasOwnProperty.call(value, key)) {
+    return [];
+  }
+  const next = value[key];
+  if (isArraySegment) {
+    return Array.isArray(next) ? next.flatMap(item => collectPathValues(item, rest)) : [];
+  }
+  return collectPathValues(next, rest);
+}
+
+/**
+ * Extracts the files of the spec-up-t package that an npm script runs,
+ * e.g. `node node_modules/spec-up-t/src/foo.js` or `require('spec-up-t/src/foo')`.
+ *
+ * @param {string} command - The script command
+ * @returns {string[]} Paths relative to the spec-up-t package
+ * @private
+ */
+function findPackageFiles(command) {
+  const files = new Set();
+  for (const match of command.matchAll(/node_modules\/spec-up-t\/([\w@.\/-]+)/g)) {
+    files.add(match[1]);
+  }
+  for (const match of command.matchAll(/\(\s*\\?['"]spec-up-t\/([\w@.\/-]+)\\?['"]\s*\)/g)) {
+    files.add(match[1]);
+  }
+  return [...files].map(file => file.replace(/\/+$/, '')).filter(Boolean);
+}
+
+/**
+ * Checks whether a file of the installed spec-up-t package exists, resolving
+ * module paths without extension like Node.js does.
+ *
+ * @param {import('../repository-context.js').RepositoryContext} context - The repository context
+ * @param {string} file - Path relative to the spec-up-t package
+ * @returns {Promise<boolean>} True if the file exists
+ * @private
+ */
+async function packageFileExists(context, file) {
+  for (const candidate of [file, `${file}.js`, `${file}.json`, `${file}/index.js`]) {
+    if (await context.fileExists(`node_modules/spec-up-t/${candidate}`)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Validates the installed spec-up-t version of a repository.
+ *
+ * The version checked is the one installed in node_modules, or locked in a
+ * lockfile; without either, the lowest version of the declared range
+ * is checked and an info message notes that spec-up-t isn't installed. The
+ * check reports:
+ * - An installed version outside the declared range (`installed-outside-range`, warning)
+ * - An installed version below the starter pack's range (`behind-starter-pack`, warning)
+ * - An installed version above the starter pack's range (`ahead-of-starter-pack`, warning)
+ * - Fields or scripts that the version doesn't support yet (`unsupported-feature`, error)
+ * - Fields or scripts that the version no longer supports (`removed-feature`, error)
+ * - Fields or scripts that the version deprecates (`deprecated-feature`, warning)
+ * - Scripts running files that the installed package doesn't contain (`missing-package-file`, error)
+ * - A declared version that isn't a semver range, e.g. a git URL (`unsupported-range`, info)
+ *
+ * @param {import('../providers.js').Provider} provider - The provider instance for file operations
+ * @param {Object} [options={}] - Check options (see {@link CHECK_OPTIONS})
+ * @param {boolean} [options.compareWithStarterPack=true] - Compare with the starter pack's range
+ * @param {CompatibilityRule[]} [options.rules=[]] - Additional compatibility rules
+ * @param {import('../repository-context.js').RepositoryContext} [context] - Shared repository context,
+ *        used to resolve the reference bundle with the starter pack's range
+ * @returns {Promise<import('../health-check-utils.js').HealthCheckResult>} The health check result
+ * @throws {Error} When the options are invalid
+ *
+ * @example
+ * ```javascript
+ * const provider = createLocalProvider('/path/to/repo');
+ * const result = await checkSpecUpTVersion(provider, { rules: [{ field: 'katex', since: '1.1.0' }] });
+ * console.log(result.details.installedVersion, result.status);
+ * ```
+ */
+export async function checkSpecUpTVersion(provider, options = {}, context = createRepositoryContext(provider)) {
+  const { compareWithStarterPack, rules } = resolveCheckOptions(CHECK_OPTIONS, options, CHECK_ID);
+  const matrix = [...COMPATIBILITY_MATRIX, ...validateRules(rules)];
+
+  try {
+    let packageContent = null;
+    let packageData = null;
+    if (await context.fileExists(PACKAGE_JSON_PATH)) {
+      packageContent = await context.readFile(PACKAGE_JSON_PATH);
+      try {
+        packageData = JSON.parse(packageContent);
+      } catch (error) {
+        return createHealthCheckResult(CHECK_NAME, 'skip', 'package.json is invalid - cannot determine the spec-up-t version', {});
+      }
+    }
+
+    const declaredRange = packageData?.dependencies?.['spec-up-t'] ?? packageData?.devDependencies?.['spec-up-t'] ?? null;
+    const installed = await resolveInstalledSpecUpTVersion(context);
+    if (!declaredRange && !installed) {
+      return createHealthCheckResult(CHECK_NAME, 'skip', 'spec-up-t is neither declared in package.json nor installed', {});
+    }
+
+    const state = { findings: [], errors: [], warnings: [], info: [] };
+    let specsContent = null;
+    const addIssue = (severity, rule, message, { file, locate, suggestion }) => {
+      state.findings.push(createFinding(`${CHECK_ID}/${rule}`, severity, message, {
+        file,
+        ...(locate && findTextLocation(file === SPECS_JSON_PATH ? specsContent : packageContent, locate)),
+        suggestion
+      }));
+      ({ error: state.errors, warning: state.warnings, info: state.info })[severity].push(message);
+    };
+
+    // Determine the version to check: installed, or else the lowest the declared range allows
+    const range = declaredRange ? parseRange(declaredRange) : null;
+    if (declaredRange && !range) {
+      addIssue('info', 'unsupported-range', `The declared spec-up-t version "${declaredRange}" is not a semver range, so it is not compared with the installed version`, {
+        file: PACKAGE_JSON_PATH,
+        locate: '"spec-up-t"'
+      });
+    }
+    let version = installed ? parseVersion(installed.version) : null;
+    if (installed && !version) {
+      addIssue('info', 'unsupported-range', `The installed spec-up-t version "${installed.version}" is not a semantic version`, {
+        file: installed.source === 'node_modules' ? 'node_modules/spec-up-t/package.json' : installed.source
+      });
+    }
+    if (!installed) {
+      state.info.push('spec-up-t is neither installed nor locked; the lowest version of the declared range is checked');
+      version = range ? minVersion(range) : null;
+    }
+    if (!version) {
+      return createHealthCheckResult(CHECK_NAME, 'skip', 'The spec-up-t version cannot be determined', {
+        findings: state.findings,
+        info: state.info,
+        declaredRange
+      });
+    }
+    const versionText = formatVersion(version);
+
+    if (installed && range && !satisfies(version, range)) {
+      addIssue('warning', 'installed-outside-range', `Installed spec-up-t ${versionText} (${installed.source}) does not satisfy the declared range "${declaredRange}"`, {
+        file: PACKAGE_JSON_PATH,
+        locate: '"spec-up-t"',
+        suggestion: INSTALL_SUGGESTION
+      });
+    }
+
+    // Compare with the range the starter pack uses
+    let starterPackRange = null;
+    if (compareWithStarterPack) {
+      const referenceData = await resolveReferenceData(context);
+      starterPackRange = referenceData.bundle.starterPackSpecUpT;
+      const starterPack = starterPackRange ? parseRange(starterPackRange) : null;
+      const recommended = starterPack ? minVersion(starterPack) : null;
+      if (!recommended) {
+        state.info.push(referenceData.offlineParts.includes('starterPack')
+          ? 'Offline mode: the spec-up-t range of the starter pack is not cached, so it is not compared'
+          : 'The spec-up-t range of the starter pack is unavailable, so it is not compared');
+      } else if (!satisfies(version, starterPack)) {
+        const behind = compareVersions(version, recommended) < 0;
+        addIssue('warning', behind ? 'behind-starter-pack' : 'ahead-of-starter-pack',
+          `spec-up-t ${versionText} is ${behind ? 'older than' : 'newer than'} the range "${starterPackRange}" of the starter pack`, {
+            file: PACKAGE_JSON_PATH,
+            locate: '"spec-up-t"',
+            suggestion: behind
+              ? `Upgrade spec-up-t to "${starterPackRange}" and run "npm install"`
+              : `Make sure your spec renders correctly, or use "${starterPackRange}" as in the starter pack`
+          });
+      }
+    }
+
+    // Check the fields and scripts the repository uses against the compatibility matrix
+    const { exists: specsExists, content, data: specsData } = await context.getSpecsJson();
+    specsContent = content;
+    const spec = specsExists && Array.isArray(specsData?.specs) ? specsData.specs[0] : null;
+    const scripts = packageData?.scripts && typeof packageData.scripts === 'object' ? packageData.scripts : {};
+    let checkedFeatures = 0;
+    for (const rule of matrix) {
+      const used = rule.field
+        ? spec !== null && collectPathValues(spec, rule.field.split('.')).length > 0
+        : Object.prototype.hasOwnProperty.call(scripts, rule.script);
+      if (!used) {
+        continue;
+      }
+      checkedFeatures++;
+
+      const feature = rule.field ? `specs.json field "${rule.field}"` : `npm script "${rule.script}"`;
+      const location = rule.field
+        ? { file: SPECS_JSON_PATH, locate: `"${rule.field.split('.').pop().replace(/\[\]$/, '')}"` }
+        : { file: PACKAGE_JSON_PATH, locate: `"${rule.script}"` };
+      if (rule.since && compareVersions(version, rule.since) < 0) {
+        addIssue('error', 'unsupported-feature', `The ${feature} requires spec-up-t ${rule.since} or later (checked: ${versionText})`, {
+          ...location,
+          suggestion: rule.note || `Upgrade spec-up-t to ${rule.since} or later`
+        });
+      } else if (rule.removed && compareVersions(version, rule.removed) >= 0) {
+        addIssue('error', 'removed-feature', `The ${feature} is not supported since spec-up-t ${rule.removed} (checked: ${versionText})`, {
+          ...location,
+          suggestion: rule.note
+        });
+      } else if (rule.deprecated && compareVersions(version, rule.deprecated) >= 0) {
+        addIssue('warning', 'deprecated-feature', `The ${feature} is deprecated since spec-up-t ${rule.deprecated}`, {
+          ...location,
+          suggestion: rule.note
+        });
+      }
+    }
+
+    // Scripts can only run files that the installed package contains
+    if (installed?.source === 'node_modules') {
+      for (const [name, command] of Object.entries(scripts)) {
+        for (const file of typeof command === 'string' ? findPackageFiles(command) : []) {
+          if (!await packageFileExists(context, file)) {
+            addIssue('error', 'missing-package-file', `npm script "${name}" runs spec-up-t/${file}, which spec-up-t ${versionText} does not contain`, {
+              file: PACKAGE_JSON_PATH,
+              locate: `"${name}"`,
+              suggestion: 'Use the scripts of the installed spec-up-t version (see the package-json check)'
+            });
+          }
+        }
+      }
+    }
+
+    const problems = state.errors.length + state.warnings.length;
+    const status = state.errors.length > 0 ? 'fail' : problems > 0 ? 'warn' : 'pass';
+    const message = status === 'pass'
+      ? `spec-up-t ${versionText} is compatible with this repository`
+      : `spec-up-t ${versionText}: ${problems} compatibility problem(s) found`;
+
+    return createHealthCheckResult(CHECK_NAME, status, message, {
+      findings: state.findings,
+      errors: state.errors,
+      warnings: state.warnings,
+      info: state.info,
+      declaredRange,
+      installedVersion: installed ? installed.version : null,
+      installedFrom: installed ? installed.source : null,
+      checkedVersion: versionText,
+      starterPackRange,
+      checkedFeatures
+    });
+
+  } catch (error) {
+    return createErrorResult(CHECK_NAME, error, {
+      context: 'checking the spec-up-t version',
+      provider: provider.type
+    });
+  }
+}
+
+// Export the health check function as default for easy registration
+export default checkSpecUpTVersion;
@@ -4,12 +4,25 @@
  * This module validates the existence and structure of specs.json files in
  * specification repositories. It ensures that essential spec metadata is
  * present and properly formatted, including URL accessibility and file existence.
+ * The structure is validated against the JSON Schema of specs.json, and every
+ * finding points at the affected value by JSON pointer, line and column.
  *
  * @author spec-up-t-healthcheck
  */
 
 import axios from 'axios';
-import { createHealthCheckResult, createErrorResult } from '../health-check-utils.js';
+import {
+  createHealthCheckResult,
+  createErrorResult,
+  createFinding,
+  findJsonErrorLocation,
+  resolveCheckOptions
+} from '../health-check-utils.js';
+import { createRepositoryContext, SPECS_JSON_PATH } from '../repository-context.js';
+import { defaultNetworkClient, isOfflineError } from '../network.js';
+import { DEFAULT_SPECS_JSON_FIELDS, loadRepositoryReferenceBundle } from '../reference-bundles.js';
+import { validateJsonSchema, mapJsonPointers, locateJsonPointer } from '../json-schema.js';
+import { createSpecsJsonSchema } from '../specs-json-schema.js';
 
 /**
  * The identifier for this health check, used in reports and registries.
@@ -27,37 +40,24 @@ export const CHECK_NAME = 'specs.json';
  * Description of what this health check validates.
  * @type {string}
  */
-export const CHECK_DESCRIPTION = 'Validates the existence and structure of specs.json file, including URL accessibility and file existence';
+export const CHECK_DESCRIPTION = 'Validates specs.json against its JSON Schema, including unknown fields, URL accessibility and file existence';
 
 /**
- * Required fields that must be present in a valid specs.json file.
- * These fields are essential for proper spec functionality in Spec-Up-T.
- * @type {readonly string[]}
+ * Options accepted by this health check.
+ * @type {import('../health-check-utils.js').CheckOptionsSchema}
  */
-const REQUIRED_FIELDS = Object.freeze([
-  'title',
-  'description', 
-  'author',
-  'spec_directory',
-  'spec_terms_directory',
-  'output_path',
-  'markdown_paths',
-  'logo',
-  'logo_link',
-  'source'
-]);
-
-/**
- * Warning fields that should be present but missing values only trigger warnings.
- * @type {readonly string[]}
- */
-const WARNING_FIELDS = Object.freeze(['favicon']);
-
-/**
- * Optional fields that provide info if missing.
- * @type {readonly string[]}
- */
-const OPTIONAL_FIELDS = Object.freeze(['anchor_symbol', 'katex']);
+export const CHECK_OPTIONS = Object.freeze({
+  checkUrls: {
+    type: 'boolean',
+    default: true,
+    description: 'Send HTTP requests to verify that logo, logo_link and favicon are reachable'
+  },
+  checkMarkdownFiles: {
+    type: 'boolean',
+    default: true,
+    description: 'Verify that every file in markdown_paths exists in spec_directory'
+  }
+});
 
 /**
  * Timeout for HTTP requests in milliseconds
@@ -77,6 +77,18 @@ const MAX_REDIRECTS = 5;
  */
 const PROXY_URL = './proxy.php';
 
+/**
+ * JSON pointer of the specs array in specs.json
+ * @type {string}
+ */
+const SPECS_POINTER = '/specs';
+
+/**
+ * JSON pointer of the spec object in specs.json
+ * @type {string}
+ */
+const SPEC_POINTER = '/specs/0';
+
 /**
  * Validates the existence and structure of specs.json in a repository.
  *
@@ -87,17 +99,29 @@ const PROXY_URL = './proxy.php';
  * The check performs the following validations:
  * - File exists at repository root
  * - File contains valid JSON
- * - Root object contains exactly one 'specs' field
- * - 'specs' is an array with exactly one object
- * - Required fields are present and non-empty
+ * - The content matches the JSON Schema of specs.json (see specs-json-schema.js):
+ *   a 'specs' array with exactly one spec object, required fields present and
+ *   non-empty, field types, the subfields of 'source' and 'external_specs',
+ *   and unknown (e.g. misspelled) fields, with the closest known field as suggestion
  * - Warning fields are checked (favicon)
  * - Optional fields are noted if missing
- * - Source object has required subfields
  * - URL accessibility for logo, logo_link, and favicon (HTTP 200 OK)
  * - Markdown files specified in markdown_paths exist in spec_directory
  *
+ * The expected fields come from the reference bundle committed to the
+ * repository for its installed spec-up-t version, if there is one, and
+ * otherwise from {@link DEFAULT_SPECS_JSON_FIELDS}. Findings carry the JSON
+ * pointer of the affected value (e.g. '/specs/0/source/repo') and its line
+ * and column in specs.json.
+ *
  * @param {import('../providers.js').Provider} provider - The provider instance for file operations
+ * @param {Object} [options={}] - Check options (see {@link CHECK_OPTIONS})
+ * @param {boolean} [options.checkUrls=true] - Whether to check URL accessibility
+ * @param {boolean} [options.checkMarkdownFiles=true] - Whether to check that markdown files exist
+ * @param {import('../repository-context.js').RepositoryContext} [context] - Shared repository context; in offline
+ *        mode of its network client, URL accessibility is taken from cached results or skipped
  * @returns {Promise<import('../health-check-utils.js').HealthCheckResult>} The health check result with validation details
+ * @throws {Error} When the options are invalid
  *
  * @example
  * ```javascript
@@ -106,16 +130,24 @@ const PROXY_URL = './proxy.php';
  * console.log(result.status); // 'pass', 'fail', or 'warn'
  * ```
  */
-export async function checkSpecsJson(provider) {
+export async function checkSpecsJson(provider, options = {}, context = createRepositoryContext(provider)) {
+  const { checkUrls, checkMarkdownFiles } = resolveCheckOptions(CHECK_OPTIONS, options, CHECK_ID);
+
   try {
-        // Check if specs.json exists
-    const exists = await provider.fileExists('specs.json');
+    // Check if specs.json exists
+    const { exists, content, data: specsData, parseError } = await context.getSpecsJson();
     if (!exists) {
       return createHealthCheckResult(
         CHECK_NAME,
         'fail',
         'specs.json not found in repository root',
         {
+          findings: [
+            createFinding(`${CHECK_ID}/missing-file`, 'error', 'specs.json not found in repository root', {
+              file: SPECS_JSON_PATH,
+              suggestion: 'Create a specs.json file in your repository root'
+            })
+          ],
           suggestions: [
             'Create a specs.json file in your repository root',
             'Use the Spec-Up-T boilerplate as a template',
@@ -125,60 +157,80 @@ export async function checkSpecsJson(provider) {
       );
     }
 
-    // Read and parse the specs.json file
-    const content = await provider.readFile('specs.json');
-    let specsData;
-
-    try {
-      specsData = JSON.parse(content);
-    } catch (parseError) {
+    if (parseError) {
       return createHealthCheckResult(
         CHECK_NAME,
         'fail',
         'specs.json contains invalid JSON',
         {
-          parseError: parseError.message,
+          findings: [
+            createFinding(`${CHECK_ID}/invalid-json`, 'error', `specs.json contains invalid JSON: ${parseError}`, {
+              file: SPECS_JSON_PATH,
+              ...findJsonErrorLocation(content, parseError)
+            })
+          ],
+          parseError,
           fileContent: content.substring(0, 500) + (content.length > 500 ? '...' : '')
         }
       );
     }
 
-    // Validate basic structure
-    const structureValidation = validateBasicStructure(specsData);
-    if (!structureValidation.isValid) {
+    const validationResults = {
+      errors: [],
+      warnings: [],
+      info: [],
+      success: [],
+      findings: [],
+      content,
+      locations: mapJsonPointers(content)
+    };
+
+    // Take the expected fields from the committed reference bundle, if any
+    const fields = await loadExpectedFields(context, validationResults);
+
+    // Validate against the JSON Schema; without a single spec object nothing else can be checked
+    const schemaErrors = validateJsonSchema(specsData, createSpecsJsonSchema(fields));
+    const structureErrors = schemaErrors.filter(isStructureError);
+    if (structureErrors.length > 0) {
+      structureErrors.forEach(error => addIssue(validationResults, 'error', 'invalid-structure', error.message, {
+        pointer: error.pointer,
+        suggestion: 'specs.json must contain an object with a "specs" array holding exactly one spec object'
+      }));
+      // Misspelled root fields, such as "spec", often cause the structure error
+      schemaErrors
+        .filter(error => error.keyword === 'additionalProperties' && !isWithinPointer(error.pointer, SPECS_POINTER))
+        .forEach(error => addUnknownFieldIssue(validationResults, error));
       return createHealthCheckResult(
         CHECK_NAME,
         'fail',
-        structureValidation.message,
-        { structureError: structureValidation.details }
+        structureErrors[0].message,
+        {
+          findings: validationResults.findings,
+          errors: validationResults.errors,
+          warnings: validationResults.warnings,
+          structureError: { pointer: structureErrors[0].pointer, keyword: structureErrors[0].keyword, ...structureErrors[0].params }
+        }
       );
     }
 
     const spec = specsData.specs[0];
-    const validationResults = {
-      errors: [],
-      warnings: [],
-      info: [],
-      success: []
-    };
+    reportSchemaErrors(schemaErrors, validationResults, fields.required);
 
-    // Validate required fields
-    validateRequiredFields(spec, validationResults);
-    
     // Validate warning fields  
-    validateWarningFields(spec, validationResults);
+    validateWarningFields(spec, validationResults, fields.warning);
     
     // Validate optional fields
-    validateOptionalFields(spec, validationResults);
-    
-    // Validate field types and structure
-    validateFieldTypes(spec, validationResults);
+    validateOptionalFields(spec, validationResults, fields.optional);
     
     // Validate URL accessibility
-    await validateUrlAccessibility(spec, validationResults);
+    if (checkUrls) {
+      await validateUrlAccessibility(spec, validationResults, context.network ?? defaultNetworkClient);
+    }
     
     // Validate markdown file existence
-    await validateMarkdownFiles(spec, provider, validationResults);
+    if (checkMarkdownFiles) {
+      await validateMarkdownFiles(spec, context, validationResults);
+    }
 
     // Determine overall status
     let status = 'pass';
@@ -197,11 +249,15 @@ export async function checkSpecsJson(provider) {
       status,
       message,
       {
+        findings: validationResults.findings,
         errors: validationResults.errors,
         warnings: validationResults.warnings,
         info: validationResults.info,
         success: validationResults.success,
-        totalIssues: validationResults.errors.length + validationResults.warnings.length
+        schemaErrors: schemaErrors.map(({ pointer, keyword, message }) => ({ pointer, keyword, message })),
+        totalIssues: validationResults.errors.length + validationResults.warnings.length,
+        // The spec object could be read, so checks that depend on specs-json can still run
+        blocksDependents: false
       }
     );
 
@@ -211,98 +267,146 @@ export async function checkSpecsJson(provider) {
 }
 
 /**
- * Validates the basic structure of specs.json
- * @param {any} data - Parsed JSON data
- * @returns {{isValid: boolean, message?: string, details?: any}}
+ * Records a problem in the results accumulator.
+ *
+ * The message is added to the errors, warnings or info list for the existing
+ * report sections, and as a finding located at `pointer` in specs.json (or,
+ * for pointers that don't exist, at their closest existing ancestor).
+ *
+ * @param {Object} results - Results accumulator
+ * @param {'error'|'warning'|'info'} severity - Severity of the problem
+ * @param {string} rule - Rule name, without the check ID prefix
+ * @param {string} message - Human-readable description of the problem
+ * @param {Object} [location={}] - Location hints
+ * @param {string} [location.pointer] - JSON pointer of the affected value (e.g. '/specs/0/title')
+ * @param {string} [location.suggestion] - How to fix the problem
  */
-function validateBasicStructure(data) {
-  // Check if data is an object
-  if (typeof data !== 'object' || data === null || Array.isArray(data)) {
-    return {
-      isValid: false,
-      message: 'specs.json must contain a JSON object at root level',
-      details: { actualType: Array.isArray(data) ? 'array' : typeof data }
-    };
-  }
-
-  // Check if it contains exactly one field called 'specs'
-  const keys = Object.keys(data);
-  if (keys.length !== 1) {
-    return {
-      isValid: false,
-      message: `Root object should contain exactly one field, found ${keys.length}: [${keys.join(', ')}]`,
-      details: { foundKeys: keys }
-    };
-  }
-
-  if (keys[0] !== 'specs') {
-    return {
-      isValid: false,
-      message: `Root object should contain field 'specs', found '${keys[0]}'`,
-      details: { foundKey: keys[0] }
-    };
-  }
+function addIssue(results, severity, rule, message, { pointer, suggestion } = {}) {
+  const lists = { error: results.errors, warning: results.warnings, info: results.info };
+  lists[severity].push(message);
+  results.findings.push(createFinding(`${CHECK_ID}/${rule}`, severity, message, {
+    file: SPECS_JSON_PATH,
+    ...(pointer !== undefined && locateJsonPointer(results.content, results.locations, pointer)),
+    pointer,
+    suggestion
+  }));
+}
 
-  // Check if specs is an array
-  if (!Array.isArray(data.specs)) {
-    return {
-      isValid: false,
-      message: 'Field "specs" should be an array',
-      details: { actualType: typeof data.specs }
-    };
-  }
+/**
+ * Tells whether a schema error leaves specs.json without a single spec object.
+ * @param {import('../json-schema.js').SchemaError} error - The schema error
+ * @returns {boolean} True for errors of the root object, the specs array or its item
+ */
+function isStructureError(error) {
+  return error.pointer === '' || error.pointer === SPECS_POINTER
+    || (error.pointer === `${SPECS_POINTER}/0` && error.keyword === 'type');
+}
 
-  // Check if array contains exactly one object
-  if (data.specs.length !== 1) {
-    return {
-      isValid: false,
-      message: `Field "specs" should contain exactly one object, found ${data.specs.length}`,
-      details: { arrayLength: data.specs.length }
-    };
+/**
+ * Loads the expected spec fields from the reference bundle committed for the
+ * installed spec-up-t version. An invalid bundle is reported as a warning and
+ * the default fields are used instead.
+ * @param {import('../repository-context.js').RepositoryContext} context - Shared repository context
+ * @param {Object} results - Results accumulator
+ * @returns {Promise<{required: string[], warning: string[], optional: string[]}>} The expected fields
+ */
+async function loadExpectedFields(context, results) {
+  try {
+    const committed = await loadRepositoryReferenceBundle(context);
+    return committed ? committed.bundle.specsJsonFields : DEFAULT_SPECS_JSON_FIELDS;
+  } catch (error) {
+    results.warnings.push(`${error.message}; the default specs.json fields are used`);
+    results.findings.push(createFinding(`${CHECK_ID}/invalid-reference-bundle`, 'warning', error.message, {
+      suggestion: 'Export the reference bundle again with the "bundle" command'
+    }));
+    return DEFAULT_SPECS_JSON_FIELDS;
   }
+}
 
-  // Check if the single item is an object
-  if (typeof data.specs[0] !== 'object' || data.specs[0] === null || Array.isArray(data.specs[0])) {
-    return {
-      isValid: false,
-      message: 'The item in "specs" array should be an object',
-      details: { actualType: Array.isArray(data.specs[0]) ? 'array' : typeof data.specs[0] }
-    };
+/**
+ * Reports the schema errors in the spec object.
+ *
+ * Unknown fields are warnings, with the closest known field as suggestion;
+ * all other schema errors are errors. Required fields without errors are
+ * listed as successes.
+ * @param {import('../json-schema.js').SchemaError[]} schemaErrors - Schema errors of specs.json
+ * @param {Object} results - Results accumulator
+ * @param {string[]} requiredFields - Fields that must be present and non-empty
+ */
+function reportSchemaErrors(schemaErrors, results, requiredFields) {
+  for (const error of schemaErrors) {
+    const { property } = error.params;
+    if (error.keyword === 'additionalProperties') {
+      addUnknownFieldIssue(results, error);
+      continue;
+    }
+    addIssue(results, 'error', getSchemaRule(error), error.message, {
+      pointer: error.pointer,
+      suggestion: error.keyword === 'required' ? `Add the "${property}" field` : undefined
+    });
   }
 
-  return { isValid: true };
+  requiredFields
+    .filter(field => !schemaErrors.some(error => isWithinPointer(error.pointer, `${SPEC_POINTER}/${field}`)))
+    .forEach(field => results.success.push(`Required field "${field}" is present and valid`));
 }
 
 /**
- * Validates required fields
- * @param {Object} spec - The spec object to validate
+ * Reports an unknown field, suggesting the closest known field if there is one.
  * @param {Object} results - Results accumulator
+ * @param {import('../json-schema.js').SchemaError} error - The `additionalProperties` schema error
  */
-function validateRequiredFields(spec, results) {
-  REQUIRED_FIELDS.forEach(field => {
-    if (!(field in spec)) {
-      results.errors.push(`Required field "${field}" is missing`);
-    } else if (spec[field] === null || spec[field] === undefined || spec[field] === '') {
-      results.errors.push(`Required field "${field}" is empty or null`);
-    } else if (Array.isArray(spec[field]) && spec[field].length === 0) {
-      results.errors.push(`Required field "${field}" is an empty array`);
-    } else {
-      results.success.push(`Required field "${field}" is present and valid`);
-    }
+function addUnknownFieldIssue(results, error) {
+  const { property, suggestion } = error.params;
+  addIssue(results, 'warning', 'unknown-field', error.message, {
+    pointer: error.pointer,
+    suggestion: suggestion ? `Rename "${property}" to "${suggestion}"` : `Remove "${property}" or correct its name`
   });
 }
 
+/**
+ * Returns the rule of a schema error in the spec object.
+ * @param {import('../json-schema.js').SchemaError} error - The schema error
+ * @returns {string} Rule name, without the check ID prefix
+ */
+function getSchemaRule(error) {
+  if (isWithinPointer(error.pointer, `${SPEC_POINTER}/source`) && error.pointer !== `${SPEC_POINTER}/source`) {
+    return 'invalid-source';
+  }
+  if (isWithinPointer(error.pointer, `${SPEC_POINTER}/external_specs/`)) {
+    return 'invalid-external-spec';
+  }
+  if (error.keyword === 'required') {
+    return 'missing-required-field';
+  }
+  return error.keyword === 'type' ? 'invalid-field-type' : 'empty-required-field';
+}
+
+/**
+ * Tells whether a JSON pointer is another pointer or one of its descendants.
+ * @param {string} pointer - The JSON pointer
+ * @param {string} ancestor - The possible ancestor (a trailing slash matches descendants only)
+ * @returns {boolean} True if `pointer` is within `ancestor`
+ */
+function isWithinPointer(pointer, ancestor) {
+  return pointer === ancestor || pointer.startsWith(ancestor.endsWith('/') ? ancestor : `${ancestor}/`);
+}
+
 /**
  * Validates warning fields
  * @param {Object} spec - The spec object to validate  
  * @param {Object} results - Results accumulator
+ * @param {string[]} warningFields - Fields whose absence triggers a warning
  */
-function validateWarningFields(spec, results) {
-  WARNING_FIELDS.forEach(field => {
+function validateWarningFields(spec, results, warningFields) {
+  warningFields.forEach(field => {
     if (!(field in spec)) {
-      results.warnings.push(`Recommended field "${field}" is missing`);
+      addIssue(results, 'warning', 'missing-recommended-field', `Recommended field "${field}" is missing`, {
+        pointer: `${SPEC_POINTER}/${field}`,
+        suggestion: `Add the "${field}" field to the spec object`
+      });
     } else if (spec[field] === null || spec[field] === undefined || spec[field] === '') {
-      results.warnings.push(`Recommended field "${field}" is empty or null`);
+      addIssue(results, 'warning', 'empty-recommended-field', `Recommended field "${field}" is empty or null`, { pointer: `${SPEC_POINTER}/${field}` });
     } else {
       results.success.push(`Recommended field "${field}" is present and valid`);
     }
@@ -313,79 +417,30 @@ function validateWarningFields(spec, results) {
  * Validates optional fields
  * @param {Object} spec - The spec object to validate
  * @param {Object} results - Results accumulator  
+ * @param {string[]} optionalFields - Fields that are noted when absent
  */
-function validateOptionalFields(spec, results) {
-  OPTIONAL_FIELDS.forEach(field => {
+function validateOptionalFields(spec, results, optionalFields) {
+  optionalFields.forEach(field => {
     if (!(field in spec)) {
-      results.info.push(`Optional field "${field}" is not set (this is acceptable)`);
+      addIssue(results, 'info', 'missing-optional-field', `Optional field "${field}" is not set (this is acceptable)`, { pointer: `${SPEC_POINTER}/${field}` });
     } else {
       results.success.push(`Optional field "${field}" is present`);
     }
   });
 }
 
-/**
- * Validates specific field types and formats
- * @param {Object} spec - The spec object to validate
- * @param {Object} results - Results accumulator
- */
-function validateFieldTypes(spec, results) {
-  // Validate markdown_paths is array of strings
-  if (spec.markdown_paths && Array.isArray(spec.markdown_paths)) {
-    if (spec.markdown_paths.every(item => typeof item === 'string')) {
-      results.success.push('Field "markdown_paths" contains valid string array');
-    } else {
-      results.errors.push('Field "markdown_paths" should contain only strings');
-    }
-  }
-
-  // Validate source object structure
-  if (spec.source && typeof spec.source === 'object') {
-    // Note: 'branch' field is no longer required as it's obtained from the spec-up-t:github-repo-info meta tag
-    const requiredSourceFields = ['host', 'account', 'repo'];
-    let sourceValid = true;
-    
-    requiredSourceFields.forEach(field => {
-      if (!(field in spec.source) || !spec.source[field]) {
-        results.errors.push(`Source field "${field}" is missing or empty`);
-        sourceValid = false;
-      }
-    });
-    
-    if (sourceValid) {
-      results.success.push('Source object structure is valid');
-    }
-  }
-
-  // Validate external_specs if present
-  if (spec.external_specs) {
-    if (Array.isArray(spec.external_specs)) {
-      spec.external_specs.forEach((extSpec, index) => {
-        const requiredExtFields = ['external_spec', 'gh_page', 'url'];
-        requiredExtFields.forEach(field => {
-          if (!(field in extSpec) || !extSpec[field]) {
-            results.errors.push(`External spec ${index} missing "${field}"`);
-          }
-        });
-      });
-      results.success.push(`External specs array contains ${spec.external_specs.length} entries`);
-    } else {
-      results.errors.push('Field "external_specs" should be an array');
-    }
-  }
-
-  // Validate katex is boolean if present
-  if ('katex' in spec && typeof spec.katex !== 'boolean') {
-    results.errors.push('Field "katex" should be a boolean value');
-  }
-}
-
 /**
  * Validates URL accessibility for logo, logo_link, and favicon fields
+ *
+ * Results are cached by the network client, so that offline runs can report
+ * the last known accessibility. Offline URLs without a cached result are
+ * noted as info instead of being checked.
+ *
  * @param {Object} spec - The spec object to validate
  * @param {Object} results - Results accumulator
+ * @param {import('../network.js').NetworkClient} network - The network client
  */
-async function validateUrlAccessibility(spec, results) {
+async function validateUrlAccessibility(spec, results, network) {
   const urlFields = [
     { field: 'logo', required: true },
     { field: 'logo_link', required: true },
@@ -395,22 +450,31 @@ async function validateUrlAccessibility(spec, results) {
   for (const { field, required } of urlFields) {
     if (spec[field]) {
       try {
-        const accessibility = await checkUrlAccessibility(spec[field], field);
+        const accessibility = await network.cached(
+          `${CHECK_ID}:${field}:${spec[field]}`,
+          () => checkUrlAccessibility(spec[field], field),
+          // Only HTTP responses are cached, not failures to reach the server
+          { ttl: 0, cacheable: accessibility => accessibility.statusCode !== undefined }
+        );
+        const cachedNote = network.offline ? ' (cached result)' : '';
         if (accessibility.isAccessible) {
-          results.success.push(`${field} URL is accessible (HTTP ${accessibility.statusCode})`);
+          results.success.push(`${field} URL is accessible (HTTP ${accessibility.statusCode})${cachedNote}`);
         } else {
-          if (required) {
-            results.errors.push(`${field} URL is not accessible: ${accessibility.message}`);
-          } else {
-            results.warnings.push(`${field} URL is not accessible: ${accessibility.message}`);
-          }
+          // The response is left out of the message, which identifies the finding in baselines
+          addIssue(results, required ? 'error' : 'warning', 'inaccessible-url', `${field} URL is not accessible`, {
+            pointer: `${SPEC_POINTER}/${field}`,
+            suggestion: `Fix the URL or make it publicly reachable (${accessibility.message}${cachedNote})`
+          });
         }
       } catch (error) {
-        if (required) {
-          results.errors.push(`Failed to check ${field} URL accessibility: ${error.message}`);
-        } else {
-          results.warnings.push(`Failed to check ${field} URL accessibility: ${error.message}`);
+        if (isOfflineError(error)) {
+          results.info.push(`${field} URL accessibility not checked (offline mode, no cached result)`);
+          continue;
         }
+        addIssue(results, required ? 'error' : 'warning', 'inaccessible-url', `Failed to check ${field} URL accessibility`, {
+          pointer: `${SPEC_POINTER}/${field}`,
+          suggestion: `Check the URL and the network connection (${error.message})`
+        });
       }
     }
   }
@@ -419,37 +483,43 @@ async function validateUrlAccessibility(spec, results) {
 /**
  * Validates that markdown files specified in markdown_paths exist in spec_directory
  * @param {Object} spec - The spec object to validate
- * @param {import('../providers.js').Provider} provider - The provider instance for file operations
+ * @param {import('../repository-context.js').RepositoryContext} context - Shared repository context for file operations
  * @param {Object} results - Results accumulator
  */
-async function validateMarkdownFiles(spec, provider, results) {
+async function validateMarkdownFiles(spec, context, results) {
   if (!spec.markdown_paths || !Array.isArray(spec.markdown_paths)) {
     return;
   }
 
   if (!spec.spec_directory) {
-    results.errors.push('Cannot validate markdown files: spec_directory is not defined');
+    addIssue(results, 'error', 'missing-spec-directory', 'Cannot validate markdown files: spec_directory is not defined', { pointer: `${SPEC_POINTER}/markdown_paths` });
     return;
   }
 
-  for (const markdownFile of spec.markdown_paths) {
+  for (const [index, markdownFile] of spec.markdown_paths.entries()) {
     if (typeof markdownFile !== 'string') {
-      results.errors.push(`Invalid markdown_paths entry: "${markdownFile}" is not a string`);
+      // Reported by the schema validation
       continue;
     }
+    const pointer = `${SPEC_POINTER}/markdown_paths/${index}`;
 
     // Construct the full path to the markdown file
     const filePath = `${spec.spec_directory.replace(/\/$/, '')}/${markdownFile}`;
     
     try {
-      const exists = await provider.fileExists(filePath);
+      const exists = await context.fileExists(filePath);
       if (exists) {
         results.success.push(`Markdown file "${markdownFile}" exists in spec_directory`);
       } else {
-        results.errors.push(`Markdown file "${markdownFile}" not found in spec_directory "${spec.spec_directory}"`);
+        addIssue(results, 'error', 'missing-markdown-file', `Markdown file "${markdownFile}" not found in spec_directory "${spec.spec_directory}"`, {
+          pointer,
+          suggestion: `Create ${filePath} or remove it from markdown_paths`
+        });
       }
     } catch (error) {
-      results.errors.push(`Failed to check existence of markdown file "${markdownFile}": ${error.message}`);
+      addIssue(results, 'error', 'missing-markdown-file', `Failed to check existence of markdown file "${markdownFile}": ${error.message}`, {
+        pointer
+      });
     }
   }
 }
@@ -0,0 +1,403 @@
+/**
+ * @fileoverview Terminology validation health check module
+ *
+ * This module validates the Spec-Up-T terminology markup of a specification:
+ * the `[[def: ...]]` definitions in spec_terms_directory and the `[[ref: ...]]`,
+ * `[[xref: ...]]` and `[[tref: ...]]` references throughout the spec markdown
+ * (see spec-markup.js for the syntax). It reports terms that are defined more
+ * than once, aliases that collide with other terms, references to undefined
+ * terms, definitions that are never referenced and term files with more than
+ * one definition.
+ *
+ * External references (xref and tref) are only checked for their syntax here;
+ * they are listed in the details for checks that resolve them.
+ *
+ * This check works on markdown source files so it can run in both
+ * Node.js and browser environments.
+ *
+ * @author spec-up-t-healthcheck
+ */
+
+import { createHealthCheckResult, createErrorResult, createFinding, resolveCheckOptions } from '../health-check-utils.js';
+import { createRepositoryContext } from '../repository-context.js';
+import { parseSuppressions, findSuppression } from '../suppressions.js';
+import { parseTermMarkup, normalizeTerm, getTermsDirectory, getSpecMarkdownPaths } from '../spec-markup.js';
+
+/**
+ * The identifier for this health check, used in reports and registries.
+ * @type {string}
+ */
+export const CHECK_ID = 'terminology';
+
+/**
+ * Human-readable name for this health check.
+ * @type {string}
+ */
+export const CHECK_NAME = 'Terminology Validation';
+
+/**
+ * Description of what this health check validates.
+ * @type {string}
+ */
+export const CHECK_DESCRIPTION = 'Validates term definitions and references (def, ref, xref and tref markup)';
+
+/**
+ * Options accepted by this health check.
+ * @type {import('../health-check-utils.js').CheckOptionsSchema}
+ */
+export const CHECK_OPTIONS = Object.freeze({
+  reportUnusedDefinitions: {
+    type: 'boolean',
+    default: true,
+    description: 'Report definitions that are never referenced with [[ref: ...]] (as info)'
+  }
+});
+
+/**
+ * @typedef {Object} TermDefinition
+ * @property {'def'|'tref'} type - Whether the term is defined locally or transcluded
+ * @property {string} term - The term as written
+ * @property {string} key - The normalized term
+ * @property {string[]} aliases - Aliases of the term
+ * @property {string} [spec] - The external specification of a transcluded term
+ * @property {string} file - File of the definition
+ * @property {number} line - Line of the definition
+ * @property {number} column - Column of the definition
+ * @private
+ */
+
+/**
+ * Returns the directory of a repository-relative file path.
+ *
+ * @param {string} filePath - The file path
+ * @returns {string} The directory ('' for the repository root)
+ * @private
+ */
+function getParentPath(filePath) {
+  const separator = filePath.lastIndexOf('/');
+  return separator === -1 ? '' : filePath.slice(0, separator);
+}
+
+/**
+ * Formats the location of a definition for messages, e.g. 'spec/terms/vc.md:1'.
+ *
+ * @param {TermDefinition} definition - The definition
+ * @returns {string} The location
+ * @private
+ */
+function formatLocation(definition) {
+  return `${definition.file}:${definition.line}`;
+}
+
+/**
+ * Records a problem as a finding and as a message, unless an inline comment
+ * suppresses it.
+ *
+ * @param {Object} state - Results being collected
+ * @param {'error'|'warning'|'info'} severity - Severity of the problem
+ * @param {string} rule - Rule name, without the check ID prefix
+ * @param {string} message - Human-readable description of the problem
+ * @param {Object} location - Where the problem is
+ * @param {string} location.file - The markdown file
+ * @param {number} location.line - The line of the markup
+ * @param {number} location.column - The column of the markup
+ * @param {string} [location.suggestion] - How to fix the problem
+ * @private
+ */
+function addIssue(state, severity, rule, message, { file, line, column, suggestion }) {
+  const ruleId = `${CHECK_ID}/${rule}`;
+  const finding = createFinding(ruleId, severity, message, { file, line, column, suggestion });
+
+  const suppression = findSuppression(state.suppressions.get(file) || [], ruleId, line);
+  if (suppression) {
+    state.suppressedFindings.push({
+      ...finding,
+      suppressedBy: { directive: suppression.directive, line: suppression.line }
+    });
+    return;
+  }
+
+  state.findings.push(finding);
+  const messages = { error: state.errors, warning: state.warnings, info: state.info }[severity];
+  messages.push(`${file}:${line}: ${message}`);
+}
+
+/**
+ * Collects the definitions and references of a markdown file.
+ *
+ * Malformed markup is reported, as are term files with more than one
+ * definition (Spec-Up-T expects one term per file).
+ *
+ * @param {Object} state - Results being collected
+ * @param {string} file - Path of the markdown file
+ * @param {string} content - Content of the file
+ * @param {boolean} isTermFile - Whether the file is in spec_terms_directory
+ * @private
+ */
+function collectMarkup(state, file, content, isTermFile) {
+  const fileDefinitions = [];
+
+  for (const markup of parseTermMarkup(content)) {
+    const location = { file, line: markup.line, column: markup.column };
+    const [first, second, ...rest] = markup.args;
+
+    if (markup.type === 'def' || markup.type === 'ref') {
+      if (!first) {
+        addIssue(state, 'warning', 'invalid-markup', `${markup.source} does not name a term`, {
+          ...location,
+          suggestion: `Write [[${markup.type}: term]]`
+        });
+        continue;
+      }
+      if (markup.type === 'def') {
+        fileDefinitions.push({ type: 'def', term: first, key: normalizeTerm(first), aliases: [second, ...rest].filter(Boolean), ...location });
+      } else {
+        state.references.push({ term: first, key: normalizeTerm(first), ...location });
+      }
+      continue;
+    }
+
+    // xref and tref name the external specification first, then the term
+    if (!first || !second) {
+      addIssue(state, 'warning', 'invalid-markup', `${markup.source} must name an external specification and a term`, {
+        ...location,
+        suggestion: `Write [[${markup.type}: spec, term]], using a spec from external_specs in specs.json`
+      });
+      continue;
+    }
+    state.externalReferences.push({ type: markup.type, spec: first, term: second, ...location });
+    if (markup.type === 'tref') {
+      fileDefinitions.push({ type: 'tref', term: second, key: normalizeTerm(second), aliases: rest.filter(Boolean), spec: first, ...location });
+    }
+  }
+
+  if (isTermFile && fileDefinitions.length > 1) {
+    const terms = fileDefinitions.map(definition => `"${definition.term}"`).join(', ');
+    for (const definition of fileDefinitions.slice(1)) {
+      addIssue(state, 'warning', 'multiple-definitions-in-file', `Term file defines ${fileDefinitions.length} terms (${terms}); each term file should define one term`, {
+        file,
+        line: definition.line,
+        column: definition.column,
+        suggestion: `Move the definition of "${definition.term}" to its own file in spec_terms_directory`
+      });
+    }
+  }
+
+  state.definitions.push(...fileDefinitions);
+}
+
+/**
+ * Indexes the definitions by term and alias, reporting duplicate terms and
+ * colliding aliases.
+ *
+ * All terms are indexed before the aliases, so an alias that matches a term is
+ * reported as colliding no matter in which file either is defined. Aliases of
+ * duplicate definitions are indexed as well, so references to them resolve.
+ *
+ * @param {Object} state - Results being collected
+ * @returns {Map<string, TermDefinition>} Definitions by normalized term and alias
+ * @private
+ */
+function indexDefinitions(state) {
+  const terms = new Map();
+  for (const definition of state.definitions) {
+    const existing = terms.get(definition.key);
+    if (existing) {
+      addIssue(state, 'error', 'duplicate-definition', `Term "${definition.term}" is already defined`, {
+        file: definition.file,
+        line: definition.line,
+        column: definition.column,
+        suggestion: `Remove this definition or the one in ${formatLocation(existing)}, or give the terms distinct names`
+      });
+    } else {
+      terms.set(definition.key, definition);
+    }
+  }
+
+  const aliases = new Map();
+  for (const definition of state.definitions) {
+    for (const alias of definition.aliases) {
+      const key = normalizeTerm(alias);
+      if (key === definition.key) {
+        continue;
+      }
+      const term = terms.get(key);
+      const aliasOwner = aliases.get(key);
+
+      let collision = null;
+      let other = null;
+      if (term && term !== definition) {
+        collision = `term "${term.term}"`;
+        other = term;
+      } else if (aliasOwner && aliasOwner !== definition) {
+        collision = `an alias of term "${aliasOwner.term}"`;
+        other = aliasOwner;
+      }
+
+      if (collision) {
+        addIssue(state, 'error', 'alias-collision', `Alias "${alias}" of term "${definition.term}" collides with ${collision}`, {
+          file: definition.file,
+          line: definition.line,
+          column: definition.column,
+          suggestion: `Remove or rename the alias "${alias}", or the colliding name in ${formatLocation(other)}`
+        });
+      } else {
+        aliases.set(key, definition);
+      }
+    }
+  }
+
+  return new Map([...aliases, ...terms]);
+}
+
+/**
+ * Validates the terminology of a Spec-Up-T specification.
+ *
+ * This health check reads the markdown files in spec_directory and
+ * spec_terms_directory (from the first spec in specs.json) and validates:
+ * - Every term is defined once (`duplicate-definition`, error)
+ * - Aliases don't match other terms or their aliases (`alias-collision`, error)
+ * - Every `[[ref: ...]]` names a defined term or alias (`undefined-reference`, error)
+ * - Every definition is referenced (`unused-definition`, info)
+ * - Term files define a single term (`multiple-definitions-in-file`, warning)
+ * - Markup names its term and, for xref and tref, its specification (`invalid-markup`, warning)
+ *
+ * Terms transcluded with `[[tref: ...]]` count as local definitions. Findings
+ * can be suppressed with inline comments such as
+ * `<!-- healthcheck-disable-next-line terminology/unused-definition -->`
+ * (see suppressions.js).
+ *
+ * @param {import('../providers.js').Provider} provider - The provider instance for file operations
+ * @param {Object} [options={}] - Check options (see {@link CHECK_OPTIONS})
+ * @param {boolean} [options.reportUnusedDefinitions=true] - Whether to report unreferenced definitions
+ * @param {import('../repository-context.js').RepositoryContext} [context] - Shared repository context
+ * @returns {Promise<import('../health-check-utils.js').HealthCheckResult>} The health check result
+ * @throws {Error} When the options are invalid
+ *
+ * @example
+ * ```javascript
+ * const provider = createLocalProvider('/path/to/repo');
+ * const result = await checkTerminology(provider);
+ * console.log(result.status); // 'pass', 'fail' or 'warn'
+ * console.log(result.details.externalReferences); // xrefs and trefs with their locations
+ * ```
+ */
+export async function checkTerminology(provider, options = {}, context = createRepositoryContext(provider)) {
+  const { reportUnusedDefinitions } = resolveCheckOptions(CHECK_OPTIONS, options, CHECK_ID);
+
+  try {
+    const { exists, data: specsData, parseError } = await context.getSpecsJson();
+    if (!exists || parseError || !Array.isArray(specsData.specs) || specsData.specs.length === 0) {
+      return createHealthCheckResult(
+        CHECK_ID,
+        'skip',
+        `${!exists ? 'specs.json not found' : 'specs.json is invalid'} - cannot locate the specification terms`,
+        {}
+      );
+    }
+
+    const spec = specsData.specs[0];
+    const termsDirectory = getTermsDirectory(spec);
+    const searchPaths = getSpecMarkdownPaths(spec);
+    if (searchPaths.length === 0) {
+      return createHealthCheckResult(
+        CHECK_ID,
+        'skip',
+        'specs.json defines neither spec_directory nor spec_terms_directory - cannot locate the specification terms',
+        {}
+      );
+    }
+
+    const state = {
+      findings: [],
+      suppressedFindings: [],
+      errors: [],
+      warnings: [],
+      info: [],
+      suppressions: new Map(),
+      definitions: [],
+      references: [],
+      externalReferences: []
+    };
+
+    const files = await context.findMarkdownFiles(searchPaths);
+    let termFiles = 0;
+    for (const file of files) {
+      let content;
+      try {
+        content = await context.readFile(file);
+      } catch (error) {
+        continue; // File could not be read — skip it
+      }
+
+      const isTermFile = termsDirectory !== null && getParentPath(file) === termsDirectory;
+      if (isTermFile) termFiles++;
+      state.suppressions.set(file, parseSuppressions(content));
+      collectMarkup(state, file, content, isTermFile);
+    }
+
+    const definitionsByKey = indexDefinitions(state);
+
+    const used = new Set();
+    for (const reference of state.references) {
+      const definition = definitionsByKey.get(reference.key);
+      if (definition) {
+        used.add(definition);
+      } else {
+        addIssue(state, 'error', 'undefined-reference', `Reference to undefined term "${reference.term}"`, {
+          file: reference.file,
+          line: reference.line,
+          column: reference.column,
+          suggestion: 'Define the term in spec_terms_directory, or reference an existing term or alias'
+        });
+      }
+    }
+
+    const definitions = [...new Set(definitionsByKey.values())];
+    if (reportUnusedDefinitions) {
+      // Duplicates are reported already; only the first definition of a term needs references
+      const unused = definitions.filter(definition => !used.has(definition) && definitionsByKey.get(definition.key) === definition);
+      for (const definition of unused) {
+        addIssue(state, 'info', 'unused-definition', `Term "${definition.term}" is defined but never referenced`, {
+          file: definition.file,
+          line: definition.line,
+          column: definition.column,
+          suggestion: `Reference it with [[ref: ${definition.term}]] or remove the definition`
+        });
+      }
+    }
+
+    const suppressedNote = state.suppressedFindings.length > 0 ? ` (${state.suppressedFindings.length} suppressed)` : '';
+    let status = 'pass';
+    let message = `${definitions.length} term(s) defined and ${state.references.length} reference(s) resolved${suppressedNote}`;
+    if (state.errors.length > 0 || state.warnings.length > 0) {
+      status = state.errors.length > 0 ? 'fail' : 'warn';
+      const problems = [
+        state.errors.length > 0 && `${state.errors.length} error(s)`,
+        state.warnings.length > 0 && `${state.warnings.length} warning(s)`
+      ].filter(Boolean).join(' and ');
+      message = `Found ${problems} in the terminology${suppressedNote}`;
+    }
+
+    return createHealthCheckResult(CHECK_ID, status, message, {
+      findings: state.findings,
+      suppressedFindings: state.suppressedFindings,
+      errors: state.errors,
+      warnings: state.warnings,
+      info: state.info,
+      termsDirectory,
+      filesChecked: files.length,
+      termFiles,
+      definitions: definitions.map(({ key, ...definition }) => definition),
+      referenceCount: state.references.length,
+      externalReferences: state.externalReferences
+    });
+
+  } catch (error) {
+    return createErrorResult(
+      CHECK_ID,
+      `Failed to validate terminology: ${error.message}`,
+      { error: error.message, stack: error.stack }
+    );
+  }
+}
@@ -0,0 +1,413 @@
+/**
+ * @fileoverview xtrefs cache health check module
+ *
+ * Spec-Up-T collects the external references of a specification
+ * (`[[xref: ...]]` and `[[tref: ...]]`) into `.cache/xtrefs-data.json` when it
+ * runs `collectExternalReferences`, and renders external terms from that
+ * cache. This module compares the cache with the references currently in the
+ * markdown sources, so authors know when to run the collection again:
+ * references missing from the cache, entries that are stale because the
+ * external spec's declaration changed, entries no longer referenced, and a
+ * cache that is older than the markdown it was collected from.
+ *
+ * This check only reads repository files, so it can run in both Node.js and
+ * browser environments. The age comparison needs modification times, which
+ * only the local provider offers.
+ *
+ * @author spec-up-t-healthcheck
+ */
+
+import {
+  createHealthCheckResult,
+  createErrorResult,
+  createFinding,
+  findTextLocation,
+  findJsonErrorLocation,
+  resolveCheckOptions
+} from '../health-check-utils.js';
+import { createRepositoryContext } from '../repository-context.js';
+import { parseSuppressions, findSuppression } from '../suppressions.js';
+import { parseTermMarkup, normalizeTerm, getSpecMarkdownPaths } from '../spec-markup.js';
+import { parseXtrefsData, XTREFS_DATA_PATH } from '../xtrefs-data.js';
+
+/**
+ * The identifier for this health check, used in reports and registries.
+ * @type {string}
+ */
+export const CHECK_ID = 'xtrefs-cache';
+
+/**
+ * Human-readable name for this health check.
+ * @type {string}
+ */
+export const CHECK_NAME = 'External References Cache';
+
+/**
+ * Description of what this health check validates.
+ * @type {string}
+ */
+export const CHECK_DESCRIPTION = 'Validates that the xtrefs cache matches the external references in the markdown';
+
+/**
+ * Options accepted by this health check.
+ * @type {import('../health-check-utils.js').CheckOptionsSchema}
+ */
+export const CHECK_OPTIONS = Object.freeze({
+  xtrefsDataPath: {
+    type: 'string',
+    default: XTREFS_DATA_PATH,
+    description: 'Path of the xtrefs cache generated by Spec-Up-T'
+  }
+});
+
+/**
+ * How to regenerate the cache, used in suggestions.
+ * @type {string}
+ * @private
+ */
+const COLLECT_SUGGESTION = 'Run "npm run collectExternalReferences" to update the xtrefs cache';
+
+/**
+ * Fields of cached entries that are copied from the external_specs declaration
+ * in specs.json, by the name of the declaration field.
+ * @type {Object<string, string>}
+ * @private
+ */
+const DECLARATION_FIELDS = Object.freeze({
+  url: 'repoUrl',
+  gh_page: 'ghPageUrl',
+  terms_dir: 'terms_dir'
+});
+
+/**
+ * Builds the key that identifies a referenced term of an external spec.
+ *
+ * @param {string} externalSpec - ID of the external specification
+ * @param {string} term - The term
+ * @returns {string} The key
+ * @private
+ */
+function getReferenceKey(externalSpec, term) {
+  return `${externalSpec}/${normalizeTerm(term)}`;
+}
+
+/**
+ * Normalizes a declaration value for comparison, ignoring trailing slashes.
+ *
+ * @param {any} value - The value
+ * @returns {string} The normalized value
+ * @private
+ */
+function normalizeDeclarationValue(value) {
+  return String(value).trim().replace(/\/+$/, '');
+}
+
+/**
+ * Escapes a string for use in a regular expression.
+ *
+ * @param {string} text - The text to escape
+ * @returns {string} The escaped text
+ * @private
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Records a problem as a finding and as a message, unless an inline comment
+ * suppresses it.
+ *
+ * @param {Object} state - Results being collected
+ * @param {'error'|'warning'} severity - Severity of the problem
+ * @param {string} rule - Rule name, without the check ID prefix
+ * @param {string} message - Human-readable description of the problem
+ * @param {Object} location - Where the problem is
+ * @param {string} location.file - The file of the problem
+ * @param {number} [location.line] - The line of the problem
+ * @param {number} [location.column] - The column of the problem
+ * @param {string} [location.suggestion] - How to fix the problem
+ * @private
+ */
+function addIssue(state, severity, rule, message, { file, line, column, suggestion }) {
+  const ruleId = `${CHECK_ID}/${rule}`;
+  const finding = createFinding(ruleId, severity, message, { file, line, column, suggestion });
+
+  const suppression = findSuppression(state.suppressions.get(file) || [], ruleId, line);
+  if (suppression) {
+    state.suppressedFindings.push({
+      ...finding,
+      suppressedBy: { directive: suppression.directive, line: suppression.line }
+    });
+    return;
+  }
+
+  state.findings.push(finding);
+  (severity === 'error' ? state.errors : state.warnings).push(line ? `${file}:${line}: ${message}` : `${file}: ${message}`);
+}
+
+/**
+ * Finds the declaration values that changed since an entry was cached.
+ *
+ * Only fields present both in the entry and in the declaration are compared,
+ * since older Spec-Up-T versions don't cache all of them.
+ *
+ * @param {Object} entryData - The cached entry
+ * @param {Object} [declaration] - The external_specs declaration of the entry's spec
+ * @returns {string[]} Names of the changed declaration fields
+ * @private
+ */
+function findChangedDeclarationFields(entryData, declaration) {
+  if (!declaration) {
+    return [];
+  }
+  return Object.entries(DECLARATION_FIELDS)
+    .filter(([declarationField, entryField]) =>
+      declaration[declarationField] !== undefined &&
+      entryData[entryField] !== undefined &&
+      normalizeDeclarationValue(declaration[declarationField]) !== normalizeDeclarationValue(entryData[entryField]))
+    .map(([declarationField]) => declarationField);
+}
+
+/**
+ * Compares the age of the cache with the newest markdown file, when the
+ * provider offers modification times.
+ *
+ * @param {Object} state - Results being collected
+ * @param {import('../providers.js').Provider} provider - The provider
+ * @param {string} xtrefsDataPath - Path of the cache
+ * @param {string[]} files - The markdown files the cache was collected from
+ * @returns {Promise<{cacheModified: string, newestFile: string, newestModified: string}|null>}
+ *          The compared times, or null if they aren't available
+ * @private
+ */
+async function compareCacheAge(state, provider, xtrefsDataPath, files) {
+  if (typeof provider.getModifiedTime !== 'function') {
+    state.info.push(`The age of the cache was not checked: ${provider.type} repositories have no modification times`);
+    return null;
+  }
+
+  const cacheModified = await provider.getModifiedTime(xtrefsDataPath);
+  let newest = null;
+  for (const file of files) {
+    try {
+      const modified = await provider.getModifiedTime(file);
+      if (!newest || modified > newest.modified) {
+        newest = { file, modified };
+      }
+    } catch (error) {
+      // File disappeared or can't be accessed — skip it
+    }
+  }
+  if (!newest) {
+    return null;
+  }
+
+  if (newest.modified > cacheModified) {
+    addIssue(state, 'warning', 'outdated-cache', 'The xtrefs cache is older than the newest markdown file', {
+      file: xtrefsDataPath,
+      suggestion: COLLECT_SUGGESTION
+    });
+  }
+  return {
+    cacheModified: cacheModified.toISOString(),
+    newestFile: newest.file,
+    newestModified: newest.modified.toISOString()
+  };
+}
+
+/**
+ * Validates the xtrefs cache against the external references in the markdown.
+ *
+ * This health check reads the markdown files in spec_directory and
+ * spec_terms_directory (from the first spec in specs.json) and the xtrefs
+ * cache, and reports:
+ * - References that are not in the cache (`missing-entry`, warning)
+ * - Entries cached with an external_specs declaration that has changed since (`stale-entry`, warning)
+ * - Entries no longer referenced in the markdown (`orphaned-entry`, warning)
+ * - A cache older than the newest markdown file (`outdated-cache`, warning)
+ * - A missing cache while there are external references (`missing-cache`, warning)
+ * - A cache that can't be parsed (`invalid-cache`, error)
+ *
+ * Findings in markdown can be suppressed with inline comments such as
+ * `<!-- healthcheck-disable-next-line xtrefs-cache/missing-entry -->`
+ * (see suppressions.js).
+ *
+ * @param {import('../providers.js').Provider} provider - The provider instance for file operations
+ * @param {Object} [options={}] - Check options (see {@link CHECK_OPTIONS})
+ * @param {string} [options.xtrefsDataPath='.cache/xtrefs-data.json'] - Path of the xtrefs cache
+ * @param {import('../repository-context.js').RepositoryContext} [context] - Shared repository context
+ * @returns {Promise<import('../health-check-utils.js').HealthCheckResult>} The health check result
+ * @throws {Error} When the options are invalid
+ *
+ * @example
+ * ```javascript
+ * const provider = createLocalProvider('/path/to/repo');
+ * const result = await checkXtrefsCache(provider);
+ * if (result.status === 'warn') console.log('Run npm run collectExternalReferences');
+ * ```
+ */
+export async function checkXtrefsCache(provider, options = {}, context = createRepositoryContext(provider)) {
+  const { xtrefsDataPath } = resolveCheckOptions(CHECK_OPTIONS, options, CHECK_ID);
+
+  try {
+    const { exists, data: specsData, parseError } = await context.getSpecsJson();
+    if (!exists || parseError || !Array.isArray(specsData.specs) || specsData.specs.length === 0) {
+      return createHealthCheckResult(
+        CHECK_ID,
+        'skip',
+        `${!exists ? 'specs.json not found' : 'specs.json is invalid'} - cannot locate the external references`,
+        {}
+      );
+    }
+
+    const spec = specsData.specs[0];
+    const state = {
+      findings: [],
+      suppressedFindings: [],
+      errors: [],
+      warnings: [],
+      info: [],
+      suppressions: new Map()
+    };
+
+    // Collect the external references, keeping the first occurrence of each term
+    const references = new Map();
+    const files = await context.findMarkdownFiles(getSpecMarkdownPaths(spec));
+    for (const file of files) {
+      let content;
+      try {
+        content = await context.readFile(file);
+      } catch (error) {
+        continue; // File could not be read — skip it
+      }
+
+      state.suppressions.set(file, parseSuppressions(content));
+      for (const markup of parseTermMarkup(content)) {
+        const [externalSpec, term] = markup.args;
+        if ((markup.type === 'xref' || markup.type === 'tref') && externalSpec && term) {
+          const key = getReferenceKey(externalSpec, term);
+          if (!references.has(key)) {
+            references.set(key, { source: markup.source, externalSpec, term, file, line: markup.line, column: markup.column });
+          }
+        }
+      }
+    }
+
+    if (!await context.fileExists(xtrefsDataPath)) {
+      if (references.size === 0) {
+        return createHealthCheckResult(CHECK_ID, 'pass', 'No external references, so no xtrefs cache is needed', {
+          path: xtrefsDataPath,
+          fileExists: false,
+          referenceCount: 0
+        });
+      }
+
+      addIssue(state, 'warning', 'missing-cache', `The xtrefs cache is missing, so external references can't be rendered`, {
+        file: xtrefsDataPath,
+        suggestion: COLLECT_SUGGESTION
+      });
+      return createHealthCheckResult(CHECK_ID, 'warn', `xtrefs cache not found (${references.size} external reference(s) to collect)`, {
+        findings: state.findings,
+        warnings: state.warnings,
+        path: xtrefsDataPath,
+        fileExists: false,
+        referenceCount: references.size
+      });
+    }
+
+    const cacheContent = await context.readFile(xtrefsDataPath);
+    let entries;
+    try {
+      entries = parseXtrefsData(cacheContent);
+    } catch (error) {
+      addIssue(state, 'error', 'invalid-cache', error.message, {
+        file: xtrefsDataPath,
+        ...findJsonErrorLocation(cacheContent, error.message),
+        suggestion: COLLECT_SUGGESTION
+      });
+      return createHealthCheckResult(CHECK_ID, 'fail', 'The xtrefs cache cannot be parsed', {
+        findings: state.findings,
+        errors: state.errors,
+        path: xtrefsDataPath,
+        fileExists: true
+      });
+    }
+
+    const declarations = new Map((Array.isArray(spec.external_specs) ? spec.external_specs : [])
+      .filter(declaration => declaration && typeof declaration.external_spec === 'string')
+      .map(declaration => [declaration.external_spec, declaration]));
+
+    const cachedKeys = new Set();
+    let staleEntries = 0;
+    let orphanedEntries = 0;
+    for (const entry of entries) {
+      const key = getReferenceKey(entry.externalSpec, entry.term);
+      cachedKeys.add(key);
+      const entryLocation = {
+        file: xtrefsDataPath,
+        ...findTextLocation(cacheContent, new RegExp(`"term"\\s*:\\s*${escapeRegExp(JSON.stringify(entry.term))}`))
+      };
+
+      if (!references.has(key)) {
+        orphanedEntries++;
+        addIssue(state, 'warning', 'orphaned-entry', `Cached term "${entry.term}" of "${entry.externalSpec}" is no longer referenced`, {
+          ...entryLocation,
+          suggestion: COLLECT_SUGGESTION
+        });
+        continue;
+      }
+
+      const changedFields = findChangedDeclarationFields(entry.data, declarations.get(entry.externalSpec));
+      if (changedFields.length > 0) {
+        staleEntries++;
+        addIssue(state, 'warning', 'stale-entry', `Cached term "${entry.term}" of "${entry.externalSpec}" was collected with a different ${changedFields.join(', ')} than external_specs declares`, {
+          ...entryLocation,
+          suggestion: COLLECT_SUGGESTION
+        });
+      }
+    }
+
+    let missingEntries = 0;
+    for (const [key, reference] of references) {
+      if (!cachedKeys.has(key)) {
+        missingEntries++;
+        addIssue(state, 'warning', 'missing-entry', `${reference.source} is not in the xtrefs cache`, {
+          file: reference.file,
+          line: reference.line,
+          column: reference.column,
+          suggestion: COLLECT_SUGGESTION
+        });
+      }
+    }
+
+    const age = await compareCacheAge(state, provider, xtrefsDataPath, files);
+
+    const suppressedNote = state.suppressedFindings.length > 0 ? ` (${state.suppressedFindings.length} suppressed)` : '';
+    const status = state.warnings.length > 0 ? 'warn' : 'pass';
+    const message = status === 'pass'
+      ? `The xtrefs cache is up to date with ${references.size} external reference(s)${suppressedNote}`
+      : `The xtrefs cache is out of date: ${state.warnings.length} problem(s) found${suppressedNote}`;
+
+    return createHealthCheckResult(CHECK_ID, status, message, {
+      findings: state.findings,
+      suppressedFindings: state.suppressedFindings,
+      warnings: state.warnings,
+      info: state.info,
+      path: xtrefsDataPath,
+      fileExists: true,
+      referenceCount: references.size,
+      entryCount: entries.length,
+      missingEntries,
+      staleEntries,
+      orphanedEntries,
+      ...(age && { age })
+    });
+
+  } catch (error) {
+    return createErrorResult(
+      CHECK_ID,
+      `Failed to validate the xtrefs cache: ${error.message}`,
+      { error: error.message, stack: error.stack }
+    );
+  }
+}
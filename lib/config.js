@@ -0,0 +1,436 @@
+/**
+ * @fileoverview Project configuration for spec-up-t-healthcheck
+ *
+ * This module discovers, loads and validates health check configuration files,
+ * so teams don't have to repeat check selection, output settings and thresholds
+ * on every invocation. A configuration file is looked up in the target
+ * repository first and in the current working directory second.
+ *
+ * Supported files (first match wins within a directory):
+ * - `.healthcheckrc` (JSON)
+ * - `.healthcheckrc.json` (JSON)
+ * - `healthcheck.config.js` (ES module with a default export)
+ *
+ * Loading `healthcheck.config.js` executes it, so it is only loaded from the
+ * current working directory or when given explicitly; in the target repository,
+ * which may be an untrusted checkout, only the JSON files are considered, and
+ * their `output`, `baseline` and `cacheDir` paths must stay inside the target.
+ *
+ * This module depends on Node.js' `fs` and `path` modules and is therefore
+ * not available in browser environments.
+ *
+ * @author spec-up-t-healthcheck
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { SEVERITY_LEVELS } from './health-check-utils.js';
+
+/**
+ * @typedef {Object} HealthCheckConfig
+ * @property {string[]} [checks] - Check IDs to run (runs all registered checks if omitted)
+ * @property {string[]} [disabledChecks] - Check IDs that are never run
+ * @property {Object<string, Object>} [checkOptions] - Options for individual checks, keyed by check ID
+ * @property {Object<string, 'fail'|'warn'|'off'>} [severity] - Severity overrides, keyed by check ID
+ * @property {'text'|'json'|'html'|'markdown'|'sarif'|'junit'} [format] - Output format of the CLI
+ * @property {string} [output] - Output file path of the CLI, relative to the config file
+ * @property {boolean} [open] - Whether the CLI opens HTML reports in the browser
+ * @property {string} [baseline] - Baseline file of known findings, relative to the config file
+ * @property {import('./health-check-utils.js').HealthCheckThresholds} [thresholds] - Pass/fail thresholds
+ * @property {boolean} [offline] - Never access the network; network validations use cached data or are skipped
+ * @property {string} [cacheDir] - Directory of the persistent network cache, relative to the config file
+ * @property {number} [cacheTtl] - Time in minutes for which cached reference data is used without refetching it
+ */
+
+/**
+ * @typedef {Object} LoadedConfig
+ * @property {HealthCheckConfig} config - The validated configuration (empty if no file was found)
+ * @property {string|null} path - Absolute path of the loaded configuration file
+ */
+
+/**
+ * Configuration file names, in order of precedence within a directory.
+ * @type {readonly string[]}
+ */
+export const CONFIG_FILE_NAMES = Object.freeze([
+  '.healthcheckrc',
+  '.healthcheckrc.json',
+  'healthcheck.config.js'
+]);
+
+/**
+ * Configuration file names that are read without executing code, and are
+ * therefore looked up in the target repository.
+ * @type {readonly string[]}
+ */
+export const TARGET_CONFIG_FILE_NAMES = Object.freeze([
+  '.healthcheckrc',
+  '.healthcheckrc.json'
+]);
+
+/**
+ * Settings holding file or directory paths, which are resolved against the
+ * directory of the configuration file.
+ * @type {readonly string[]}
+ * @private
+ */
+const PATH_SETTINGS = Object.freeze(['output', 'baseline', 'cacheDir']);
+
+/**
+ * Output formats accepted in the `format` setting.
+ * @type {readonly string[]}
+ */
+export const CONFIG_FORMATS = Object.freeze(['text', 'json', 'html', 'markdown', 'sarif', 'junit']);
+
+/**
+ * Values accepted by `thresholds.failOn`.
+ * @type {readonly string[]}
+ */
+const FAIL_ON_LEVELS = Object.freeze(['fail', 'warn', 'none']);
+
+/**
+ * Checks whether a value is a plain object (not null and not an array).
+ *
+ * @param {any} value - The value to test
+ * @returns {boolean} True for plain objects
+ * @private
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Checks whether a value is an array of non-empty strings.
+ *
+ * @param {any} value - The value to test
+ * @returns {boolean} True for string arrays
+ * @private
+ */
+function isStringArray(value) {
+  return Array.isArray(value) && value.every(item => typeof item === 'string' && item.trim() !== '');
+}
+
+/**
+ * Validates a configuration object.
+ *
+ * All problems are collected and reported together, so a broken configuration
+ * can be fixed in one go. Check IDs and check option values are validated later
+ * by the orchestrator, which knows the registered checks and their schemas.
+ *
+ * @param {any} config - The configuration to validate
+ * @param {string} [source='configuration'] - Where the configuration came from (used in error messages)
+ * @returns {HealthCheckConfig} The configuration, unchanged
+ * @throws {Error} When the configuration is invalid, listing every problem found
+ *
+ * @example
+ * ```javascript
+ * validateConfig({ format: 'pdf' }, '.healthcheckrc');
+ * // Error: Invalid health check configuration in .healthcheckrc:
+ * //   - "format" must be one of: text, json, html, markdown, sarif, junit
+ * ```
+ */
+export function validateConfig(config, source = 'configuration') {
+  const problems = [];
+
+  if (!isPlainObject(config)) {
+    problems.push('the configuration must be an object');
+  } else {
+    const knownKeys = ['checks', 'disabledChecks', 'checkOptions', 'severity', 'format', 'output', 'open', 'baseline', 'thresholds', 'offline', 'cacheDir', 'cacheTtl'];
+    for (const key of Object.keys(config)) {
+      if (!knownKeys.includes(key)) {
+        problems.push(`unknown setting "${key}" (supported: ${knownKeys.join(', ')})`);
+      }
+    }
+
+    for (const key of ['checks', 'disabledChecks']) {
+      if (config[key] !== undefined && !isStringArray(config[key])) {
+        problems.push(`"${key}" must be an array of check IDs`);
+      }
+    }
+
+    if (config.checkOptions !== undefined) {
+      if (!isPlainObject(config.checkOptions)) {
+        problems.push('"checkOptions" must be an object keyed by check ID');
+      } else {
+        for (const [id, options] of Object.entries(config.checkOptions)) {
+          if (!isPlainObject(options)) {
+            problems.push(`"checkOptions.${id}" must be an object`);
+          }
+        }
+      }
+    }
+
+    if (config.severity !== undefined) {
+      if (!isPlainObject(config.severity)) {
+        problems.push('"severity" must be an object keyed by check ID');
+      } else {
+        for (const [id, level] of Object.entries(config.severity)) {
+          if (!SEVERITY_LEVELS.includes(level)) {
+            problems.push(`"severity.${id}" must be one of: ${SEVERITY_LEVELS.join(', ')}`);
+          }
+        }
+      }
+    }
+
+    if (config.format !== undefined && !CONFIG_FORMATS.includes(config.format)) {
+      problems.push(`"format" must be one of: ${CONFIG_FORMATS.join(', ')}`);
+    }
+    if (config.output !== undefined && (typeof config.output !== 'string' || config.output.trim() === '')) {
+      problems.push('"output" must be a non-empty file path');
+    }
+    if (config.open !== undefined && typeof config.open !== 'boolean') {
+      problems.push('"open" must be a boolean');
+    }
+    if (config.baseline !== undefined && (typeof config.baseline !== 'string' || config.baseline.trim() === '')) {
+      problems.push('"baseline" must be a non-empty file path');
+    }
+
+    if (config.offline !== undefined && typeof config.offline !== 'boolean') {
+      problems.push('"offline" must be a boolean');
+    }
+    if (config.cacheDir !== undefined && (typeof config.cacheDir !== 'string' || config.cacheDir.trim() === '')) {
+      problems.push('"cacheDir" must be a non-empty directory path');
+    }
+    if (config.cacheTtl !== undefined && (typeof config.cacheTtl !== 'number' || !(config.cacheTtl >= 0))) {
+      problems.push('"cacheTtl" must be a non-negative number of minutes');
+    }
+
+    if (config.thresholds !== undefined) {
+      const { thresholds } = config;
+      if (!isPlainObject(thresholds)) {
+        problems.push('"thresholds" must be an object');
+      } else {
+        for (const key of Object.keys(thresholds)) {
+          if (!['minScore', 'maxWarnings', 'failOn'].includes(key)) {
+            problems.push(`unknown setting "thresholds.${key}" (supported: minScore, maxWarnings, failOn)`);
+          }
+        }
+        if (thresholds.minScore !== undefined &&
+          (typeof thresholds.minScore !== 'number' || thresholds.minScore < 0 || thresholds.minScore > 100)) {
+          problems.push('"thresholds.minScore" must be a number between 0 and 100');
+        }
+        if (thresholds.maxWarnings !== undefined &&
+          (!Number.isInteger(thresholds.maxWarnings) || thresholds.maxWarnings < 0)) {
+          problems.push('"thresholds.maxWarnings" must be a non-negative integer');
+        }
+        if (thresholds.failOn !== undefined && !FAIL_ON_LEVELS.includes(thresholds.failOn)) {
+          problems.push(`"thresholds.failOn" must be one of: ${FAIL_ON_LEVELS.join(', ')}`);
+        }
+      }
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid health check configuration in ${source}:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+  }
+
+  return config;
+}
+
+/**
+ * Finds the first configuration file in the given directories.
+ *
+ * @param {string[]} directories - Directories to search, in order of precedence
+ * @param {readonly string[]} [fileNames=CONFIG_FILE_NAMES] - File names to look for, in order of precedence
+ * @returns {Promise<string|null>} Absolute path of the configuration file, or null if none exists
+ */
+export async function findConfigFile(directories, fileNames = CONFIG_FILE_NAMES) {
+  for (const directory of directories) {
+    for (const fileName of fileNames) {
+      const candidate = path.resolve(directory, fileName);
+      try {
+        const stats = await fs.stat(candidate);
+        if (stats.isFile()) {
+          return candidate;
+        }
+      } catch {
+        // File doesn't exist in this directory, try the next candidate
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Reads and validates a configuration file.
+ *
+ * JSON files are parsed directly; `.js` files are imported and their default
+ * export is used. Relative `output`, `baseline` and `cacheDir` paths are resolved
+ * against the directory of the configuration file, so the same file works from
+ * any working directory.
+ *
+ * @param {string} configPath - Path to the configuration file
+ * @returns {Promise<HealthCheckConfig>} The validated configuration
+ * @throws {Error} When the file cannot be read, parsed or validated
+ */
+export async function readConfigFile(configPath) {
+  const absolutePath = path.resolve(configPath);
+  let config;
+
+  if (/\.(c|m)?js$/.test(absolutePath)) {
+    try {
+      const module = await import(pathToFileURL(absolutePath).href);
+      config = module.default;
+    } catch (error) {
+      throw new Error(`Failed to load configuration file ${absolutePath}: ${error.message}`);
+    }
+  } else {
+    let content;
+    try {
+      content = await fs.readFile(absolutePath, 'utf8');
+    } catch (error) {
+      throw new Error(`Failed to read configuration file ${absolutePath}: ${error.message}`);
+    }
+    try {
+      config = JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Configuration file ${absolutePath} contains invalid JSON: ${error.message}`);
+    }
+  }
+
+  validateConfig(config, absolutePath);
+
+  const resolved = { ...config };
+  for (const key of PATH_SETTINGS) {
+    if (config[key] && !path.isAbsolute(config[key])) {
+      resolved[key] = path.resolve(path.dirname(absolutePath), config[key]);
+    }
+  }
+  return resolved;
+}
+
+/**
+ * Resolves the symbolic links of a path, as far as the path exists.
+ *
+ * @param {string} filePath - Absolute path, which may not exist yet
+ * @returns {Promise<string>} The path with the links of its existing part resolved
+ * @private
+ */
+async function resolveExistingPath(filePath) {
+  try {
+    return await fs.realpath(filePath);
+  } catch {
+    const parent = path.dirname(filePath);
+    if (parent === filePath) {
+      return filePath;
+    }
+    return path.join(await resolveExistingPath(parent), path.basename(filePath));
+  }
+}
+
+/**
+ * Ensures that the path settings of a configuration point inside a directory.
+ *
+ * Symbolic links are followed as far as the paths exist, so a link inside the
+ * directory can't redirect a path elsewhere.
+ *
+ * @param {HealthCheckConfig} config - Configuration with resolved paths
+ * @param {string} directory - Absolute path of the directory
+ * @param {string} source - Path of the configuration file, for error messages
+ * @returns {Promise<void>}
+ * @throws {Error} When a path setting points outside the directory
+ * @private
+ */
+async function assertPathsInside(config, directory, source) {
+  const realDirectory = await resolveExistingPath(directory);
+  const problems = [];
+  for (const key of PATH_SETTINGS) {
+    if (!config[key]) {
+      continue;
+    }
+    const relativePath = path.relative(realDirectory, await resolveExistingPath(config[key]));
+    if (relativePath === '..' || relativePath.startsWith(`..${path.sep}`) || path.isAbsolute(relativePath)) {
+      problems.push(`"${key}" must be a path inside the checked repository`);
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid health check configuration in ${source}:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+  }
+}
+
+/**
+ * Loads the health check configuration for a target.
+ *
+ * An explicit `configPath` is always loaded. Otherwise the target directory
+ * (when it is a local directory) is searched for one of the
+ * {@link TARGET_CONFIG_FILE_NAMES}, and then `cwd` for one of the
+ * {@link CONFIG_FILE_NAMES}; a `healthcheck.config.js` in the target is
+ * ignored, so checking a repository never executes its code. The paths of a
+ * configuration found in the target must point inside the target, so checking
+ * a repository never writes elsewhere. When no file is found an empty
+ * configuration is returned.
+ *
+ * @param {Object} [options={}] - Lookup options
+ * @param {string} [options.target] - The repository being checked (path, archive or URL)
+ * @param {string} [options.cwd=process.cwd()] - Fallback directory to search
+ * @param {string} [options.configPath] - Explicit configuration file to load
+ * @returns {Promise<LoadedConfig>} The configuration and the path it was loaded from
+ * @throws {Error} When a configuration file is invalid, or a configuration in the target
+ *         has a path outside the target
+ *
+ * @example
+ * ```javascript
+ * const { config, path } = await loadConfig({ target: './my-spec' });
+ * if (path) {
+ *   console.log(`Using configuration from ${path}`);
+ * }
+ * ```
+ */
+export async function loadConfig({ target, cwd = process.cwd(), configPath } = {}) {
+  if (configPath) {
+    const resolvedPath = path.resolve(cwd, configPath);
+    return { config: await readConfigFile(resolvedPath), path: resolvedPath };
+  }
+
+  const cwdPath = path.resolve(cwd);
+  if (target && !/^https?:\/\//.test(target)) {
+    const targetPath = path.resolve(cwd, target);
+    let targetConfigPath = null;
+    try {
+      if (targetPath !== cwdPath && (await fs.stat(targetPath)).isDirectory()) {
+        targetConfigPath = await findConfigFile([targetPath], TARGET_CONFIG_FILE_NAMES);
+      }
+    } catch {
+      // Target is not a local directory (e.g. an archive that doesn't exist yet)
+    }
+    if (targetConfigPath) {
+      const config = await readConfigFile(targetConfigPath);
+      await assertPathsInside(config, targetPath, targetConfigPath);
+      return { config, path: targetConfigPath };
+    }
+  }
+
+  const foundPath = await findConfigFile([cwdPath]);
+  if (!foundPath) {
+    return { config: {}, path: null };
+  }
+  return { config: await readConfigFile(foundPath), path: foundPath };
+}
+
+/**
+ * Merges a configuration with explicitly provided health check options.
+ *
+ * Explicit options win over the configuration. Check options are merged per
+ * check and option, so a single `--check-option` doesn't discard the other
+ * configured options of that check.
+ *
+ * @param {HealthCheckConfig} config - The loaded configuration
+ * @param {Object} [options={}] - Explicit options (from the API or CLI flags)
+ * @returns {import('./health-check-orchestrator.js').HealthCheckOptions} The merged orchestrator options
+ */
+export function mergeConfigWithOptions(config, options = {}) {
+  const checkOptions = { ...config.checkOptions };
+  for (const [id, values] of Object.entries(options.checkOptions || {})) {
+    checkOptions[id] = { ...checkOptions[id], ...values };
+  }
+
+  return {
+    ...options,
+    checks: options.checks || config.checks,
+    disabledChecks: [...(config.disabledChecks || []), ...(options.disabledChecks || [])],
+    severity: { ...config.severity, ...options.severity },
+    checkOptions
+  };
+}
@@ -0,0 +1,451 @@
+/**
+ * @fileoverview Automatic fixes for health check findings
+ *
+ * Many findings have mechanical fixes: missing .gitignore entries, missing
+ * npm scripts, missing recommended spec files, headings that skip a level and
+ * table rows with the wrong number of cells. Checks describe these fixes on
+ * their findings (`finding.fix`, see health-check-utils.js); this module
+ * applies them.
+ *
+ * Fixes are first applied to an in-memory overlay of the repository. The
+ * checks that reported fixes are then run again on the overlay, since one fix
+ * can reveal the next problem (e.g. a heading nested under a heading that was
+ * raised now skips a level). This repeats until no fixes remain, and only the
+ * final contents are written through the provider's `writeFile` method. A dry
+ * run stops before writing, so the same changes can be previewed.
+ *
+ * @author spec-up-t-healthcheck
+ */
+
+import { runHealthChecks } from './health-check-orchestrator.js';
+import { createFileIndex, normalizeProviderPath } from './providers/provider-utils.js';
+
+/**
+ * Maximum number of times fixes are applied and the affected checks run again.
+ * @type {number}
+ */
+export const MAX_FIX_PASSES = 10;
+
+/**
+ * Number of unchanged lines shown around changes in patches.
+ * @type {number}
+ * @private
+ */
+const PATCH_CONTEXT_LINES = 3;
+
+/**
+ * @typedef {Object} AppliedFix
+ * @property {string} check - Name of the check that reported the finding
+ * @property {string} ruleId - Rule of the fixed finding
+ * @property {string} description - What the fix changed
+ * @property {number} [line] - Line the fix changed
+ */
+
+/**
+ * @typedef {Object} FileChange
+ * @property {string} file - Repository-relative path of the file
+ * @property {'create'|'update'} type - Whether the file was created or changed
+ * @property {string|null} before - Original content (null for created files)
+ * @property {string} after - New content
+ * @property {AppliedFix[]} fixes - The fixes applied to the file, in order
+ */
+
+/**
+ * @typedef {Object} FixResult
+ * @property {boolean} dryRun - Whether the changes were only previewed
+ * @property {number} passes - Number of times fixes were applied
+ * @property {FileChange[]} changes - Changed files, in the order they were first changed
+ * @property {number} fixCount - Total number of applied fixes
+ */
+
+/**
+ * Returns the findings of a report that carry a fix, together with the checks
+ * that reported them. Findings suppressed by inline comments are not included.
+ *
+ * @param {import('./health-check-utils.js').HealthCheckReport} report - The health check report
+ * @returns {Array<{check: string, finding: import('./health-check-utils.js').Finding}>} The fixable findings
+ *
+ * @example
+ * ```javascript
+ * const report = await runHealthChecks(provider);
+ * console.log(`${getFixableFindings(report).length} finding(s) can be fixed with --fix`);
+ * ```
+ */
+export function getFixableFindings(report) {
+  return report.results.flatMap(result =>
+    (Array.isArray(result.details?.findings) ? result.details.findings : [])
+      .filter(finding => finding.fix && (finding.fix.file || finding.file))
+      .map(finding => ({ check: result.check, finding })));
+}
+
+/**
+ * Creates a writable in-memory overlay of a provider. Reads fall through to
+ * the provider for files that were not written to the overlay.
+ *
+ * @param {import('./providers.js').Provider} provider - The underlying provider
+ * @returns {import('./providers.js').Provider & {getWrittenFiles: function(): Map<string, string>}} The overlay
+ * @private
+ */
+function createOverlayProvider(provider) {
+  const index = createFileIndex();
+  /** @type {Map<string, string>} */
+  const contents = new Map();
+
+  return {
+    ...provider,
+    writable: true,
+
+    async readFile(filePath) {
+      const normalized = normalizeProviderPath(filePath);
+      return contents.has(normalized) ? contents.get(normalized) : provider.readFile(filePath);
+    },
+
+    async fileExists(filePath) {
+      return index.hasFile(filePath) || provider.fileExists(filePath);
+    },
+
+    async directoryExists(dirPath) {
+      return index.hasDirectory(dirPath) || provider.directoryExists(dirPath);
+    },
+
+    async listFiles(dirPath = '') {
+      const entries = !index.hasDirectory(dirPath) || await provider.directoryExists(dirPath)
+        ? await provider.listFiles(dirPath)
+        : [];
+      const listed = new Set(entries.map(entry => normalizeProviderPath(entry.path)));
+      return [...entries, ...index.list(dirPath).filter(entry => !listed.has(entry.path))];
+    },
+
+    async writeFile(filePath, content) {
+      const normalized = normalizeProviderPath(filePath);
+      index.addFile(normalized);
+      contents.set(normalized, String(content));
+    },
+
+    getWrittenFiles() {
+      return contents;
+    }
+  };
+}
+
+/**
+ * Sets a property of a JSON document, keeping its indentation and final newline.
+ *
+ * @param {string} content - The JSON document
+ * @param {string[]} propertyPath - Path of the property
+ * @param {any} value - The new value
+ * @returns {string|undefined} The new document, or undefined when the content isn't a JSON object
+ * @private
+ */
+function setJsonProperty(content, propertyPath, value) {
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch {
+    return undefined;
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return undefined;
+  }
+
+  let target = data;
+  for (const key of propertyPath.slice(0, -1)) {
+    if (!target[key] || typeof target[key] !== 'object') {
+      target[key] = {};
+    }
+    target = target[key];
+  }
+  target[propertyPath[propertyPath.length - 1]] = value;
+
+  const indent = content.match(/^([ \t]+)"/m)?.[1] || 2;
+  return `${JSON.stringify(data, null, indent)}${content.endsWith('\n') ? '\n' : ''}`;
+}
+
+/**
+ * Applies the fixes of one file to its content.
+ *
+ * Files are created first, then lines are replaced, JSON properties set and
+ * lines appended. When several fixes replace the same line, only the first is
+ * applied; the others are reconsidered in the next pass. Replaced and appended
+ * lines keep the line endings of the file (LF or CRLF).
+ *
+ * @param {string|null} content - The current content (null when the file doesn't exist)
+ * @param {Array<{check: string, finding: import('./health-check-utils.js').Finding}>} entries - The fixable findings
+ * @returns {{content: string|null, applied: AppliedFix[]}} The new content and the applied fixes
+ * @private
+ */
+function applyFileFixes(content, entries) {
+  const applied = [];
+  const record = ({ check, finding }) => applied.push({
+    check,
+    ruleId: finding.ruleId,
+    description: finding.fix.description,
+    ...(finding.fix.line && { line: finding.fix.line })
+  });
+
+  const creation = entries.find(({ finding }) => typeof finding.fix.createContent === 'string');
+  if (content === null && creation) {
+    content = creation.finding.fix.createContent;
+    record(creation);
+  }
+
+  if (content !== null) {
+    const lines = content.split('\n');
+    const changedLines = new Set();
+    for (const entry of entries.filter(({ finding }) => Number.isInteger(finding.fix.line))) {
+      const { line, text } = entry.finding.fix;
+      if (line >= 1 && line <= lines.length && !changedLines.has(line) && typeof text === 'string') {
+        lines[line - 1] = lines[line - 1].endsWith('\r') ? `${text.replace(/\r$/, '')}\r` : text;
+        changedLines.add(line);
+        record(entry);
+      }
+    }
+    content = lines.join('\n');
+
+    for (const entry of entries.filter(({ finding }) => finding.fix.jsonSet)) {
+      const updated = setJsonProperty(content, entry.finding.fix.jsonSet.path, entry.finding.fix.jsonSet.value);
+      if (updated !== undefined) {
+        content = updated;
+        record(entry);
+      }
+    }
+  }
+
+  const appendEntries = entries.filter(({ finding }) => Array.isArray(finding.fix.appendLines));
+  if (appendEntries.length > 0) {
+    const present = new Set((content || '').split('\n').map(line => line.trim()));
+    const additions = [];
+    for (const entry of appendEntries) {
+      const lines = entry.finding.fix.appendLines.filter(line => !present.has(line.trim()));
+      lines.forEach(line => present.add(line.trim()));
+      if (lines.length > 0) {
+        additions.push(...lines);
+        record(entry);
+      }
+    }
+    if (additions.length > 0) {
+      const base = content || '';
+      const newline = base.includes('\r\n') ? '\r\n' : '\n';
+      content = `${base}${base && !base.endsWith('\n') ? newline : ''}${additions.join(newline)}${newline}`;
+    }
+  }
+
+  return { content, applied };
+}
+
+/**
+ * Applies the fixes of a report to the overlay, grouped by file.
+ *
+ * @param {ReturnType<typeof createOverlayProvider>} overlay - The overlay to change
+ * @param {Array<{check: string, finding: import('./health-check-utils.js').Finding}>} fixable - The fixable findings
+ * @returns {Promise<Map<string, AppliedFix[]>>} The applied fixes by file
+ * @private
+ */
+async function applyFixesToOverlay(overlay, fixable) {
+  const byFile = new Map();
+  for (const entry of fixable) {
+    const file = normalizeProviderPath(entry.finding.fix.file || entry.finding.file);
+    byFile.set(file, [...(byFile.get(file) || []), entry]);
+  }
+
+  const appliedByFile = new Map();
+  for (const [file, entries] of byFile) {
+    const current = await overlay.fileExists(file) ? await overlay.readFile(file) : null;
+    const { content, applied } = applyFileFixes(current, entries);
+    if (content !== null && content !== current && applied.length > 0) {
+      await overlay.writeFile(file, content);
+      appliedByFile.set(file, applied);
+    }
+  }
+  return appliedByFile;
+}
+
+/**
+ * Applies the fixes of a health check report to the repository.
+ *
+ * Fixes are applied repeatedly (at most `maxPasses` times), running the checks
+ * that reported fixes again in between, until no more fixes apply. The
+ * result lists every changed file with its original and new content and the
+ * fixes that changed it. Unless `dryRun` is set, the new contents are written
+ * through the provider, which must be writable; re-run the health checks
+ * afterwards for a report of the fixed repository.
+ *
+ * @param {import('./providers.js').Provider} provider - The provider of the checked repository
+ * @param {import('./health-check-utils.js').HealthCheckReport} report - Report of a health check run on the provider
+ * @param {Object} [options={}] - Fix options; other options are passed to the health checks that run again
+ * @param {boolean} [options.dryRun=false] - Only compute the changes, without writing them
+ * @param {number} [options.maxPasses=MAX_FIX_PASSES] - Maximum number of fix passes
+ * @returns {Promise<FixResult>} The changes
+ * @throws {Error} When changes should be written but the provider is read-only
+ *
+ * @example
+ * ```javascript
+ * const provider = createLocalProvider('./my-spec');
+ * const report = await runHealthChecks(provider);
+ * const { changes } = await applyFixes(provider, report, { dryRun: true });
+ * changes.forEach(change => console.log(formatPatch(change)));
+ * ```
+ */
+export async function applyFixes(provider, report, options = {}) {
+  const { dryRun = false, maxPasses = MAX_FIX_PASSES, ...healthCheckOptions } = options;
+  if (!dryRun && !provider.writable) {
+    throw new Error(`Cannot apply fixes: the ${provider.type} provider is read-only (use a local checkout, or preview the fixes as a dry run)`);
+  }
+
+  const overlay = createOverlayProvider(provider);
+  /** @type {Map<string, AppliedFix[]>} */
+  const appliedByFile = new Map();
+  let currentReport = report;
+  let passes = 0;
+
+  while (passes < maxPasses) {
+    const fixable = getFixableFindings(currentReport);
+    if (fixable.length === 0) {
+      break;
+    }
+
+    const applied = await applyFixesToOverlay(overlay, fixable);
+    if (applied.size === 0) {
+      break;
+    }
+    passes++;
+
+    for (const [file, fixes] of applied) {
+      appliedByFile.set(file, [...(appliedByFile.get(file) || []), ...fixes]);
+    }
+    // Includes checks whose fixes were held back (e.g. for a line another fix changed)
+    const checkIds = new Set(fixable.map(({ finding }) => finding.ruleId.split('/')[0]));
+    currentReport = await runHealthChecks(overlay, { ...healthCheckOptions, checks: [...checkIds] });
+  }
+
+  const changes = [];
+  for (const [file, after] of overlay.getWrittenFiles()) {
+    const before = await provider.fileExists(file) ? await provider.readFile(file) : null;
+    if (before === after) {
+      continue;
+    }
+    changes.push({ file, type: before === null ? 'create' : 'update', before, after, fixes: appliedByFile.get(file) });
+  }
+
+  if (!dryRun) {
+    for (const change of changes) {
+      await provider.writeFile(change.file, change.after);
+    }
+  }
+
+  return {
+    dryRun,
+    passes,
+    changes,
+    fixCount: changes.reduce((count, change) => count + change.fixes.length, 0)
+  };
+}
+
+/**
+ * Computes the line operations that turn one list of lines into another,
+ * based on their longest common subsequence. Unchanged lines at the start and
+ * end are matched directly, so the quadratic part only covers the changed region.
+ *
+ * @param {string[]} a - The original lines
+ * @param {string[]} b - The new lines
+ * @returns {Array<{type: ' '|'-'|'+', text: string}>} The operations, in order
+ * @private
+ */
+function diffLines(a, b) {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const lengths = Array.from({ length: midA.length + 1 }, () => new Array(midB.length + 1).fill(0));
+  for (let i = midA.length - 1; i >= 0; i--) {
+    for (let j = midB.length - 1; j >= 0; j--) {
+      lengths[i][j] = midA[i] === midB[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const operations = a.slice(0, start).map(text => ({ type: ' ', text }));
+  let i = 0;
+  let j = 0;
+  while (i < midA.length || j < midB.length) {
+    if (i < midA.length && j < midB.length && midA[i] === midB[j]) {
+      operations.push({ type: ' ', text: midA[i++] });
+      j++;
+    } else if (i < midA.length && (j === midB.length || lengths[i + 1][j] >= lengths[i][j + 1])) {
+      operations.push({ type: '-', text: midA[i++] });
+    } else {
+      operations.push({ type: '+', text: midB[j++] });
+    }
+  }
+  operations.push(...a.slice(endA).map(text => ({ type: ' ', text })));
+  return operations;
+}
+
+/**
+ * Splits the lines of a file for diffing; the empty string after a final
+ * newline is not a line.
+ *
+ * @param {string|null} content - The file content
+ * @returns {string[]} The lines
+ * @private
+ */
+function splitLines(content) {
+  if (!content) {
+    return [];
+  }
+  const lines = content.split('\n');
+  return content.endsWith('\n') ? lines.slice(0, -1) : lines;
+}
+
+/**
+ * Formats a file change as a unified diff, as shown by `git diff`.
+ *
+ * @param {FileChange} change - The file change
+ * @returns {string} The patch
+ *
+ * @example
+ * ```javascript
+ * formatPatch({ file: '.gitignore', type: 'update', before: 'dist\n', after: 'dist\n.env\n', fixes: [] });
+ * // '--- a/.gitignore\n+++ b/.gitignore\n@@ -1 +1,2 @@\n dist\n+.env'
+ * ```
+ */
+export function formatPatch(change) {
+  const operations = diffLines(splitLines(change.before), splitLines(change.after));
+  const output = [
+    change.type === 'create' ? '--- /dev/null' : `--- a/${change.file}`,
+    `+++ b/${change.file}`
+  ];
+
+  // Group changed operations, with their context, into hunks
+  const changed = operations.map((operation, index) => operation.type !== ' ' ? index : -1).filter(index => index >= 0);
+  let hunkStart = 0;
+  while (hunkStart < changed.length) {
+    let hunkEnd = hunkStart;
+    while (hunkEnd + 1 < changed.length && changed[hunkEnd + 1] - changed[hunkEnd] <= PATCH_CONTEXT_LINES * 2) {
+      hunkEnd++;
+    }
+
+    const from = Math.max(0, changed[hunkStart] - PATCH_CONTEXT_LINES);
+    const to = Math.min(operations.length, changed[hunkEnd] + PATCH_CONTEXT_LINES + 1);
+    const before = operations.slice(0, from);
+    const hunk = operations.slice(from, to);
+
+    const oldStart = before.filter(operation => operation.type !== '+').length;
+    const newStart = before.filter(operation => operation.type !== '-').length;
+    const oldCount = hunk.filter(operation => operation.type !== '+').length;
+    const newCount = hunk.filter(operation => operation.type !== '-').length;
+    const range = (start, count) => count === 1 ? `${start + 1}` : `${count === 0 ? start : start + 1},${count}`;
+
+    output.push(`@@ -${range(oldStart, oldCount)} +${range(newStart, newCount)} @@`);
+    output.push(...hunk.map(operation => `${operation.type}${operation.text}`));
+    hunkStart = hunkEnd + 1;
+  }
+
+  return output.join('\n');
+}
@@ -3,7 +3,10 @@
  * 
  * This module provides various formatting options for health check results,
  * including human-readable text output with icons, structured JSON output,
- * and interactive HTML reports with Bootstrap styling.
+ * interactive HTML reports with Bootstrap styling, Markdown reports for pull
+ * request comments, SARIF logs for code scanning tools and JUnit XML for CI
+ * test dashboards. Comparisons of two reports (see report-diff.js) can be
+ * formatted as text, JSON or Markdown, and applied fixes (see fixes.js) as text.
  * The formatters support customization options and maintain consistent styling.
  * 
  * @author spec-up-t-healthcheck
@@ -11,6 +14,9 @@
  */
 
 import { generateHtmlReport } from './html-formatter.js';
+import { generateMarkdownReport, escapeMarkdown } from './markdown-formatter.js';
+import { generateSarifLog } from './sarif-formatter.js';
+import { formatPatch } from './fixes.js';
 
 /**
  * Formats health check results as human-readable text with emojis and structured layout.
@@ -65,6 +71,18 @@ export function formatResultsAsText(healthCheckOutput, useColors = false) {
   output.push(`Score: ${Math.round(summary.score)}%`);
   output.push('');
 
+  if (healthCheckOutput.baseline) {
+    const { knownFindings, newFindings, fixedFindings } = healthCheckOutput.baseline;
+    output.push('📌 Baseline');
+    output.push(`New findings: ${newFindings}`);
+    output.push(`Known findings (suppressed): ${knownFindings}`);
+    output.push(`Fixed since baseline: ${fixedFindings.length}`);
+    fixedFindings.forEach(entry => {
+      output.push(`   ✓ ${entry.file ? `${entry.file}: ` : ''}${entry.message} (${entry.ruleId})`);
+    });
+    output.push('');
+  }
+
   if (summary.hasErrors) {
     output.push('❌ Overall Status: FAILED');
   } else if (summary.hasWarnings) {
@@ -112,6 +130,12 @@ export function formatResultsAsText(healthCheckOutput, useColors = false) {
           });
         });
       }
+      if (Array.isArray(result.details.suppressedFindings) && result.details.suppressedFindings.length > 0) {
+        output.push(`   Suppressed (${result.details.suppressedFindings.length}):`);
+        result.details.suppressedFindings.forEach(finding => {
+          output.push(`     ${finding.file}:${finding.line} ${finding.message} (${finding.ruleId}, suppressed by comment on line ${finding.suppressedBy.line})`);
+        });
+      }
     }
     
     output.push('');
@@ -165,6 +189,8 @@ export function formatResultsAsJson(healthCheckOutput, indent = 2) {
  * @param {string} [options.title='Spec-Up-T Health Check Report'] - Custom title for the report
  * @param {boolean} [options.showPassingByDefault=true] - Whether to show passing checks by default
  * @param {string} [options.repositoryUrl] - URL to the repository being checked
+ * @param {number} [options.liveReloadSeconds] - Reload the page at this interval, keeping the scroll
+ *        position and filter (used by watch mode, which rewrites the report file)
  * @returns {string} Complete HTML document ready for saving or displaying
  * 
  * @example
@@ -188,3 +214,366 @@ export function formatResultsAsJson(healthCheckOutput, indent = 2) {
 export function formatResultsAsHtml(healthCheckOutput, options = {}) {
   return generateHtmlReport(healthCheckOutput, options);
 }
+
+/**
+ * Formats health check results as a GitHub-flavored Markdown report.
+ * 
+ * Markdown reports can be used where HTML reports can't, such as pull request
+ * comments and `$GITHUB_STEP_SUMMARY` job summaries. The report contains a
+ * summary table, a table of all checks and a collapsible section per check
+ * with its findings and details.
+ * 
+ * @param {import('./health-checker.js').HealthCheckReport} healthCheckOutput - The complete health check report
+ * @param {Object} [options={}] - Configuration options for Markdown generation
+ * @param {string} [options.title='Spec-Up-T Health Check Report'] - Title of the report
+ * @param {boolean} [options.showPassing=true] - Whether to include passing checks in the details
+ * @param {boolean} [options.showSuccess=false] - Whether to list passed validations in the details
+ * @returns {string} Markdown document
+ * 
+ * @example
+ * ```javascript
+ * const report = await runHealthChecks(provider);
+ * 
+ * // Job summary in GitHub Actions
+ * fs.appendFileSync(process.env.GITHUB_STEP_SUMMARY, formatResultsAsMarkdown(report));
+ * 
+ * // Compact pull request comment
+ * const comment = formatResultsAsMarkdown(report, { showPassing: false });
+ * ```
+ */
+export function formatResultsAsMarkdown(healthCheckOutput, options = {}) {
+  return generateMarkdownReport(healthCheckOutput, options);
+}
+
+/**
+ * Formats health check results as a SARIF 2.1.0 log.
+ * 
+ * SARIF is understood by GitHub code scanning and other analysis viewers, which
+ * can then show spec problems inline, e.g. on pull requests. Each finding type
+ * becomes a rule; findings with a file and line (heading hierarchy, markdown
+ * tables, specs.json fields) get a physical location relative to the
+ * repository root.
+ * 
+ * @param {import('./health-checker.js').HealthCheckReport} healthCheckOutput - The complete health check report
+ * @param {Object} [options={}] - Configuration options for SARIF generation
+ * @param {string} [options.toolVersion] - Version of spec-up-t-healthcheck reported as the tool version
+ * @param {string} [options.sourceRoot] - URI of the repository root (defaults to the local repository path)
+ * @param {number} [options.indent=2] - Number of spaces for JSON indentation (0 for compact output)
+ * @returns {string} JSON-formatted SARIF log
+ * 
+ * @example
+ * ```javascript
+ * const report = await runHealthChecks(provider);
+ * const sarif = formatResultsAsSarif(report, { toolVersion: '1.1.2' });
+ * 
+ * // Upload with github/codeql-action/upload-sarif
+ * fs.writeFileSync('health-check.sarif', sarif);
+ * ```
+ */
+export function formatResultsAsSarif(healthCheckOutput, options = {}) {
+  const { indent = 2, ...sarifOptions } = options;
+  return JSON.stringify(generateSarifLog(healthCheckOutput, sarifOptions), null, indent);
+}
+
+/**
+ * Escapes characters that are not allowed in XML text and attribute values.
+ * Characters that XML 1.0 cannot represent at all are removed.
+ * 
+ * @param {any} text - Text to escape
+ * @returns {string} XML-escaped text
+ * @private
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/[^\x09\x0A\x0D\x20-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Formats a finding as a single line, e.g.
+ * `[warning] spec/intro.md:12:1 heading-hierarchy/skipped-level: h3 follows h1`.
+ * 
+ * @param {import('./health-check-utils.js').Finding} finding - The finding to format
+ * @returns {string} The formatted finding
+ * @private
+ */
+function formatFindingLine(finding) {
+  let location = finding.file || '';
+  if (location && finding.line) {
+    location += `:${finding.line}${finding.column ? `:${finding.column}` : ''}`;
+  }
+  const suggestion = finding.suggestion ? ` (${finding.suggestion})` : '';
+  return `[${finding.severity}] ${location ? `${location} ` : ''}${finding.ruleId}: ${finding.message}${suggestion}`;
+}
+
+/**
+ * Formats health check results as JUnit XML for CI test dashboards.
+ * 
+ * Each check becomes a `<testcase>` in a single `<testsuite>`. Failed checks
+ * get a `<failure>` listing their error findings, skipped checks a `<skipped>`
+ * element. Warnings and all findings of a check are written to its
+ * `<system-out>`, so they are visible in Jenkins, GitLab and other tools that
+ * render JUnit reports.
+ * 
+ * @param {import('./health-checker.js').HealthCheckReport} healthCheckOutput - The complete health check report
+ * @param {Object} [options={}] - Configuration options for JUnit generation
+ * @param {string} [options.suiteName='spec-up-t-healthcheck'] - Name of the test suite
+ * @returns {string} JUnit XML document
+ * 
+ * @example
+ * ```javascript
+ * const report = await runHealthChecks(provider);
+ * const junitXml = formatResultsAsJunit(report, { suiteName: 'my-spec health' });
+ * fs.writeFileSync('health-check.xml', junitXml);
+ * ```
+ */
+export function formatResultsAsJunit(healthCheckOutput, options = {}) {
+  const { suiteName = 'spec-up-t-healthcheck' } = options;
+  const { results, summary, timestamp, provider } = healthCheckOutput;
+
+  const failures = results.filter(result => result.status === 'fail').length;
+  const skipped = results.filter(result => result.status === 'skip').length;
+
+  const output = [];
+  output.push('<?xml version="1.0" encoding="UTF-8"?>');
+  output.push(`<testsuites name="${escapeXml(suiteName)}" tests="${results.length}" failures="${failures}" errors="0" skipped="${skipped}">`);
+  output.push(`  <testsuite name="${escapeXml(suiteName)}" tests="${results.length}" failures="${failures}" errors="0" skipped="${skipped}" timestamp="${escapeXml(timestamp)}">`);
+
+  output.push('    <properties>');
+  output.push(`      <property name="provider" value="${escapeXml(provider.type)}"/>`);
+  if (provider.repoPath) {
+    output.push(`      <property name="repository" value="${escapeXml(provider.repoPath)}"/>`);
+  }
+  output.push(`      <property name="score" value="${Math.round(summary.score)}"/>`);
+  output.push('    </properties>');
+
+  results.forEach(result => {
+    const findings = Array.isArray(result.details?.findings) ? result.details.findings : [];
+
+    output.push(`    <testcase name="${escapeXml(result.check)}" classname="${escapeXml(suiteName)}">`);
+
+    if (result.status === 'fail') {
+      const errorLines = findings.filter(finding => finding.severity === 'error').map(formatFindingLine);
+      output.push(`      <failure message="${escapeXml(result.message)}" type="${escapeXml(result.status)}">${escapeXml(errorLines.join('\n'))}</failure>`);
+    } else if (result.status === 'skip') {
+      output.push(`      <skipped message="${escapeXml(result.message)}"/>`);
+    }
+
+    const systemOut = [`${result.status.toUpperCase()}: ${result.message}`, ...findings.map(formatFindingLine)];
+    output.push(`      <system-out>${escapeXml(systemOut.join('\n'))}</system-out>`);
+    output.push('    </testcase>');
+  });
+
+  output.push('  </testsuite>');
+  output.push('</testsuites>');
+
+  return output.join('\n');
+}
+
+/**
+ * Icons for status change directions in report diffs.
+ * @type {Object<string, string>}
+ * @private
+ */
+const DIRECTION_ICONS = {
+  improved: '⬆️',
+  regressed: '⬇️',
+  changed: '↔️'
+};
+
+/**
+ * Formats a signed number, e.g. `+5` or `-3`.
+ * 
+ * @param {number} value - The number to format
+ * @returns {string} The number with its sign
+ * @private
+ */
+function formatDelta(value) {
+  return value > 0 ? `+${value}` : String(value);
+}
+
+/**
+ * Formats a finding of a report diff as a single line.
+ * 
+ * @param {import('./report-diff.js').FindingChange} change - The finding and its check
+ * @returns {string} The formatted finding
+ * @private
+ */
+function formatDiffFinding({ check, finding }) {
+  let location = finding.file || '';
+  if (location && finding.line) {
+    location += `:${finding.line}`;
+  }
+  return `[${finding.severity}] ${check}: ${location ? `${location} ` : ''}${finding.message} (${finding.ruleId})`;
+}
+
+/**
+ * Formats a comparison of two health check reports as human-readable text.
+ * 
+ * @param {import('./report-diff.js').ReportDiff} diff - The comparison from `diffReports`
+ * @returns {string} Formatted text
+ * 
+ * @example
+ * ```javascript
+ * const diff = diffReports(oldReport, newReport);
+ * console.log(formatReportDiffAsText(diff));
+ * 
+ * // Example output:
+ * // 🔀 Spec-up-t Health Check Comparison
+ * // Score: 80% → 90% (+10)
+ * ```
+ */
+export function formatReportDiffAsText(diff) {
+  const output = [];
+
+  output.push('🔀 Spec-up-t Health Check Comparison');
+  output.push(`Old report: ${new Date(diff.timestamps.old).toLocaleString()}`);
+  output.push(`New report: ${new Date(diff.timestamps.new).toLocaleString()}`);
+  output.push('');
+  output.push(`Score: ${diff.score.old}% → ${diff.score.new}% (${formatDelta(diff.score.delta)})`);
+  if (diff.executionTime.delta !== null) {
+    output.push(`Execution time: ${diff.executionTime.old}ms → ${diff.executionTime.new}ms (${formatDelta(diff.executionTime.delta)}ms)`);
+  }
+  output.push(diff.hasRegressions ? '⚠️  Regressions found' : '✅ No regressions');
+  output.push('');
+
+  const sections = [
+    ['📊 Status changes', diff.statusChanges.map(change =>
+      `${DIRECTION_ICONS[change.direction]} ${change.check}: ${change.oldStatus} → ${change.newStatus}`)],
+    ['➕ Added checks', diff.addedChecks],
+    ['➖ Removed checks', diff.removedChecks],
+    ['🆕 New findings', diff.newFindings.map(formatDiffFinding)],
+    ['✓ Resolved findings', diff.resolvedFindings.map(formatDiffFinding)],
+    ['🐢 Slower checks', diff.timeRegressions.map(regression =>
+      `${regression.check}: ${regression.oldMs}ms → ${regression.newMs}ms (${formatDelta(regression.deltaMs)}ms, ${regression.ratio}x)`)]
+  ];
+
+  sections.forEach(([title, lines]) => {
+    output.push(`${title} (${lines.length})`);
+    lines.forEach(line => output.push(`   ${line}`));
+    output.push('');
+  });
+
+  return output.join('\n');
+}
+
+/**
+ * Formats a comparison of two health check reports as JSON.
+ * 
+ * @param {import('./report-diff.js').ReportDiff} diff - The comparison from `diffReports`
+ * @param {number} [indent=2] - Number of spaces for JSON indentation (0 for compact output)
+ * @returns {string} JSON-formatted comparison
+ */
+export function formatReportDiffAsJson(diff, indent = 2) {
+  return JSON.stringify(diff, null, indent);
+}
+
+/**
+ * Formats a comparison of two health check reports as GitHub-flavored Markdown,
+ * e.g. for release notes or pull request comments.
+ * 
+ * @param {import('./report-diff.js').ReportDiff} diff - The comparison from `diffReports`
+ * @param {Object} [options={}] - Configuration options for Markdown generation
+ * @param {string} [options.title='Spec-Up-T Health Check Comparison'] - Title of the comparison
+ * @returns {string} Markdown document
+ */
+export function formatReportDiffAsMarkdown(diff, options = {}) {
+  const { title = 'Spec-Up-T Health Check Comparison' } = options;
+  const output = [];
+
+  output.push(`## 🔀 ${escapeMarkdown(title)}`);
+  output.push('');
+  output.push(diff.hasRegressions ? '**Result:** ⚠️ Regressions found' : '**Result:** ✅ No regressions');
+  output.push('');
+  output.push('| | Old | New | Change |');
+  output.push('| --- | ---: | ---: | ---: |');
+  output.push(`| Score | ${diff.score.old}% | ${diff.score.new}% | ${formatDelta(diff.score.delta)} |`);
+  if (diff.executionTime.delta !== null) {
+    output.push(`| Execution time | ${diff.executionTime.old}ms | ${diff.executionTime.new}ms | ${formatDelta(diff.executionTime.delta)}ms |`);
+  }
+  output.push('');
+
+  if (diff.statusChanges.length > 0) {
+    output.push('### Status changes');
+    output.push('');
+    output.push('| | Check | Old | New |');
+    output.push('| --- | --- | --- | --- |');
+    diff.statusChanges.forEach(change => {
+      output.push(`| ${DIRECTION_ICONS[change.direction]} | ${escapeMarkdown(change.check)} | ${change.oldStatus} | ${change.newStatus} |`);
+    });
+    output.push('');
+  }
+
+  const lists = [
+    ['Added checks', diff.addedChecks.map(escapeMarkdown)],
+    ['Removed checks', diff.removedChecks.map(escapeMarkdown)],
+    ['New findings', diff.newFindings.map(change => escapeMarkdown(formatDiffFinding(change)))],
+    ['Resolved findings', diff.resolvedFindings.map(change => escapeMarkdown(formatDiffFinding(change)))],
+    ['Slower checks', diff.timeRegressions.map(regression =>
+      `${escapeMarkdown(regression.check)}: ${regression.oldMs}ms → ${regression.newMs}ms (${regression.ratio}x)`)]
+  ];
+
+  lists.forEach(([heading, items]) => {
+    if (items.length === 0) {
+      return;
+    }
+    output.push(`### ${heading} (${items.length})`);
+    output.push('');
+    items.forEach(item => output.push(`- ${item}`));
+    output.push('');
+  });
+
+  return output.join('\n');
+}
+
+/**
+ * Formats the result of `applyFixes` as text: every changed file with the
+ * fixes applied to it, optionally followed by a unified diff of the change.
+ * 
+ * @param {import('./fixes.js').FixResult} fixResult - The applied or previewed fixes
+ * @param {Object} [options={}] - Formatting options
+ * @param {boolean} [options.patches=true] - Whether to include a patch per changed file
+ * @returns {string} Formatted text
+ * 
+ * @example
+ * ```javascript
+ * const fixResult = await applyFixes(provider, report, { dryRun: true });
+ * console.log(formatFixResultAsText(fixResult));
+ * // 🔧 Dry run: 2 fix(es) would change 1 file(s)
+ * //    .gitignore (update)
+ * //       - Add "node_modules" to .gitignore
+ * //       - Add ".env" to .gitignore
+ * ```
+ */
+export function formatFixResultAsText(fixResult, options = {}) {
+  const { patches = true } = options;
+  const { changes, fixCount, dryRun } = fixResult;
+
+  if (changes.length === 0) {
+    return '🔧 No fixable findings';
+  }
+
+  const output = [
+    dryRun
+      ? `🔧 Dry run: ${fixCount} fix(es) would change ${changes.length} file(s)`
+      : `🔧 Applied ${fixCount} fix(es) to ${changes.length} file(s)`
+  ];
+
+  changes.forEach(change => {
+    output.push(`   ${change.file} (${change.type})`);
+    change.fixes.forEach(fix => output.push(`      - ${fix.line ? `line ${fix.line}: ` : ''}${fix.description}`));
+  });
+
+  if (patches) {
+    changes.forEach(change => {
+      output.push('');
+      output.push(formatPatch(change));
+    });
+  }
+
+  return output.join('\n');
+}
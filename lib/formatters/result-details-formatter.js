@@ -13,6 +13,9 @@
  * 
  * URLs in messages are automatically converted to clickable links.
  * 
+ * The selection and order of the details is available as output-independent
+ * sections via getResultDetailSections, which the Markdown report uses as well.
+ * 
  * @author spec-up-t-healthcheck
  */
 
@@ -83,11 +86,169 @@ export function linkifyUrls(text) {
   });
 }
 
+/**
+ * @typedef {Object} DetailSection
+ * @property {'list'|'console-list'|'console-table'|'markdown-tables'|'suppressed'|'meta'} type - Kind of section
+ * @property {'error'|'warning'|'success'|'info'} [variant] - Severity of a list (list and console-list sections)
+ * @property {string} [title] - Title of a list, e.g. 'Errors'
+ * @property {Array} [items] - List items, console messages, markdown table issues or suppressed findings
+ * @property {string} [note] - Note shown below a console message list
+ * @property {string} [label] - Label of a metadata value, e.g. 'Files found'
+ * @property {string} [value] - Metadata value
+ */
+
+/**
+ * Display properties of list sections in HTML, by variant.
+ * @type {Object<string, {container: string, title: string, item: string, color: string}>}
+ * @private
+ */
+const HTML_LIST_STYLES = {
+  error: { container: 'detail-errors', title: 'text-danger', item: 'text-danger', color: 'danger' },
+  warning: { container: 'detail-warnings', title: 'text-warning', item: 'text-warning', color: 'warning' },
+  success: { container: 'detail-success', title: 'text-success', item: 'text-success', color: 'success' },
+  info: { container: 'detail-info', title: 'text-info', item: 'text-muted', color: 'info' }
+};
+
+/**
+ * Checks whether a details array holds console message objects rather than strings.
+ * 
+ * @param {Array} messages - The array to inspect
+ * @returns {boolean} True for console-messages check output
+ * @private
+ */
+function isConsoleMessageList(messages) {
+  return typeof messages[0] === 'object' && messages[0] !== null && Boolean(messages[0].timestamp);
+}
+
+/**
+ * Flattens the per-file, per-table issues of the markdown-tables check.
+ * 
+ * @param {Array} fileResults - The `details.details` array of the markdown-tables check
+ * @returns {Array<{file: string, line: number, severity: string, message: string, content: string}>} The issues
+ * @private
+ */
+function collectMarkdownTableIssues(fileResults) {
+  return fileResults.flatMap(fileResult => fileResult.tables.flatMap(table => table.issues.map(issue => ({
+    file: fileResult.file,
+    line: issue.line,
+    severity: issue.severity,
+    message: issue.message,
+    content: issue.content || ''
+  }))));
+}
+
+/**
+ * Formats the location of a suppressed finding, e.g. `spec/intro.md:12`.
+ * 
+ * @param {import('../suppressions.js').SuppressedFinding} finding - The suppressed finding
+ * @returns {string} The location
+ */
+export function formatSuppressedLocation(finding) {
+  return finding.line ? `${finding.file}:${finding.line}` : finding.file;
+}
+
+/**
+ * Splits a health check result's details into output-independent sections.
+ * 
+ * This holds the knowledge of which details a check reports and in which order
+ * they are shown, so the HTML and Markdown reports display the same
+ * information. It handles:
+ * - Errors: Listed first
+ * - Warnings: Potential issues that aren't critical
+ * - Success: Passed validations (can be hidden for brevity)
+ * - Info: Contextual information
+ * - Metadata: Missing fields, counts, package data
+ * - Console Messages: Compact error/warning lists followed by all messages
+ * - Markdown Tables: Issues per file and line
+ * - Suppressed findings: Findings silenced by inline comments, with their location
+ * 
+ * @param {Object} details - The details object from a health check result
+ * @returns {DetailSection[]} The sections, in display order
+ * 
+ * @example
+ * ```javascript
+ * getResultDetailSections({ errors: ['Field "title" is missing'], count: 2 });
+ * // Returns: [
+ * //   { type: 'list', variant: 'error', title: 'Errors', items: ['Field "title" is missing'] },
+ * //   { type: 'meta', label: 'Files found', value: '2' }
+ * // ]
+ * ```
+ */
+export function getResultDetailSections(details) {
+  const sections = [];
+  const messageLists = [
+    { key: 'errors', noteKey: 'errorsNote', title: 'Errors', variant: 'error' },
+    { key: 'warnings', noteKey: 'warningsNote', title: 'Warnings', variant: 'warning' }
+  ];
+  
+  // Special handling for console-messages check with errors/warnings
+  // Show compact error/warning list first, then full messages table
+  if (details.analysis && details.allMessages) {
+    for (const { key, noteKey, title, variant } of messageLists) {
+      if (details[key] && details[key].length > 0 && isConsoleMessageList(details[key])) {
+        sections.push({ type: 'console-list', variant, title, items: details[key], note: details[noteKey] });
+      }
+    }
+    sections.push({ type: 'console-table', items: details.allMessages });
+    return sections;
+  }
+  
+  const hasSuppressedFindings = Array.isArray(details.suppressedFindings) && details.suppressedFindings.length > 0;
+  
+  // Special handling for markdown-tables check
+  if (details.details && Array.isArray(details.details)) {
+    sections.push({ type: 'markdown-tables', items: collectMarkdownTableIssues(details.details) });
+    if (hasSuppressedFindings) {
+      sections.push({ type: 'suppressed', title: 'Suppressed', items: details.suppressedFindings });
+    }
+    return sections;
+  }
+  
+  // Errors and warnings are either strings or console message objects (from console-messages)
+  for (const { key, noteKey, title, variant } of messageLists) {
+    if (details[key] && details[key].length > 0) {
+      if (isConsoleMessageList(details[key])) {
+        sections.push({ type: 'console-list', variant, title, items: details[key], note: details[noteKey] });
+      } else if (Array.isArray(details[key])) {
+        sections.push({ type: 'list', variant, title, items: details[key] });
+      }
+    }
+  }
+  
+  if (Array.isArray(details.success) && details.success.length > 0) {
+    sections.push({ type: 'list', variant: 'success', title: 'Success', items: details.success });
+  }
+  
+  if (Array.isArray(details.info) && details.info.length > 0) {
+    sections.push({ type: 'list', variant: 'info', title: 'Info', items: details.info });
+  }
+  
+  if (hasSuppressedFindings) {
+    sections.push({ type: 'suppressed', title: 'Suppressed', items: details.suppressedFindings });
+  }
+  
+  // Metadata kept for backward compatibility with older result shapes
+  if (details.missingFields && details.missingFields.length > 0) {
+    sections.push({ type: 'meta', label: 'Missing fields', value: details.missingFields.join(', ') });
+  }
+  
+  if (details.count !== undefined) {
+    sections.push({ type: 'meta', label: 'Files found', value: String(details.count) });
+  }
+  
+  if (details.packageData) {
+    sections.push({ type: 'meta', label: 'Package', value: `${details.packageData.name}@${details.packageData.version}` });
+  }
+  
+  return sections;
+}
+
 /**
  * Formats result details into HTML.
  * 
  * This is the main formatter function that converts a health check result's
- * details object into a formatted HTML string. It handles:
+ * details object into a formatted HTML string, using the sections from
+ * {@link getResultDetailSections}:
  * - Errors: Displayed in red with bullet points
  * - Warnings: Displayed in yellow/orange with bullet points
  * - Success: Displayed in green with bullet points (can be hidden for brevity)
@@ -126,119 +287,43 @@ export function linkifyUrls(text) {
 export function formatResultDetails(details) {
   let html = '';
   
-  // Special handling for console-messages check with errors/warnings
-  // Show compact error/warning list first, then full messages table
-  if (details.analysis && details.allMessages) {
-    // Show errors first (compact format for quick scanning)
-    if (details.errors && details.errors.length > 0) {
-      const isConsoleMessageFormat = typeof details.errors[0] === 'object' && details.errors[0].timestamp;
-      if (isConsoleMessageFormat) {
-        html += formatConsoleMessageList('Errors', details.errors, 'danger');
-        if (details.errorsNote) {
-          html += `<div class="mt-1"><small class="text-muted">${escapeHtml(details.errorsNote)}</small></div>`;
-        }
-      }
-    }
-    
-    // Show warnings (compact format)
-    if (details.warnings && details.warnings.length > 0) {
-      const isConsoleMessageFormat = typeof details.warnings[0] === 'object' && details.warnings[0].timestamp;
-      if (isConsoleMessageFormat) {
-        html += formatConsoleMessageList('Warnings', details.warnings, 'warning');
-        if (details.warningsNote) {
-          html += `<div class="mt-1"><small class="text-muted">${escapeHtml(details.warningsNote)}</small></div>`;
+  for (const section of getResultDetailSections(details)) {
+    switch (section.type) {
+      case 'console-list':
+        html += formatConsoleMessageList(section.title, section.items, HTML_LIST_STYLES[section.variant].color);
+        if (section.note) {
+          html += `<div class="mt-1"><small class="text-muted">${escapeHtml(section.note)}</small></div>`;
         }
+        break;
+      case 'console-table':
+        html += formatConsoleMessagesTable({ allMessages: section.items });
+        break;
+      case 'markdown-tables':
+        html += formatMarkdownTableIssues(section.items);
+        break;
+      case 'list': {
+        // Success lists carry the detail-success class so they can be hidden
+        // when "Show passing checks" is disabled
+        const style = HTML_LIST_STYLES[section.variant];
+        html += `<div class="mt-2 ${style.container}"><strong class="${style.title}">${escapeHtml(section.title)}:</strong><ul class="mb-0 mt-1">`;
+        section.items.forEach(item => {
+          html += `<li class="${style.item}">${linkifyUrls(item)}</li>`;
+        });
+        html += `</ul></div>`;
+        break;
       }
+      case 'suppressed':
+        html += `<div class="mt-2 detail-suppressed"><strong class="text-muted">${escapeHtml(section.title)}:</strong><ul class="mb-0 mt-1">`;
+        section.items.forEach(finding => {
+          html += `<li class="text-muted"><code>${escapeHtml(formatSuppressedLocation(finding))}</code> ${linkifyUrls(finding.message)} `;
+          html += `<small>(${escapeHtml(finding.ruleId)}, suppressed by comment on line ${finding.suppressedBy.line})</small></li>`;
+        });
+        html += `</ul></div>`;
+        break;
+      case 'meta':
+        html += `<br><small class="text-muted">${escapeHtml(section.label)}: ${escapeHtml(section.value)}</small>`;
+        break;
     }
-    
-    // Add the full messages table (with all message types)
-    html += formatConsoleMessagesTable(details);
-    return html;
-  }
-  
-  // Special handling for markdown-tables check
-  if (details.details && Array.isArray(details.details)) {
-    html += formatMarkdownTablesDetails(details);
-    return html;
-  }
-  
-  // Display errors array with clickable URLs
-  // Errors are shown with strong red styling to draw immediate attention
-  if (details.errors && details.errors.length > 0) {
-    // Check if errors are objects (from console-messages) or strings (from other checks)
-    const isConsoleMessageFormat = typeof details.errors[0] === 'object' && details.errors[0].timestamp;
-    
-    if (isConsoleMessageFormat) {
-      html += formatConsoleMessageList('Errors', details.errors, 'danger');
-      if (details.errorsNote) {
-        html += `<small class="text-muted">${escapeHtml(details.errorsNote)}</small>`;
-      }
-    } else if (Array.isArray(details.errors)) {
-      html += `<div class="mt-2 detail-errors"><strong class="text-danger">Errors:</strong><ul class="mb-0 mt-1">`;
-      details.errors.forEach(error => {
-        html += `<li class="text-danger">${linkifyUrls(error)}</li>`;
-      });
-      html += `</ul></div>`;
-    }
-  }
-  
-  // Display warnings array with clickable URLs
-  // Warnings indicate potential issues that should be addressed but aren't critical
-  if (details.warnings && details.warnings.length > 0) {
-    // Check if warnings are objects (from console-messages) or strings (from other checks)
-    const isConsoleMessageFormat = typeof details.warnings[0] === 'object' && details.warnings[0].timestamp;
-    
-    if (isConsoleMessageFormat) {
-      html += formatConsoleMessageList('Warnings', details.warnings, 'warning');
-      if (details.warningsNote) {
-        html += `<small class="text-muted">${escapeHtml(details.warningsNote)}</small>`;
-      }
-    } else if (Array.isArray(details.warnings)) {
-      html += `<div class="mt-2 detail-warnings"><strong class="text-warning">Warnings:</strong><ul class="mb-0 mt-1">`;
-      details.warnings.forEach(warning => {
-        html += `<li class="text-warning">${linkifyUrls(warning)}</li>`;
-      });
-      html += `</ul></div>`;
-    }
-  }
-  
-  // Display success messages array with clickable URLs
-  // Add detail-success class so these can be hidden when "Show passing checks" is disabled
-  // This helps users focus on issues while still providing complete information when needed
-  if (Array.isArray(details.success) && details.success.length > 0) {
-    html += `<div class="mt-2 detail-success"><strong class="text-success">Success:</strong><ul class="mb-0 mt-1">`;
-    details.success.forEach(success => {
-      html += `<li class="text-success">${linkifyUrls(success)}</li>`;
-    });
-    html += `</ul></div>`;
-  }
-  
-  // Display informational messages array with clickable URLs
-  // Info messages provide additional context without indicating success or failure
-  if (Array.isArray(details.info) && details.info.length > 0) {
-    html += `<div class="mt-2 detail-info"><strong class="text-info">Info:</strong><ul class="mb-0 mt-1">`;
-    details.info.forEach(info => {
-      html += `<li class="text-muted">${linkifyUrls(info)}</li>`;
-    });
-    html += `</ul></div>`;
-  }
-  
-  // Display missing fields (existing functionality for backward compatibility)
-  // Provides a quick summary of what's missing in validation results
-  if (details.missingFields && details.missingFields.length > 0) {
-    html += `<br><small class="text-muted">Missing fields: ${details.missingFields.map(escapeHtml).join(', ')}</small>`;
-  }
-  
-  // Display count (existing functionality)
-  // Shows the number of items found in checks that count resources
-  if (details.count !== undefined) {
-    html += `<br><small class="text-muted">Files found: ${details.count}</small>`;
-  }
-  
-  // Display package data (existing functionality)
-  // Shows package name and version for package.json validation
-  if (details.packageData) {
-    html += `<br><small class="text-muted">Package: ${escapeHtml(details.packageData.name)}@${escapeHtml(details.packageData.version)}</small>`;
   }
   
   return html;
@@ -385,8 +470,17 @@ export function formatConsoleMessagesTable(details) {
  * @returns {string} HTML string with formatted table issues
  */
 export function formatMarkdownTablesDetails(details) {
-  const { details: fileResults } = details;
-  
+  return formatMarkdownTableIssues(collectMarkdownTableIssues(details.details));
+}
+
+/**
+ * Formats flattened markdown table issues into an HTML table.
+ * 
+ * @param {Array<{file: string, line: number, severity: string, message: string, content: string}>} issues - The issues
+ * @returns {string} HTML string with formatted table issues
+ * @private
+ */
+function formatMarkdownTableIssues(issues) {
   let html = '<div class="mt-2">';
   html += '<div class="table-responsive">';
   html += '<table class="table table-sm table-striped">';
@@ -400,22 +494,18 @@ export function formatMarkdownTablesDetails(details) {
   html += '</thead>';
   html += '<tbody>';
   
-  fileResults.forEach(fileResult => {
-    fileResult.tables.forEach(table => {
-      table.issues.forEach(issue => {
-        const severityClass = issue.severity === 'error' ? 'text-danger' : 
-                             issue.severity === 'warning' ? 'text-warning' : 'text-info';
-        const severityIcon = issue.severity === 'error' ? 'bi-exclamation-triangle-fill' :
-                            issue.severity === 'warning' ? 'bi-exclamation-circle-fill' : 'bi-info-circle-fill';
-        
-        html += '<tr>';
-        html += `<td><small><code>${escapeHtml(fileResult.file)}</code></small></td>`;
-        html += `<td><small>${issue.line}</small></td>`;
-        html += `<td><small class="${severityClass}"><i class="bi ${severityIcon}"></i> ${escapeHtml(issue.message)}</small></td>`;
-        html += `<td><small class="text-muted">${escapeHtml(issue.content || '')}</small></td>`;
-        html += '</tr>';
-      });
-    });
+  issues.forEach(issue => {
+    const severityClass = issue.severity === 'error' ? 'text-danger' : 
+                         issue.severity === 'warning' ? 'text-warning' : 'text-info';
+    const severityIcon = issue.severity === 'error' ? 'bi-exclamation-triangle-fill' :
+                        issue.severity === 'warning' ? 'bi-exclamation-circle-fill' : 'bi-info-circle-fill';
+    
+    html += '<tr>';
+    html += `<td><small><code>${escapeHtml(issue.file)}</code></small></td>`;
+    html += `<td><small>${issue.line}</small></td>`;
+    html += `<td><small class="${severityClass}"><i class="bi ${severityIcon}"></i> ${escapeHtml(issue.message)}</small></td>`;
+    html += `<td><small class="text-muted">${escapeHtml(issue.content)}</small></td>`;
+    html += '</tr>';
   });
   
   html += '</tbody>';
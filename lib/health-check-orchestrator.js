@@ -8,8 +8,9 @@
  * @author spec-up-t-healthcheck
  */
 
-import { calculateSummary } from './health-check-utils.js';
+import { calculateSummary, applySeverityOverride, createFinding, SEVERITY_LEVELS } from './health-check-utils.js';
 import { globalRegistry } from './health-check-registry.js';
+import { createRepositoryContext } from './repository-context.js';
 
 /**
  * @typedef {Object} HealthCheckOptions
@@ -17,13 +18,21 @@ import { globalRegistry } from './health-check-registry.js';
  * @property {string[]} [categories] - Categories of checks to run
  * @property {boolean} [continueOnError=true] - Whether to continue running checks after failures
  * @property {number} [timeout=30000] - Timeout for individual checks in milliseconds
- * @property {boolean} [parallel=false] - Whether to run checks in parallel (ignores dependencies)
- * @property {Object} [checkOptions={}] - Options to pass to individual health checks
+ * @property {boolean} [parallel=false] - Whether to run independent checks in parallel; a check still waits
+ *           for the checks it depends on
+ * @property {Object<string, Object>} [checkOptions={}] - Options to pass to individual health checks,
+ *           keyed by check ID (e.g. `{ 'console-messages': { maxWarnings: 25 } }`)
+ * @property {string[]} [disabledChecks=[]] - Check IDs that are never run, even when selected
+ * @property {Object<string, 'fail'|'warn'|'off'>} [severity={}] - Severity overrides keyed by check ID.
+ *           'warn' reports failures as warnings, 'fail' reports warnings as failures, 'off' disables the check
+ * @property {import('./network.js').NetworkClient} [network] - Network client shared by the checks that access
+ *           the network, e.g. one in offline mode or with a persistent cache (defaults to an online in-memory client)
  */
 
 /**
  * @typedef {Object} ExecutionContext
  * @property {import('./providers.js').Provider} provider - The provider instance
+ * @property {import('./repository-context.js').RepositoryContext} repository - Data shared by all checks of the run
  * @property {HealthCheckOptions} options - Execution options
  * @property {Map<string, import('./health-check-utils.js').HealthCheckResult>} results - Results map
  * @property {string[]} failures - IDs of failed checks
@@ -44,7 +53,9 @@ export class HealthCheckOrchestrator {
       continueOnError: true,
       timeout: 30000,
       parallel: false,
-      checkOptions: {}
+      checkOptions: {},
+      disabledChecks: [],
+      severity: {}
     };
   }
 
@@ -78,9 +89,19 @@ export class HealthCheckOrchestrator {
    *   categories: ['configuration', 'content']
    * });
    * 
+   * // Configure individual checks
+   * const offlineReport = await orchestrator.runHealthChecks(provider, {
+   *   checkOptions: {
+   *     'specs-json': { checkUrls: false },
+   *     'external-specs-urls': { checkAccessibility: false }
+   *   }
+   * });
+   * 
    * console.log(`Health score: ${report.summary.score}%`);
    * console.log(`${report.summary.passed}/${report.summary.total} checks passed`);
    * ```
+   * 
+   * @throws {Error} When `checkOptions` contains invalid options for a registered check
    */
   async runHealthChecks(provider, options = {}) {
     // Ensure the registry has discovered available checks
@@ -88,7 +109,13 @@ export class HealthCheckOrchestrator {
       await this.registry.autoDiscover();
     }
 
-    const mergedOptions = { ...this.defaultOptions, ...options };
+    // Options explicitly set to undefined fall back to the defaults
+    const definedOptions = Object.fromEntries(
+      Object.entries(options).filter(([, value]) => value !== undefined)
+    );
+    const mergedOptions = { ...this.defaultOptions, ...definedOptions };
+    this.validateCheckOptions(mergedOptions.checkOptions);
+    this.validateSeverity(mergedOptions.severity);
     const context = this.createExecutionContext(provider, mergedOptions);
     
     try {
@@ -123,6 +150,7 @@ export class HealthCheckOrchestrator {
   createExecutionContext(provider, options) {
     return {
       provider,
+      repository: createRepositoryContext(provider, { network: options.network }),
       options,
       results: new Map(),
       failures: [],
@@ -130,14 +158,76 @@ export class HealthCheckOrchestrator {
     };
   }
 
+  /**
+   * Validates check-scoped options before any check runs.
+   * 
+   * Options for unknown check IDs are reported as a warning, consistent with
+   * unknown IDs in `checks`. Invalid options for registered checks throw, so
+   * configuration mistakes are not hidden among the check results.
+   * 
+   * @param {Object<string, Object>} checkOptions - Options keyed by check ID
+   * @throws {Error} When checkOptions is not an object or contains invalid options
+   * @private
+   */
+  validateCheckOptions(checkOptions) {
+    if (checkOptions === null || typeof checkOptions !== 'object' || Array.isArray(checkOptions)) {
+      throw new Error('checkOptions must be an object keyed by health check ID');
+    }
+
+    const unknownIds = Object.keys(checkOptions).filter(id => !this.registry.has(id));
+    if (unknownIds.length > 0) {
+      console.warn(`Options provided for unknown health checks: ${unknownIds.join(', ')}`);
+    }
+
+    for (const [id, options] of Object.entries(checkOptions)) {
+      if (this.registry.has(id)) {
+        this.registry.resolveOptions(id, options);
+      }
+    }
+  }
+
+  /**
+   * Validates severity overrides before any check runs.
+   * 
+   * @param {Object<string, string>} severity - Severity overrides keyed by check ID
+   * @throws {Error} When severity is not an object or contains an unknown level
+   * @private
+   */
+  validateSeverity(severity) {
+    if (severity === null || typeof severity !== 'object' || Array.isArray(severity)) {
+      throw new Error('severity must be an object keyed by health check ID');
+    }
+
+    for (const [id, level] of Object.entries(severity)) {
+      if (!SEVERITY_LEVELS.includes(level)) {
+        throw new Error(`Invalid severity '${level}' for health check '${id}' (allowed: ${SEVERITY_LEVELS.join(', ')})`);
+      }
+    }
+  }
+
   /**
    * Selects which health checks to run based on options.
    * 
+   * Checks listed in `disabledChecks` or configured with severity 'off' are
+   * removed from the selection.
+   * 
    * @param {HealthCheckOptions} options - Execution options
    * @returns {string[]} Array of check IDs to run
    * @private
    */
   selectChecksToRun(options) {
+    const isDisabled = id => options.disabledChecks.includes(id) || options.severity[id] === 'off';
+    return this.selectRequestedChecks(options).filter(id => !isDisabled(id));
+  }
+
+  /**
+   * Selects the health checks requested by ID or category, or all checks.
+   * 
+   * @param {HealthCheckOptions} options - Execution options
+   * @returns {string[]} Array of check IDs
+   * @private
+   */
+  selectRequestedChecks(options) {
     if (options.checks && options.checks.length > 0) {
       // Validate requested checks exist
       const validChecks = options.checks.filter(id => this.registry.has(id));
@@ -177,68 +267,96 @@ export class HealthCheckOrchestrator {
         break; // Stop on first failure if configured
       }
 
-      try {
-        const result = await this.executeWithTimeout(
-          checkMetadata.id, 
-          context.provider, 
-          context.options.timeout
-        );
-        
-        context.results.set(checkMetadata.id, result);
-        
-        if (result.status === 'fail') {
-          context.failures.push(checkMetadata.id);
-        }
-
-      } catch (error) {
-        const errorResult = this.createCheckErrorResult(checkMetadata.id, error);
-        context.results.set(checkMetadata.id, errorResult);
-        context.failures.push(checkMetadata.id);
-      }
+      await this.runCheck(context, checkMetadata.id);
     }
   }
 
   /**
    * Runs health checks in parallel for faster execution.
    * 
+   * Checks are scheduled along their dependency graph: every check starts as
+   * soon as the checks it depends on have finished, so independent branches run
+   * concurrently. Results are reported in execution order, like in sequential mode.
+   * 
    * @param {ExecutionContext} context - Execution context
    * @param {string[]} checkIds - Array of check IDs to run
    * @private
    */
   async runChecksInParallel(context, checkIds) {
-    const checkPromises = checkIds.map(async (checkId) => {
-      try {
-        const result = await this.executeWithTimeout(
-          checkId, 
-          context.provider, 
-          context.options.timeout
-        );
-        return { checkId, result, error: null };
-      } catch (error) {
-        return { checkId, result: null, error };
-      }
+    const orderedChecks = this.registry.getExecutionOrder(checkIds);
+    const runs = new Map();
+
+    // Dependencies come first in execution order, so their runs already exist
+    for (const checkMetadata of orderedChecks) {
+      const prerequisites = this.registry.getDependencies(checkMetadata.id)
+        .filter(dependency => runs.has(dependency))
+        .map(dependency => runs.get(dependency));
+
+      runs.set(
+        checkMetadata.id,
+        Promise.all(prerequisites).then(() => this.runCheck(context, checkMetadata.id))
+      );
+    }
+
+    await Promise.all(runs.values());
+
+    // Results were added in completion order; report them in execution order
+    context.results = new Map(
+      orderedChecks
+        .filter(checkMetadata => context.results.has(checkMetadata.id))
+        .map(checkMetadata => [checkMetadata.id, context.results.get(checkMetadata.id)])
+    );
+  }
+
+  /**
+   * Runs a single health check and records its result in the context.
+   * 
+   * The check is skipped when one of its dependencies failed or was skipped for
+   * that reason, since its result would only repeat the prerequisite's problem.
+   * A failed prerequisite whose result sets `details.blocksDependents` to false
+   * doesn't skip its dependents: it found problems, but none that keep them
+   * from running. Prerequisites are judged by their own status, before
+   * severity overrides.
+   * Execution errors are recorded as failed results and never thrown. The time
+   * the check took is recorded as `executionTimeMs` on its result.
+   * 
+   * @param {ExecutionContext} context - Execution context
+   * @param {string} checkId - The health check ID
+   * @returns {Promise<void>}
+   * @private
+   */
+  async runCheck(context, checkId) {
+    const failedPrerequisites = this.registry.getDependencies(checkId).filter(dependency => {
+      const details = context.results.get(dependency)?.details;
+      return (context.failures.includes(dependency) && details?.blocksDependents !== false) ||
+        details?.skippedDueTo;
     });
 
-    const results = await Promise.allSettled(checkPromises);
-    
-    for (const promiseResult of results) {
-      if (promiseResult.status === 'fulfilled') {
-        const { checkId, result, error } = promiseResult.value;
-        
-        if (error) {
-          const errorResult = this.createCheckErrorResult(checkId, error);
-          context.results.set(checkId, errorResult);
-          context.failures.push(checkId);
-        } else {
-          context.results.set(checkId, result);
-          if (result.status === 'fail') {
-            context.failures.push(checkId);
-          }
-        }
-      } else {
-        // This shouldn't happen with our current implementation, but handle it
-        console.error('Unexpected promise rejection in parallel execution:', promiseResult.reason);
+    if (failedPrerequisites.length > 0) {
+      context.results.set(checkId, this.createDependencySkipResult(checkId, failedPrerequisites));
+      return;
+    }
+
+    const startTime = Date.now();
+    try {
+      const result = await this.executeWithTimeout(
+        checkId, 
+        context.provider, 
+        context.options.timeout,
+        context.options.checkOptions[checkId],
+        context.repository
+      );
+      
+      context.results.set(checkId, { ...result, executionTimeMs: Date.now() - startTime });
+      
+      if (result.status === 'fail') {
+        context.failures.push(checkId);
       }
+
+    } catch (error) {
+      const errorResult = this.createCheckErrorResult(checkId, error);
+      context.results.set(checkId, { ...errorResult, executionTimeMs: Date.now() - startTime });
+      context.failures.push(checkId);
     }
   }
 
@@ -248,17 +366,19 @@ export class HealthCheckOrchestrator {
    * @param {string} checkId - The health check ID
    * @param {import('./providers.js').Provider} provider - The provider instance
    * @param {number} timeout - Timeout in milliseconds
+   * @param {Object} [checkOptions={}] - Options for this check
+   * @param {import('./repository-context.js').RepositoryContext} [repository] - Shared repository context
    * @returns {Promise<import('./health-check-utils.js').HealthCheckResult>} The check result
    * @private
    */
-  async executeWithTimeout(checkId, provider, timeout) {
+  async executeWithTimeout(checkId, provider, timeout, checkOptions = {}, repository) {
     return new Promise(async (resolve, reject) => {
       const timeoutHandle = setTimeout(() => {
         reject(new Error(`Health check '${checkId}' timed out after ${timeout}ms`));
       }, timeout);
 
       try {
-        const result = await this.registry.execute(checkId, provider);
+        const result = await this.registry.execute(checkId, provider, checkOptions, repository);
         clearTimeout(timeoutHandle);
         resolve(result);
       } catch (error) {
@@ -283,12 +403,46 @@ export class HealthCheckOrchestrator {
       message: `Health check execution failed: ${error.message}`,
       timestamp: new Date().toISOString(),
       details: {
+        findings: [createFinding('execution-error', 'error', error.message)],
         error: error.message,
         executionError: true
       }
     };
   }
 
+  /**
+   * Creates a skip result for a health check whose prerequisites failed.
+   * 
+   * @param {string} checkId - The health check ID
+   * @param {string[]} failedPrerequisites - IDs of the prerequisites that failed or were skipped
+   * @returns {import('./health-check-utils.js').HealthCheckResult} Skip result
+   * @private
+   */
+  createDependencySkipResult(checkId, failedPrerequisites) {
+    return {
+      check: checkId,
+      status: 'skip',
+      message: `Skipped because prerequisite check(s) failed: ${failedPrerequisites.join(', ')}`,
+      timestamp: new Date().toISOString(),
+      details: {
+        skippedDueTo: failedPrerequisites
+      }
+    };
+  }
+
+  /**
+   * Collects the check results in execution order with severity overrides applied.
+   * 
+   * @param {ExecutionContext} context - Execution context
+   * @returns {import('./health-check-utils.js').HealthCheckResult[]} The reported results
+   * @private
+   */
+  collectResults(context) {
+    const severity = context.options.severity || {};
+    return Array.from(context.results.entries())
+      .map(([checkId, result]) => applySeverityOverride(result, severity[checkId]));
+  }
+
   /**
    * Generates the final health check report.
    * 
@@ -297,7 +451,7 @@ export class HealthCheckOrchestrator {
    * @private
    */
   generateReport(context) {
-    const results = Array.from(context.results.values());
+    const results = this.collectResults(context);
     const summary = calculateSummary(results);
     const executionTime = Date.now() - context.startTime.getTime();
 
@@ -354,7 +508,7 @@ export class HealthCheckOrchestrator {
    * @private
    */
   createErrorReport(context, error) {
-    const results = Array.from(context.results.values());
+    const results = this.collectResults(context);
     const summary = calculateSummary(results);
 
     return {
@@ -389,7 +543,9 @@ export class HealthCheckOrchestrator {
         description: metadata.description,
         category: metadata.category,
         enabled: metadata.enabled,
-        priority: metadata.priority
+        priority: metadata.priority,
+        dependencies: metadata.dependencies,
+        options: metadata.optionsSchema || {}
       };
     });
   }
@@ -8,20 +8,60 @@
  * @author spec-up-t-healthcheck
  */
 
-import { isValidHealthCheckResult } from './health-check-utils.js';
+import { isValidHealthCheckResult, resolveCheckOptions, CHECK_OPTION_TYPES } from './health-check-utils.js';
+import { createRepositoryContext } from './repository-context.js';
 
 /**
  * @typedef {Object} HealthCheckMetadata
  * @property {string} id - Unique identifier for the health check
  * @property {string} name - Human-readable name
  * @property {string} description - Description of what the check validates
- * @property {function} checkFunction - The actual health check function
+ * @property {function} checkFunction - The actual health check function, called with the provider,
+ *           the resolved options and the shared repository context
  * @property {string} [category='general'] - Category for grouping checks
  * @property {number} [priority=100] - Execution priority (lower = higher priority)
- * @property {string[]} [dependencies=[]] - IDs of checks that must run before this one
+ * @property {string[]} [dependencies=[]] - IDs of checks that must run before this one. The check is
+ *           skipped when one of them fails, unless the failed result sets `details.blocksDependents`
+ *           to false (e.g. specs-json with a readable spec object but invalid field values).
  * @property {boolean} [enabled=true] - Whether the check is enabled by default
+ * @property {import('./health-check-utils.js').CheckOptionsSchema} [optionsSchema] - Options accepted by the check.
+ *           Checks without a schema receive the caller's options unvalidated.
+ * @property {string[]} [watchPatterns] - Repository files the check reads, as patterns relative to the
+ *           repository root ('specs.json', '**\/*.md'). Watch mode re-runs the check when a matching file
+ *           changes; checks without patterns are re-run on every change.
  */
 
+/**
+ * Checks whether a repository path matches a watch pattern. `**` matches any
+ * number of directories, `*` and `?` match within a single path segment.
+ * 
+ * @param {string} pattern - The watch pattern, e.g. '**\/*.md'
+ * @param {string} filePath - Path relative to the repository root
+ * @returns {boolean} True if the path matches the pattern
+ * 
+ * @example
+ * ```javascript
+ * matchesWatchPattern('**\/*.md', 'spec/terms/term.md'); // true
+ * matchesWatchPattern('specs.json', 'docs/specs.json'); // false
+ * ```
+ */
+export function matchesWatchPattern(pattern, filePath) {
+  const source = pattern
+    .replace(/^\.?\//, '')
+    .split(/(\*\*\/|\*\*|\*|\?)/)
+    .map(part => {
+      switch (part) {
+        case '**/': return '(?:.*/)?';
+        case '**': return '.*';
+        case '*': return '[^/]*';
+        case '?': return '[^/]';
+        default: return part.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+      }
+    })
+    .join('');
+  return new RegExp(`^${source}$`).test(filePath.replace(/\\/g, '/').replace(/^\.?\//, ''));
+}
+
 /**
  * Registry for managing health check modules.
  * This class provides a centralized system for registering, discovering,
@@ -51,7 +91,10 @@ export class HealthCheckRegistry {
    *   id: 'my-check',
    *   name: 'My Custom Check',
    *   description: 'Validates something important',
-   *   checkFunction: async (provider) => { ... }
+   *   checkFunction: async (provider, options, context) => { ... },
+   *   optionsSchema: {
+   *     strict: { type: 'boolean', default: false, description: 'Treat warnings as failures' }
+   *   }
    * });
    * ```
    */
@@ -110,6 +153,34 @@ export class HealthCheckRegistry {
     if (metadata.dependencies && !Array.isArray(metadata.dependencies)) {
       throw new Error('Health check dependencies must be an array');
     }
+
+    if (metadata.dependencies) {
+      for (const dependency of metadata.dependencies) {
+        if (typeof dependency !== 'string' || dependency.trim() === '') {
+          throw new Error('Health check dependencies must be non-empty check IDs');
+        }
+        if (dependency === metadata.id) {
+          throw new Error(`Health check '${metadata.id}' cannot depend on itself`);
+        }
+      }
+    }
+
+    if (metadata.watchPatterns !== undefined &&
+      (!Array.isArray(metadata.watchPatterns) ||
+        !metadata.watchPatterns.every(pattern => typeof pattern === 'string' && pattern.trim() !== ''))) {
+      throw new Error('Health check watchPatterns must be an array of non-empty strings');
+    }
+
+    if (metadata.optionsSchema !== undefined) {
+      if (!metadata.optionsSchema || typeof metadata.optionsSchema !== 'object') {
+        throw new Error('Health check optionsSchema must be an object');
+      }
+      for (const [key, definition] of Object.entries(metadata.optionsSchema)) {
+        if (!definition || !CHECK_OPTION_TYPES.includes(definition.type)) {
+          throw new Error(`Health check option '${key}' must have a type of: ${CHECK_OPTION_TYPES.join(', ')}`);
+        }
+      }
+    }
   }
 
   /**
@@ -173,11 +244,15 @@ export class HealthCheckRegistry {
   /**
    * Gets health checks sorted by priority and dependencies.
    * 
-   * This method returns checks in an order that respects dependencies
-   * and priority settings, ensuring checks run in the correct sequence.
+   * The checks are sorted topologically: a check always comes after the checks
+   * it depends on. Among checks whose dependencies are satisfied, the one with
+   * the lowest priority (then ID) comes first, so the order is deterministic.
+   * Dependencies on checks that are not part of the selection (not requested,
+   * disabled or not registered) don't constrain the order.
    * 
    * @param {string[]} [requestedIds] - Specific check IDs to include (optional)
    * @returns {HealthCheckMetadata[]} Ordered array of health checks
+   * @throws {Error} If the dependencies of the selected checks contain a cycle
    */
   getExecutionOrder(requestedIds) {
     const availableChecks = requestedIds 
@@ -186,14 +261,124 @@ export class HealthCheckRegistry {
 
     // Filter only enabled checks
     const enabledChecks = availableChecks.filter(check => check.enabled);
+    const selectedIds = new Set(enabledChecks.map(check => check.id));
 
     // Sort by priority, then by ID for consistent ordering
-    return enabledChecks.sort((a, b) => {
+    let pending = enabledChecks.sort((a, b) => {
       if (a.priority !== b.priority) {
         return a.priority - b.priority;
       }
       return a.id.localeCompare(b.id);
     });
+
+    const ordered = [];
+    const placedIds = new Set();
+    const isReady = check => this.getDependencies(check.id)
+      .every(dependency => !selectedIds.has(dependency) || placedIds.has(dependency));
+
+    while (pending.length > 0) {
+      const next = pending.find(isReady);
+      if (!next) {
+        throw new Error(`Circular dependency between health checks: ${this.describeCycle(pending).join(' -> ')}`);
+      }
+      ordered.push(next);
+      placedIds.add(next.id);
+      pending = pending.filter(check => check !== next);
+    }
+
+    return ordered;
+  }
+
+  /**
+   * Gets the IDs of the checks a health check depends on.
+   * 
+   * @param {string} id - The ID of the health check
+   * @returns {string[]} IDs of the prerequisite checks (empty if none or not registered)
+   */
+  getDependencies(id) {
+    return this.get(id)?.dependencies || [];
+  }
+
+  /**
+   * Finds a dependency cycle among checks that could not be ordered.
+   * 
+   * Every check left over by the topological sort depends on another left-over
+   * check, so following the first such dependency always runs into a cycle.
+   * 
+   * @param {HealthCheckMetadata[]} pending - Checks that could not be ordered
+   * @returns {string[]} The check IDs forming the cycle, first ID repeated at the end
+   * @private
+   */
+  describeCycle(pending) {
+    const pendingIds = new Set(pending.map(check => check.id));
+    const path = [];
+    let current = pending[0].id;
+
+    while (!path.includes(current)) {
+      path.push(current);
+      current = this.getDependencies(current).find(dependency => pendingIds.has(dependency));
+    }
+
+    return [...path.slice(path.indexOf(current)), current];
+  }
+
+  /**
+   * Gets the health checks affected by changes to repository files.
+   * 
+   * A check is affected when one of the files matches its `watchPatterns`, or
+   * when it has no watch patterns. Checks that depend on an affected check are
+   * affected as well, since their outcome may change with their prerequisite's.
+   * 
+   * @param {string[]} filePaths - Changed files, relative to the repository root
+   * @param {string[]} [candidateIds] - Checks to consider (all registered checks if omitted)
+   * @returns {string[]} IDs of the affected checks, in registration order
+   * 
+   * @example
+   * ```javascript
+   * registry.getChecksForFiles(['specs.json']);
+   * // e.g. ['specs-json', 'external-specs-urls', 'spec-directory-and-files', 'link-checker']
+   * ```
+   */
+  getChecksForFiles(filePaths, candidateIds = this.getAllIds()) {
+    const candidates = candidateIds.map(id => this.get(id)).filter(Boolean);
+    const affected = new Set(candidates
+      .filter(check => !check.watchPatterns || check.watchPatterns.some(pattern =>
+        filePaths.some(filePath => matchesWatchPattern(pattern, filePath))))
+      .map(check => check.id));
+
+    // Add dependents until no more checks are affected
+    let added = true;
+    while (added) {
+      added = false;
+      for (const check of candidates) {
+        if (!affected.has(check.id) && this.getDependencies(check.id).some(dependency => affected.has(dependency))) {
+          affected.add(check.id);
+          added = true;
+        }
+      }
+    }
+
+    return candidates.filter(check => affected.has(check.id)).map(check => check.id);
+  }
+
+  /**
+   * Resolves the options for a health check against its options schema.
+   * 
+   * @param {string} id - The ID of the health check
+   * @param {Object} [options={}] - Check-scoped options provided by the caller
+   * @returns {Object} The validated options with defaults applied
+   * @throws {Error} If the check is not registered or the options are invalid
+   */
+  resolveOptions(id, options = {}) {
+    const metadata = this.get(id);
+    if (!metadata) {
+      throw new Error(`Health check '${id}' is not registered`);
+    }
+
+    if (!metadata.optionsSchema) {
+      return { ...options };
+    }
+    return resolveCheckOptions(metadata.optionsSchema, options, id);
   }
 
   /**
@@ -201,10 +386,13 @@ export class HealthCheckRegistry {
    * 
    * @param {string} id - The ID of the health check to execute
    * @param {import('./providers.js').Provider} provider - The provider instance
+   * @param {Object} [options={}] - Check-scoped options, validated against the check's options schema
+   * @param {import('./repository-context.js').RepositoryContext} [context] - Shared repository context;
+   *        a new context is created when omitted
    * @returns {Promise<import('./health-check-utils.js').HealthCheckResult>} The check result
-   * @throws {Error} If the check is not registered or execution fails
+   * @throws {Error} If the check is not registered, the options are invalid or execution fails
    */
-  async execute(id, provider) {
+  async execute(id, provider, options = {}, context = createRepositoryContext(provider)) {
     const metadata = this.get(id);
     if (!metadata) {
       throw new Error(`Health check '${id}' is not registered`);
@@ -215,7 +403,8 @@ export class HealthCheckRegistry {
     }
 
     try {
-      const result = await metadata.checkFunction(provider);
+      const checkOptions = this.resolveOptions(id, options);
+      const result = await metadata.checkFunction(provider, checkOptions, context);
       
       // Validate the result structure
       if (!isValidHealthCheckResult(result)) {
@@ -255,6 +444,11 @@ export class HealthCheckRegistry {
       const consoleMessagesModule = await import('./checks/console-messages.js');
       const markdownTablesModule = await import('./checks/markdown-tables.js');
       const headingHierarchyModule = await import('./checks/heading-hierarchy.js');
+      const terminologyModule = await import('./checks/terminology.js');
+      const externalReferencesModule = await import('./checks/external-references.js');
+      const xtrefsCacheModule = await import('./checks/xtrefs-cache.js');
+      const specUpTVersionModule = await import('./checks/spec-up-t-version.js');
+      const lockfileModule = await import('./checks/lockfile.js');
       
       // Only import link-checker in Node.js environments (not browsers)
       // Link checker requires linkinator which uses Node.js streams
@@ -274,11 +468,41 @@ export class HealthCheckRegistry {
           name: packageJsonModule.CHECK_NAME || 'package.json Check',
           description: packageJsonModule.CHECK_DESCRIPTION || 'Validates package.json file',
           checkFunction: packageJsonModule.checkPackageJson,
+          optionsSchema: packageJsonModule.CHECK_OPTIONS,
+          watchPatterns: ['package.json', 'package-lock.json', 'npm-shrinkwrap.json', 'yarn.lock', 'pnpm-lock.yaml', '.healthcheck/reference-bundles/*.json'],
           category: 'configuration',
           priority: 10 // High priority for configuration checks
         });
       }
 
+      // Register spec-up-t version compatibility check
+      if (specUpTVersionModule.checkSpecUpTVersion && specUpTVersionModule.CHECK_ID) {
+        this.register({
+          id: specUpTVersionModule.CHECK_ID,
+          name: specUpTVersionModule.CHECK_NAME || 'spec-up-t Version Compatibility',
+          description: specUpTVersionModule.CHECK_DESCRIPTION || 'Validates the installed spec-up-t version',
+          checkFunction: specUpTVersionModule.checkSpecUpTVersion,
+          optionsSchema: specUpTVersionModule.CHECK_OPTIONS,
+          watchPatterns: ['package.json', 'package-lock.json', 'npm-shrinkwrap.json', 'yarn.lock', 'pnpm-lock.yaml', 'specs.json', '.healthcheck/reference-bundles/*.json'],
+          category: 'configuration',
+          priority: 11 // Right after package.json, whose dependency it looks at
+        });
+      }
+
+      // Register lockfile consistency check
+      if (lockfileModule.checkLockfile && lockfileModule.CHECK_ID) {
+        this.register({
+          id: lockfileModule.CHECK_ID,
+          name: lockfileModule.CHECK_NAME || 'Lockfile Consistency',
+          description: lockfileModule.CHECK_DESCRIPTION || 'Validates the lockfile against package.json',
+          checkFunction: lockfileModule.checkLockfile,
+          optionsSchema: lockfileModule.CHECK_OPTIONS,
+          watchPatterns: ['package.json', 'package-lock.json', 'npm-shrinkwrap.json', 'yarn.lock', 'pnpm-lock.yaml', '.github/workflows/*'],
+          category: 'configuration',
+          priority: 11 // Next to the spec-up-t version check, which reads the same files
+        });
+      }
+
       // Register spec files check
       if (specFilesModule.checkSpecFiles && specFilesModule.CHECK_ID) {
         this.register({
@@ -286,6 +510,8 @@ export class HealthCheckRegistry {
           name: specFilesModule.CHECK_NAME || 'Specification Files Check',
           description: specFilesModule.CHECK_DESCRIPTION || 'Discovers specification files',
           checkFunction: specFilesModule.checkSpecFiles,
+          optionsSchema: specFilesModule.CHECK_OPTIONS,
+          watchPatterns: ['**/*.md'],
           category: 'content',
           priority: 20 // Lower priority, content checks can run after configuration
         });
@@ -298,6 +524,8 @@ export class HealthCheckRegistry {
           name: specsJsonModule.CHECK_NAME || 'specs.json Check',
           description: specsJsonModule.CHECK_DESCRIPTION || 'Validates specs.json file',
           checkFunction: specsJsonModule.checkSpecsJson,
+          optionsSchema: specsJsonModule.CHECK_OPTIONS,
+          watchPatterns: ['specs.json', 'package-lock.json', 'npm-shrinkwrap.json', 'yarn.lock', 'pnpm-lock.yaml', '.healthcheck/reference-bundles/*.json'],
           category: 'configuration',
           priority: 15 // Between package-json and spec-files
         });
@@ -310,8 +538,11 @@ export class HealthCheckRegistry {
           name: externalSpecsUrlsModule.CHECK_NAME || 'External Specs URL Validation',
           description: externalSpecsUrlsModule.CHECK_DESCRIPTION || 'Validates external specification URLs',
           checkFunction: externalSpecsUrlsModule.checkExternalSpecsUrls,
+          optionsSchema: externalSpecsUrlsModule.CHECK_OPTIONS,
+          watchPatterns: ['specs.json'],
           category: 'external-references',
-          priority: 30 // Run after specs.json is validated
+          priority: 30, // Run after specs.json is validated
+          dependencies: ['specs-json'] // Needs a readable specs.json
         });
       }
 
@@ -322,6 +553,8 @@ export class HealthCheckRegistry {
           name: gitignoreModule.CHECK_NAME || '.gitignore validation',
           description: gitignoreModule.CHECK_DESCRIPTION || 'Validates .gitignore file',
           checkFunction: gitignoreModule.checkGitignore,
+          optionsSchema: gitignoreModule.CHECK_OPTIONS,
+          watchPatterns: ['.gitignore', 'package-lock.json', 'npm-shrinkwrap.json', 'yarn.lock', 'pnpm-lock.yaml', '.healthcheck/reference-bundles/*.json'],
           category: 'configuration',
           priority: 12 // After package.json, before specs.json
         });
@@ -334,8 +567,11 @@ export class HealthCheckRegistry {
           name: specDirectoryAndFilesModule.CHECK_NAME || 'Spec Directory and Files Check',
           description: specDirectoryAndFilesModule.CHECK_DESCRIPTION || 'Validates spec directories and required files',
           checkFunction: specDirectoryAndFilesModule.checkSpecDirectoryAndFiles,
+          optionsSchema: specDirectoryAndFilesModule.CHECK_OPTIONS,
+          watchPatterns: ['specs.json', '**/*.md'],
           category: 'content',
-          priority: 16 // After specs.json validation, before general spec files discovery
+          priority: 16, // After specs.json validation, before general spec files discovery
+          dependencies: ['specs-json'] // Needs a readable specs.json
         });
       }
 
@@ -346,6 +582,8 @@ export class HealthCheckRegistry {
           name: consoleMessagesModule.checkConsoleMessagesMetadata?.name || 'Console Messages',
           description: consoleMessagesModule.checkConsoleMessagesMetadata?.description || 'Analyzes console output from operations',
           checkFunction: consoleMessagesModule.checkConsoleMessages,
+          optionsSchema: consoleMessagesModule.CHECK_OPTIONS,
+          watchPatterns: ['.cache/console-messages.json'],
           category: consoleMessagesModule.checkConsoleMessagesMetadata?.category || 'operations',
           priority: 50 // Run after most other checks as it analyzes operation results
         });
@@ -358,6 +596,8 @@ export class HealthCheckRegistry {
           name: markdownTablesModule.CHECK_NAME || 'Markdown Table Validation',
           description: markdownTablesModule.CHECK_DESCRIPTION || 'Validates markdown table structure and syntax',
           checkFunction: markdownTablesModule.checkMarkdownTables,
+          optionsSchema: markdownTablesModule.CHECK_OPTIONS,
+          watchPatterns: ['**/*.md'],
           category: 'content',
           priority: 25 // Run after spec files discovery, before external validations
         });
@@ -370,11 +610,58 @@ export class HealthCheckRegistry {
           name: headingHierarchyModule.CHECK_NAME || 'Heading Hierarchy Validation',
           description: headingHierarchyModule.CHECK_DESCRIPTION || 'Validates heading levels do not skip levels',
           checkFunction: headingHierarchyModule.checkHeadingHierarchy,
+          optionsSchema: headingHierarchyModule.CHECK_OPTIONS,
+          watchPatterns: ['**/*.md'],
           category: 'content',
           priority: 26 // Run alongside markdown content checks
         });
       }
 
+      // Register terminology check
+      if (terminologyModule.checkTerminology && terminologyModule.CHECK_ID) {
+        this.register({
+          id: terminologyModule.CHECK_ID,
+          name: terminologyModule.CHECK_NAME || 'Terminology Validation',
+          description: terminologyModule.CHECK_DESCRIPTION || 'Validates term definitions and references',
+          checkFunction: terminologyModule.checkTerminology,
+          optionsSchema: terminologyModule.CHECK_OPTIONS,
+          watchPatterns: ['specs.json', '**/*.md'],
+          category: 'content',
+          priority: 27, // Run alongside markdown content checks
+          dependencies: ['specs-json'] // Needs a readable specs.json to locate the terms
+        });
+      }
+
+      // Register external references check
+      if (externalReferencesModule.checkExternalReferences && externalReferencesModule.CHECK_ID) {
+        this.register({
+          id: externalReferencesModule.CHECK_ID,
+          name: externalReferencesModule.CHECK_NAME || 'External Reference Resolution',
+          description: externalReferencesModule.CHECK_DESCRIPTION || 'Validates xref and tref references against external_specs',
+          checkFunction: externalReferencesModule.checkExternalReferences,
+          optionsSchema: externalReferencesModule.CHECK_OPTIONS,
+          watchPatterns: ['specs.json', '**/*.md', '.cache/xtrefs-data.json'],
+          category: 'external-references',
+          priority: 32, // Run after the external specs themselves are validated
+          dependencies: ['specs-json'] // Needs a readable specs.json
+        });
+      }
+
+      // Register xtrefs cache check
+      if (xtrefsCacheModule.checkXtrefsCache && xtrefsCacheModule.CHECK_ID) {
+        this.register({
+          id: xtrefsCacheModule.CHECK_ID,
+          name: xtrefsCacheModule.CHECK_NAME || 'External References Cache',
+          description: xtrefsCacheModule.CHECK_DESCRIPTION || 'Validates the xtrefs cache against the markdown',
+          checkFunction: xtrefsCacheModule.checkXtrefsCache,
+          optionsSchema: xtrefsCacheModule.CHECK_OPTIONS,
+          watchPatterns: ['specs.json', '**/*.md', '.cache/xtrefs-data.json'],
+          category: 'external-references',
+          priority: 34, // Run after the external references are resolved
+          dependencies: ['specs-json'] // Needs a readable specs.json
+        });
+      }
+
       // Register link checker (Node.js only - not available in browsers)
       if (linkCheckerModule && linkCheckerModule.checkLinks && linkCheckerModule.CHECK_ID) {
         this.register({
@@ -382,8 +669,11 @@ export class HealthCheckRegistry {
           name: linkCheckerModule.CHECK_NAME || 'Link Checker',
           description: linkCheckerModule.CHECK_DESCRIPTION || 'Validates all links in the generated HTML output',
           checkFunction: linkCheckerModule.checkLinks,
+          optionsSchema: linkCheckerModule.CHECK_OPTIONS,
+          watchPatterns: ['specs.json', '**/*.html'],
           category: 'quality',
-          priority: 40 // Run after all file validations complete
+          priority: 40, // Run after all file validations complete
+          dependencies: ['specs-json'] // Needs a readable specs.json
         });
       }
 
@@ -14,7 +14,39 @@
  * @property {'pass'|'fail'|'warn'|'skip'} status - The result status
  * @property {string} message - Human-readable result message
  * @property {string} timestamp - ISO timestamp when the check was performed
- * @property {Object} [details={}] - Additional details about the check result
+ * @property {Object} [details={}] - Additional details about the check result. Built-in checks
+ *           list the individual problems they found in `details.findings` ({@link Finding}[]);
+ *           markdown-scanning checks list findings silenced by inline comments in
+ *           `details.suppressedFindings`
+ * @property {number} [executionTimeMs] - How long the check took to run (set by the orchestrator)
+ */
+
+/**
+ * @typedef {Object} Finding
+ * @property {string} ruleId - Identifier of the rule that was violated, `<check-id>/<rule>`
+ *           (e.g. 'specs-json/missing-required-field')
+ * @property {'error'|'warning'|'info'} severity - How serious the finding is
+ * @property {string} message - Human-readable description of the problem
+ * @property {string} [file] - Repository-relative path of the affected file
+ * @property {number} [line] - 1-based line where the problem starts
+ * @property {number} [column] - 1-based column where the problem starts
+ * @property {number} [endLine] - 1-based line where the problem ends
+ * @property {number} [endColumn] - 1-based column after the last character of the problem
+ * @property {string} [pointer] - JSON pointer (RFC 6901) of the affected value in a JSON file, e.g. '/specs/0/title'
+ * @property {string} [suggestion] - How to fix the problem
+ * @property {FindingFix} [fix] - Mechanical fix that can be applied automatically (see fixes.js)
+ */
+
+/**
+ * @typedef {Object} FindingFix
+ * @property {string} description - What the fix changes, e.g. 'Add "node_modules" to .gitignore'
+ * @property {string} [file] - File the fix applies to (defaults to the file of the finding)
+ * @property {number} [line] - 1-based line that is replaced by `text`
+ * @property {string} [text] - Replacement for `line`
+ * @property {string[]} [appendLines] - Lines appended to the file unless already present;
+ *           the file is created when it doesn't exist
+ * @property {string} [createContent] - Content of the file, which is only created when it doesn't exist
+ * @property {{path: string[], value: any}} [jsonSet] - Property of a JSON file that is set to `value`
  */
 
 /**
@@ -40,8 +72,24 @@
  */
 
 /**
- * @typedef {function(import('./providers.js').Provider): Promise<HealthCheckResult>} HealthCheckFunction
- * @description A function that performs a health check using a provider and returns a result
+ * @typedef {function(import('./providers.js').Provider, Object=, import('./repository-context.js').RepositoryContext=): Promise<HealthCheckResult>} HealthCheckFunction
+ * @description A function that performs a health check using a provider, optional
+ * check-scoped options and the shared repository context, and returns a result
+ */
+
+/**
+ * @typedef {Object} CheckOptionDefinition
+ * @property {'boolean'|'number'|'string'|'array'} type - Expected type of the option value
+ * @property {*} default - Value used when the option is not provided
+ * @property {string} description - Human-readable description of the option
+ * @property {'boolean'|'number'|'string'} [items] - Element type for array options
+ * @property {Array} [enum] - Allowed values (for arrays: allowed elements)
+ * @property {number} [minimum] - Smallest allowed value for number options
+ */
+
+/**
+ * @typedef {Object<string, CheckOptionDefinition>} CheckOptionsSchema
+ * @description Options accepted by a health check, keyed by option name
  */
 
 /**
@@ -50,6 +98,18 @@
  */
 export const HEALTH_CHECK_STATUSES = Object.freeze(['pass', 'fail', 'warn', 'skip']);
 
+/**
+ * Valid severity values for findings.
+ * @type {readonly string[]}
+ */
+export const FINDING_SEVERITIES = Object.freeze(['error', 'warning', 'info']);
+
+/**
+ * Value types supported in check options schemas.
+ * @type {readonly string[]}
+ */
+export const CHECK_OPTION_TYPES = Object.freeze(['boolean', 'number', 'string', 'array']);
+
 /**
  * Creates a standardized health check result object.
  * 
@@ -229,6 +289,358 @@ export function createErrorResult(check, error, additionalDetails = {}) {
     check,
     'fail',
     `Error during health check: ${errorMessage}`,
-    details
+    {
+      findings: [createFinding('execution-error', 'error', errorMessage)],
+      ...details
+    }
   );
-}
\ No newline at end of file
+}
+
+/**
+ * Creates a standardized finding describing a single problem found by a check.
+ * 
+ * Findings carry enough location information for formatters, editors and CI
+ * annotations to point at the exact place of a problem. Location fields that
+ * are not provided are omitted from the finding.
+ * 
+ * @param {string} ruleId - Identifier of the violated rule, `<check-id>/<rule>`
+ * @param {'error'|'warning'|'info'} severity - How serious the finding is
+ * @param {string} message - Human-readable description of the problem
+ * @param {Object} [location={}] - Where the problem is and how to fix it
+ * @param {string} [location.file] - Repository-relative path of the affected file
+ * @param {number} [location.line] - 1-based start line
+ * @param {number} [location.column] - 1-based start column
+ * @param {number} [location.endLine] - 1-based end line
+ * @param {number} [location.endColumn] - 1-based column after the end of the problem
+ * @param {string} [location.pointer] - JSON pointer of the affected value in a JSON file
+ * @param {string} [location.suggestion] - How to fix the problem
+ * @param {FindingFix} [location.fix] - Mechanical fix that `--fix` can apply
+ * @returns {Finding} The finding
+ * @throws {Error} If the rule ID or message is empty, or the severity is invalid
+ * 
+ * @example
+ * ```javascript
+ * const finding = createFinding(
+ *   'specs-json/missing-required-field',
+ *   'error',
+ *   'Required field "title" is missing',
+ *   { file: 'specs.json', line: 3, column: 5, suggestion: 'Add a "title" field' }
+ * );
+ * ```
+ */
+export function createFinding(ruleId, severity, message, location = {}) {
+  if (typeof ruleId !== 'string' || ruleId.trim() === '') {
+    throw new Error('Finding rule ID must be a non-empty string');
+  }
+
+  if (typeof message !== 'string' || message.trim() === '') {
+    throw new Error('Finding message must be a non-empty string');
+  }
+
+  if (!FINDING_SEVERITIES.includes(severity)) {
+    throw new Error(`Finding severity must be one of: ${FINDING_SEVERITIES.join(', ')}`);
+  }
+
+  const { file, line, column, endLine, endColumn, pointer, suggestion, fix } = location || {};
+  return {
+    ruleId,
+    severity,
+    message: message.trim(),
+    ...(file && { file }),
+    ...(Number.isInteger(line) && { line }),
+    ...(Number.isInteger(column) && { column }),
+    ...(Number.isInteger(endLine) && { endLine }),
+    ...(Number.isInteger(endColumn) && { endColumn }),
+    ...(typeof pointer === 'string' && { pointer }),
+    ...(suggestion && { suggestion }),
+    ...(fix && { fix })
+  };
+}
+
+/**
+ * Converts a character offset in a text into a 1-based line and column.
+ * 
+ * @param {string} content - The text
+ * @param {number} offset - 0-based character offset
+ * @returns {{line: number, column: number}} The position of the offset
+ */
+export function getTextPosition(content, offset) {
+  const before = content.slice(0, offset);
+  const lineStart = before.lastIndexOf('\n') + 1;
+  return {
+    line: before.split('\n').length,
+    column: offset - lineStart + 1
+  };
+}
+
+/**
+ * Finds the location of the first occurrence of a string or pattern in a text.
+ * 
+ * This is used to attach line and column information to findings about
+ * structured files, e.g. the line of a property in specs.json.
+ * 
+ * @param {string} content - The text to search
+ * @param {string|RegExp} search - The text or pattern to find
+ * @returns {{line: number, column: number, endLine: number, endColumn: number}|null}
+ *          The location of the match, or null if there is no match
+ * 
+ * @example
+ * ```javascript
+ * findTextLocation('{\n  "title": "x"\n}', '"title"');
+ * // { line: 2, column: 3, endLine: 2, endColumn: 10 }
+ * ```
+ */
+export function findTextLocation(content, search) {
+  if (typeof content !== 'string') {
+    return null;
+  }
+
+  let offset;
+  let length;
+  if (search instanceof RegExp) {
+    const match = search.exec(content);
+    if (!match) {
+      return null;
+    }
+    offset = match.index;
+    length = match[0].length;
+  } else {
+    offset = content.indexOf(search);
+    if (offset === -1) {
+      return null;
+    }
+    length = search.length;
+  }
+
+  const start = getTextPosition(content, offset);
+  const end = getTextPosition(content, offset + length);
+  return {
+    line: start.line,
+    column: start.column,
+    endLine: end.line,
+    endColumn: end.column
+  };
+}
+
+/**
+ * Finds the location of a JSON syntax error reported by `JSON.parse`.
+ * 
+ * @param {string} content - The JSON text that failed to parse
+ * @param {string} errorMessage - The message of the error thrown by `JSON.parse`
+ * @returns {{line: number, column: number}|null} The error position, or null if the message
+ *          (which differs between JavaScript engines) doesn't include one
+ */
+export function findJsonErrorLocation(content, errorMessage) {
+  const lineMatch = /line (\d+) column (\d+)/.exec(String(errorMessage));
+  if (lineMatch) {
+    return { line: Number(lineMatch[1]), column: Number(lineMatch[2]) };
+  }
+
+  const positionMatch = /at position (\d+)/.exec(String(errorMessage));
+  if (typeof content !== 'string' || !positionMatch) {
+    return null;
+  }
+  return getTextPosition(content, Math.min(Number(positionMatch[1]), content.length));
+}
+
+/**
+ * Returns the schema type name of a value.
+ * 
+ * @param {any} value - The value to inspect
+ * @returns {string} 'array', 'null' or the result of `typeof`
+ * @private
+ */
+function getOptionValueType(value) {
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  return value === null ? 'null' : typeof value;
+}
+
+/**
+ * Validates check options against a check's options schema and applies defaults.
+ * 
+ * Every health check declares the options it accepts as a {@link CheckOptionsSchema}.
+ * This function rejects unknown option names and values of the wrong type, so
+ * configuration mistakes surface as clear errors instead of being silently ignored.
+ * Options that are not provided receive their schema default; array defaults are
+ * copied so checks can't modify the shared schema.
+ * 
+ * @param {CheckOptionsSchema} [schema={}] - The options schema of the check
+ * @param {Object} [options={}] - The options provided by the caller
+ * @param {string} [checkId='health check'] - Check identifier used in error messages
+ * @returns {Object} The validated options with defaults applied
+ * @throws {Error} If options is not an object, contains unknown keys or has invalid values
+ * 
+ * @example
+ * ```javascript
+ * const schema = {
+ *   maxWarnings: { type: 'number', default: 10, minimum: 0, description: 'Warnings to list' }
+ * };
+ * resolveCheckOptions(schema, {}, 'console-messages'); // { maxWarnings: 10 }
+ * resolveCheckOptions(schema, { maxWarning: 5 }, 'console-messages');
+ * // Error: Invalid options for health check 'console-messages': unknown option 'maxWarning' (supported: maxWarnings)
+ * ```
+ */
+export function resolveCheckOptions(schema = {}, options = {}, checkId = 'health check') {
+  const fail = reason => {
+    throw new Error(`Invalid options for health check '${checkId}': ${reason}`);
+  };
+
+  if (options === null || typeof options !== 'object' || Array.isArray(options)) {
+    fail('options must be an object');
+  }
+
+  const supported = Object.keys(schema);
+  for (const key of Object.keys(options)) {
+    if (!supported.includes(key)) {
+      fail(`unknown option '${key}' (supported: ${supported.length > 0 ? supported.join(', ') : 'none'})`);
+    }
+  }
+
+  const resolved = {};
+  for (const [key, definition] of Object.entries(schema)) {
+    if (options[key] === undefined) {
+      resolved[key] = Array.isArray(definition.default) ? [...definition.default] : definition.default;
+      continue;
+    }
+
+    const value = options[key];
+    const valueType = getOptionValueType(value);
+    if (valueType !== definition.type || (valueType === 'number' && !Number.isFinite(value))) {
+      fail(`option '${key}' must be of type ${definition.type}, got ${valueType}`);
+    }
+
+    if (definition.type === 'array') {
+      if (definition.items && value.some(item => getOptionValueType(item) !== definition.items)) {
+        fail(`option '${key}' must only contain values of type ${definition.items}`);
+      }
+      const unknownItem = definition.enum && value.find(item => !definition.enum.includes(item));
+      if (definition.enum && unknownItem !== undefined) {
+        fail(`option '${key}' contains unsupported value '${unknownItem}' (allowed: ${definition.enum.join(', ')})`);
+      }
+      resolved[key] = [...value];
+      continue;
+    }
+
+    if (definition.enum && !definition.enum.includes(value)) {
+      fail(`option '${key}' must be one of: ${definition.enum.join(', ')}`);
+    }
+    if (definition.minimum !== undefined && value < definition.minimum) {
+      fail(`option '${key}' must be at least ${definition.minimum}`);
+    }
+    resolved[key] = value;
+  }
+
+  return resolved;
+}
+
+/**
+ * Severity levels that can be assigned to a health check through configuration.
+ * `off` disables the check, `warn` reports failures as warnings and `fail`
+ * reports warnings as failures.
+ * @type {readonly string[]}
+ */
+export const SEVERITY_LEVELS = Object.freeze(['fail', 'warn', 'off']);
+
+/**
+ * Applies a configured severity to a health check result.
+ * 
+ * Only 'fail' and 'warn' results are affected: with severity 'warn' a failing
+ * check is reported as a warning, with severity 'fail' a warning is reported as
+ * a failure. Error and warning findings are adjusted the same way. The original
+ * status is kept in `details.severityOverride` so reports can show why a status
+ * changed.
+ * 
+ * @param {HealthCheckResult} result - The result to adjust
+ * @param {'fail'|'warn'} [severity] - The configured severity of the check
+ * @returns {HealthCheckResult} The adjusted result (or the original result if unchanged)
+ * 
+ * @example
+ * ```javascript
+ * const result = createHealthCheckResult('gitignore', 'fail', '.gitignore file not found');
+ * applySeverityOverride(result, 'warn').status; // 'warn'
+ * ```
+ */
+export function applySeverityOverride(result, severity) {
+  const isOverridable = result.status === 'fail' || result.status === 'warn';
+  if (!severity || severity === 'off' || !isOverridable || result.status === severity) {
+    return result;
+  }
+
+  // Findings follow the check: errors become warnings and vice versa
+  const [fromSeverity, toSeverity] = severity === 'warn' ? ['error', 'warning'] : ['warning', 'error'];
+  const findings = result.details?.findings?.map(finding =>
+    finding.severity === fromSeverity ? { ...finding, severity: toSeverity } : finding
+  );
+
+  return {
+    ...result,
+    status: severity,
+    details: {
+      ...result.details,
+      ...(findings && { findings }),
+      severityOverride: { originalStatus: result.status, severity }
+    }
+  };
+}
+
+/**
+ * @typedef {Object} HealthCheckThresholds
+ * @property {number} [minScore] - Minimum health score (0-100) required to pass
+ * @property {number} [maxWarnings] - Maximum number of checks with warnings allowed
+ * @property {'fail'|'warn'|'none'} [failOn='fail'] - Lowest check status that fails the run
+ */
+
+/**
+ * @typedef {Object} ThresholdEvaluation
+ * @property {boolean} passed - Whether the report satisfies all thresholds
+ * @property {number} exitCode - Suggested process exit code (0 ok, 1 failed, 2 warnings)
+ * @property {string[]} reasons - Human-readable reasons for a failed evaluation
+ */
+
+/**
+ * Evaluates a health check summary against configured thresholds.
+ * 
+ * Without thresholds the result matches the CLI's historical exit codes: 1 when
+ * any check failed, 2 when checks only produced warnings and 0 otherwise.
+ * `failOn: 'warn'` turns warnings into a failing run, `failOn: 'none'` only fails
+ * the run when `minScore` or `maxWarnings` are violated.
+ * 
+ * @param {HealthCheckSummary} summary - The report summary to evaluate
+ * @param {HealthCheckThresholds} [thresholds={}] - The thresholds to apply
+ * @returns {ThresholdEvaluation} The evaluation result
+ * 
+ * @example
+ * ```javascript
+ * const evaluation = evaluateThresholds(report.summary, { minScore: 80, failOn: 'none' });
+ * if (!evaluation.passed) {
+ *   console.error(evaluation.reasons.join('\n'));
+ * }
+ * process.exitCode = evaluation.exitCode;
+ * ```
+ */
+export function evaluateThresholds(summary, thresholds = {}) {
+  const { minScore, maxWarnings, failOn = 'fail' } = thresholds;
+  const reasons = [];
+
+  if (minScore !== undefined && summary.score < minScore) {
+    reasons.push(`Health score ${summary.score}% is below the minimum of ${minScore}%`);
+  }
+  if (maxWarnings !== undefined && summary.warnings > maxWarnings) {
+    reasons.push(`${summary.warnings} check(s) with warnings exceed the maximum of ${maxWarnings}`);
+  }
+  if (failOn !== 'none' && summary.failed > 0) {
+    reasons.push(`${summary.failed} check(s) failed`);
+  }
+  if (failOn === 'warn' && summary.warnings > 0) {
+    reasons.push(`${summary.warnings} check(s) reported warnings`);
+  }
+
+  if (reasons.length > 0) {
+    return { passed: false, exitCode: 1, reasons };
+  }
+
+  const hasUnreportedWarnings = failOn === 'fail' && summary.warnings > 0;
+  return { passed: true, exitCode: hasUnreportedWarnings ? 2 : 0, reasons };
+}
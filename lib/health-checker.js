@@ -14,6 +14,9 @@ import {
   calculateSummary,
   isValidHealthCheckResult,
   createErrorResult,
+  resolveCheckOptions,
+  createFinding,
+  FINDING_SEVERITIES,
   HEALTH_CHECK_STATUSES
 } from './health-check-utils.js';
 
@@ -40,6 +43,11 @@ import { checkGitignore } from './checks/gitignore.js';
 import { checkSpecDirectoryAndFiles } from './checks/spec-directory-and-files.js';
 import { checkConsoleMessages } from './checks/console-messages.js';
 import { checkHeadingHierarchy } from './checks/heading-hierarchy.js';
+import { checkTerminology } from './checks/terminology.js';
+import { checkExternalReferences } from './checks/external-references.js';
+import { checkXtrefsCache } from './checks/xtrefs-cache.js';
+import { checkSpecUpTVersion } from './checks/spec-up-t-version.js';
+import { checkLockfile } from './checks/lockfile.js';
 // Note: checkLinks (link-checker) is NOT imported here to avoid Node.js dependencies in browsers
 // It is dynamically imported by the health-check-registry during auto-discovery in Node.js environments only
 
@@ -134,11 +142,19 @@ export {
   checkSpecDirectoryAndFiles,
   checkConsoleMessages,
   checkHeadingHierarchy,
+  checkTerminology,
+  checkExternalReferences,
+  checkXtrefsCache,
+  checkSpecUpTVersion,
+  checkLockfile,
   
   // Utils
   calculateSummary,
   isValidHealthCheckResult,
   createErrorResult,
+  resolveCheckOptions,
+  createFinding,
+  FINDING_SEVERITIES,
   HEALTH_CHECK_STATUSES,
   
   // Registry
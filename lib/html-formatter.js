@@ -37,6 +37,8 @@ import {
  * @param {string} [options.title='Spec-Up-T Health Check Report'] - Custom title for the report
  * @param {boolean} [options.showPassingByDefault=true] - Whether to show passing checks by default
  * @param {string} [options.repositoryUrl] - URL to the repository being checked
+ * @param {number} [options.liveReloadSeconds] - Reload the page at this interval, keeping the scroll
+ *        position and filter (used by watch mode, which rewrites the report file)
  * @returns {string} Complete HTML document as string
  * 
  * @example
@@ -52,7 +54,8 @@ export function generateHtmlReport(healthCheckOutput, options = {}) {
   const {
     title = 'Spec-Up-T Health Check Report',
     showPassingByDefault = true,
-    repositoryUrl
+    repositoryUrl,
+    liveReloadSeconds
   } = options;
 
   const { results, summary, timestamp, provider } = healthCheckOutput;
@@ -61,7 +64,7 @@ export function generateHtmlReport(healthCheckOutput, options = {}) {
   const headerSection = generateHeaderSection(title, timestamp, provider, repositoryUrl);
   const summarySection = generateSummarySection(summary, showPassingByDefault);
   const resultsSection = generateResultsSection(results);
-  const scriptsSection = generateScriptsSection();
+  const scriptsSection = generateScriptsSection(liveReloadSeconds);
 
   return `<!DOCTYPE html>
 <html lang="en">
@@ -543,13 +546,39 @@ function generateConsoleMessagesRows(result) {
   return html;
 }
 
+/**
+ * Generates the script that reloads the page periodically. The scroll position
+ * and the passing-checks filter are kept in the session storage across reloads.
+ * 
+ * @param {number} seconds - Reload interval in seconds
+ * @returns {string} JavaScript code
+ */
+function generateLiveReloadScript(seconds) {
+  return `
+    // Live reload: the report file is rewritten whenever the checks run again
+    (function() {
+      const toggle = document.getElementById('togglePassingChecks');
+      const saved = JSON.parse(sessionStorage.getItem('healthcheck-live-reload') || 'null');
+      if (saved) {
+        toggle.checked = saved.showPassing;
+        window.addEventListener('load', () => window.scrollTo(0, saved.scrollY));
+      }
+      setTimeout(() => {
+        sessionStorage.setItem('healthcheck-live-reload', JSON.stringify({ scrollY: window.scrollY, showPassing: toggle.checked }));
+        location.reload();
+      }, ${Math.max(1, Number(seconds)) * 1000});
+    })();
+`;
+}
+
 /**
  * Generates the JavaScript section for interactive functionality.
  * 
+ * @param {number} [liveReloadSeconds] - Reload interval in seconds (no reloading when omitted)
  * @returns {string} HTML script section
  */
-function generateScriptsSection() {
-  return `<script>
+function generateScriptsSection(liveReloadSeconds) {
+  return `<script>${liveReloadSeconds ? generateLiveReloadScript(liveReloadSeconds) : ''}
     // Toggle function for passing checks
     document.getElementById('togglePassingChecks').addEventListener('change', function() {
       const showPassing = this.checked;
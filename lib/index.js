@@ -11,20 +11,64 @@
  */
 
 // Re-export provider functionality
-export { createProvider, createLocalProvider } from './providers.js';
+export { createProvider, createLocalProvider, createGitHubProvider, parseGitHubUrl, createArchiveProvider, createMemoryProvider, createGitRefProvider } from './providers.js';
 
 // Re-export health checking functionality
-export { runHealthChecks, createHealthCheckResult, checkPackageJson, checkSpecFiles, checkSpecsJson, checkExternalSpecsUrls, checkGitignore, checkSpecDirectoryAndFiles, checkConsoleMessages } from './health-checker.js';
+export { runHealthChecks, createHealthCheckResult, checkPackageJson, checkSpecFiles, checkSpecsJson, checkExternalSpecsUrls, checkGitignore, checkSpecDirectoryAndFiles, checkConsoleMessages, checkTerminology, checkExternalReferences, checkXtrefsCache, checkSpecUpTVersion, checkLockfile } from './health-checker.js';
+
+// Re-export the shared repository context for custom checks
+export { createRepositoryContext } from './repository-context.js';
+
+// Re-export inline suppression helpers for custom markdown checks
+export { parseSuppressions, findSuppression } from './suppressions.js';
+
+// Re-export the terminology markup parser
+export { parseTermMarkup, normalizeTerm, getTermsDirectory, getSpecMarkdownPaths, TERM_MARKUP_TYPES } from './spec-markup.js';
+export { parseXtrefsData, findXtrefEntry, XTREFS_DATA_PATH } from './xtrefs-data.js';
+
+// Re-export the network client, e.g. for offline runs with a persistent cache
+export { createNetworkClient, createMemoryCacheStore, createOfflineError, isOfflineError, defaultNetworkClient, DEFAULT_CACHE_TTL, OFFLINE_ERROR_CODE } from './network.js';
+export { createFileCacheStore, createConfiguredNetworkClient, DEFAULT_CACHE_DIR } from './network-cache.js';
+
+// Re-export the reference bundles pinning reference data to spec-up-t versions
+export { parseLockfile, findLockedDependency, LOCKFILES } from './lockfiles.js';
+export { parseVersion, formatVersion, compareVersions, parseRange, satisfies, minVersion } from './semver.js';
+export { fetchReferenceBundle, parseReferenceBundle, resolveReferenceData, resolveInstalledSpecUpTVersion, loadRepositoryReferenceBundle, getReferenceBundlePath, getReferenceSources, DEFAULT_SPECS_JSON_FIELDS, REFERENCE_BUNDLE_FORMAT, REFERENCE_BUNDLES_DIRECTORY } from './reference-bundles.js';
+
+// Re-export the JSON Schema of specs.json and the validator reporting JSON pointers
+export { validateJsonSchema, mapJsonPointers, locateJsonPointer, appendJsonPointer, findClosestMatch } from './json-schema.js';
+export { SPECS_JSON_SCHEMA, createSpecsJsonSchema } from './specs-json-schema.js';
 
 // Re-export formatting functionality
-export { formatResultsAsText, formatResultsAsJson, formatResultsAsHtml } from './formatters.js';
+export { formatResultsAsText, formatResultsAsJson, formatResultsAsHtml, formatResultsAsMarkdown, formatResultsAsSarif, formatResultsAsJunit, formatReportDiffAsText, formatReportDiffAsJson, formatReportDiffAsMarkdown, formatFixResultAsText } from './formatters.js';
 
 // Re-export file opening utilities
 export { openFile, openHtmlFile, getOpenCommand } from './file-opener.js';
 
+// Re-export project configuration functionality
+export { loadConfig, validateConfig, mergeConfigWithOptions, CONFIG_FILE_NAMES, TARGET_CONFIG_FILE_NAMES } from './config.js';
+export { evaluateThresholds, createFinding, FINDING_SEVERITIES } from './health-check-utils.js';
+
+// Re-export report comparison functionality
+export { diffReports, readReportFile } from './report-diff.js';
+
+// Re-export baseline functionality
+export { createBaseline, applyBaseline, loadBaseline, saveBaseline, getFindingFingerprints, DEFAULT_BASELINE_FILE } from './baseline.js';
+
+// Re-export automatic fixes
+export { applyFixes, getFixableFindings, formatPatch, MAX_FIX_PASSES } from './fixes.js';
+
+// Re-export watch mode (Node.js only)
+export { watchHealthChecks, DEFAULT_WATCH_IGNORE, DEFAULT_DEBOUNCE_MS } from './watch.js';
+export { matchesWatchPattern } from './health-check-registry.js';
+
 // Import functions for internal use
 import { createProvider } from './providers.js';
 import { runHealthChecks } from './health-checker.js';
+import { loadConfig, validateConfig, mergeConfigWithOptions } from './config.js';
+import { evaluateThresholds } from './health-check-utils.js';
+import { applyBaseline, loadBaseline } from './baseline.js';
+import { createConfiguredNetworkClient } from './network-cache.js';
 
 /**
  * Direct API Usage Examples
@@ -77,12 +121,31 @@ import { runHealthChecks } from './health-checker.js';
  * call, making it easy to perform health checks without managing providers manually.
  * It automatically determines the appropriate provider type based on the input.
  * 
+ * A project configuration file (`.healthcheckrc` or `.healthcheckrc.json` in the
+ * repository, or one of those or `healthcheck.config.js` in the current working
+ * directory) is discovered and merged with the given options; explicit options
+ * take precedence.
+ * When a baseline is given or configured, known findings are removed from the
+ * report before thresholds are evaluated, so only new findings count.
+ * When thresholds are configured, the report includes their evaluation.
+ * Configured network settings (`offline`, `cacheDir`, `cacheTtl`) apply unless a
+ * network client is passed as `options.network`.
+ * 
  * @param {string} input - The path or URL to the specification repository
  * @param {Object} [options={}] - Configuration options for the health check
  * @param {string[]} [options.checks] - Specific checks to run (defaults to all registered checks)
  * @param {string[]} [options.categories] - Legacy alias for checks parameter
  * @param {Object} [options.providerOptions] - Options to pass to the provider
+ * @param {string|import('./config.js').HealthCheckConfig|false} [options.config] - Path to a configuration
+ *        file, a configuration object, or `false` to skip configuration discovery
+ * @param {import('./health-check-utils.js').HealthCheckThresholds} [options.thresholds] - Thresholds that
+ *        override the configured thresholds
+ * @param {string|import('./baseline.js').Baseline|false} [options.baseline] - Baseline file or baseline of
+ *        known findings, or `false` to ignore a configured baseline
+ * @param {import('./network.js').NetworkClient} [options.network] - Network client for the checks that access
+ *        the network, e.g. `createConfiguredNetworkClient({ offline: true })`
  * @returns {Promise<import('./health-checker.js').HealthCheckReport>} Complete health check report
+ * @throws {Error} When the configuration file or the baseline file is invalid
  * 
  * @example
  * ```javascript
@@ -99,20 +162,57 @@ import { runHealthChecks } from './health-checker.js';
  * if (report.summary.hasErrors) {
  *   console.error('Some health checks failed');
  * }
+ * 
+ * // Enforce a minimum score without a configuration file
+ * const gatedReport = await healthCheck('/path/to/spec-repo', {
+ *   config: false,
+ *   thresholds: { minScore: 80 }
+ * });
+ * console.log(gatedReport.thresholds.passed);
+ * 
+ * // Only report findings that are not in the baseline
+ * const newIssues = await healthCheck('/path/to/spec-repo', {
+ *   baseline: '.healthcheck-baseline.json'
+ * });
+ * console.log(`${newIssues.baseline.fixedFindings.length} known issues were fixed`);
  * ```
  * 
  * @since 1.0.0
  */
 export async function healthCheck(input, options = {}) {
+  const { config: configOption, thresholds: thresholdOverrides, baseline: baselineOption, providerOptions, ...runOptions } = options;
+
+  let config = {};
+  if (configOption && typeof configOption === 'object') {
+    config = validateConfig(configOption, 'options.config');
+  } else if (configOption !== false) {
+    ({ config } = await loadConfig({ target: input, configPath: configOption }));
+  }
+
+  const configuresNetwork = ['offline', 'cacheDir', 'cacheTtl'].some(key => config[key] !== undefined);
+  const network = runOptions.network || (configuresNetwork ? createConfiguredNetworkClient(config) : undefined);
+
   // Handle legacy 'categories' parameter
-  const healthCheckOptions = {
-    ...options,
+  const healthCheckOptions = mergeConfigWithOptions(config, {
+    ...runOptions,
+    network,
     checks: options.checks || options.categories
     // If neither checks nor categories is provided, orchestrator will run all registered checks
-  };
+  });
   
-  const provider = createProvider(input, options.providerOptions);
-  return await runHealthChecks(provider, healthCheckOptions);
+  const provider = createProvider(input, providerOptions);
+  let report = await runHealthChecks(provider, healthCheckOptions);
+
+  const baseline = baselineOption === undefined ? config.baseline : baselineOption;
+  if (baseline) {
+    report = applyBaseline(report, typeof baseline === 'string' ? await loadBaseline(baseline) : baseline);
+  }
+
+  const thresholds = { ...config.thresholds, ...thresholdOverrides };
+  if (Object.keys(thresholds).length > 0) {
+    report.thresholds = evaluateThresholds(report.summary, thresholds);
+  }
+  return report;
 }
 
 /**
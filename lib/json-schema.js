@@ -0,0 +1,329 @@
+/**
+ * @fileoverview Minimal JSON Schema validation with source positions
+ *
+ * Validates parsed JSON against the subset of JSON Schema (draft 2020-12)
+ * that the schemas of this package use: `type`, `properties`, `required`,
+ * `additionalProperties`, `items`, `minItems`, `maxItems` and `minLength`.
+ * Annotations such as `title`, `description` and `deprecated` are ignored.
+ *
+ * Problems are reported with the JSON pointer (RFC 6901) of the offending
+ * value, which {@link mapJsonPointers} and {@link locateJsonPointer} turn
+ * into lines and columns of the JSON text. Unknown properties come with the
+ * closest known property name, to catch misspelled keys.
+ *
+ * @author spec-up-t-healthcheck
+ */
+
+import { getTextPosition } from './health-check-utils.js';
+
+/**
+ * @typedef {Object} SchemaError
+ * @property {string} pointer - JSON pointer of the offending value (for `required`, of the missing property)
+ * @property {'type'|'required'|'additionalProperties'|'minItems'|'maxItems'|'minLength'} keyword - Violated keyword
+ * @property {string} message - Human-readable description, starting with the pointer
+ * @property {Object} params - Keyword details: `expected` and `actual` for `type`, `property` for
+ *           `required` and `additionalProperties` (plus `suggestion`, the closest known property,
+ *           if any), `limit` for the size keywords
+ */
+
+/**
+ * @typedef {Object} JsonPointerLocation
+ * @property {{start: number, end: number}|null} key - Offsets of the property name (null for array items and the root)
+ * @property {{start: number, end: number}} value - Offsets of the value (of the opening bracket for objects and arrays)
+ */
+
+/**
+ * Validates a value against a JSON Schema.
+ *
+ * @param {any} value - The parsed JSON value
+ * @param {Object|boolean} schema - The schema
+ * @returns {SchemaError[]} The problems found, in document order (empty if the value is valid)
+ *
+ * @example
+ * ```javascript
+ * validateJsonSchema({ titel: 'x' }, { properties: { title: { type: 'string' } }, additionalProperties: false });
+ * // [{ pointer: '/titel', keyword: 'additionalProperties', params: { property: 'titel', suggestion: 'title' }, ... }]
+ * ```
+ */
+export function validateJsonSchema(value, schema) {
+  const errors = [];
+  validateValue(value, schema, '', errors);
+  return errors;
+}
+
+/**
+ * Appends a property name or array index to a JSON pointer.
+ *
+ * @param {string} pointer - The JSON pointer of the parent
+ * @param {string|number} segment - Property name or array index
+ * @returns {string} The JSON pointer of the child
+ */
+export function appendJsonPointer(pointer, segment) {
+  return `${pointer}/${String(segment).replace(/~/g, '~0').replace(/\//g, '~1')}`;
+}
+
+/**
+ * Maps the JSON pointer of every value in a JSON text to its position.
+ *
+ * @param {string} content - JSON text that `JSON.parse` accepts
+ * @returns {Map<string, JsonPointerLocation>} Locations by JSON pointer
+ * @throws {Error} When the content is not valid JSON
+ */
+export function mapJsonPointers(content) {
+  const locations = new Map();
+  let index = 0;
+
+  const skipWhitespace = () => {
+    while (/\s/.test(content[index] ?? '')) {
+      index++;
+    }
+  };
+  const expect = character => {
+    if (content[index] !== character) {
+      throw new Error(`Expected "${character}" at position ${index}`);
+    }
+    index++;
+  };
+  const scanString = () => {
+    const start = index;
+    expect('"');
+    while (index < content.length && content[index] !== '"') {
+      index += content[index] === '\\' ? 2 : 1;
+    }
+    expect('"');
+    return { start, end: index };
+  };
+
+  const scanValue = (pointer, key) => {
+    skipWhitespace();
+    const start = index;
+    const opening = content[index];
+    if (opening === '{' || opening === '[') {
+      locations.set(pointer, { key, value: { start, end: start + 1 } });
+      index++;
+      skipWhitespace();
+      const closing = opening === '{' ? '}' : ']';
+      for (let item = 0; content[index] !== closing; item++) {
+        if (item > 0) {
+          expect(',');
+          skipWhitespace();
+        }
+        if (opening === '{') {
+          const name = scanString();
+          skipWhitespace();
+          expect(':');
+          scanValue(appendJsonPointer(pointer, JSON.parse(content.slice(name.start, name.end))), name);
+        } else {
+          scanValue(appendJsonPointer(pointer, item), null);
+        }
+        skipWhitespace();
+      }
+      index++;
+      return;
+    }
+
+    if (opening === '"') {
+      scanString();
+    } else {
+      const literal = /-?[\d.eE+-]+|true|false|null/y;
+      literal.lastIndex = index;
+      if (!literal.test(content)) {
+        throw new Error(`Unexpected character at position ${index}`);
+      }
+      index = literal.lastIndex;
+    }
+    locations.set(pointer, { key, value: { start, end: index } });
+  };
+
+  scanValue('', null);
+  return locations;
+}
+
+/**
+ * Finds the position of a JSON pointer in a JSON text.
+ *
+ * Properties are located at their name, array items and the root at their
+ * value. Pointers that don't exist in the text (e.g. of a missing required
+ * property) are located at their closest existing ancestor.
+ *
+ * @param {string} content - The JSON text
+ * @param {Map<string, JsonPointerLocation>} locations - Locations from {@link mapJsonPointers}
+ * @param {string} pointer - The JSON pointer
+ * @returns {{line: number, column: number, endLine: number, endColumn: number}|null} The position, or null
+ *          if neither the pointer nor an ancestor is in the text
+ */
+export function locateJsonPointer(content, locations, pointer) {
+  let current = pointer;
+  while (!locations.has(current)) {
+    if (current === '') {
+      return null;
+    }
+    current = current.slice(0, current.lastIndexOf('/'));
+  }
+
+  const { key, value } = locations.get(current);
+  const { start, end } = key ?? value;
+  const startPosition = getTextPosition(content, start);
+  const endPosition = getTextPosition(content, end);
+  return {
+    line: startPosition.line,
+    column: startPosition.column,
+    endLine: endPosition.line,
+    endColumn: endPosition.column
+  };
+}
+
+/**
+ * Finds the candidate that a possibly misspelled name was most likely meant to be.
+ *
+ * Case is ignored; candidates qualify if they are at most a third of the
+ * name's length of single-character edits away (at least two).
+ *
+ * @param {string} name - The possibly misspelled name
+ * @param {Iterable<string>} candidates - The known names
+ * @returns {string|null} The closest candidate, or null if none is close enough
+ *
+ * @example
+ * ```javascript
+ * findClosestMatch('spec_directroy', ['spec_directory', 'output_path']); // 'spec_directory'
+ * ```
+ */
+export function findClosestMatch(name, candidates) {
+  const maxDistance = Math.max(2, Math.floor(name.length / 3));
+  let closest = null;
+  let closestDistance = Infinity;
+  for (const candidate of candidates) {
+    const distance = getEditDistance(name.toLowerCase(), candidate.toLowerCase());
+    if (distance <= maxDistance && distance < closestDistance) {
+      closest = candidate;
+      closestDistance = distance;
+    }
+  }
+  return closest;
+}
+
+/**
+ * Validates a value and its children, collecting the problems.
+ *
+ * @param {any} value - The value
+ * @param {Object|boolean} schema - The schema of the value
+ * @param {string} pointer - JSON pointer of the value
+ * @param {SchemaError[]} errors - Problems found so far
+ * @private
+ */
+function validateValue(value, schema, pointer, errors) {
+  if (!schema || typeof schema !== 'object') {
+    return;
+  }
+  const subject = pointer === '' ? 'The document' : pointer;
+  const addError = (keyword, message, params, at = pointer) => {
+    errors.push({ pointer: at, keyword, message, params });
+  };
+
+  const actual = getJsonType(value);
+  if (schema.type !== undefined) {
+    const expected = [].concat(schema.type);
+    if (!expected.some(type => type === actual || (type === 'number' && actual === 'integer'))) {
+      addError('type', `${subject} must be ${expected.map(withArticle).join(' or ')}, found ${withArticle(actual)}`, { expected, actual });
+      return;
+    }
+  }
+
+  if (actual === 'string' && schema.minLength !== undefined && value.length < schema.minLength) {
+    addError('minLength', schema.minLength === 1
+      ? `${subject} must not be empty`
+      : `${subject} must be at least ${schema.minLength} characters long`, { limit: schema.minLength });
+  }
+
+  if (actual === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      addError('minItems', schema.minItems === 1
+        ? `${subject} must not be empty`
+        : `${subject} must contain at least ${schema.minItems} items, found ${value.length}`, { limit: schema.minItems });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      addError('maxItems', `${subject} must contain at most ${schema.maxItems} item${schema.maxItems === 1 ? '' : 's'}, found ${value.length}`, { limit: schema.maxItems });
+    }
+    if (schema.items !== undefined) {
+      value.forEach((item, index) => validateValue(item, schema.items, appendJsonPointer(pointer, index), errors));
+    }
+  }
+
+  if (actual === 'object') {
+    const properties = schema.properties ?? {};
+    for (const property of schema.required ?? []) {
+      if (!Object.prototype.hasOwnProperty.call(value, property)) {
+        addError('required', `${subject} is missing the required field "${property}"`, { property }, appendJsonPointer(pointer, property));
+      }
+    }
+    for (const [property, propertyValue] of Object.entries(value)) {
+      const propertyPointer = appendJsonPointer(pointer, property);
+      if (Object.prototype.hasOwnProperty.call(properties, property)) {
+        validateValue(propertyValue, properties[property], propertyPointer, errors);
+      } else if (schema.additionalProperties === false) {
+        const suggestion = findClosestMatch(property, Object.keys(properties).filter(name => !(name in value)));
+        addError('additionalProperties', `${propertyPointer} is not a known field${suggestion ? `, did you mean "${suggestion}"?` : ''}`, {
+          property,
+          ...(suggestion && { suggestion })
+        }, propertyPointer);
+      } else {
+        validateValue(propertyValue, schema.additionalProperties, propertyPointer, errors);
+      }
+    }
+  }
+}
+
+/**
+ * Returns the JSON Schema type of a value.
+ *
+ * @param {any} value - The value
+ * @returns {string} 'null', 'array', 'integer', 'number', 'string', 'boolean' or 'object'
+ * @private
+ */
+function getJsonType(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  return Number.isInteger(value) ? 'integer' : typeof value;
+}
+
+/**
+ * Prefixes a type name with its indefinite article, e.g. 'an array'.
+ *
+ * @param {string} type - The type name
+ * @returns {string} The type name with its article ('null' stays as is)
+ * @private
+ */
+function withArticle(type) {
+  if (type === 'null') {
+    return 'null';
+  }
+  return `${/^[aeiou]/.test(type) ? 'an' : 'a'} ${type}`;
+}
+
+/**
+ * Computes the Levenshtein distance between two strings.
+ *
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} The number of single-character edits that turn `a` into `b`
+ * @private
+ */
+function getEditDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
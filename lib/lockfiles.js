@@ -0,0 +1,268 @@
+/**
+ * @fileoverview Parsing of npm, yarn and pnpm lockfiles
+ *
+ * Reads the dependencies a lockfile pins, so that checks can compare locked
+ * versions with package.json and with node_modules. Supported formats:
+ * - `package-lock.json` and `npm-shrinkwrap.json` (lockfileVersion 1 to 3)
+ * - `yarn.lock` (yarn 1 and yarn 2+)
+ * - `pnpm-lock.yaml` (lockfileVersion 5 to 9, single-package repositories)
+ *
+ * Only what the checks need is read: the locked version of each dependency
+ * and, where the format records them, the ranges of package.json the lockfile
+ * was created from. yarn and pnpm lockfiles are parsed line by line, without
+ * a YAML library.
+ *
+ * @author spec-up-t-healthcheck
+ */
+
+/**
+ * Lockfiles in the order in which package managers prefer them.
+ * @type {ReadonlyArray<Readonly<{path: string, manager: 'npm'|'yarn'|'pnpm'}>>}
+ */
+export const LOCKFILES = Object.freeze([
+  Object.freeze({ path: 'npm-shrinkwrap.json', manager: 'npm' }),
+  Object.freeze({ path: 'package-lock.json', manager: 'npm' }),
+  Object.freeze({ path: 'yarn.lock', manager: 'yarn' }),
+  Object.freeze({ path: 'pnpm-lock.yaml', manager: 'pnpm' })
+]);
+
+/**
+ * Dependency sections of package.json.
+ * @type {readonly string[]}
+ */
+export const DEPENDENCY_SECTIONS = Object.freeze(['dependencies', 'devDependencies', 'optionalDependencies']);
+
+/**
+ * @typedef {Object} LockedDependency
+ * @property {string} name - Package name
+ * @property {string} version - Locked version
+ * @property {string[]} specifiers - Ranges the entry was resolved for (empty if the format doesn't record them)
+ */
+
+/**
+ * @typedef {Object} Lockfile
+ * @property {string} path - Path of the lockfile, relative to the repository root
+ * @property {'npm'|'yarn'|'pnpm'} manager - Package manager the lockfile belongs to
+ * @property {string|number|null} lockfileVersion - Format version (null if unknown)
+ * @property {LockedDependency[]} dependencies - Locked dependencies (top-level ones for npm and pnpm)
+ * @property {Object<string, string>|null} manifestRanges - Ranges of package.json the lockfile was
+ *           created from, by package name (null if the format doesn't record them)
+ */
+
+/**
+ * Parses a lockfile.
+ *
+ * @param {string} path - Path of the lockfile (its file name determines the format)
+ * @param {string} content - Content of the lockfile
+ * @returns {Lockfile} The parsed lockfile
+ * @throws {Error} When the content cannot be parsed or the file name is not a known lockfile
+ *
+ * @example
+ * ```javascript
+ * const lock = parseLockfile('package-lock.json', await context.readFile('package-lock.json'));
+ * findLockedDependency(lock, 'spec-up-t'); // { name: 'spec-up-t', version: '1.3.0', specifiers: ['^1.3.0'] }
+ * ```
+ */
+export function parseLockfile(path, content) {
+  const fileName = path.split('/').pop();
+  const lockfile = LOCKFILES.find(candidate => candidate.path === fileName);
+  if (!lockfile) {
+    throw new Error(`Unknown lockfile: ${path}`);
+  }
+
+  try {
+    switch (lockfile.manager) {
+      case 'npm': return { path, manager: 'npm', ...parseNpmLockfile(content) };
+      case 'yarn': return { path, manager: 'yarn', ...parseYarnLockfile(content) };
+      default: return { path, manager: 'pnpm', ...parsePnpmLockfile(content) };
+    }
+  } catch (error) {
+    throw new Error(`Invalid ${path}: ${error.message}`);
+  }
+}
+
+/**
+ * Finds the locked entry of a dependency.
+ *
+ * yarn.lock may hold several entries of a package (for different ranges);
+ * the entry resolved for `range` is preferred.
+ *
+ * @param {Lockfile} lockfile - The parsed lockfile
+ * @param {string} name - Package name
+ * @param {string} [range] - Range of package.json
+ * @returns {LockedDependency|null} The locked entry, or null if the package isn't locked
+ */
+export function findLockedDependency(lockfile, name, range) {
+  const entries = lockfile.dependencies.filter(entry => entry.name === name);
+  return entries.find(entry => range !== undefined && entry.specifiers.includes(range)) ?? entries[0] ?? null;
+}
+
+/**
+ * Parses package-lock.json or npm-shrinkwrap.json.
+ *
+ * @param {string} content - The lockfile content
+ * @returns {Omit<Lockfile, 'path'|'manager'>} The parsed lockfile
+ * @throws {Error} When the content is not a lockfile
+ * @private
+ */
+function parseNpmLockfile(content) {
+  const lock = JSON.parse(content);
+  if (!lock || typeof lock !== 'object' || Array.isArray(lock)) {
+    throw new Error('the lockfile must contain a JSON object');
+  }
+
+  // lockfileVersion 2 and 3 list packages by their path in node_modules
+  if (lock.packages && typeof lock.packages === 'object') {
+    const root = lock.packages[''] ?? {};
+    const manifestRanges = Object.assign({}, ...DEPENDENCY_SECTIONS.map(section => root[section] ?? {}));
+    const dependencies = Object.entries(lock.packages)
+      .filter(([packagePath, entry]) => /^node_modules\/(?:@[^/]+\/)?[^/]+$/.test(packagePath) && typeof entry?.version === 'string')
+      .map(([packagePath, entry]) => {
+        const name = packagePath.slice('node_modules/'.length);
+        return { name, version: entry.version, specifiers: manifestRanges[name] ? [manifestRanges[name]] : [] };
+      });
+    return { lockfileVersion: lock.lockfileVersion ?? null, dependencies, manifestRanges };
+  }
+
+  // lockfileVersion 1 nests packages in "dependencies" and doesn't record the ranges of package.json
+  const dependencies = Object.entries(lock.dependencies ?? {})
+    .filter(([, entry]) => typeof entry?.version === 'string')
+    .map(([name, entry]) => ({ name, version: entry.version, specifiers: [] }));
+  return { lockfileVersion: lock.lockfileVersion ?? 1, dependencies, manifestRanges: null };
+}
+
+/**
+ * Parses yarn.lock of yarn 1 or yarn 2+.
+ *
+ * Each entry starts with an unindented line listing the `name@range`
+ * descriptors it was resolved for, followed by indented fields, e.g.
+ * `version "1.3.0"` (yarn 1) or `version: 1.3.0` (yarn 2+).
+ *
+ * @param {string} content - The lockfile content
+ * @returns {Omit<Lockfile, 'path'|'manager'>} The parsed lockfile
+ * @private
+ */
+function parseYarnLockfile(content) {
+  const dependencies = [];
+  let lockfileVersion = null;
+  let current = null;
+
+  for (const line of content.split(/\r?\n/)) {
+    const header = line.match(/^# yarn lockfile v(\d+)/);
+    if (header) {
+      lockfileVersion = header[1];
+    }
+    if (line.trim() === '' || line.trimStart().startsWith('#')) {
+      continue;
+    }
+
+    if (!/^\s/.test(line)) {
+      current = null;
+      const descriptors = line.replace(/:\s*$/, '').split(',').map(descriptor => descriptor.trim().replace(/^"|"$/g, ''));
+      const parsed = descriptors
+        .map(descriptor => {
+          const separator = descriptor.indexOf('@', 1);
+          return separator > 0
+            ? { name: descriptor.slice(0, separator), range: descriptor.slice(separator + 1).replace(/^npm:/, '') }
+            : null;
+        })
+        .filter(Boolean);
+      if (parsed.length > 0) {
+        current = { name: parsed[0].name, version: null, specifiers: parsed.map(descriptor => descriptor.range) };
+        dependencies.push(current);
+      }
+      continue;
+    }
+
+    const metadataVersion = line.match(/^\s+version:\s*"?([^"\s]+)"?\s*$/);
+    if (!current && metadataVersion) {
+      // The "__metadata" entry of yarn 2+ holds the lockfile version
+      lockfileVersion = metadataVersion[1];
+      continue;
+    }
+    const version = line.match(/^\s{2}version:?\s+"?([^"\s]+)"?\s*$/);
+    if (current && version && current.version === null) {
+      current.version = version[1];
+    }
+  }
+
+  return {
+    lockfileVersion,
+    dependencies: dependencies.filter(entry => entry.version !== null),
+    manifestRanges: null
+  };
+}
+
+/**
+ * Parses pnpm-lock.yaml of a single-package repository.
+ *
+ * lockfileVersion 6 and later record dependencies as
+ * `name: { specifier, version }`, under `importers['.']` from version 9 on;
+ * version 5 records the versions under `dependencies` and the ranges under
+ * `specifiers`.
+ *
+ * @param {string} content - The lockfile content
+ * @returns {Omit<Lockfile, 'path'|'manager'>} The parsed lockfile
+ * @throws {Error} When the content has no lockfileVersion
+ * @private
+ */
+function parsePnpmLockfile(content) {
+  const lock = parseYamlMappings(content);
+  if (lock.lockfileVersion === undefined) {
+    throw new Error('lockfileVersion is missing');
+  }
+
+  const importer = lock.importers?.['.'] ?? lock;
+  const manifestRanges = { ...(typeof importer.specifiers === 'object' ? importer.specifiers : {}) };
+  const dependencies = [];
+  for (const section of DEPENDENCY_SECTIONS) {
+    for (const [name, entry] of Object.entries(typeof importer[section] === 'object' ? importer[section] : {})) {
+      const locked = typeof entry === 'object' ? entry.version : entry;
+      if (typeof entry === 'object' && typeof entry.specifier === 'string') {
+        manifestRanges[name] = entry.specifier;
+      }
+      if (typeof locked === 'string') {
+        // Versions may carry the versions of peer dependencies, e.g. 1.3.0(react@18.2.0)
+        dependencies.push({ name, version: locked.replace(/[(_].*$/, ''), specifiers: manifestRanges[name] ? [manifestRanges[name]] : [] });
+      }
+    }
+  }
+  return { lockfileVersion: lock.lockfileVersion, dependencies, manifestRanges };
+}
+
+/**
+ * Parses the nested mappings of a YAML document, as far as lockfiles use
+ * them: `key: value` and `key:` lines nested by indentation. Sequences and
+ * flow collections are skipped.
+ *
+ * @param {string} content - The YAML content
+ * @returns {Object} The mappings, with scalar values as strings
+ * @private
+ */
+function parseYamlMappings(content) {
+  const root = {};
+  const stack = [{ indent: -1, value: root }];
+  const unquote = text => text.trim().replace(/^'(.*)'$|^"(.*)"$/, (match, single, double) => single ?? double);
+
+  for (const line of content.split(/\r?\n/)) {
+    const match = line.match(/^(\s*)((?:'[^']*'|"[^"]*"|[^\s'"#-][^:#]*?)):(?:\s+(.*))?$/);
+    if (!match || line.trimStart().startsWith('#')) {
+      continue;
+    }
+
+    const indent = match[1].length;
+    while (stack[stack.length - 1].indent >= indent) {
+      stack.pop();
+    }
+    const parent = stack[stack.length - 1].value;
+    const key = unquote(match[2]);
+    const value = match[3]?.replace(/\s+#.*$/, '');
+    if (value === undefined || value === '') {
+      parent[key] = {};
+      stack.push({ indent, value: parent[key] });
+    } else if (!/^[[{]/.test(value)) {
+      parent[key] = unquote(value);
+    }
+  }
+  return root;
+}
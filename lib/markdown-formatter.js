@@ -0,0 +1,256 @@
+/**
+ * @fileoverview Markdown report generator for health check results
+ *
+ * This module generates GitHub-flavored Markdown reports for health check
+ * results, for places where HTML reports can't be used: pull request comments
+ * and `$GITHUB_STEP_SUMMARY` job summaries. The report has a summary table and
+ * a collapsible `<details>` section per check; the per-check content comes
+ * from the same detail sections as the HTML report.
+ *
+ * @author spec-up-t-healthcheck
+ */
+
+import { getResultDetailSections, formatSuppressedLocation, escapeHtml } from './formatters/result-details-formatter.js';
+
+/**
+ * Status icons and labels, by result status.
+ * @type {Object<string, {icon: string, text: string}>}
+ * @private
+ */
+const STATUS_DISPLAY = {
+  pass: { icon: '✅', text: 'Pass' },
+  fail: { icon: '❌', text: 'Fail' },
+  warn: { icon: '⚠️', text: 'Warning' },
+  skip: { icon: '⏭️', text: 'Skipped' }
+};
+
+/**
+ * Finding icons, by finding severity.
+ * @type {Object<string, string>}
+ * @private
+ */
+const SEVERITY_ICONS = {
+  error: '❌',
+  warning: '⚠️',
+  info: 'ℹ️'
+};
+
+/**
+ * Escapes characters that Markdown or GitHub's HTML sanitizer would interpret.
+ * Line breaks are replaced by spaces, so the text fits in list items and table cells.
+ *
+ * @param {any} text - Text to escape
+ * @returns {string} Markdown-safe text
+ *
+ * @example
+ * ```javascript
+ * escapeMarkdown('Use <h2> | not *h3*');
+ * // Returns: 'Use \\<h2\\> \\| not \\*h3\\*'
+ * ```
+ */
+export function escapeMarkdown(text) {
+  return String(text)
+    .replace(/\r?\n/g, ' ')
+    .replace(/[\\`*_[\]<>|]/g, '\\$&');
+}
+
+/**
+ * Formats text as inline code. Backticks in the text are replaced, since
+ * inline code can't escape them.
+ *
+ * @param {any} text - Text to format
+ * @returns {string} Inline code
+ * @private
+ */
+function formatCode(text) {
+  return `\`${String(text).replace(/\r?\n/g, ' ').replace(/`/g, "'")}\``;
+}
+
+/**
+ * Formats a finding as a list item with its location and suggestion.
+ *
+ * @param {import('./health-check-utils.js').Finding} finding - The finding to format
+ * @returns {string} Markdown list item
+ * @private
+ */
+function formatFinding(finding) {
+  let location = finding.file || '';
+  if (location && finding.line) {
+    location += `:${finding.line}${finding.column ? `:${finding.column}` : ''}`;
+  }
+
+  let item = `- ${SEVERITY_ICONS[finding.severity] || ''} ${location ? `${formatCode(location)} ` : ''}${escapeMarkdown(finding.message)} (${formatCode(finding.ruleId)})`;
+  if (finding.suggestion) {
+    item += `\n  - 💡 ${escapeMarkdown(finding.suggestion)}`;
+  }
+  return item;
+}
+
+/**
+ * Formats a console message with its additional data.
+ *
+ * @param {Object} message - Console message from the console-messages check
+ * @returns {string} Markdown-safe text
+ * @private
+ */
+function formatConsoleMessage(message) {
+  const additionalData = message.additionalData
+    ? ` [${Array.isArray(message.additionalData) ? message.additionalData.join(', ') : message.additionalData}]`
+    : '';
+  return escapeMarkdown(`${message.message || ''}${additionalData}`);
+}
+
+/**
+ * Formats a detail section as Markdown.
+ *
+ * @param {import('./formatters/result-details-formatter.js').DetailSection} section - The section to format
+ * @returns {string} Markdown block
+ * @private
+ */
+function formatSection(section) {
+  switch (section.type) {
+    case 'list':
+      return [`**${section.title}:**`, ...section.items.map(item => `- ${escapeMarkdown(item)}`)].join('\n');
+    case 'console-list': {
+      const lines = [`**${section.title}:**`, ...section.items.map(message => `- ${formatConsoleMessage(message)}`)];
+      if (section.note) {
+        lines.push('', `_${escapeMarkdown(section.note)}_`);
+      }
+      return lines.join('\n');
+    }
+    case 'console-table':
+      return [
+        `**All messages (${section.items.length}):**`,
+        ...section.items.map(message => `- ${formatCode(message.type || 'info')} ${formatConsoleMessage(message)}`)
+      ].join('\n');
+    case 'markdown-tables':
+      return [
+        '| File | Line | Issue | Content |',
+        '| --- | --- | --- | --- |',
+        ...section.items.map(issue => `| ${formatCode(issue.file)} | ${issue.line} | ${SEVERITY_ICONS[issue.severity] || ''} ${escapeMarkdown(issue.message)} | ${issue.content ? formatCode(issue.content.replace(/\|/g, '\\|')) : ''} |`)
+      ].join('\n');
+    case 'suppressed':
+      return [
+        `**${section.title}:**`,
+        ...section.items.map(finding => `- ${formatCode(formatSuppressedLocation(finding))} ${escapeMarkdown(finding.message)} (${formatCode(finding.ruleId)}, suppressed by comment on line ${finding.suppressedBy.line})`)
+      ].join('\n');
+    case 'meta':
+      return `${section.label}: ${escapeMarkdown(section.value)}`;
+    default:
+      return '';
+  }
+}
+
+/**
+ * Formats the content of a check's `<details>` section.
+ *
+ * Findings replace the error, warning and info lists they were derived from,
+ * since they also tell where a problem is. Suppressed findings and metadata
+ * are shown in either case. Checks without findings show their
+ * detail sections instead.
+ *
+ * @param {import('./health-check-utils.js').HealthCheckResult} result - The check result
+ * @returns {string} Markdown content (empty when there is nothing to show)
+ * @private
+ */
+function formatResultBody(result) {
+  const details = result.details || {};
+  const findings = Array.isArray(details.findings) ? details.findings : [];
+  let sections = getResultDetailSections(details);
+
+  const blocks = [];
+  if (findings.length > 0) {
+    blocks.push(findings.map(formatFinding).join('\n'));
+    sections = sections.filter(section => section.type === 'suppressed' || section.type === 'meta');
+  }
+  blocks.push(...sections.map(formatSection));
+
+  return blocks.filter(Boolean).join('\n\n');
+}
+
+/**
+ * Generates a Markdown report from health check results.
+ *
+ * The report starts with the overall status and a summary table, followed by a
+ * table of all checks and a collapsible `<details>` section for every check
+ * that has findings or details to show.
+ *
+ * @param {import('./health-checker.js').HealthCheckReport} healthCheckOutput - The complete health check report
+ * @param {Object} [options={}] - Configuration options for Markdown generation
+ * @param {string} [options.title='Spec-Up-T Health Check Report'] - Title of the report
+ * @param {boolean} [options.showPassing=true] - Whether to include passing checks in the details
+ * @param {boolean} [options.showSuccess=false] - Whether to list passed validations ("Success") in the details
+ * @returns {string} Markdown document
+ *
+ * @example
+ * ```javascript
+ * const report = await runHealthChecks(provider);
+ * const markdown = generateMarkdownReport(report, { showPassing: false });
+ * fs.appendFileSync(process.env.GITHUB_STEP_SUMMARY, markdown);
+ * ```
+ */
+export function generateMarkdownReport(healthCheckOutput, options = {}) {
+  const {
+    title = 'Spec-Up-T Health Check Report',
+    showPassing = true,
+    showSuccess = false
+  } = options;
+  const { results, summary, timestamp, provider } = healthCheckOutput;
+
+  const output = [];
+  output.push(`## 📋 ${escapeMarkdown(title)}`);
+  output.push('');
+
+  if (summary.hasErrors) {
+    output.push('**Overall Status:** ❌ FAILED');
+  } else if (summary.hasWarnings) {
+    output.push('**Overall Status:** ⚠️ PASSED WITH WARNINGS');
+  } else {
+    output.push('**Overall Status:** ✅ PASSED');
+  }
+  output.push('');
+
+  const context = [`Generated: ${escapeMarkdown(timestamp)}`];
+  if (provider.repoPath) {
+    context.unshift(`Repository: ${formatCode(provider.repoPath)}`);
+  }
+  output.push(context.join(' · '));
+  output.push('');
+
+  output.push('| Total | ✅ Passed | ❌ Failed | ⚠️ Warnings | ⏭️ Skipped | Score |');
+  output.push('| ---: | ---: | ---: | ---: | ---: | ---: |');
+  output.push(`| ${summary.total} | ${summary.passed} | ${summary.failed} | ${summary.warnings} | ${summary.skipped} | ${Math.round(summary.score)}% |`);
+  output.push('');
+
+  output.push('| Status | Check | Result |');
+  output.push('| --- | --- | --- |');
+  results.forEach(result => {
+    const { icon, text } = STATUS_DISPLAY[result.status] || { icon: '❔', text: 'Unknown' };
+    output.push(`| ${icon} ${text} | ${escapeMarkdown(result.check)} | ${escapeMarkdown(result.message)} |`);
+  });
+  output.push('');
+
+  results.forEach(result => {
+    if (result.status === 'pass' && !showPassing) {
+      return;
+    }
+
+    const details = showSuccess ? result.details : { ...result.details, success: undefined };
+    const body = formatResultBody({ ...result, details });
+    if (!body) {
+      return;
+    }
+
+    const { icon } = STATUS_DISPLAY[result.status] || { icon: '❔' };
+    output.push('<details>');
+    // Markdown isn't rendered inside <summary>, so its text is escaped as HTML
+    output.push(`<summary>${icon} <strong>${escapeHtml(result.check)}</strong>: ${escapeHtml(result.message)}</summary>`);
+    output.push('');
+    output.push(body);
+    output.push('');
+    output.push('</details>');
+    output.push('');
+  });
+
+  return output.join('\n');
+}
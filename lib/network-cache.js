@@ -0,0 +1,140 @@
+/**
+ * @fileoverview Persistent cache store for the network client
+ *
+ * Keeps the data cached by a network client (see `network.js`) in a cache
+ * directory, one JSON file per entry, so that reference data fetched by one
+ * run is reused by later runs. A cache directory populated on a machine with
+ * network access lets offline runs, e.g. in air-gapped CI, validate against
+ * the same reference data.
+ *
+ * By default the cache lives in the user's cache directory, so all
+ * repositories checked by a user share it and checking a repository never
+ * writes into it: `$XDG_CACHE_HOME` (or `~/.cache`) on Linux,
+ * `~/Library/Caches` on macOS and `%LOCALAPPDATA%` on Windows, each with a
+ * `spec-up-t-healthcheck/network` subdirectory.
+ *
+ * This module depends on Node.js' `fs` and `crypto` modules and is therefore
+ * not available in browser environments.
+ *
+ * @author spec-up-t-healthcheck
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createHash } from 'crypto';
+import { createNetworkClient, DEFAULT_CACHE_TTL } from './network.js';
+
+/**
+ * Returns the user's cache directory of the current platform.
+ *
+ * @returns {string} Absolute path of the user cache directory
+ * @private
+ */
+function getUserCacheDirectory() {
+  if (process.env.XDG_CACHE_HOME && path.isAbsolute(process.env.XDG_CACHE_HOME)) {
+    return process.env.XDG_CACHE_HOME;
+  }
+  if (process.platform === 'win32') {
+    return process.env.LOCALAPPDATA || path.join(os.homedir(), 'AppData', 'Local');
+  }
+  if (process.platform === 'darwin') {
+    return path.join(os.homedir(), 'Library', 'Caches');
+  }
+  return path.join(os.homedir(), '.cache');
+}
+
+/**
+ * Cache directory used when none is specified: `spec-up-t-healthcheck/network`
+ * in the user's cache directory (an absolute path).
+ * @type {string}
+ */
+export const DEFAULT_CACHE_DIR = path.join(getUserCacheDirectory(), 'spec-up-t-healthcheck', 'network');
+
+/**
+ * Returns the path of the file holding a cache entry.
+ *
+ * Keys are usually URLs, so file names are derived from a hash of the key.
+ *
+ * @param {string} directory - The cache directory
+ * @param {string} key - The cache key
+ * @returns {string} Path of the entry file
+ * @private
+ */
+function getEntryPath(directory, key) {
+  return path.join(directory, `${createHash('sha256').update(key).digest('hex')}.json`);
+}
+
+/**
+ * Creates a cache store that keeps entries in a directory.
+ *
+ * The directory is created when the first entry is stored. Entries that
+ * cannot be read or parsed are treated as missing, so a corrupted cache file
+ * is replaced by the next successful request.
+ *
+ * @param {string} directory - The cache directory
+ * @returns {import('./network.js').CacheStore} The cache store
+ *
+ * @example
+ * ```javascript
+ * const network = createNetworkClient({
+ *   store: createFileCacheStore('.cache/healthcheck-network'),
+ *   offline: process.env.CI_OFFLINE === 'true'
+ * });
+ * const report = await runHealthChecks(provider, { network });
+ * ```
+ */
+export function createFileCacheStore(directory) {
+  const absoluteDirectory = path.resolve(directory);
+
+  return {
+    directory: absoluteDirectory,
+
+    async get(key) {
+      try {
+        const entry = JSON.parse(await fs.readFile(getEntryPath(absoluteDirectory, key), 'utf8'));
+        if (entry.key !== key || typeof entry.storedAt !== 'number') {
+          return null;
+        }
+        return { value: entry.value, storedAt: entry.storedAt };
+      } catch {
+        return null;
+      }
+    },
+
+    async set(key, { value, storedAt }) {
+      await fs.mkdir(absoluteDirectory, { recursive: true });
+      await fs.writeFile(getEntryPath(absoluteDirectory, key), `${JSON.stringify({ key, storedAt, value }, null, 2)}\n`);
+    },
+
+    async clear() {
+      await fs.rm(absoluteDirectory, { recursive: true, force: true });
+    }
+  };
+}
+
+/**
+ * Creates a network client with a persistent cache from network settings, as
+ * found in a configuration file or on the command line.
+ *
+ * @param {Object} [settings={}] - Network settings
+ * @param {boolean} [settings.offline=false] - Never access the network
+ * @param {string} [settings.cacheDir=DEFAULT_CACHE_DIR] - Directory of the persistent cache
+ * @param {number} [settings.cacheTtl] - Time-to-live of cached data in minutes (defaults to 1 hour)
+ * @param {boolean} [settings.refresh=false] - Refetch cached data when online
+ * @returns {import('./network.js').NetworkClient} The network client
+ *
+ * @example
+ * ```javascript
+ * // In CI without network access, using a cache directory restored from an earlier job
+ * const network = createConfiguredNetworkClient({ offline: true, cacheDir: 'ci/network-cache' });
+ * ```
+ */
+export function createConfiguredNetworkClient({ offline = false, cacheDir = DEFAULT_CACHE_DIR, cacheTtl, refresh = false } = {}) {
+  return createNetworkClient({
+    offline,
+    refresh,
+    store: createFileCacheStore(cacheDir),
+    ttl: cacheTtl === undefined ? DEFAULT_CACHE_TTL : cacheTtl * 60 * 1000
+  });
+}
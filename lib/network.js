@@ -0,0 +1,223 @@
+/**
+ * @fileoverview Network client shared by the health checks that access the network
+ *
+ * Some health checks fetch reference data (the boilerplate .gitignore, the
+ * starter pack package.json) or probe URLs (logos, external specifications,
+ * links). They all go through a network client, which:
+ *
+ * - caches reference data for a time-to-live, in memory or in a persistent
+ *   store such as a cache directory (see `network-cache.js`)
+ * - falls back to stale cached data when a request fails
+ * - in offline mode never accesses the network, but answers from the cache
+ *   regardless of its age, or rejects with an offline error that checks
+ *   report as a skipped validation
+ *
+ * The orchestrator passes the client of a run to the checks through the
+ * repository context. Checks called directly use {@link defaultNetworkClient}.
+ *
+ * @author spec-up-t-healthcheck
+ */
+
+/**
+ * Error code of the errors rejected by a client in offline mode.
+ * @type {string}
+ */
+export const OFFLINE_ERROR_CODE = 'OFFLINE';
+
+/**
+ * Default time-to-live of cached reference data in milliseconds.
+ * Set to 1 hour to avoid excessive network requests while keeping data reasonably fresh.
+ * @type {number}
+ */
+export const DEFAULT_CACHE_TTL = 60 * 60 * 1000; // 1 hour
+
+/**
+ * @typedef {Object} CacheEntry
+ * @property {*} value - The cached value (must be JSON-serializable for persistent stores)
+ * @property {number} storedAt - When the value was stored, in milliseconds since the epoch
+ */
+
+/**
+ * @typedef {Object} CacheStore
+ * @property {function(string): Promise<CacheEntry|null>} get - Reads an entry (null if it isn't cached)
+ * @property {function(string, CacheEntry): Promise<void>} set - Stores an entry
+ * @property {function(): Promise<void>} clear - Removes all entries
+ */
+
+/**
+ * @typedef {Object} NetworkClient
+ * @property {boolean} offline - Whether the client is in offline mode
+ * @property {number} ttl - Time-to-live of cached data in milliseconds
+ * @property {boolean} refresh - Whether cached data is ignored (but still updated) when online
+ * @property {function(string, function(): Promise<*>, Object=): Promise<*>} cached - Loads a value through the cache
+ * @property {function(string, Object=): Promise<string>} fetchText - Fetches a URL as text through the cache
+ * @property {function(): Promise<void>} clear - Removes all cached data
+ */
+
+/**
+ * Creates a cache store that keeps entries in memory.
+ *
+ * @returns {CacheStore} The cache store
+ */
+export function createMemoryCacheStore() {
+  const entries = new Map();
+
+  return {
+    async get(key) {
+      return entries.get(key) ?? null;
+    },
+
+    async set(key, entry) {
+      entries.set(key, entry);
+    },
+
+    async clear() {
+      entries.clear();
+    }
+  };
+}
+
+/**
+ * Creates the error a client rejects with when offline mode prevents a request.
+ *
+ * @param {string} key - Cache key (usually the URL) of the request
+ * @returns {Error} The error, with `code` set to {@link OFFLINE_ERROR_CODE}
+ */
+export function createOfflineError(key) {
+  const error = new Error(`Offline mode: ${key} is not cached and cannot be requested`);
+  error.code = OFFLINE_ERROR_CODE;
+  return error;
+}
+
+/**
+ * Checks whether an error was caused by offline mode.
+ *
+ * @param {*} error - The error to check
+ * @returns {boolean} True if the error is an offline error
+ */
+export function isOfflineError(error) {
+  return Boolean(error) && error.code === OFFLINE_ERROR_CODE;
+}
+
+/**
+ * Creates a network client.
+ *
+ * `cached(key, load)` returns the cached value of `key` while it is younger
+ * than the time-to-live, and otherwise calls `load` and caches its result. A
+ * failing `load` falls back to the cached value of any age. In offline mode
+ * `load` is never called.
+ *
+ * Probes that should always run when online, such as URL accessibility
+ * checks, pass `{ ttl: 0 }`: their results are still cached for offline runs.
+ * A `cacheable` predicate keeps results out of the cache that describe the
+ * network rather than the resource, e.g. DNS failures.
+ *
+ * @param {Object} [options={}] - Client options
+ * @param {boolean} [options.offline=false] - Never access the network
+ * @param {CacheStore} [options.store] - Where cached data is kept (in memory by default)
+ * @param {number} [options.ttl=DEFAULT_CACHE_TTL] - Time-to-live of cached data in milliseconds
+ * @param {boolean} [options.refresh=false] - Ignore cached data when online, e.g. to refresh a persistent cache
+ * @returns {NetworkClient} The network client
+ *
+ * @example
+ * ```javascript
+ * const network = createNetworkClient({ offline: true });
+ * try {
+ *   const content = await network.fetchText('https://example.com/reference.json');
+ * } catch (error) {
+ *   if (isOfflineError(error)) {
+ *     // Skip the validation that needs the reference data
+ *   }
+ * }
+ * ```
+ */
+export function createNetworkClient({ offline = false, store = createMemoryCacheStore(), ttl = DEFAULT_CACHE_TTL, refresh = false } = {}) {
+  const client = {
+    offline,
+    ttl,
+    refresh,
+
+    /**
+     * Loads a value through the cache.
+     *
+     * @param {string} key - Cache key
+     * @param {function(): Promise<*>} load - Loads the value from the network
+     * @param {Object} [cacheOptions={}] - Options for this value
+     * @param {number} [cacheOptions.ttl] - Time-to-live in milliseconds (defaults to the client's)
+     * @param {function(*): boolean} [cacheOptions.cacheable] - Whether a loaded value is cached (all by default)
+     * @returns {Promise<*>} The cached or loaded value
+     * @throws {Error} An offline error when offline and the value isn't cached, or the error of `load`
+     *         when it fails and the value isn't cached
+     */
+    async cached(key, load, { ttl: maxAge = ttl, cacheable = () => true } = {}) {
+      const entry = await store.get(key);
+
+      if (offline) {
+        if (entry) {
+          return entry.value;
+        }
+        throw createOfflineError(key);
+      }
+
+      if (entry && !refresh && Date.now() - entry.storedAt < maxAge) {
+        return entry.value;
+      }
+
+      let value;
+      try {
+        value = await load();
+      } catch (error) {
+        // Use the cached value, even if expired, rather than failing
+        if (entry) {
+          return entry.value;
+        }
+        throw error;
+      }
+
+      try {
+        if (cacheable(value)) {
+          await store.set(key, { value, storedAt: Date.now() });
+        }
+      } catch {
+        // A cache that cannot be written (e.g. a read-only directory) doesn't fail the request
+      }
+      return value;
+    },
+
+    /**
+     * Fetches a URL as text through the cache.
+     *
+     * @param {string} url - The URL to fetch
+     * @param {Object} [cacheOptions={}] - Cache options, as for `cached`
+     * @returns {Promise<string>} The response body
+     * @throws {Error} When the request fails (or is prevented by offline mode) and the URL isn't cached
+     */
+    fetchText(url, cacheOptions = {}) {
+      return client.cached(url, async () => {
+        const response = await fetch(url);
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+        return response.text();
+      }, cacheOptions);
+    },
+
+    /**
+     * Removes all cached data.
+     *
+     * @returns {Promise<void>}
+     */
+    clear() {
+      return store.clear();
+    }
+  };
+
+  return client;
+}
+
+/**
+ * Client used by checks that are called without a shared network client.
+ * Online, with an in-memory cache kept for the lifetime of the process.
+ * @type {NetworkClient}
+ */
+export const defaultNetworkClient = createNetworkClient();
@@ -2,15 +2,21 @@
  * @fileoverview Browser-compatible providers module
  * 
  * This is a browser-safe version of providers.js that doesn't import Node.js modules.
- * It only exports the createProvider function interface without the Node.js-specific
+ * It exports the createProvider function interface without the Node.js-specific
  * LocalFileProvider.
  * 
- * In browser environments, providers must be created by the consuming application
- * (e.g., GitHubUi creates a GitHub API provider).
+ * In browser environments, providers are either created by the consuming application,
+ * by the built-in GitHub API provider for GitHub repositories, or by the in-memory
+ * provider for content the application already holds (e.g. editor buffers).
  * 
  * @author spec-up-t-healthcheck
  */
 
+import { createGitHubProvider, isGitHubUrl } from './providers/github-provider.js';
+
+export { createGitHubProvider, parseGitHubUrl } from './providers/github-provider.js';
+export { createMemoryProvider } from './providers/memory-provider.js';
+
 /**
  * @typedef {Object} FileEntry
  * @property {string} name - The name of the file or directory
@@ -21,20 +27,23 @@
 
 /**
  * @typedef {Object} Provider
- * @property {string} type - The type of provider ('local', 'remote', etc.)
+ * @property {string} type - The type of provider ('local', 'github', etc.)
  * @property {string} repoPath - The base path or URL for the repository
  * @property {function(string): Promise<string>} readFile - Read a file and return its content
  * @property {function(string): Promise<boolean>} fileExists - Check if a file exists
+ * @property {function(string): Promise<boolean>} directoryExists - Check if a directory exists
  * @property {function(string): Promise<FileEntry[]>} listFiles - List files in a directory
  */
 
 /**
  * Creates a provider based on the given configuration.
  * 
- * In browser environments, only custom providers are supported.
- * You must pass a pre-configured provider object.
+ * In browser environments, local file system providers are not available.
+ * Pass either a pre-configured provider object or a GitHub repository URL,
+ * which is served by the built-in GitHub API provider.
  * 
- * @param {Object|string} config - Provider configuration or custom provider
+ * @param {Object|string} config - Provider configuration, custom provider or GitHub URL
+ * @param {import('./providers/github-provider.js').GitHubProviderOptions} [options={}] - Options for URL-based providers
  * @returns {Provider} The configured provider
  * @throws {Error} If trying to create a local file provider in browser
  * 
@@ -48,9 +57,12 @@
  *   fileExists: async (path) => { ... },
  *   listFiles: async (dir) => { ... }
  * });
+ * 
+ * // Browser: Use the built-in GitHub provider
+ * const githubProvider = createProvider('https://github.com/owner/repo', { token });
  * ```
  */
-export function createProvider(config) {
+export function createProvider(config, options = {}) {
   // If config is already a provider object with required methods, return it
   if (typeof config === 'object' && 
       config.readFile && 
@@ -58,7 +70,12 @@ export function createProvider(config) {
     return config;
   }
   
-  // If config is a string (file path), this is not supported in browser
+  // GitHub repository URLs are served by the built-in GitHub API provider
+  if (typeof config === 'string' && isGitHubUrl(config)) {
+    return createGitHubProvider(config, options);
+  }
+  
+  // If config is any other string (file path), this is not supported in browser
   if (typeof config === 'string') {
     throw new Error(
       'Local file system providers are not available in browser environments. ' +
@@ -11,6 +11,14 @@
 
 import fs from 'fs/promises';
 import path from 'path';
+import { createGitHubProvider, isGitHubUrl } from './providers/github-provider.js';
+import { createArchiveProvider, isArchivePath } from './providers/archive-provider.js';
+import { createGitRefProvider } from './providers/git-ref-provider.js';
+
+export { createGitHubProvider, parseGitHubUrl } from './providers/github-provider.js';
+export { createArchiveProvider } from './providers/archive-provider.js';
+export { createMemoryProvider } from './providers/memory-provider.js';
+export { createGitRefProvider } from './providers/git-ref-provider.js';
 
 /**
  * @typedef {Object} FileEntry
@@ -22,11 +30,15 @@ import path from 'path';
 
 /**
  * @typedef {Object} Provider
- * @property {string} type - The type of provider ('local', 'remote', etc.)
+ * @property {string} type - The type of provider ('local', 'github', etc.)
  * @property {string} repoPath - The base path or URL for the repository
  * @property {function(string): Promise<string>} readFile - Read a file and return its content
  * @property {function(string): Promise<boolean>} fileExists - Check if a file exists
+ * @property {function(string): Promise<boolean>} directoryExists - Check if a directory exists
  * @property {function(string): Promise<FileEntry[]>} listFiles - List files in a directory
+ * @property {boolean} [writable] - Whether the provider can change files (local and memory providers)
+ * @property {function(string, string): Promise<void>} [writeFile] - Create or replace a file (writable providers only)
+ * @property {function(string): Promise<Date>} [getModifiedTime] - Get the time a file was last modified (local provider only)
  */
 
 /**
@@ -35,6 +47,7 @@ import path from 'path';
  * The local provider enables reading files from a local directory structure,
  * providing async methods for file operations with proper error handling.
  * All file paths are resolved relative to the provided repository path.
+ * The provider is writable, so fixes can be applied to the repository.
  * 
  * @param {string} repoPath - The absolute or relative path to the local repository root
  * @returns {Provider} A provider object with methods for file operations
@@ -53,6 +66,7 @@ export function createLocalProvider(repoPath) {
   const provider = {
     type: 'local',
     repoPath,
+    writable: true,
     
     /**
      * Returns the base path of the repository.
@@ -169,6 +183,57 @@ export function createLocalProvider(repoPath) {
       } catch (error) {
         throw new Error(`Error listing directory ${dirPath}: ${error.message}`);
       }
+    },
+
+    /**
+     * Creates or replaces a file in the local filesystem, creating missing
+     * parent directories.
+     * 
+     * @param {string} filePath - The relative path to the file from the repository root
+     * @param {string} content - The new file content
+     * @returns {Promise<void>}
+     * 
+     * @throws {Error} When the file cannot be written
+     * 
+     * @example
+     * ```javascript
+     * await provider.writeFile('spec/spec-body.md', '## Introduction\n');
+     * ```
+     */
+    async writeFile(filePath, content) {
+      const fullPath = path.join(repoPath, filePath);
+      try {
+        await fs.mkdir(path.dirname(fullPath), { recursive: true });
+        await fs.writeFile(fullPath, content, 'utf8');
+      } catch (error) {
+        throw new Error(`Error writing file ${filePath}: ${error.message}`);
+      }
+    },
+
+    /**
+     * Returns the time a file in the local filesystem was last modified.
+     * 
+     * @param {string} filePath - The relative path to the file from the repository root
+     * @returns {Promise<Date>} The modification time
+     * 
+     * @throws {Error} When the file doesn't exist or cannot be accessed
+     * 
+     * @example
+     * ```javascript
+     * const modified = await provider.getModifiedTime('.cache/xtrefs-data.json');
+     * console.log(modified.toISOString());
+     * ```
+     */
+    async getModifiedTime(filePath) {
+      const fullPath = path.join(repoPath, filePath);
+      try {
+        return (await fs.stat(fullPath)).mtime;
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          throw new Error(`File not found: ${filePath}`);
+        }
+        throw new Error(`Error accessing file ${filePath}: ${error.message}`);
+      }
     }
   };
   
@@ -179,30 +244,56 @@ export function createLocalProvider(repoPath) {
  * Creates a provider based on the input type (local path or remote URL).
  * 
  * This factory function automatically determines the appropriate provider type
- * based on the input format. Currently supports local filesystem providers,
- * with remote providers planned for future implementation.
+ * based on the input format. Local paths use the filesystem provider, archive
+ * files (.tar.gz, .tgz, .tar, .zip) use the archive provider and GitHub
+ * repository URLs use the GitHub API provider. Local paths combined with a
+ * `ref` option are read from that git revision instead of the working tree.
  * 
  * @param {string} input - The path or URL to the specification repository.
  *                        Local paths can be absolute or relative.
  *                        Remote URLs should start with http:// or https://
+ * @param {Object} [options={}] - Provider options
+ * @param {string} [options.ref] - Branch, tag or commit SHA to read (remote repositories and local git clones)
+ * @param {string} [options.token] - Access token for remote repositories
+ * @param {string} [options.apiBaseUrl] - Base URL of the GitHub API (remote repositories)
+ * @param {boolean} [options.stripRoot=true] - Strip the shared top-level directory (archives)
  * @returns {Provider} An appropriate provider instance for the input type
  * 
- * @throws {Error} When remote URLs are provided (not yet implemented)
+ * @throws {Error} When a remote URL is not hosted on GitHub
+ * @throws {Error} When a ref is requested for an archive
  * 
  * @example
  * ```javascript
  * // Create a local provider
  * const localProvider = createProvider('/path/to/spec');
  * 
- * // Remote provider (throws error - not implemented)
- * const remoteProvider = createProvider('https://github.com/user/spec-repo');
+ * // Read a release snapshot without extracting it
+ * const archiveProvider = createProvider('./spec-v1.0.0.tar.gz');
+ * 
+ * // Create a GitHub provider for a specific branch
+ * const remoteProvider = createProvider('https://github.com/user/spec-repo', { ref: 'main' });
+ * 
+ * // Check another branch of a local clone without checking it out
+ * const refProvider = createProvider('/path/to/spec', { ref: 'origin/main' });
  * ```
  * 
  * @since 1.0.0
  */
-export function createProvider(input) {
+export function createProvider(input, options = {}) {
   if (input.startsWith('http://') || input.startsWith('https://')) {
-    throw new Error('Remote providers not yet implemented');
+    if (isGitHubUrl(input)) {
+      return createGitHubProvider(input, options);
+    }
+    throw new Error(`Unsupported remote repository host: ${input} (only GitHub URLs are supported)`);
+  }
+  if (isArchivePath(input)) {
+    if (options.ref) {
+      throw new Error(`A git ref cannot be selected for archive ${input}`);
+    }
+    return createArchiveProvider(input, options);
+  }
+  if (options.ref) {
+    return createGitRefProvider(input, options.ref);
   }
   return createLocalProvider(input);
 }
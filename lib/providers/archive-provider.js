@@ -0,0 +1,456 @@
+/**
+ * @fileoverview Archive provider for spec-up-t-healthcheck
+ *
+ * This module implements the Provider interface for repository snapshots
+ * delivered as `.tar.gz`, `.tgz`, `.tar` or `.zip` archives. Entries are read
+ * straight out of the archive in memory, so every health check can run against
+ * a release artifact without extracting it to disk first.
+ *
+ * The archive is loaded lazily on the first provider call. Archives created by
+ * GitHub (and `git archive --prefix`) wrap all files in a single top-level
+ * directory; that directory is stripped automatically so paths line up with
+ * the repository root.
+ *
+ * This module depends on Node.js' `zlib` and `fs` modules and is therefore
+ * not available in browser environments.
+ *
+ * @author spec-up-t-healthcheck
+ */
+
+import fs from 'fs/promises';
+import zlib from 'zlib';
+import { normalizeProviderPath, createFileIndex } from './provider-utils.js';
+
+/**
+ * File name patterns recognized as supported archives.
+ * @type {RegExp}
+ */
+const ARCHIVE_FILE_PATTERN = /\.(tar\.gz|tgz|tar|zip)$/i;
+
+/**
+ * Size of a tar header and data block in bytes.
+ * @type {number}
+ */
+const TAR_BLOCK_SIZE = 512;
+
+/**
+ * Zip record signatures.
+ * @type {Readonly<{localFile: number, centralDirectory: number, endOfCentralDirectory: number}>}
+ */
+const ZIP_SIGNATURES = Object.freeze({
+  localFile: 0x04034b50,
+  centralDirectory: 0x02014b50,
+  endOfCentralDirectory: 0x06054b50
+});
+
+/**
+ * @typedef {Object} ArchiveProviderOptions
+ * @property {'tar.gz'|'tar'|'zip'} [format] - Archive format (detected from the content when omitted)
+ * @property {boolean} [stripRoot=true] - Strip a single top-level directory shared by all entries
+ * @property {string} [name] - Display name used as repoPath when the source is a buffer
+ */
+
+/**
+ * @typedef {Object} ArchiveEntry
+ * @property {string} path - Entry path inside the archive
+ * @property {boolean} isDirectory - Whether the entry is a directory
+ * @property {Buffer} [data] - File content (files only)
+ */
+
+/**
+ * Checks whether a path looks like a supported archive file.
+ *
+ * @param {string} input - The path to inspect
+ * @returns {boolean} True for .tar.gz, .tgz, .tar and .zip files
+ */
+export function isArchivePath(input) {
+  return typeof input === 'string' && ARCHIVE_FILE_PATTERN.test(input);
+}
+
+/**
+ * Detects the archive format from the first bytes of the archive.
+ *
+ * @param {Buffer} buffer - The archive content
+ * @returns {'tar.gz'|'tar'|'zip'} The detected format
+ * @throws {Error} When the content is not a supported archive
+ * @private
+ */
+function detectArchiveFormat(buffer) {
+  if (buffer.length >= 2 && buffer[0] === 0x1f && buffer[1] === 0x8b) {
+    return 'tar.gz';
+  }
+  if (buffer.length >= 4 && buffer.readUInt32LE(0) === ZIP_SIGNATURES.localFile) {
+    return 'zip';
+  }
+  if (buffer.length >= 262 && buffer.toString('latin1', 257, 262) === 'ustar') {
+    return 'tar';
+  }
+  throw new Error('Unsupported archive format (expected .tar.gz, .tar or .zip)');
+}
+
+/**
+ * Reads a NUL-terminated string field from a tar header.
+ *
+ * @param {Buffer} header - The header block
+ * @param {number} offset - Field offset
+ * @param {number} length - Field length
+ * @returns {string} The field value
+ * @private
+ */
+function readTarString(header, offset, length) {
+  const field = header.subarray(offset, offset + length);
+  const end = field.indexOf(0);
+  return field.toString('utf8', 0, end === -1 ? length : end);
+}
+
+/**
+ * Parses the records of a PAX extended header.
+ *
+ * @param {Buffer} data - The extended header content
+ * @returns {Object<string, string>} The header records
+ * @private
+ */
+function parsePaxHeader(data) {
+  const records = {};
+  let offset = 0;
+  while (offset < data.length) {
+    const space = data.indexOf(0x20, offset);
+    if (space === -1) break;
+    const length = parseInt(data.toString('utf8', offset, space), 10);
+    if (!length) break;
+    const record = data.toString('utf8', space + 1, offset + length - 1);
+    const separator = record.indexOf('=');
+    records[record.slice(0, separator)] = record.slice(separator + 1);
+    offset += length;
+  }
+  return records;
+}
+
+/**
+ * Extracts the entries of a (decompressed) tar archive.
+ *
+ * Supports ustar headers with name prefixes, GNU long names and PAX path
+ * records, which covers archives produced by GitHub, `git archive` and `tar`.
+ *
+ * @param {Buffer} buffer - The tar content
+ * @returns {ArchiveEntry[]} The archive entries
+ * @throws {Error} When an entry is truncated or its header is corrupt
+ * @private
+ */
+function readTarEntries(buffer) {
+  const entries = [];
+  let offset = 0;
+  let pendingPath = null;
+  let ended = false;
+
+  while (offset + TAR_BLOCK_SIZE <= buffer.length) {
+    const header = buffer.subarray(offset, offset + TAR_BLOCK_SIZE);
+    if (header.every(byte => byte === 0)) {
+      ended = true; // End-of-archive marker
+      break;
+    }
+
+    const size = parseInt(readTarString(header, 124, 12).trim() || '0', 8);
+    const typeFlag = String.fromCharCode(header[156] || 0x30);
+    const dataStart = offset + TAR_BLOCK_SIZE;
+    if (Number.isNaN(size) || dataStart + size > buffer.length) {
+      throw new Error('Invalid tar archive: truncated or corrupt entry');
+    }
+    const data = buffer.subarray(dataStart, dataStart + size);
+    offset = dataStart + Math.ceil(size / TAR_BLOCK_SIZE) * TAR_BLOCK_SIZE;
+
+    if (typeFlag === 'L') {
+      pendingPath = data.toString('utf8').replace(/\0+$/, '');
+      continue;
+    }
+    if (typeFlag === 'x') {
+      pendingPath = parsePaxHeader(data).path || pendingPath;
+      continue;
+    }
+    if (typeFlag === 'g') {
+      continue; // Global PAX header (git archive stores the commit id here)
+    }
+
+    const prefix = readTarString(header, 345, 155);
+    const name = readTarString(header, 0, 100);
+    const entryPath = pendingPath || (prefix ? `${prefix}/${name}` : name);
+    pendingPath = null;
+
+    if (typeFlag === '5') {
+      entries.push({ path: entryPath, isDirectory: true });
+    } else if (typeFlag === '0' || typeFlag === '7') {
+      entries.push({ path: entryPath, isDirectory: false, data: Buffer.from(data) });
+    }
+    // Links, devices and other special entries are not relevant for health checks
+  }
+
+  if (!ended && offset !== buffer.length) {
+    throw new Error('Invalid tar archive: truncated or corrupt entry');
+  }
+  return entries;
+}
+
+/**
+ * Extracts the entries of a zip archive using its central directory.
+ *
+ * Stored and deflated entries are supported. Zip64 archives are not.
+ *
+ * @param {Buffer} buffer - The zip content
+ * @returns {ArchiveEntry[]} The archive entries
+ * @throws {Error} When the archive is malformed or uses unsupported features
+ * @private
+ */
+function readZipEntries(buffer) {
+  // The end-of-central-directory record sits at the end, followed by an optional comment
+  let eocdOffset = -1;
+  for (let offset = buffer.length - 22; offset >= Math.max(0, buffer.length - 22 - 0xffff); offset--) {
+    if (buffer.readUInt32LE(offset) === ZIP_SIGNATURES.endOfCentralDirectory) {
+      eocdOffset = offset;
+      break;
+    }
+  }
+  if (eocdOffset === -1) {
+    throw new Error('Invalid zip archive: end of central directory not found');
+  }
+
+  const entryCount = buffer.readUInt16LE(eocdOffset + 10);
+  let offset = buffer.readUInt32LE(eocdOffset + 16);
+  if (entryCount === 0xffff || offset === 0xffffffff) {
+    throw new Error('Zip64 archives are not supported');
+  }
+
+  const entries = [];
+  for (let i = 0; i < entryCount; i++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== ZIP_SIGNATURES.centralDirectory) {
+      throw new Error('Invalid zip archive: corrupt central directory');
+    }
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localHeaderOffset = buffer.readUInt32LE(offset + 42);
+    const entryPath = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (entryPath.endsWith('/')) {
+      entries.push({ path: entryPath, isDirectory: true });
+      continue;
+    }
+
+    if (localHeaderOffset + 30 > buffer.length || buffer.readUInt32LE(localHeaderOffset) !== ZIP_SIGNATURES.localFile) {
+      throw new Error(`Invalid zip archive: corrupt local header of ${entryPath}`);
+    }
+    const localNameLength = buffer.readUInt16LE(localHeaderOffset + 26);
+    const localExtraLength = buffer.readUInt16LE(localHeaderOffset + 28);
+    const dataStart = localHeaderOffset + 30 + localNameLength + localExtraLength;
+    if (dataStart + compressedSize > buffer.length) {
+      throw new Error(`Invalid zip archive: truncated data of ${entryPath}`);
+    }
+    const compressed = buffer.subarray(dataStart, dataStart + compressedSize);
+
+    let data;
+    if (method === 0) {
+      data = Buffer.from(compressed);
+    } else if (method === 8) {
+      data = zlib.inflateRawSync(compressed);
+    } else {
+      throw new Error(`Unsupported zip compression method ${method} for ${entryPath}`);
+    }
+    entries.push({ path: entryPath, isDirectory: false, data });
+  }
+
+  return entries;
+}
+
+/**
+ * Removes the top-level directory when every entry lives inside the same one.
+ *
+ * @param {ArchiveEntry[]} entries - Entries with normalized paths
+ * @returns {ArchiveEntry[]} Entries relative to the repository root
+ * @private
+ */
+function stripCommonRoot(entries) {
+  const roots = new Set(entries.map(entry => entry.path.split('/')[0]));
+  const hasNestedFiles = entries.some(entry => !entry.isDirectory && entry.path.includes('/'));
+  const [root] = roots;
+  const rootIsFile = entries.some(entry => !entry.isDirectory && entry.path === root);
+
+  if (roots.size !== 1 || !hasNestedFiles || rootIsFile) {
+    return entries;
+  }
+
+  return entries
+    .map(entry => ({ ...entry, path: entry.path.slice(root.length + 1) }))
+    .filter(entry => entry.path !== '');
+}
+
+/**
+ * Reads all entries from an archive buffer.
+ *
+ * @param {Buffer} buffer - The archive content
+ * @param {ArchiveProviderOptions} options - Provider options
+ * @returns {ArchiveEntry[]} The entries, with normalized repository-relative paths
+ * @private
+ */
+function readArchiveEntries(buffer, options) {
+  const format = options.format || detectArchiveFormat(buffer);
+  let entries;
+
+  if (format === 'zip') {
+    entries = readZipEntries(buffer);
+  } else if (format === 'tar.gz') {
+    entries = readTarEntries(zlib.gunzipSync(buffer));
+  } else if (format === 'tar') {
+    entries = readTarEntries(buffer);
+  } else {
+    throw new Error(`Unsupported archive format: ${format}`);
+  }
+
+  const normalized = entries
+    .map(entry => ({ ...entry, path: normalizeProviderPath(entry.path) }))
+    .filter(entry => entry.path !== '');
+
+  return options.stripRoot === false ? normalized : stripCommonRoot(normalized);
+}
+
+/**
+ * Creates a provider that reads files directly from a repository archive.
+ *
+ * The provider exposes the same interface as the local filesystem provider.
+ * The archive is read and decompressed into memory on first use, which keeps
+ * provider creation synchronous like the other provider factories.
+ *
+ * @param {string|Buffer|Uint8Array} source - Path to the archive file, or the archive content
+ * @param {ArchiveProviderOptions} [options={}] - Provider options
+ * @returns {import('../providers.js').Provider} A provider object with methods for file operations
+ *
+ * @example
+ * ```javascript
+ * const provider = createArchiveProvider('./release/spec-v1.2.0.tar.gz');
+ * const result = await checkSpecsJson(provider);
+ *
+ * // From a buffer, e.g. a downloaded release asset
+ * const zipProvider = createArchiveProvider(buffer, { format: 'zip', name: 'spec.zip' });
+ * ```
+ */
+export function createArchiveProvider(source, options = {}) {
+  const isPath = typeof source === 'string';
+  const displayName = isPath ? source : (options.name || 'archive');
+
+  /** @type {Promise<{index: import('./provider-utils.js').FileIndex, contents: Map<string, Buffer>}>|null} */
+  let archivePromise = null;
+
+  /**
+   * Loads and indexes the archive content once.
+   *
+   * @returns {Promise<{index: import('./provider-utils.js').FileIndex, contents: Map<string, Buffer>}>} Archive data
+   * @private
+   */
+  function loadArchive() {
+    if (!archivePromise) {
+      archivePromise = (async () => {
+        let buffer;
+        try {
+          buffer = isPath ? await fs.readFile(source) : Buffer.from(source);
+        } catch (error) {
+          throw new Error(`Error reading archive ${displayName}: ${error.message}`);
+        }
+
+        let entries;
+        try {
+          entries = readArchiveEntries(buffer, options);
+        } catch (error) {
+          throw new Error(`Error reading archive ${displayName}: ${error.message}`);
+        }
+
+        const index = createFileIndex();
+        const contents = new Map();
+        for (const entry of entries) {
+          if (entry.isDirectory) {
+            index.addDirectory(entry.path);
+          } else {
+            index.addFile(entry.path);
+            contents.set(entry.path, entry.data);
+          }
+        }
+        return { index, contents };
+      })();
+      // Don't cache failures, so that an archive that appears later can still be read
+      archivePromise.catch(() => {
+        archivePromise = null;
+      });
+    }
+    return archivePromise;
+  }
+
+  return {
+    type: 'archive',
+    repoPath: displayName,
+
+    /**
+     * Reads the content of a file from the archive.
+     *
+     * @param {string} filePath - The relative path to the file from the repository root
+     * @returns {Promise<string>} The file content as a UTF-8 string
+     *
+     * @throws {Error} When the file is not found in the archive
+     * @throws {Error} When the archive cannot be read
+     */
+    async readFile(filePath) {
+      const { contents } = await loadArchive();
+      const data = contents.get(normalizeProviderPath(filePath));
+      if (!data) {
+        throw new Error(`File not found: ${filePath}`);
+      }
+      return data.toString('utf8');
+    },
+
+    /**
+     * Checks whether a file exists in the archive.
+     *
+     * @param {string} filePath - The relative path to the file from the repository root
+     * @returns {Promise<boolean>} True if the file exists, false otherwise
+     *
+     * @throws {Error} When the archive cannot be read or parsed, so that a missing or
+     *         corrupt archive is not mistaken for a missing file
+     */
+    async fileExists(filePath) {
+      const { index } = await loadArchive();
+      return index.hasFile(filePath);
+    },
+
+    /**
+     * Checks whether a directory exists in the archive.
+     *
+     * @param {string} dirPath - The relative path to the directory from the repository root
+     * @returns {Promise<boolean>} True if the directory exists, false otherwise
+     *
+     * @throws {Error} When the archive cannot be read or parsed
+     */
+    async directoryExists(dirPath) {
+      const { index } = await loadArchive();
+      return index.hasDirectory(dirPath);
+    },
+
+    /**
+     * Lists all files and directories in the specified directory.
+     *
+     * @param {string} [dirPath=''] - The relative path to the directory from the repository root
+     * @returns {Promise<import('../providers.js').FileEntry[]>} An array of file entries with metadata
+     *
+     * @throws {Error} When the directory doesn't exist or the archive cannot be read
+     */
+    async listFiles(dirPath = '') {
+      try {
+        const { index } = await loadArchive();
+        if (!index.hasDirectory(dirPath)) {
+          throw new Error('Directory not found');
+        }
+        return index.list(dirPath);
+      } catch (error) {
+        throw new Error(`Error listing directory ${dirPath}: ${error.message}`);
+      }
+    }
+  };
+}
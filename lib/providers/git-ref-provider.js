@@ -0,0 +1,227 @@
+/**
+ * @fileoverview Git ref provider for spec-up-t-healthcheck
+ *
+ * This module implements the Provider interface on top of the object database
+ * of a local git clone. Files are read from the tree of any commit, branch or
+ * tag (e.g. `origin/main` or a pull request head) without checking it out, so
+ * health checks can validate historical revisions while the working tree
+ * stays untouched.
+ *
+ * Git objects are read through the `git` command line tool, which must be
+ * available on the PATH. The tree listing is loaded lazily on the first
+ * provider call; file contents are read on demand.
+ *
+ * This module depends on Node.js' `child_process` module and is therefore
+ * not available in browser environments.
+ *
+ * @author spec-up-t-healthcheck
+ */
+
+import { execFile } from 'child_process';
+import { normalizeProviderPath, createFileIndex } from './provider-utils.js';
+
+/**
+ * Maximum size of git command output (file contents and tree listings) in bytes.
+ * @type {number}
+ */
+const MAX_GIT_OUTPUT_BYTES = 64 * 1024 * 1024;
+
+/**
+ * Runs a git command in the given repository.
+ *
+ * @param {string} repoPath - Directory to run git in
+ * @param {string[]} args - Arguments passed to git
+ * @param {Object} [options={}] - Execution options
+ * @param {string|null} [options.encoding='utf8'] - Output encoding, `null` for a Buffer
+ * @returns {Promise<string|Buffer>} The standard output of the command
+ *
+ * @throws {Error} When git is not installed or the command fails
+ * @private
+ */
+function runGit(repoPath, args, { encoding = 'utf8' } = {}) {
+  return new Promise((resolve, reject) => {
+    execFile('git', args, {
+      cwd: repoPath,
+      encoding: encoding === null ? 'buffer' : encoding,
+      maxBuffer: MAX_GIT_OUTPUT_BYTES
+    }, (error, stdout, stderr) => {
+      if (error) {
+        const message = error.code === 'ENOENT'
+          ? 'git executable not found'
+          : String(stderr || error.message).trim().replace(/^fatal: /, '');
+        reject(new Error(message));
+        return;
+      }
+      resolve(stdout);
+    });
+  });
+}
+
+/**
+ * Parses the NUL-separated output of `git ls-tree -r -t -z`.
+ *
+ * Each record has the form `<mode> <type> <object>\t<path>`. Submodules
+ * (type `commit`) are reported as directories, since their content is not part
+ * of the tree.
+ *
+ * @param {string} output - Raw command output
+ * @returns {Array<{path: string, type: string, object: string}>} Tree entries
+ * @private
+ */
+function parseLsTreeOutput(output) {
+  return output
+    .split('\0')
+    .filter(Boolean)
+    .map(record => {
+      const tabIndex = record.indexOf('\t');
+      const [, type, object] = record.slice(0, tabIndex).split(' ');
+      return { path: record.slice(tabIndex + 1), type, object };
+    });
+}
+
+/**
+ * Creates a provider that reads files from a commit of a local git repository.
+ *
+ * The ref is resolved to a commit once, so the provider keeps serving the same
+ * revision even if the branch moves while checks run. When `repoPath` points to
+ * a subdirectory of the clone, paths are relative to that subdirectory, just
+ * like with the local filesystem provider.
+ *
+ * @param {string} repoPath - Path to the local clone (or a directory inside it)
+ * @param {string} [ref='HEAD'] - Commit SHA, branch, tag or any other git revision
+ * @returns {import('../providers.js').Provider} A provider object with methods for file operations
+ *
+ * @example
+ * ```javascript
+ * const provider = createGitRefProvider('./my-spec', 'origin/main');
+ * const results = await runHealthChecks(provider);
+ * console.log(await provider.getCommit()); // resolved commit SHA
+ * ```
+ */
+export function createGitRefProvider(repoPath, ref = 'HEAD') {
+  /** @type {Promise<{commit: string, index: import('./provider-utils.js').FileIndex, blobs: Map<string, string>}>|null} */
+  let treePromise = null;
+
+  /**
+   * Resolves the ref and loads the tree listing once.
+   *
+   * @returns {Promise<{commit: string, index: import('./provider-utils.js').FileIndex, blobs: Map<string, string>}>} Tree data
+   * @private
+   */
+  function loadTree() {
+    if (!treePromise) {
+      treePromise = (async () => {
+        let commit;
+        let prefix;
+        try {
+          commit = (await runGit(repoPath, ['rev-parse', '--verify', `${ref}^{commit}`])).trim();
+          prefix = (await runGit(repoPath, ['rev-parse', '--show-prefix'])).trim();
+        } catch (error) {
+          throw new Error(`Cannot resolve git ref "${ref}" in ${repoPath}: ${error.message}`);
+        }
+
+        const output = await runGit(repoPath, ['ls-tree', '-r', '-t', '-z', '--full-tree', `${commit}:${prefix}`]);
+        const index = createFileIndex();
+        const blobs = new Map();
+        for (const entry of parseLsTreeOutput(output)) {
+          if (entry.type === 'blob') {
+            index.addFile(entry.path);
+            blobs.set(normalizeProviderPath(entry.path), entry.object);
+          } else {
+            index.addDirectory(entry.path);
+          }
+        }
+        return { commit, index, blobs };
+      })();
+    }
+    return treePromise;
+  }
+
+  return {
+    type: 'git-ref',
+    repoPath,
+    ref,
+
+    /**
+     * Returns the commit SHA the ref resolved to.
+     *
+     * @returns {Promise<string>} The full commit SHA
+     *
+     * @throws {Error} When the ref cannot be resolved
+     */
+    async getCommit() {
+      const { commit } = await loadTree();
+      return commit;
+    },
+
+    /**
+     * Reads the content of a file at the selected revision.
+     *
+     * @param {string} filePath - The relative path to the file from the repository root
+     * @returns {Promise<string>} The file content as a UTF-8 string
+     *
+     * @throws {Error} When the file does not exist at the revision
+     * @throws {Error} When the ref cannot be resolved or git fails
+     */
+    async readFile(filePath) {
+      const { blobs } = await loadTree();
+      const blob = blobs.get(normalizeProviderPath(filePath));
+      if (!blob) {
+        throw new Error(`File not found: ${filePath}`);
+      }
+      try {
+        const data = await runGit(repoPath, ['cat-file', 'blob', blob], { encoding: null });
+        return data.toString('utf8');
+      } catch (error) {
+        throw new Error(`Error reading file ${filePath}: ${error.message}`);
+      }
+    },
+
+    /**
+     * Checks whether a file exists at the selected revision.
+     *
+     * @param {string} filePath - The relative path to the file from the repository root
+     * @returns {Promise<boolean>} True if the file exists, false otherwise
+     *
+     * @throws {Error} When the ref cannot be resolved or git fails, so that an unknown
+     *         revision is not mistaken for a missing file
+     */
+    async fileExists(filePath) {
+      const { index } = await loadTree();
+      return index.hasFile(filePath);
+    },
+
+    /**
+     * Checks whether a directory exists at the selected revision.
+     *
+     * @param {string} dirPath - The relative path to the directory from the repository root
+     * @returns {Promise<boolean>} True if the directory exists, false otherwise
+     *
+     * @throws {Error} When the ref cannot be resolved or git fails
+     */
+    async directoryExists(dirPath) {
+      const { index } = await loadTree();
+      return index.hasDirectory(dirPath);
+    },
+
+    /**
+     * Lists all files and directories in the specified directory at the selected revision.
+     *
+     * @param {string} [dirPath=''] - The relative path to the directory from the repository root
+     * @returns {Promise<import('../providers.js').FileEntry[]>} An array of file entries with metadata
+     *
+     * @throws {Error} When the directory doesn't exist or the ref cannot be resolved
+     */
+    async listFiles(dirPath = '') {
+      try {
+        const { index } = await loadTree();
+        if (!index.hasDirectory(dirPath)) {
+          throw new Error('Directory not found');
+        }
+        return index.list(dirPath);
+      } catch (error) {
+        throw new Error(`Error listing directory ${dirPath}: ${error.message}`);
+      }
+    }
+  };
+}
@@ -0,0 +1,420 @@
+/**
+ * @fileoverview GitHub provider for spec-up-t-healthcheck
+ *
+ * This module implements the Provider interface on top of the GitHub REST API,
+ * so health checks can run against a remote repository without cloning it.
+ * The repository tree is fetched once (recursively) through the git trees API
+ * and used to answer existence and listing queries. File contents are fetched
+ * on demand through the contents API.
+ *
+ * The module only relies on the global `fetch` function, which makes it usable
+ * in Node.js (18+) as well as in browsers.
+ *
+ * @author spec-up-t-healthcheck
+ */
+
+import { normalizeProviderPath, joinProviderPath, createFileIndex } from './provider-utils.js';
+
+/**
+ * Default base URL of the GitHub REST API.
+ * @type {string}
+ */
+const DEFAULT_API_BASE_URL = 'https://api.github.com';
+
+/**
+ * Host names that are recognized as GitHub repository URLs.
+ * @type {readonly string[]}
+ */
+const GITHUB_HOSTS = Object.freeze(['github.com', 'www.github.com']);
+
+/**
+ * @typedef {Object} GitHubRepositoryReference
+ * @property {string} owner - The repository owner (user or organization)
+ * @property {string} repo - The repository name
+ * @property {string} [ref] - Branch, tag or commit SHA taken from the URL
+ * @property {string} basePath - Sub-directory of the repository to treat as root
+ */
+
+/**
+ * @typedef {Object} GitHubProviderOptions
+ * @property {string} [ref] - Branch, tag or commit SHA to read (overrides the ref in the URL)
+ * @property {string} [token] - GitHub token used for authenticated requests
+ * @property {string} [apiBaseUrl='https://api.github.com'] - Base URL of the GitHub API
+ *                                                           (useful for GitHub Enterprise or mock servers)
+ * @property {Function} [fetch] - Custom fetch implementation (defaults to the global fetch)
+ */
+
+/**
+ * Checks whether a URL points to a GitHub repository.
+ *
+ * @param {string} input - The URL to inspect
+ * @returns {boolean} True if the URL uses a GitHub host
+ */
+export function isGitHubUrl(input) {
+  try {
+    const url = new URL(input);
+    return GITHUB_HOSTS.includes(url.hostname.toLowerCase());
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Parses a GitHub repository URL into its components.
+ *
+ * Supported formats:
+ * - https://github.com/{owner}/{repo}
+ * - https://github.com/{owner}/{repo}.git
+ * - https://github.com/{owner}/{repo}/tree/{ref}
+ * - https://github.com/{owner}/{repo}/tree/{ref}/{sub/directory}
+ *
+ * Refs containing slashes cannot be expressed in the URL unambiguously; pass
+ * them through the `ref` option of {@link createGitHubProvider} instead.
+ *
+ * @param {string} input - The GitHub URL
+ * @returns {GitHubRepositoryReference} The parsed repository reference
+ * @throws {Error} When the URL is not a valid GitHub repository URL
+ *
+ * @example
+ * ```javascript
+ * parseGitHubUrl('https://github.com/trustoverip/spec-up-t/tree/v1.2.0');
+ * // { owner: 'trustoverip', repo: 'spec-up-t', ref: 'v1.2.0', basePath: '' }
+ * ```
+ */
+export function parseGitHubUrl(input) {
+  if (!isGitHubUrl(input)) {
+    throw new Error(`Not a GitHub repository URL: ${input}`);
+  }
+
+  const parts = new URL(input).pathname.split('/').filter(Boolean).map(decodeURIComponent);
+  if (parts.length < 2) {
+    throw new Error(`GitHub URL should have format: https://github.com/{owner}/{repo} (got ${input})`);
+  }
+
+  const [owner, rawRepo, marker, ref, ...rest] = parts;
+  const repo = rawRepo.replace(/\.git$/, '');
+  const hasRef = (marker === 'tree' || marker === 'blob') && ref;
+
+  return {
+    owner,
+    repo,
+    ...(hasRef && { ref }),
+    basePath: hasRef ? normalizeProviderPath(rest.join('/')) : ''
+  };
+}
+
+/**
+ * Creates a provider that reads a repository through the GitHub REST API.
+ *
+ * The provider fetches the complete repository tree for the requested ref once
+ * and answers `fileExists`, `directoryExists` and `listFiles` from it. When the
+ * tree is too large for a single API response (GitHub marks it as truncated),
+ * the provider falls back to the contents API for those calls. When no ref is
+ * given, the repository's default branch is used.
+ *
+ * @param {string} input - GitHub repository URL (see {@link parseGitHubUrl})
+ * @param {GitHubProviderOptions} [options={}] - Provider options
+ * @returns {import('../providers.js').Provider} A provider object with methods for file operations
+ *
+ * @example
+ * ```javascript
+ * const provider = createGitHubProvider('https://github.com/trustoverip/spec-up-t-starter-pack', {
+ *   ref: 'main',
+ *   token: process.env.GITHUB_TOKEN
+ * });
+ * const specs = await provider.readFile('specs.json');
+ * ```
+ */
+export function createGitHubProvider(input, options = {}) {
+  const location = parseGitHubUrl(input);
+  const apiBaseUrl = (options.apiBaseUrl || DEFAULT_API_BASE_URL).replace(/\/+$/, '');
+  const fetchImpl = options.fetch || globalThis.fetch;
+  const repoApiUrl = `${apiBaseUrl}/repos/${encodeURIComponent(location.owner)}/${encodeURIComponent(location.repo)}`;
+
+  if (typeof fetchImpl !== 'function') {
+    throw new Error('The GitHub provider requires a fetch implementation (Node.js 18+ or a browser)');
+  }
+
+  /** @type {Promise<string>|null} */
+  let refPromise = null;
+
+  /** @type {Promise<{index: import('./provider-utils.js').FileIndex, truncated: boolean}>|null} */
+  let treePromise = null;
+
+  /**
+   * Performs a request against the GitHub API.
+   *
+   * @param {string} url - Absolute API URL
+   * @param {string} [accept='application/vnd.github+json'] - Accept header value
+   * @returns {Promise<Response>} The fetch response
+   * @private
+   */
+  async function request(url, accept = 'application/vnd.github+json') {
+    const headers = { Accept: accept };
+    if (options.token) {
+      headers.Authorization = `Bearer ${options.token}`;
+    }
+    return fetchImpl(url, { headers });
+  }
+
+  /**
+   * Builds an error for an unsuccessful API response, including GitHub's message when present.
+   *
+   * @param {Response} response - The failed response
+   * @param {string} action - Description of what was attempted
+   * @returns {Promise<Error>} The error to throw
+   * @private
+   */
+  async function createResponseError(response, action) {
+    let detail = response.statusText || '';
+    try {
+      const body = await response.json();
+      if (body && body.message) {
+        detail = body.message;
+      }
+    } catch {
+      // Body is not JSON - keep the status text
+    }
+    return new Error(`GitHub API error while ${action}: HTTP ${response.status}${detail ? ` ${detail}` : ''}`);
+  }
+
+  /**
+   * Resolves the ref to read, falling back to the repository's default branch.
+   *
+   * @returns {Promise<string>} Branch, tag or commit SHA
+   * @private
+   */
+  function resolveRef() {
+    if (!refPromise) {
+      refPromise = (async () => {
+        const explicitRef = options.ref || location.ref;
+        if (explicitRef) {
+          return explicitRef;
+        }
+        const response = await request(repoApiUrl);
+        if (!response.ok) {
+          throw await createResponseError(response, `reading repository ${location.owner}/${location.repo}`);
+        }
+        const repoData = await response.json();
+        return repoData.default_branch;
+      })();
+      // Allow a retry after transient failures instead of caching the rejection
+      refPromise.catch(() => { refPromise = null; });
+    }
+    return refPromise;
+  }
+
+  /**
+   * Loads the recursive repository tree for the resolved ref.
+   *
+   * Paths are stored relative to the provider root (the optional sub-directory
+   * from the URL), so lookups can use provider paths directly.
+   *
+   * @returns {Promise<{index: import('./provider-utils.js').FileIndex, truncated: boolean}>} The tree index
+   * @private
+   */
+  function loadTree() {
+    if (!treePromise) {
+      treePromise = (async () => {
+        const ref = await resolveRef();
+        const response = await request(`${repoApiUrl}/git/trees/${encodeURIComponent(ref)}?recursive=1`);
+        if (!response.ok) {
+          throw await createResponseError(response, `reading tree for ref "${ref}"`);
+        }
+        const treeData = await response.json();
+        const index = createFileIndex();
+        const prefix = location.basePath ? `${location.basePath}/` : '';
+
+        for (const entry of treeData.tree || []) {
+          if (!entry.path.startsWith(prefix)) {
+            continue;
+          }
+          const relativePath = entry.path.slice(prefix.length);
+          if (entry.type === 'blob') {
+            index.addFile(relativePath);
+          } else if (entry.type === 'tree') {
+            index.addDirectory(relativePath);
+          }
+        }
+
+        return { index, truncated: Boolean(treeData.truncated) };
+      })();
+      // Allow a retry after transient failures instead of caching the rejection
+      treePromise.catch(() => { treePromise = null; });
+    }
+    return treePromise;
+  }
+
+  /**
+   * Requests an entry from the contents API.
+   *
+   * @param {string} relativePath - Normalized provider path
+   * @param {string} [accept] - Accept header value
+   * @returns {Promise<Response>} The fetch response
+   * @private
+   */
+  async function requestContents(relativePath, accept) {
+    const ref = await resolveRef();
+    const repoFilePath = joinProviderPath(location.basePath, relativePath)
+      .split('/')
+      .map(encodeURIComponent)
+      .join('/');
+    return request(`${repoApiUrl}/contents/${repoFilePath}?ref=${encodeURIComponent(ref)}`, accept);
+  }
+
+  /**
+   * Looks up the type of an entry through the contents API.
+   * Used when the recursive tree was truncated by GitHub.
+   *
+   * @param {string} relativePath - Normalized provider path
+   * @returns {Promise<'file'|'dir'|null>} The entry type or null when it does not exist
+   * @throws {Error} When the GitHub API request fails for another reason than a missing entry
+   * @private
+   */
+  async function getContentsType(relativePath) {
+    const response = await requestContents(relativePath);
+    if (response.status === 404) {
+      return null;
+    }
+    if (!response.ok) {
+      throw await createResponseError(response, `reading ${relativePath || 'the repository root'}`);
+    }
+    const data = await response.json();
+    return Array.isArray(data) ? 'dir' : data.type;
+  }
+
+  return {
+    type: 'github',
+    repoPath: input,
+    owner: location.owner,
+    repo: location.repo,
+
+    /**
+     * Returns the branch, tag or commit SHA the provider reads from.
+     *
+     * @returns {Promise<string>} The resolved ref
+     */
+    getRef() {
+      return resolveRef();
+    },
+
+    /**
+     * Reads the content of a file from the repository.
+     *
+     * @param {string} filePath - The relative path to the file from the repository root
+     * @returns {Promise<string>} The file content as a UTF-8 string
+     *
+     * @throws {Error} When the file is not found
+     * @throws {Error} When the GitHub API request fails
+     */
+    async readFile(filePath) {
+      const relativePath = normalizeProviderPath(filePath);
+      let response;
+      try {
+        response = await requestContents(relativePath, 'application/vnd.github.raw');
+      } catch (error) {
+        throw new Error(`Error reading file ${filePath}: ${error.message}`);
+      }
+      if (response.status === 404) {
+        throw new Error(`File not found: ${filePath}`);
+      }
+      if (!response.ok) {
+        const error = await createResponseError(response, `reading ${filePath}`);
+        throw new Error(`Error reading file ${filePath}: ${error.message}`);
+      }
+      return response.text();
+    },
+
+    /**
+     * Checks whether a file exists in the repository.
+     *
+     * @param {string} filePath - The relative path to the file from the repository root
+     * @returns {Promise<boolean>} True if the file exists, false otherwise
+     *
+     * @throws {Error} When the GitHub API request fails (e.g. an invalid token, rate limiting or
+     *         an unknown ref), so that such failures are not mistaken for a missing file
+     */
+    async fileExists(filePath) {
+      const relativePath = normalizeProviderPath(filePath);
+      try {
+        const tree = await loadTree();
+        if (!tree.truncated) {
+          return tree.index.hasFile(relativePath);
+        }
+        return (await getContentsType(relativePath)) === 'file';
+      } catch (error) {
+        throw new Error(`Error checking file ${filePath}: ${error.message}`);
+      }
+    },
+
+    /**
+     * Checks whether a directory exists in the repository.
+     *
+     * @param {string} dirPath - The relative path to the directory from the repository root
+     * @returns {Promise<boolean>} True if the directory exists, false otherwise
+     *
+     * @throws {Error} When the GitHub API request fails (e.g. an invalid token, rate limiting or
+     *         an unknown ref), so that such failures are not mistaken for a missing directory
+     */
+    async directoryExists(dirPath) {
+      const relativePath = normalizeProviderPath(dirPath);
+      try {
+        const tree = await loadTree();
+        if (!tree.truncated) {
+          return tree.index.hasDirectory(relativePath);
+        }
+        return (await getContentsType(relativePath)) === 'dir';
+      } catch (error) {
+        throw new Error(`Error checking directory ${dirPath}: ${error.message}`);
+      }
+    },
+
+    /**
+     * Lists all files and directories in the specified directory.
+     *
+     * @param {string} [dirPath=''] - The relative path to the directory from the repository root
+     * @returns {Promise<import('../providers.js').FileEntry[]>} An array of file entries with metadata
+     *
+     * @throws {Error} When the directory cannot be read or doesn't exist
+     */
+    async listFiles(dirPath = '') {
+      const relativePath = normalizeProviderPath(dirPath);
+      try {
+        const tree = await loadTree();
+        if (tree.truncated) {
+          return await listFromContentsApi(relativePath);
+        }
+        if (!tree.index.hasDirectory(relativePath)) {
+          throw new Error('Directory not found');
+        }
+        return tree.index.list(relativePath);
+      } catch (error) {
+        throw new Error(`Error listing directory ${dirPath}: ${error.message}`);
+      }
+    }
+  };
+
+  /**
+   * Lists a directory through the contents API (used for truncated trees).
+   *
+   * @param {string} relativePath - Normalized directory path
+   * @returns {Promise<import('../providers.js').FileEntry[]>} Directory entries
+   * @private
+   */
+  async function listFromContentsApi(relativePath) {
+    const response = await requestContents(relativePath);
+    if (!response.ok) {
+      throw await createResponseError(response, `listing ${relativePath || '/'}`);
+    }
+    const data = await response.json();
+    if (!Array.isArray(data)) {
+      throw new Error('Not a directory');
+    }
+    return data.map(entry => ({
+      name: entry.name,
+      path: joinProviderPath(relativePath, entry.name),
+      isDirectory: entry.type === 'dir',
+      isFile: entry.type === 'file'
+    }));
+  }
+}
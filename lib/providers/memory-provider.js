@@ -0,0 +1,281 @@
+/**
+ * @fileoverview In-memory provider for spec-up-t-healthcheck
+ *
+ * This module implements the Provider interface on top of a virtual file tree
+ * built from a plain `path → content` object. It is useful for tests, sandboxes
+ * and browser applications that already hold the repository content (for
+ * example an editor with unsaved buffers).
+ *
+ * The provider is writable and emits `change` events whenever a file is
+ * created, updated or deleted, so editors and web UIs can re-run checks as
+ * the content changes. Errors thrown by `change` listeners, and rejections of
+ * the promises returned by async listeners, are emitted as `error` events.
+ * Without an `error` listener, thrown errors propagate to the caller of
+ * `writeFile` or `deleteFile`, and rejections remain unhandled.
+ *
+ * @author spec-up-t-healthcheck
+ */
+
+import { normalizeProviderPath, createFileIndex } from './provider-utils.js';
+
+/**
+ * @typedef {Object} MemoryProviderChangeEvent
+ * @property {'create'|'update'|'delete'} type - What happened to the file
+ * @property {string} path - Normalized path of the file that changed
+ */
+
+/**
+ * @typedef {function(MemoryProviderChangeEvent): (void|Promise<void>)} MemoryProviderListener
+ */
+
+/**
+ * @typedef {function(Error): void} MemoryProviderErrorListener
+ */
+
+/**
+ * Creates a provider backed by an in-memory virtual file tree.
+ *
+ * Keys of the files map are repository-relative paths. A key ending with '/'
+ * (or a `null` value) declares a directory, which allows empty directories.
+ * Parent directories of files are created implicitly.
+ *
+ * @param {Object<string, string|null>} [filesMap={}] - Initial files, keyed by path
+ * @param {Object} [options={}] - Provider options
+ * @param {string} [options.name='memory'] - Display name used as repoPath in reports
+ * @returns {import('../providers.js').Provider} A writable provider with change events
+ *
+ * @example
+ * ```javascript
+ * const provider = createMemoryProvider({
+ *   'specs.json': JSON.stringify({ specs: [{ spec_directory: './spec' }] }),
+ *   'spec/spec-body.md': '# Introduction',
+ *   'spec/terms-definitions/': null
+ * });
+ *
+ * const unsubscribe = provider.on('change', async (event) => {
+ *   console.log(`${event.path} was ${event.type}d`);
+ *   const report = await runHealthChecks(provider, { checks: ['heading-hierarchy'] });
+ *   console.log(formatResultsAsText(report));
+ * });
+ * provider.on('error', (error) => console.error(`Re-running the checks failed: ${error.message}`));
+ *
+ * await provider.writeFile('spec/spec-body.md', '# Introduction\n### Details');
+ * unsubscribe();
+ * ```
+ */
+export function createMemoryProvider(filesMap = {}, options = {}) {
+  const index = createFileIndex();
+  /** @type {Map<string, string>} */
+  const contents = new Map();
+  /** @type {Map<string, Set<MemoryProviderListener|MemoryProviderErrorListener>>} */
+  const listeners = new Map();
+
+  for (const [entryPath, content] of Object.entries(filesMap)) {
+    if (entryPath.endsWith('/') || content === null) {
+      index.addDirectory(entryPath);
+    } else {
+      const normalized = normalizeProviderPath(entryPath);
+      index.addFile(normalized);
+      contents.set(normalized, String(content));
+    }
+  }
+
+  /**
+   * Tells whether `error` listeners are registered.
+   *
+   * @returns {boolean} True if at least one `error` listener is registered
+   * @private
+   */
+  function hasErrorListeners() {
+    return (listeners.get('error')?.size || 0) > 0;
+  }
+
+  /**
+   * Passes an error to all `error` listeners.
+   *
+   * @param {Error} error - The error of a `change` listener
+   * @private
+   */
+  function emitError(error) {
+    for (const listener of listeners.get('error') || []) {
+      listener(error);
+    }
+  }
+
+  /**
+   * Notifies all `change` listeners of a change.
+   *
+   * Every listener is called, even if an earlier one throws. The errors are
+   * passed to the `error` listeners; if there are none, the first error is
+   * rethrown once all listeners ran. Rejections of promises returned by async
+   * listeners are passed to the `error` listeners when they occur.
+   *
+   * @param {MemoryProviderChangeEvent} payload - The event payload
+   * @throws {Error} The first error of a `change` listener, when no `error` listener is registered
+   * @private
+   */
+  function emitChange(payload) {
+    const errors = [];
+    for (const listener of listeners.get('change') || []) {
+      try {
+        const returned = listener(payload);
+        if (returned && typeof returned.then === 'function') {
+          returned.then(undefined, error => {
+            if (!hasErrorListeners()) {
+              throw error; // Unhandled, like a thrown error without an error listener
+            }
+            emitError(error);
+          });
+        }
+      } catch (error) {
+        errors.push(error);
+      }
+    }
+
+    if (errors.length > 0 && !hasErrorListeners()) {
+      throw errors[0];
+    }
+    errors.forEach(emitError);
+  }
+
+  const provider = {
+    type: 'memory',
+    repoPath: options.name || 'memory',
+    writable: true,
+
+    /**
+     * Reads the content of a virtual file.
+     *
+     * @param {string} filePath - The relative path to the file from the repository root
+     * @returns {Promise<string>} The file content
+     *
+     * @throws {Error} When the file is not found
+     */
+    async readFile(filePath) {
+      const normalized = normalizeProviderPath(filePath);
+      if (!contents.has(normalized)) {
+        throw new Error(`File not found: ${filePath}`);
+      }
+      return contents.get(normalized);
+    },
+
+    /**
+     * Checks whether a virtual file exists.
+     *
+     * @param {string} filePath - The relative path to the file from the repository root
+     * @returns {Promise<boolean>} True if the file exists, false otherwise
+     */
+    async fileExists(filePath) {
+      return index.hasFile(filePath);
+    },
+
+    /**
+     * Checks whether a virtual directory exists.
+     *
+     * @param {string} dirPath - The relative path to the directory from the repository root
+     * @returns {Promise<boolean>} True if the directory exists, false otherwise
+     */
+    async directoryExists(dirPath) {
+      return index.hasDirectory(dirPath);
+    },
+
+    /**
+     * Lists all files and directories in the specified virtual directory.
+     *
+     * @param {string} [dirPath=''] - The relative path to the directory from the repository root
+     * @returns {Promise<import('../providers.js').FileEntry[]>} An array of file entries with metadata
+     *
+     * @throws {Error} When the directory doesn't exist
+     */
+    async listFiles(dirPath = '') {
+      if (!index.hasDirectory(dirPath)) {
+        throw new Error(`Error listing directory ${dirPath}: Directory not found`);
+      }
+      return index.list(dirPath);
+    },
+
+    /**
+     * Creates or replaces a virtual file and emits a `change` event.
+     * Writing identical content is a no-op and does not emit an event.
+     *
+     * @param {string} filePath - The relative path to the file from the repository root
+     * @param {string} content - The new file content
+     * @returns {Promise<void>}
+     * @throws {Error} When a `change` listener throws and no `error` listener is registered
+     *         (the file is written nonetheless)
+     */
+    async writeFile(filePath, content) {
+      const normalized = normalizeProviderPath(filePath);
+      if (!normalized) {
+        throw new Error('Cannot write a file at the repository root path');
+      }
+      const existed = contents.has(normalized);
+      const text = String(content);
+      if (existed && contents.get(normalized) === text) {
+        return;
+      }
+      index.addFile(normalized);
+      contents.set(normalized, text);
+      emitChange({ type: existed ? 'update' : 'create', path: normalized });
+    },
+
+    /**
+     * Deletes a virtual file and emits a `change` event.
+     *
+     * @param {string} filePath - The relative path to the file from the repository root
+     * @returns {Promise<boolean>} True if the file existed and was deleted
+     * @throws {Error} When a `change` listener throws and no `error` listener is registered
+     *         (the file is deleted nonetheless)
+     */
+    async deleteFile(filePath) {
+      const normalized = normalizeProviderPath(filePath);
+      if (!index.removeFile(normalized)) {
+        return false;
+      }
+      contents.delete(normalized);
+      emitChange({ type: 'delete', path: normalized });
+      return true;
+    },
+
+    /**
+     * Returns a snapshot of all virtual files as a `path → content` object.
+     *
+     * @returns {Object<string, string>} The current files
+     */
+    getFiles() {
+      return Object.fromEntries(contents);
+    },
+
+    /**
+     * Registers an event listener. `change` listeners are called for each
+     * change, `error` listeners with the errors thrown by `change` listeners
+     * and the rejections of async `change` listeners.
+     *
+     * @param {'change'|'error'} event - The event name
+     * @param {MemoryProviderListener|MemoryProviderErrorListener} listener - Function called for each event
+     * @returns {function(): void} Function that removes the listener again
+     */
+    on(event, listener) {
+      if (!listeners.has(event)) {
+        listeners.set(event, new Set());
+      }
+      listeners.get(event).add(listener);
+      return () => provider.off(event, listener);
+    },
+
+    /**
+     * Removes a previously registered event listener.
+     *
+     * @param {'change'|'error'} event - The event name
+     * @param {MemoryProviderListener|MemoryProviderErrorListener} listener - The listener to remove
+     */
+    off(event, listener) {
+      const eventListeners = listeners.get(event);
+      if (eventListeners) {
+        eventListeners.delete(listener);
+      }
+    }
+  };
+
+  return provider;
+}
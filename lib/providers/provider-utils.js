@@ -0,0 +1,175 @@
+/**
+ * @fileoverview Shared helpers for provider implementations
+ *
+ * Providers address files with forward-slash paths relative to the repository
+ * root, regardless of the underlying source. These helpers normalize such paths
+ * without relying on Node.js' `path` module, so they can be used by providers
+ * that run in the browser as well as in Node.js.
+ *
+ * @author spec-up-t-healthcheck
+ */
+
+/**
+ * Normalizes a repository-relative path.
+ *
+ * Backslashes are converted to forward slashes, leading './' and '/' segments,
+ * trailing slashes and duplicate separators are removed. The repository root
+ * is represented by an empty string.
+ *
+ * @param {string} [filePath=''] - The path to normalize
+ * @returns {string} The normalized path
+ *
+ * @example
+ * ```javascript
+ * normalizeProviderPath('./spec/'); // 'spec'
+ * normalizeProviderPath('/spec//terms-definitions/a.md'); // 'spec/terms-definitions/a.md'
+ * normalizeProviderPath(''); // ''
+ * ```
+ */
+export function normalizeProviderPath(filePath = '') {
+  return String(filePath)
+    .replace(/\\/g, '/')
+    .split('/')
+    .filter(segment => segment !== '' && segment !== '.')
+    .join('/');
+}
+
+/**
+ * Joins path segments into a normalized repository-relative path.
+ *
+ * @param {...string} segments - Path segments to join
+ * @returns {string} The joined and normalized path
+ *
+ * @example
+ * ```javascript
+ * joinProviderPath('spec/', 'terms.md'); // 'spec/terms.md'
+ * joinProviderPath('', 'README.md'); // 'README.md'
+ * ```
+ */
+export function joinProviderPath(...segments) {
+  return normalizeProviderPath(segments.filter(Boolean).join('/'));
+}
+
+/**
+ * Returns the last segment of a path.
+ *
+ * @param {string} filePath - The path
+ * @returns {string} The file or directory name
+ */
+export function getPathBaseName(filePath) {
+  const normalized = normalizeProviderPath(filePath);
+  return normalized.slice(normalized.lastIndexOf('/') + 1);
+}
+
+/**
+ * @typedef {Object} FileIndex
+ * @property {function(string): void} addFile - Registers a file (and its parent directories)
+ * @property {function(string): void} addDirectory - Registers a directory, which may be empty
+ * @property {function(string): boolean} removeFile - Removes a file, returns true if it was present
+ * @property {function(string): boolean} hasFile - Checks whether a file is registered
+ * @property {function(string): boolean} hasDirectory - Checks whether a directory exists
+ * @property {function(string): import('../providers.js').FileEntry[]} list - Lists direct children of a directory
+ * @property {function(): string[]} getFiles - Returns all registered file paths
+ */
+
+/**
+ * Creates an index of file and directory paths for providers that keep the
+ * repository structure in memory (remote trees, archives, virtual files).
+ *
+ * Parent directories are derived from file paths automatically, so callers
+ * only need to register files, plus directories that may be empty.
+ *
+ * @param {string[]} [filePaths=[]] - Initial file paths
+ * @returns {FileIndex} The file index
+ *
+ * @example
+ * ```javascript
+ * const index = createFileIndex(['specs.json', 'spec/intro.md']);
+ * index.hasDirectory('spec'); // true
+ * index.list('spec'); // [{ name: 'intro.md', path: 'spec/intro.md', isDirectory: false, isFile: true }]
+ * ```
+ */
+export function createFileIndex(filePaths = []) {
+  const files = new Set();
+  const explicitDirectories = new Set(['']);
+  // Number of files below each directory, so directories disappear with their last file
+  const directoryFileCounts = new Map();
+
+  const getParentDirectories = filePath => {
+    const segments = filePath.split('/');
+    return segments.slice(0, -1).map((_, index) => segments.slice(0, index + 1).join('/'));
+  };
+
+  const index = {
+    addFile(filePath) {
+      const normalized = normalizeProviderPath(filePath);
+      if (!normalized || files.has(normalized)) {
+        return;
+      }
+      files.add(normalized);
+      for (const directory of getParentDirectories(normalized)) {
+        directoryFileCounts.set(directory, (directoryFileCounts.get(directory) || 0) + 1);
+      }
+    },
+
+    addDirectory(dirPath) {
+      explicitDirectories.add(normalizeProviderPath(dirPath));
+    },
+
+    removeFile(filePath) {
+      const normalized = normalizeProviderPath(filePath);
+      if (!files.delete(normalized)) {
+        return false;
+      }
+      for (const directory of getParentDirectories(normalized)) {
+        const count = directoryFileCounts.get(directory) - 1;
+        if (count > 0) {
+          directoryFileCounts.set(directory, count);
+        } else {
+          directoryFileCounts.delete(directory);
+        }
+      }
+      return true;
+    },
+
+    hasFile(filePath) {
+      return files.has(normalizeProviderPath(filePath));
+    },
+
+    hasDirectory(dirPath) {
+      const normalized = normalizeProviderPath(dirPath);
+      return explicitDirectories.has(normalized) || directoryFileCounts.has(normalized);
+    },
+
+    list(dirPath = '') {
+      const normalized = normalizeProviderPath(dirPath);
+      const prefix = normalized ? `${normalized}/` : '';
+      const isDirectChild = entryPath => entryPath.startsWith(prefix) &&
+        entryPath.length > prefix.length &&
+        !entryPath.slice(prefix.length).includes('/');
+
+      const directories = new Set([...explicitDirectories, ...directoryFileCounts.keys()]);
+      const directoryEntries = [...directories].filter(isDirectChild).sort().map(entryPath => ({
+        name: getPathBaseName(entryPath),
+        path: entryPath,
+        isDirectory: true,
+        isFile: false
+      }));
+      const fileEntries = [...files].filter(isDirectChild).sort().map(entryPath => ({
+        name: getPathBaseName(entryPath),
+        path: entryPath,
+        isDirectory: false,
+        isFile: true
+      }));
+
+      return [...directoryEntries, ...fileEntries];
+    },
+
+    getFiles() {
+      return [...files];
+    }
+  };
+
+  filePaths.forEach(filePath => index.addFile(filePath));
+  return index;
+}
@@ -0,0 +1,412 @@
+/**
+ * @fileoverview Pinned reference data for the configuration checks
+ *
+ * The .gitignore, package.json and specs.json checks compare a repository with
+ * reference data published by Spec-Up-T: the boilerplate .gitignore, the
+ * spec-up-t version of the starter pack, the npm scripts of
+ * `config-scripts-keys.js` and the fields specs.json must contain. A reference
+ * bundle holds a snapshot of this data for one spec-up-t version:
+ *
+ * ```json
+ * {
+ *   "format": 1,
+ *   "specUpTVersion": "1.3.0",
+ *   "createdAt": "2026-10-19T12:00:00.000Z",
+ *   "sources": { "gitignore": "https://...", "starterPack": "https://...", "configScripts": "https://..." },
+ *   "gitignoreEntries": ["node_modules", "*.log"],
+ *   "starterPackSpecUpT": "^1.3.0",
+ *   "configScripts": { "render": "..." },
+ *   "specsJsonFields": { "required": ["title"], "warning": ["favicon"], "optional": ["katex"] }
+ * }
+ * ```
+ *
+ * The bundle for a run matches the spec-up-t version installed in the
+ * repository (from node_modules or a lockfile). A bundle committed to
+ * {@link REFERENCE_BUNDLES_DIRECTORY} is used as-is; otherwise the bundle is
+ * built from the Spec-Up-T files at the tag of the installed version, through
+ * the network client of the run. Only when no version is installed is the
+ * data of the default branches used.
+ *
+ * @author spec-up-t-healthcheck
+ */
+
+import { joinProviderPath } from './providers/provider-utils.js';
+import { defaultNetworkClient, isOfflineError } from './network.js';
+import { LOCKFILES, parseLockfile, findLockedDependency } from './lockfiles.js';
+
+/**
+ * Version of the reference bundle format.
+ * @type {number}
+ */
+export const REFERENCE_BUNDLE_FORMAT = 1;
+
+/**
+ * Directory of committed reference bundles, relative to the repository root.
+ * @type {string}
+ */
+export const REFERENCE_BUNDLES_DIRECTORY = '.healthcheck/reference-bundles';
+
+/**
+ * Fields of the spec object in specs.json, by how strictly they are expected.
+ * Spec-Up-T doesn't publish these lists, so bundles built from the network
+ * carry these defaults; committed bundles may adjust them.
+ * @type {Readonly<{required: readonly string[], warning: readonly string[], optional: readonly string[]}>}
+ */
+export const DEFAULT_SPECS_JSON_FIELDS = Object.freeze({
+  required: Object.freeze([
+    'title',
+    'description',
+    'author',
+    'spec_directory',
+    'spec_terms_directory',
+    'output_path',
+    'markdown_paths',
+    'logo',
+    'logo_link',
+    'source'
+  ]),
+  warning: Object.freeze(['favicon']),
+  optional: Object.freeze(['anchor_symbol', 'katex'])
+});
+
+/**
+ * Parts of a bundle that are fetched from the network, keyed by part name.
+ * @type {readonly string[]}
+ * @private
+ */
+const FETCHED_PARTS = Object.freeze(['gitignore', 'starterPack', 'configScripts']);
+
+/**
+ * Reference bundles loaded per repository context.
+ * @type {WeakMap<Object, Promise<ReferenceData>>}
+ * @private
+ */
+const referenceDataCache = new WeakMap();
+
+/**
+ * @typedef {Object} ReferenceBundle
+ * @property {number} format - Bundle format ({@link REFERENCE_BUNDLE_FORMAT})
+ * @property {string|null} specUpTVersion - The spec-up-t version the data belongs to (null for the default branches)
+ * @property {string} createdAt - When the bundle was created (ISO 8601)
+ * @property {{gitignore: string, starterPack: string, configScripts: string}} sources - Where the data came from
+ * @property {string[]|null} gitignoreEntries - Entries of the boilerplate .gitignore
+ * @property {string|null} starterPackSpecUpT - spec-up-t version range of the starter pack
+ * @property {Object<string, string>|null} configScripts - Required npm scripts and their commands
+ * @property {{required: string[], warning: string[], optional: string[]}} specsJsonFields - Expected specs.json fields
+ */
+
+/**
+ * @typedef {Object} ReferenceData
+ * @property {ReferenceBundle} bundle - The bundle (parts that could not be fetched are null)
+ * @property {'repository'|'network'} source - Whether the bundle was committed to the repository or fetched
+ * @property {string|null} path - Path of the committed bundle, relative to the repository root
+ * @property {string|null} specUpTVersion - The installed spec-up-t version (null if not installed)
+ * @property {boolean} pinned - Whether the data matches the installed spec-up-t version
+ * @property {string[]} offlineParts - Parts that are missing because offline mode prevented fetching them
+ */
+
+/**
+ * Returns the URLs of the reference data for a spec-up-t version.
+ *
+ * Spec-Up-T files are read at the release tag of the version. The starter
+ * pack isn't versioned with spec-up-t, so its main branch is used.
+ *
+ * @param {string|null} [specUpTVersion=null] - The spec-up-t version (null for the default branches)
+ * @returns {{gitignore: string, starterPack: string, configScripts: string}} The source URLs
+ *
+ * @example
+ * ```javascript
+ * getReferenceSources('1.3.0').gitignore;
+ * // 'https://raw.githubusercontent.com/trustoverip/spec-up-t/v1.3.0/src/install-from-boilerplate/boilerplate/gitignore'
+ * ```
+ */
+export function getReferenceSources(specUpTVersion = null) {
+  const ref = specUpTVersion ? `v${specUpTVersion}` : 'master';
+  const boilerplateBase = `https://raw.githubusercontent.com/trustoverip/spec-up-t/${ref}/src/install-from-boilerplate`;
+  return {
+    gitignore: `${boilerplateBase}/boilerplate/gitignore`,
+    starterPack: 'https://raw.githubusercontent.com/trustoverip/spec-up-t-starter-pack/main/package.spec-up-t.json',
+    configScripts: `${boilerplateBase}/config-scripts-keys.js`
+  };
+}
+
+/**
+ * Returns the path of the committed bundle for a spec-up-t version.
+ *
+ * @param {string} specUpTVersion - The spec-up-t version
+ * @returns {string} Path relative to the repository root
+ */
+export function getReferenceBundlePath(specUpTVersion) {
+  return joinProviderPath(REFERENCE_BUNDLES_DIRECTORY, `spec-up-t-${specUpTVersion}.json`);
+}
+
+/**
+ * Parses .gitignore content into its entries, leaving out empty lines and comments.
+ *
+ * @param {string} content - The .gitignore content
+ * @returns {string[]} The trimmed entries
+ */
+export function parseGitignoreEntries(content) {
+  return content
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line.length > 0 && !line.startsWith('#'));
+}
+
+/**
+ * Extracts the npm scripts from Spec-Up-T's `config-scripts-keys.js`.
+ *
+ * The file is JavaScript, not JSON, so the `configScriptsKeys` object literal
+ * is located and its `"name": "command"` pairs are read with a regex suited to
+ * the format of that file.
+ *
+ * @param {string} content - Content of config-scripts-keys.js
+ * @returns {Object<string, string>|null} The scripts, or null if none were found
+ */
+export function parseConfigScriptsKeys(content) {
+  const match = content.match(/const configScriptsKeys = ({[\s\S]*?});/);
+  if (!match) {
+    return null;
+  }
+
+  const scripts = {};
+  for (const pair of match[1].matchAll(/^\s*"([^"]+)":\s*"((?:[^"\\]|\\.)*)"/gm)) {
+    // Unescape the captured value to match JSON-parsed strings
+    scripts[pair[1]] = pair[2].replace(/\\"/g, '"').replace(/\\\\/g, '\\');
+  }
+  return Object.keys(scripts).length > 0 ? scripts : null;
+}
+
+/**
+ * Parses and validates a reference bundle.
+ *
+ * @param {string} content - The bundle as JSON
+ * @param {string} [source='reference bundle'] - Where the bundle came from (used in error messages)
+ * @returns {ReferenceBundle} The bundle
+ * @throws {Error} When the content is not a valid bundle
+ */
+export function parseReferenceBundle(content, source = 'reference bundle') {
+  let bundle;
+  try {
+    bundle = JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Invalid JSON in ${source}: ${error.message}`);
+  }
+
+  const problems = [];
+  if (!bundle || typeof bundle !== 'object' || Array.isArray(bundle)) {
+    problems.push('the bundle must be an object');
+  } else {
+    const isStringArray = value => Array.isArray(value) && value.every(item => typeof item === 'string');
+    if (bundle.format !== REFERENCE_BUNDLE_FORMAT) {
+      problems.push(`"format" must be ${REFERENCE_BUNDLE_FORMAT}`);
+    }
+    if (bundle.gitignoreEntries != null && !isStringArray(bundle.gitignoreEntries)) {
+      problems.push('"gitignoreEntries" must be an array of strings');
+    }
+    if (bundle.starterPackSpecUpT != null && typeof bundle.starterPackSpecUpT !== 'string') {
+      problems.push('"starterPackSpecUpT" must be a version range');
+    }
+    if (bundle.configScripts != null &&
+      (typeof bundle.configScripts !== 'object' || Object.values(bundle.configScripts).some(command => typeof command !== 'string'))) {
+      problems.push('"configScripts" must map script names to commands');
+    }
+    const fields = bundle.specsJsonFields;
+    if (fields !== undefined && (typeof fields !== 'object' || !['required', 'warning', 'optional'].every(key => isStringArray(fields[key])))) {
+      problems.push('"specsJsonFields" must have "required", "warning" and "optional" arrays of field names');
+    }
+  }
+  if (problems.length > 0) {
+    throw new Error(`Invalid ${source}: ${problems.join('; ')}`);
+  }
+
+  return {
+    specUpTVersion: null,
+    sources: getReferenceSources(bundle.specUpTVersion ?? null),
+    gitignoreEntries: null,
+    starterPackSpecUpT: null,
+    configScripts: null,
+    ...bundle,
+    specsJsonFields: bundle.specsJsonFields ?? DEFAULT_SPECS_JSON_FIELDS
+  };
+}
+
+/**
+ * Builds a reference bundle from the Spec-Up-T sources.
+ *
+ * Parts that cannot be fetched are null in the bundle and listed in
+ * `failures`, so a single unreachable file doesn't discard the others.
+ *
+ * @param {import('./network.js').NetworkClient} network - The network client
+ * @param {Object} [options={}] - Bundle options
+ * @param {string|null} [options.specUpTVersion=null] - The spec-up-t version (null for the default branches)
+ * @returns {Promise<{bundle: ReferenceBundle, failures: Array<{part: string, error: Error}>}>} The bundle and
+ *          the parts that could not be fetched
+ *
+ * @example
+ * ```javascript
+ * const { bundle, failures } = await fetchReferenceBundle(createNetworkClient(), { specUpTVersion: '1.3.0' });
+ * ```
+ */
+export async function fetchReferenceBundle(network, { specUpTVersion = null } = {}) {
+  const sources = getReferenceSources(specUpTVersion);
+  // Files at a release tag don't change, so they are cached without expiry
+  const fetchSource = (url, pinned) => network.fetchText(url, pinned ? { ttl: Infinity } : {});
+
+  const settled = await Promise.allSettled([
+    fetchSource(sources.gitignore, Boolean(specUpTVersion)).then(content => {
+      const entries = parseGitignoreEntries(content);
+      if (entries.length === 0) {
+        throw new Error('No entries found in boilerplate .gitignore');
+      }
+      return entries;
+    }),
+    fetchSource(sources.starterPack, false).then(content => {
+      const version = JSON.parse(content)?.dependencies?.['spec-up-t'];
+      if (!version) {
+        throw new Error('The starter pack has no spec-up-t dependency');
+      }
+      return version;
+    }),
+    fetchSource(sources.configScripts, Boolean(specUpTVersion)).then(content => {
+      const scripts = parseConfigScriptsKeys(content);
+      if (!scripts) {
+        throw new Error('No scripts found in config-scripts-keys.js');
+      }
+      return scripts;
+    })
+  ]);
+
+  const [gitignoreEntries, starterPackSpecUpT, configScripts] = settled.map(outcome =>
+    outcome.status === 'fulfilled' ? outcome.value : null
+  );
+  return {
+    bundle: {
+      format: REFERENCE_BUNDLE_FORMAT,
+      specUpTVersion,
+      createdAt: new Date().toISOString(),
+      sources,
+      gitignoreEntries,
+      starterPackSpecUpT,
+      configScripts,
+      specsJsonFields: DEFAULT_SPECS_JSON_FIELDS
+    },
+    failures: settled
+      .map((outcome, index) => ({ part: FETCHED_PARTS[index], error: outcome.reason }))
+      .filter(failure => failure.error !== undefined)
+  };
+}
+
+/**
+ * Determines the spec-up-t version installed in a repository.
+ *
+ * node_modules is preferred, since it holds what actually renders the
+ * specification; the lockfiles (npm, yarn or pnpm) are used otherwise.
+ * Unreadable files are ignored.
+ *
+ * @param {import('./repository-context.js').RepositoryContext} context - The repository context
+ * @returns {Promise<{version: string, source: string}|null>} The installed version and the file it was
+ *          read from ('node_modules' or the lockfile path), or null if spec-up-t is neither installed nor locked
+ */
+export async function resolveInstalledSpecUpTVersion(context) {
+  try {
+    if (await context.fileExists('node_modules/spec-up-t/package.json')) {
+      const installed = JSON.parse(await context.readFile('node_modules/spec-up-t/package.json'));
+      if (typeof installed?.version === 'string') {
+        return { version: installed.version, source: 'node_modules' };
+      }
+    }
+  } catch {
+    // Broken installation — fall back to the lockfiles
+  }
+
+  for (const { path } of LOCKFILES) {
+    try {
+      if (await context.fileExists(path)) {
+        const locked = findLockedDependency(parseLockfile(path, await context.readFile(path)), 'spec-up-t');
+        if (locked) {
+          return { version: locked.version, source: path };
+        }
+      }
+    } catch {
+      // Invalid lockfile — try the next one
+    }
+  }
+  return null;
+}
+
+/**
+ * Loads the reference bundle committed to a repository for its installed
+ * spec-up-t version.
+ *
+ * @param {import('./repository-context.js').RepositoryContext} context - The repository context
+ * @returns {Promise<{bundle: ReferenceBundle, path: string}|null>} The bundle, or null if none is committed
+ * @throws {Error} When the committed bundle is invalid
+ */
+export async function loadRepositoryReferenceBundle(context) {
+  const installed = await resolveInstalledSpecUpTVersion(context);
+  if (!installed) {
+    return null;
+  }
+
+  const path = getReferenceBundlePath(installed.version);
+  if (!await context.fileExists(path)) {
+    return null;
+  }
+  return { bundle: parseReferenceBundle(await context.readFile(path), path), path };
+}
+
+/**
+ * Resolves the reference data for the checks of a run, once per repository context.
+ *
+ * A bundle committed for the installed spec-up-t version wins; otherwise the
+ * data is fetched through the context's network client, pinned to the
+ * installed version when there is one.
+ *
+ * @param {import('./repository-context.js').RepositoryContext} context - The repository context
+ * @returns {Promise<ReferenceData>} The reference data
+ * @throws {Error} When the committed bundle is invalid
+ *
+ * @example
+ * ```javascript
+ * const { bundle, pinned, specUpTVersion } = await resolveReferenceData(context);
+ * if (!pinned) {
+ *   console.log('spec-up-t is not installed, comparing with the latest reference data');
+ * }
+ * ```
+ */
+export function resolveReferenceData(context) {
+  if (!referenceDataCache.has(context)) {
+    const promise = (async () => {
+      const installed = await resolveInstalledSpecUpTVersion(context);
+      const specUpTVersion = installed ? installed.version : null;
+
+      const committed = await loadRepositoryReferenceBundle(context);
+      if (committed) {
+        return { bundle: committed.bundle, source: 'repository', path: committed.path, specUpTVersion, pinned: true, offlineParts: [] };
+      }
+
+      const { bundle, failures } = await fetchReferenceBundle(context.network ?? defaultNetworkClient, { specUpTVersion });
+      return {
+        bundle,
+        source: 'network',
+        path: null,
+        specUpTVersion,
+        pinned: specUpTVersion !== null,
+        offlineParts: failures.filter(failure => isOfflineError(failure.error)).map(failure => failure.part)
+      };
+    })();
+    referenceDataCache.set(context, promise);
+  }
+  return referenceDataCache.get(context);
+}
+
+/**
+ * Summarizes reference data for the details of a check result.
+ *
+ * @param {ReferenceData} referenceData - The reference data
+ * @returns {{specUpTVersion: string|null, pinned: boolean, source: string, path?: string}} The summary
+ */
+export function describeReferenceData({ specUpTVersion, pinned, source, path }) {
+  return { specUpTVersion, pinned, source, ...(path && { path }) };
+}
@@ -0,0 +1,216 @@
+/**
+ * @fileoverview Comparison of two health check reports
+ *
+ * This module compares health check reports saved with `formatResultsAsJson`,
+ * e.g. the reports archived for two releases. The comparison lists checks whose
+ * status changed, the score delta, findings that are new or resolved, and
+ * checks that became noticeably slower.
+ *
+ * Findings are matched by the same fingerprints as baselines (rule, file and
+ * message, see baseline.js), so findings that only moved to another line are
+ * not reported as changed. Checks are matched by name.
+ *
+ * This module depends on Node.js' `fs` and `crypto` modules and is therefore
+ * not available in browser environments.
+ *
+ * @author spec-up-t-healthcheck
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { getFindingFingerprints } from './baseline.js';
+
+/**
+ * Ranks of check statuses, from best to worst. Skipped checks have no rank.
+ * @type {Object<string, number>}
+ * @private
+ */
+const STATUS_RANKS = { pass: 0, warn: 1, fail: 2 };
+
+/**
+ * @typedef {Object} StatusChange
+ * @property {string} check - Name of the check
+ * @property {string} oldStatus - Status in the old report
+ * @property {string} newStatus - Status in the new report
+ * @property {'improved'|'regressed'|'changed'} direction - Whether the status got better or worse
+ *           ('changed' when a check was skipped in one of the reports)
+ */
+
+/**
+ * @typedef {Object} FindingChange
+ * @property {string} check - Name of the check that reported the finding
+ * @property {import('./health-check-utils.js').Finding} finding - The finding
+ */
+
+/**
+ * @typedef {Object} TimeRegression
+ * @property {string} check - Name of the check
+ * @property {number} oldMs - Execution time in the old report
+ * @property {number} newMs - Execution time in the new report
+ * @property {number} deltaMs - Increase in milliseconds
+ * @property {number} ratio - New time divided by old time
+ */
+
+/**
+ * @typedef {Object} ReportDiff
+ * @property {{old: string, new: string}} timestamps - When the reports were generated
+ * @property {{old: number, new: number, delta: number}} score - Health scores and their difference
+ * @property {StatusChange[]} statusChanges - Checks whose status changed
+ * @property {string[]} addedChecks - Checks that only appear in the new report
+ * @property {string[]} removedChecks - Checks that only appear in the old report
+ * @property {FindingChange[]} newFindings - Findings that only appear in the new report
+ * @property {FindingChange[]} resolvedFindings - Findings that only appear in the old report
+ * @property {TimeRegression[]} timeRegressions - Checks that became slower beyond the thresholds
+ * @property {{old: number|null, new: number|null, delta: number|null}} executionTime - Total execution
+ *           times in milliseconds (null when a report doesn't contain them)
+ * @property {boolean} hasRegressions - Whether anything got worse (status, score, new findings or time)
+ */
+
+/**
+ * Returns the findings of a report together with the checks that reported them
+ * and their fingerprints.
+ *
+ * @param {import('./health-check-utils.js').HealthCheckReport} report - The report
+ * @returns {Map<string, FindingChange>} Findings keyed by fingerprint, in report order
+ * @private
+ */
+function indexFindings(report) {
+  const entries = report.results.flatMap(result =>
+    (Array.isArray(result.details?.findings) ? result.details.findings : [])
+      .map(finding => ({ check: result.check, finding })));
+  const fingerprints = getFindingFingerprints(entries.map(entry => entry.finding));
+  return new Map(entries.map((entry, index) => [fingerprints[index], entry]));
+}
+
+/**
+ * Determines whether a status change is an improvement or a regression.
+ *
+ * @param {string} oldStatus - Status in the old report
+ * @param {string} newStatus - Status in the new report
+ * @returns {'improved'|'regressed'|'changed'} The direction of the change
+ * @private
+ */
+function getDirection(oldStatus, newStatus) {
+  if (!(oldStatus in STATUS_RANKS) || !(newStatus in STATUS_RANKS)) {
+    return 'changed';
+  }
+  return STATUS_RANKS[newStatus] < STATUS_RANKS[oldStatus] ? 'improved' : 'regressed';
+}
+
+/**
+ * Compares two health check reports.
+ *
+ * A check counts as a time regression when it took at least `minTimeDeltaMs`
+ * longer and at least `minTimeRatio` times as long as before; both thresholds
+ * keep small fluctuations out of the comparison.
+ *
+ * @param {import('./health-check-utils.js').HealthCheckReport} oldReport - The earlier report
+ * @param {import('./health-check-utils.js').HealthCheckReport} newReport - The later report
+ * @param {Object} [options={}] - Comparison options
+ * @param {number} [options.minTimeDeltaMs=500] - Minimum slowdown of a check in milliseconds
+ * @param {number} [options.minTimeRatio=1.5] - Minimum slowdown of a check as a factor
+ * @returns {ReportDiff} The differences between the reports
+ *
+ * @example
+ * ```javascript
+ * const diff = diffReports(
+ *   await readReportFile('reports/v1.0.json'),
+ *   await readReportFile('reports/v1.1.json')
+ * );
+ * console.log(`Score ${diff.score.delta >= 0 ? '+' : ''}${diff.score.delta}`);
+ * ```
+ */
+export function diffReports(oldReport, newReport, options = {}) {
+  const { minTimeDeltaMs = 500, minTimeRatio = 1.5 } = options;
+
+  const oldResults = new Map(oldReport.results.map(result => [result.check, result]));
+  const newResults = new Map(newReport.results.map(result => [result.check, result]));
+
+  const statusChanges = [];
+  const timeRegressions = [];
+  for (const [check, newResult] of newResults) {
+    const oldResult = oldResults.get(check);
+    if (!oldResult) {
+      continue;
+    }
+
+    if (oldResult.status !== newResult.status) {
+      statusChanges.push({
+        check,
+        oldStatus: oldResult.status,
+        newStatus: newResult.status,
+        direction: getDirection(oldResult.status, newResult.status)
+      });
+    }
+
+    const oldMs = oldResult.executionTimeMs;
+    const newMs = newResult.executionTimeMs;
+    if (typeof oldMs === 'number' && typeof newMs === 'number' &&
+      newMs - oldMs >= minTimeDeltaMs && newMs >= oldMs * minTimeRatio) {
+      timeRegressions.push({
+        check,
+        oldMs,
+        newMs,
+        deltaMs: newMs - oldMs,
+        ratio: oldMs > 0 ? Math.round((newMs / oldMs) * 100) / 100 : Infinity
+      });
+    }
+  }
+
+  const oldFindings = indexFindings(oldReport);
+  const newFindings = indexFindings(newReport);
+
+  const score = {
+    old: oldReport.summary.score,
+    new: newReport.summary.score,
+    delta: newReport.summary.score - oldReport.summary.score
+  };
+
+  const oldTime = oldReport.summary.executionTimeMs ?? null;
+  const newTime = newReport.summary.executionTimeMs ?? null;
+
+  const diff = {
+    timestamps: { old: oldReport.timestamp, new: newReport.timestamp },
+    score,
+    statusChanges,
+    addedChecks: [...newResults.keys()].filter(check => !oldResults.has(check)),
+    removedChecks: [...oldResults.keys()].filter(check => !newResults.has(check)),
+    newFindings: [...newFindings].filter(([fingerprint]) => !oldFindings.has(fingerprint)).map(([, entry]) => entry),
+    resolvedFindings: [...oldFindings].filter(([fingerprint]) => !newFindings.has(fingerprint)).map(([, entry]) => entry),
+    timeRegressions,
+    executionTime: {
+      old: oldTime,
+      new: newTime,
+      delta: oldTime !== null && newTime !== null ? newTime - oldTime : null
+    }
+  };
+
+  diff.hasRegressions = score.delta < 0 ||
+    diff.newFindings.length > 0 ||
+    diff.timeRegressions.length > 0 ||
+    statusChanges.some(change => change.direction === 'regressed');
+
+  return diff;
+}
+
+/**
+ * Reads a health check report saved as JSON.
+ *
+ * @param {string} reportPath - Path to the report file
+ * @returns {Promise<import('./health-check-utils.js').HealthCheckReport>} The report
+ * @throws {Error} When the file cannot be read or doesn't contain a health check report
+ */
+export async function readReportFile(reportPath) {
+  const absolutePath = path.resolve(reportPath);
+  let report;
+  try {
+    report = JSON.parse(await fs.readFile(absolutePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to read report ${absolutePath}: ${error.message}`);
+  }
+
+  if (!report || !Array.isArray(report.results) || !report.summary || typeof report.summary.score !== 'number') {
+    throw new Error(`${absolutePath} is not a health check report (expected JSON output of --format json)`);
+  }
+  return report;
+}
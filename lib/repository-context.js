@@ -0,0 +1,216 @@
+/**
+ * @fileoverview Shared repository context for health checks
+ *
+ * Several health checks need the same data: the parsed specs.json, the list of
+ * markdown files and their contents. The repository context reads this data
+ * through a provider once and memoizes it, so a health check run touches every
+ * file at most once and all checks see identical data. The context also
+ * carries the network client of the run, e.g. one in offline mode.
+ *
+ * The orchestrator creates one context per run and passes it to every check as
+ * the third argument. Checks called directly create their own context.
+ *
+ * @author spec-up-t-healthcheck
+ */
+
+import { normalizeProviderPath } from './providers/provider-utils.js';
+import { defaultNetworkClient } from './network.js';
+
+/**
+ * Path of the Spec-Up-T configuration file, relative to the repository root.
+ * @type {string}
+ */
+export const SPECS_JSON_PATH = 'specs.json';
+
+/**
+ * File extensions recognized as markdown.
+ * @type {readonly string[]}
+ */
+export const MARKDOWN_EXTENSIONS = Object.freeze(['.md', '.markdown']);
+
+/**
+ * @typedef {Object} SpecsJsonInfo
+ * @property {boolean} exists - Whether specs.json exists in the repository root
+ * @property {string|null} content - The raw file content (null if the file doesn't exist)
+ * @property {Object|null} data - The parsed content (null if missing or invalid)
+ * @property {string|null} parseError - The JSON parse error message, if the content is invalid
+ */
+
+/**
+ * @typedef {Object} RepositoryContext
+ * @property {import('./providers.js').Provider} provider - The provider the context reads from
+ * @property {import('./network.js').NetworkClient} network - The network client for checks that access the network
+ * @property {function(string): Promise<string>} readFile - Reads a file, memoized
+ * @property {function(string): Promise<boolean>} fileExists - Checks whether a file exists, memoized
+ * @property {function(string=): Promise<import('./providers.js').FileEntry[]>} listFiles - Lists a directory, memoized
+ * @property {function(): Promise<SpecsJsonInfo>} getSpecsJson - Reads and parses specs.json, memoized
+ * @property {function(string[]): Promise<string[]>} findMarkdownFiles - Lists markdown files in directories, memoized
+ * @property {function(string=): void} invalidate - Forgets cached data for a path, or everything
+ */
+
+/**
+ * Memoizes the promise returned by a loader, keyed by a string.
+ *
+ * Rejected promises are cached as well, so a failing read is reported
+ * consistently to every check instead of being retried.
+ *
+ * @param {Map<string, Promise<any>>} cache - The cache to use
+ * @param {string} key - The cache key
+ * @param {function(): Promise<any>} load - Loads the value on a cache miss
+ * @returns {Promise<any>} The cached or newly loaded value
+ * @private
+ */
+function memoize(cache, key, load) {
+  if (!cache.has(key)) {
+    cache.set(key, load());
+  }
+  return cache.get(key);
+}
+
+/**
+ * Creates a repository context that memoizes reads from a provider.
+ *
+ * Paths are normalized before they are used as cache keys, so `./specs.json`
+ * and `specs.json` share one entry. Call `invalidate()` after modifying files
+ * through a writable provider.
+ *
+ * @param {import('./providers.js').Provider} provider - The provider to read from
+ * @param {Object} [options={}] - Context options
+ * @param {import('./network.js').NetworkClient} [options.network=defaultNetworkClient] - The network client
+ *        for checks that access the network (e.g. an offline client)
+ * @returns {RepositoryContext} The repository context
+ *
+ * @example
+ * ```javascript
+ * const context = createRepositoryContext(createLocalProvider('./my-spec'));
+ * const { exists, data } = await context.getSpecsJson();
+ * const markdownFiles = await context.findMarkdownFiles(['spec/', '']);
+ * ```
+ */
+export function createRepositoryContext(provider, { network = defaultNetworkClient } = {}) {
+  const contents = new Map();
+  const existence = new Map();
+  const listings = new Map();
+  const markdownFiles = new Map();
+  let specsJsonPromise = null;
+
+  const context = {
+    provider,
+    network,
+
+    /**
+     * Reads a file through the provider, once per path.
+     *
+     * @param {string} filePath - The relative path to the file from the repository root
+     * @returns {Promise<string>} The file content
+     * @throws {Error} When the provider cannot read the file
+     */
+    readFile(filePath) {
+      return memoize(contents, normalizeProviderPath(filePath), () => provider.readFile(filePath));
+    },
+
+    /**
+     * Checks whether a file exists, once per path.
+     *
+     * @param {string} filePath - The relative path to the file from the repository root
+     * @returns {Promise<boolean>} True if the file exists
+     */
+    fileExists(filePath) {
+      return memoize(existence, normalizeProviderPath(filePath), () => provider.fileExists(filePath));
+    },
+
+    /**
+     * Lists a directory through the provider, once per path.
+     *
+     * @param {string} [dirPath=''] - The relative path to the directory from the repository root
+     * @returns {Promise<import('./providers.js').FileEntry[]>} The directory entries
+     * @throws {Error} When the provider cannot list the directory
+     */
+    listFiles(dirPath = '') {
+      return memoize(listings, normalizeProviderPath(dirPath), () => provider.listFiles(dirPath));
+    },
+
+    /**
+     * Reads and parses specs.json from the repository root.
+     *
+     * A missing file or invalid JSON is reported in the result rather than
+     * thrown, since checks word these situations differently.
+     *
+     * @returns {Promise<SpecsJsonInfo>} The specs.json content and parse outcome
+     * @throws {Error} When the file exists but cannot be read
+     */
+    getSpecsJson() {
+      if (!specsJsonPromise) {
+        specsJsonPromise = (async () => {
+          if (!await context.fileExists(SPECS_JSON_PATH)) {
+            return { exists: false, content: null, data: null, parseError: null };
+          }
+
+          const content = await context.readFile(SPECS_JSON_PATH);
+          try {
+            return { exists: true, content, data: JSON.parse(content), parseError: null };
+          } catch (error) {
+            return { exists: true, content, data: null, parseError: error.message };
+          }
+        })();
+      }
+      return specsJsonPromise;
+    },
+
+    /**
+     * Finds the markdown files directly inside the given directories.
+     *
+     * Directories that don't exist are ignored. Each file is listed once, even
+     * when the directories overlap.
+     *
+     * @param {string[]} searchPaths - Directories to search ('' for the repository root)
+     * @returns {Promise<string[]>} Paths of the markdown files, relative to the repository root
+     */
+    findMarkdownFiles(searchPaths) {
+      return memoize(markdownFiles, JSON.stringify(searchPaths), async () => {
+        const files = [];
+
+        for (const searchPath of searchPaths) {
+          try {
+            const entries = await context.listFiles(searchPath);
+            files.push(...entries
+              .filter(entry => entry.isFile && MARKDOWN_EXTENSIONS.some(extension => entry.name.endsWith(extension)))
+              .map(entry => entry.path));
+          } catch (error) {
+            // Directory doesn't exist or can't be read — continue
+          }
+        }
+
+        return [...new Set(files)];
+      });
+    },
+
+    /**
+     * Forgets cached data, e.g. after files were modified.
+     *
+     * @param {string} [filePath] - Path to forget; forgets everything when omitted
+     */
+    invalidate(filePath) {
+      if (filePath === undefined) {
+        contents.clear();
+        existence.clear();
+        listings.clear();
+        markdownFiles.clear();
+        specsJsonPromise = null;
+        return;
+      }
+
+      const key = normalizeProviderPath(filePath);
+      contents.delete(key);
+      existence.delete(key);
+      // Listings and markdown discovery depend on directory contents, which may have changed
+      listings.clear();
+      markdownFiles.clear();
+      if (key === SPECS_JSON_PATH) {
+        specsJsonPromise = null;
+      }
+    }
+  };
+
+  return context;
+}
@@ -0,0 +1,246 @@
+/**
+ * @fileoverview SARIF log generator for health check results
+ *
+ * This module converts health check reports into SARIF 2.1.0 logs (Static
+ * Analysis Results Interchange Format), the format consumed by GitHub code
+ * scanning and other code analysis viewers. Every finding becomes a SARIF
+ * result; findings with a file (and line) get a physical location, so viewers
+ * can show them inline.
+ *
+ * @author spec-up-t-healthcheck
+ */
+
+/**
+ * URL of the SARIF 2.1.0 JSON schema.
+ * @type {string}
+ */
+export const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+/**
+ * SARIF version produced by this module.
+ * @type {string}
+ */
+export const SARIF_VERSION = '2.1.0';
+
+/**
+ * Base URI identifier that artifact locations are relative to.
+ * @type {string}
+ */
+export const SRCROOT = '%SRCROOT%';
+
+/**
+ * Maps finding severities to SARIF result levels.
+ * @type {Object<string, string>}
+ * @private
+ */
+const SEVERITY_TO_LEVEL = {
+  error: 'error',
+  warning: 'warning',
+  info: 'note'
+};
+
+/**
+ * Maps check statuses to SARIF result levels, for checks that report no findings.
+ * @type {Object<string, string>}
+ * @private
+ */
+const STATUS_TO_LEVEL = {
+  fail: 'error',
+  warn: 'warning'
+};
+
+/**
+ * Turns a rule identifier into a readable description,
+ * e.g. 'specs-json/missing-required-field' → 'Missing required field (specs-json)'.
+ *
+ * @param {string} ruleId - The rule identifier
+ * @returns {string} The description
+ * @private
+ */
+function describeRule(ruleId) {
+  const separator = ruleId.indexOf('/');
+  if (separator === -1) {
+    return `Health check ${ruleId} did not pass`;
+  }
+
+  const checkId = ruleId.slice(0, separator);
+  const words = ruleId.slice(separator + 1).replace(/[-_]+/g, ' ').trim();
+  return `${words.charAt(0).toUpperCase()}${words.slice(1)} (${checkId})`;
+}
+
+/**
+ * Builds the message text of a finding, followed by its suggestion (if any).
+ *
+ * @param {import('./health-check-utils.js').Finding} finding - The finding
+ * @returns {string} The message text
+ * @private
+ */
+function formatMessage(finding) {
+  if (!finding.suggestion) {
+    return finding.message;
+  }
+  const separator = /[.!?]$/.test(finding.message) ? ' ' : '. ';
+  return `${finding.message}${separator}${finding.suggestion}`;
+}
+
+/**
+ * Converts an absolute local path into a file URI for a directory.
+ *
+ * @param {string} repoPath - The repository path
+ * @returns {string|undefined} The file URI, or undefined for relative paths and URLs
+ * @private
+ */
+function toDirectoryUri(repoPath) {
+  const normalized = repoPath.replace(/\\/g, '/');
+  if (!/^(\/|[A-Za-z]:\/)/.test(normalized)) {
+    return undefined;
+  }
+  const uri = `file://${normalized.startsWith('/') ? '' : '/'}${encodeURI(normalized)}`;
+  return uri.endsWith('/') ? uri : `${uri}/`;
+}
+
+/**
+ * Builds the SARIF location of a finding.
+ *
+ * @param {import('./health-check-utils.js').Finding} finding - The finding
+ * @returns {Object[]} The SARIF locations (empty when the finding has no file)
+ * @private
+ */
+function createLocations(finding) {
+  if (!finding.file) {
+    return [];
+  }
+
+  const physicalLocation = {
+    artifactLocation: {
+      uri: finding.file.replace(/\\/g, '/').replace(/^\.?\//, ''),
+      uriBaseId: SRCROOT
+    }
+  };
+
+  if (finding.line) {
+    physicalLocation.region = { startLine: finding.line };
+    if (finding.column) physicalLocation.region.startColumn = finding.column;
+    if (finding.endLine) physicalLocation.region.endLine = finding.endLine;
+    if (finding.endColumn) physicalLocation.region.endColumn = finding.endColumn;
+  }
+
+  return [{ physicalLocation }];
+}
+
+/**
+ * Returns the findings of a check result as SARIF-ready findings.
+ *
+ * Failing or warning checks that don't report findings (e.g. custom checks)
+ * are represented by a single finding for the check itself, so no problem is
+ * lost in the SARIF log. Findings suppressed by inline comments are included
+ * and marked as suppressed later.
+ *
+ * @param {import('./health-check-utils.js').HealthCheckResult} result - The check result
+ * @returns {Array<import('./health-check-utils.js').Finding & {level: string}>} The findings with SARIF levels
+ * @private
+ */
+function collectFindings(result) {
+  const findings = Array.isArray(result.details?.findings) ? result.details.findings : [];
+  const suppressedFindings = Array.isArray(result.details?.suppressedFindings) ? result.details.suppressedFindings : [];
+  const withLevel = finding => ({ ...finding, level: SEVERITY_TO_LEVEL[finding.severity] || 'note' });
+
+  if (findings.length === 0 && STATUS_TO_LEVEL[result.status]) {
+    return [{ ruleId: result.check, message: result.message, level: STATUS_TO_LEVEL[result.status] }];
+  }
+
+  return [...findings, ...suppressedFindings].map(withLevel);
+}
+
+/**
+ * Generates a SARIF 2.1.0 log from a health check report.
+ *
+ * The log contains a single run with one rule per finding type. Skipped checks
+ * and passing checks without findings produce no results. Locations are
+ * relative to `%SRCROOT%`; for local repositories with an absolute path its URI is included in the
+ * run's `originalUriBaseIds`.
+ *
+ * @param {import('./health-checker.js').HealthCheckReport} healthCheckOutput - The complete health check report
+ * @param {Object} [options={}] - Configuration options for SARIF generation
+ * @param {string} [options.toolVersion] - Version of spec-up-t-healthcheck reported as the tool version
+ * @param {string} [options.sourceRoot] - URI of the repository root (defaults to the local repository path)
+ * @returns {Object} The SARIF log
+ *
+ * @example
+ * ```javascript
+ * const report = await runHealthChecks(provider);
+ * const sarifLog = generateSarifLog(report, { toolVersion: '1.1.2' });
+ * console.log(sarifLog.runs[0].results.length);
+ * ```
+ */
+export function generateSarifLog(healthCheckOutput, options = {}) {
+  const { results = [], timestamp, provider = {} } = healthCheckOutput;
+  const rules = new Map();
+  const sarifResults = [];
+
+  for (const result of results) {
+    for (const finding of collectFindings(result)) {
+      if (!rules.has(finding.ruleId)) {
+        rules.set(finding.ruleId, {
+          index: rules.size,
+          id: finding.ruleId,
+          name: finding.ruleId,
+          shortDescription: { text: describeRule(finding.ruleId) },
+          defaultConfiguration: { level: finding.level },
+          properties: { check: result.check }
+        });
+      }
+
+      const sarifResult = {
+        ruleId: finding.ruleId,
+        ruleIndex: rules.get(finding.ruleId).index,
+        level: finding.level,
+        message: { text: formatMessage(finding) },
+        locations: createLocations(finding)
+      };
+      if (finding.suggestion) {
+        sarifResult.properties = { suggestion: finding.suggestion };
+      }
+      if (finding.suppressedBy) {
+        // Viewers hide in-source suppressions by default but keep them auditable
+        sarifResult.suppressions = [{
+          kind: 'inSource',
+          justification: `healthcheck-${finding.suppressedBy.directive} comment on line ${finding.suppressedBy.line}`
+        }];
+      }
+      sarifResults.push(sarifResult);
+    }
+  }
+
+  const driver = {
+    name: 'spec-up-t-healthcheck',
+    informationUri: 'https://github.com/blockchainbird/spec-up-t-healthcheck',
+    rules: [...rules.values()].map(({ index, ...rule }) => rule)
+  };
+  if (options.toolVersion) {
+    driver.version = options.toolVersion;
+  }
+
+  const run = {
+    tool: { driver },
+    invocations: [{
+      executionSuccessful: true,
+      ...(timestamp && { endTimeUtc: timestamp })
+    }],
+    results: sarifResults
+  };
+
+  const sourceRoot = options.sourceRoot ||
+    (provider.type === 'local' && provider.repoPath ? toDirectoryUri(provider.repoPath) : undefined);
+  if (sourceRoot) {
+    run.originalUriBaseIds = {
+      [SRCROOT]: { uri: sourceRoot.endsWith('/') ? sourceRoot : `${sourceRoot}/` }
+    };
+  }
+
+  return {
+    $schema: SARIF_SCHEMA,
+    version: SARIF_VERSION,
+    runs: [run]
+  };
+}
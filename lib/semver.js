@@ -0,0 +1,429 @@
+/**
+ * @fileoverview Semantic versions and npm version ranges
+ *
+ * A small implementation of the parts of semantic versioning that the health
+ * checks need to compare spec-up-t versions: parsing and comparing versions,
+ * and testing versions against npm ranges (`^1.2.0`, `~1.2`, `>=1.0.0 <2`,
+ * `1.x`, `1.0.0 - 1.4`, `||` alternatives). Like npm, a prerelease version
+ * only satisfies a range that mentions a prerelease of the same
+ * `major.minor.patch`.
+ *
+ * @author spec-up-t-healthcheck
+ */
+
+/**
+ * @typedef {Object} SemVer
+ * @property {number} major - Major version
+ * @property {number} minor - Minor version
+ * @property {number} patch - Patch version
+ * @property {Array<string|number>} prerelease - Prerelease identifiers (empty for releases)
+ */
+
+/**
+ * @typedef {Object} Comparator
+ * @property {'<'|'<='|'>'|'>='|'='} operator - Comparison operator
+ * @property {SemVer} version - Version compared with
+ */
+
+/**
+ * Pattern of a full version, with an optional `v` or `=` prefix and build metadata.
+ * @type {RegExp}
+ * @private
+ */
+const VERSION_PATTERN = /^[v=\s]*(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z-]+(?:\.[0-9A-Za-z-]+)*))?(?:\+[0-9A-Za-z-.]+)?$/;
+
+/**
+ * Pattern of a partial version, where missing or wildcard parts (`x`, `X`, `*`) match anything.
+ * @type {RegExp}
+ * @private
+ */
+const PARTIAL_PATTERN = /^v?(\d+|[xX*])(?:\.(\d+|[xX*])(?:\.(\d+|[xX*])(?:-([0-9A-Za-z-]+(?:\.[0-9A-Za-z-]+)*))?(?:\+[0-9A-Za-z-.]+)?)?)?$/;
+
+/**
+ * Parses a version.
+ *
+ * @param {string} value - The version, e.g. '1.2.3' or 'v1.3.0-beta.1'
+ * @returns {SemVer|null} The parsed version, or null if it isn't a valid version
+ *
+ * @example
+ * ```javascript
+ * parseVersion('1.3.0-beta.1'); // { major: 1, minor: 3, patch: 0, prerelease: ['beta', 1] }
+ * parseVersion('^1.3.0'); // null
+ * ```
+ */
+export function parseVersion(value) {
+  const match = typeof value === 'string' ? value.trim().match(VERSION_PATTERN) : null;
+  if (!match) {
+    return null;
+  }
+  return {
+    major: Number(match[1]),
+    minor: Number(match[2]),
+    patch: Number(match[3]),
+    prerelease: parsePrerelease(match[4])
+  };
+}
+
+/**
+ * Formats a version as a string.
+ *
+ * @param {SemVer} version - The version
+ * @returns {string} The version, e.g. '1.3.0-beta.1'
+ */
+export function formatVersion({ major, minor, patch, prerelease }) {
+  return `${major}.${minor}.${patch}${prerelease.length > 0 ? `-${prerelease.join('.')}` : ''}`;
+}
+
+/**
+ * Compares two versions by precedence.
+ *
+ * @param {SemVer|string} a - The first version
+ * @param {SemVer|string} b - The second version
+ * @returns {number} A negative number if `a` is lower, 0 if equal, a positive number if `a` is higher
+ * @throws {Error} When a version string is invalid
+ */
+export function compareVersions(a, b) {
+  const left = toVersion(a);
+  const right = toVersion(b);
+
+  for (const part of ['major', 'minor', 'patch']) {
+    if (left[part] !== right[part]) {
+      return left[part] - right[part];
+    }
+  }
+
+  // A release has higher precedence than its prereleases
+  if (left.prerelease.length === 0 || right.prerelease.length === 0) {
+    return right.prerelease.length - left.prerelease.length;
+  }
+  for (let index = 0; index < Math.max(left.prerelease.length, right.prerelease.length); index++) {
+    const x = left.prerelease[index];
+    const y = right.prerelease[index];
+    if (x === undefined || y === undefined) {
+      return x === undefined ? -1 : 1;
+    }
+    if (x !== y) {
+      // Numeric identifiers have lower precedence than alphanumeric ones
+      if (typeof x !== typeof y) {
+        return typeof x === 'number' ? -1 : 1;
+      }
+      return x < y ? -1 : 1;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Parses an npm version range into alternative sets of comparators.
+ *
+ * @param {string} value - The range, e.g. '^1.2.0 || ~2.0'
+ * @returns {Comparator[][]|null} The comparator sets (a version satisfies the range if it satisfies
+ *          all comparators of one set), or null if the value isn't a version range (e.g. a git URL,
+ *          a file path or a dist-tag)
+ *
+ * @example
+ * ```javascript
+ * parseRange('^1.2.0');
+ * // [[{ operator: '>=', version: 1.2.0 }, { operator: '<', version: 2.0.0-0 }]]
+ * parseRange('latest'); // null
+ * ```
+ */
+export function parseRange(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const sets = [];
+  for (const alternative of value.split('||')) {
+    const text = alternative.trim();
+    const hyphen = text.match(/^(\S+)\s+-\s+(\S+)$/);
+    const comparators = hyphen
+      ? parseHyphenRange(hyphen[1], hyphen[2])
+      : parseComparatorSet(text);
+    if (!comparators) {
+      return null;
+    }
+    sets.push(comparators);
+  }
+  return sets;
+}
+
+/**
+ * Checks whether a version satisfies a range.
+ *
+ * @param {SemVer|string} version - The version
+ * @param {Comparator[][]|string} range - The range, parsed or as a string
+ * @returns {boolean} True if the version satisfies the range (false for invalid versions or ranges)
+ *
+ * @example
+ * ```javascript
+ * satisfies('1.4.2', '^1.3.0'); // true
+ * satisfies('2.0.0-beta.1', '^1.3.0'); // false
+ * ```
+ */
+export function satisfies(version, range) {
+  const parsedVersion = typeof version === 'string' ? parseVersion(version) : version;
+  const sets = typeof range === 'string' ? parseRange(range) : range;
+  if (!parsedVersion || !sets) {
+    return false;
+  }
+  return sets.some(comparators => satisfiesSet(parsedVersion, comparators));
+}
+
+/**
+ * Returns the lowest version that satisfies a range.
+ *
+ * @param {Comparator[][]|string} range - The range, parsed or as a string
+ * @returns {SemVer|null} The lowest satisfying version, or null if no version satisfies the range
+ *
+ * @example
+ * ```javascript
+ * formatVersion(minVersion('^1.3.0 || >=2.1')); // '1.3.0'
+ * ```
+ */
+export function minVersion(range) {
+  const sets = typeof range === 'string' ? parseRange(range) : range;
+  if (!sets) {
+    return null;
+  }
+
+  let lowest = null;
+  for (const comparators of sets) {
+    let candidate = { major: 0, minor: 0, patch: 0, prerelease: [] };
+    for (const { operator, version } of comparators) {
+      let bound = version;
+      if (operator === '>') {
+        bound = version.prerelease.length > 0
+          ? { ...version, prerelease: [...version.prerelease, 0] }
+          : { ...version, patch: version.patch + 1, prerelease: [] };
+      }
+      if (['>', '>=', '='].includes(operator) && compareVersions(bound, candidate) > 0) {
+        candidate = bound;
+      }
+    }
+    if (satisfiesSet(candidate, comparators) && (!lowest || compareVersions(candidate, lowest) < 0)) {
+      lowest = candidate;
+    }
+  }
+  return lowest;
+}
+
+/**
+ * Parses prerelease identifiers, turning numeric identifiers into numbers.
+ *
+ * @param {string} [value] - Dot-separated identifiers
+ * @returns {Array<string|number>} The identifiers
+ * @private
+ */
+function parsePrerelease(value) {
+  return value ? value.split('.').map(part => (/^\d+$/.test(part) ? Number(part) : part)) : [];
+}
+
+/**
+ * Converts a version string to a parsed version.
+ *
+ * @param {SemVer|string} value - The version
+ * @returns {SemVer} The parsed version
+ * @throws {Error} When the version string is invalid
+ * @private
+ */
+function toVersion(value) {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  const version = parseVersion(value);
+  if (!version) {
+    throw new Error(`Invalid version: ${value}`);
+  }
+  return version;
+}
+
+/**
+ * Parses a partial version, e.g. '1', '1.2.x' or '*'.
+ *
+ * @param {string} value - The partial version
+ * @returns {{parts: number[], prerelease: Array<string|number>}|null} The specified parts (up to the
+ *          first wildcard) and prerelease, or null if the value is invalid
+ * @private
+ */
+function parsePartial(value) {
+  const match = value.match(PARTIAL_PATTERN);
+  if (!match) {
+    return null;
+  }
+
+  const parts = [];
+  for (const part of match.slice(1, 4)) {
+    if (part === undefined || /^[xX*]$/.test(part)) {
+      break;
+    }
+    parts.push(Number(part));
+  }
+  return { parts, prerelease: parts.length === 3 ? parsePrerelease(match[4]) : [] };
+}
+
+/**
+ * Creates a version from partial parts, filling missing parts with 0.
+ *
+ * @param {number[]} parts - Major, minor and patch, as far as specified
+ * @param {Array<string|number>} [prerelease=[]] - Prerelease identifiers
+ * @returns {SemVer} The version
+ * @private
+ */
+function createVersion(parts, prerelease = []) {
+  return { major: parts[0] ?? 0, minor: parts[1] ?? 0, patch: parts[2] ?? 0, prerelease };
+}
+
+/**
+ * Returns the lowest prerelease of the version after a partial version, the
+ * exclusive upper bound of everything the partial version matches.
+ *
+ * @param {number[]} parts - Major, minor and patch, as far as specified (at least one)
+ * @param {number} [position=parts.length - 1] - The part to increment
+ * @param {Array<string|number>} [prerelease=[0]] - Prerelease of the bound ([] for the release itself)
+ * @returns {SemVer} The bound, e.g. 2.0.0-0 for '1' and 1.3.0-0 for '1.2'
+ * @private
+ */
+function createUpperBound(parts, position = parts.length - 1, prerelease = [0]) {
+  const bound = parts.slice(0, position + 1);
+  bound[position]++;
+  return createVersion(bound, prerelease);
+}
+
+/**
+ * Parses a whitespace-separated set of comparators.
+ *
+ * @param {string} text - The comparator set (empty for any version)
+ * @returns {Comparator[]|null} The comparators, or null if the set is invalid
+ * @private
+ */
+function parseComparatorSet(text) {
+  // Operators may be separated from their version by whitespace ('>= 1.2.0')
+  const tokens = text.replace(/(^|\s)(<=|>=|<|>|=|~>|~|\^)\s+/g, '$1$2').split(/\s+/).filter(Boolean);
+  if (tokens.length === 0) {
+    return [];
+  }
+
+  const comparators = [];
+  for (const token of tokens) {
+    const expanded = expandComparator(token);
+    if (!expanded) {
+      return null;
+    }
+    comparators.push(...expanded);
+  }
+  return comparators;
+}
+
+/**
+ * Expands a single comparator token (`^1.2`, `~1`, `>=1.2.3`, `1.x`) into plain comparators.
+ *
+ * @param {string} token - The token
+ * @returns {Comparator[]|null} The comparators, or null if the token is invalid
+ * @private
+ */
+function expandComparator(token) {
+  const [, operator, value] = token.match(/^(<=|>=|<|>|=|~>|~|\^)?(.*)$/);
+  const partial = parsePartial(value);
+  if (!partial) {
+    return null;
+  }
+
+  const { parts, prerelease } = partial;
+  const lower = createVersion(parts, prerelease);
+
+  if (parts.length === 0) {
+    // '*', 'x' or a comparison with a wildcard: any version, or none for '<*' and '>*'
+    return operator === '<' || operator === '>'
+      ? [{ operator: '<', version: createVersion([0], [0]) }]
+      : [];
+  }
+
+  switch (operator) {
+    case '^': {
+      // Allows changes that don't modify the left-most non-zero part
+      const position = parts.findIndex((part, index) => part !== 0 || index === parts.length - 1);
+      return [
+        { operator: '>=', version: lower },
+        { operator: '<', version: createUpperBound(parts, Math.min(position, 2)) }
+      ];
+    }
+    case '~':
+    case '~>':
+      return [
+        { operator: '>=', version: lower },
+        { operator: '<', version: createUpperBound(parts, Math.min(parts.length - 1, 1)) }
+      ];
+    case '>':
+      return [parts.length === 3
+        ? { operator: '>', version: lower }
+        : { operator: '>=', version: createUpperBound(parts, parts.length - 1, []) }];
+    case '>=':
+      return [{ operator: '>=', version: lower }];
+    case '<':
+      return [{ operator: '<', version: parts.length === 3 ? lower : createVersion(parts, [0]) }];
+    case '<=':
+      return [parts.length === 3
+        ? { operator: '<=', version: lower }
+        : { operator: '<', version: createUpperBound(parts) }];
+    default:
+      return parts.length === 3
+        ? [{ operator: '=', version: lower }]
+        : [{ operator: '>=', version: lower }, { operator: '<', version: createUpperBound(parts) }];
+  }
+}
+
+/**
+ * Parses a hyphen range such as '1.2.3 - 2.3'.
+ *
+ * @param {string} from - The inclusive lower end
+ * @param {string} to - The inclusive upper end
+ * @returns {Comparator[]|null} The comparators, or null if either end is invalid
+ * @private
+ */
+function parseHyphenRange(from, to) {
+  const lower = parsePartial(from);
+  const upper = parsePartial(to);
+  if (!lower || !upper) {
+    return null;
+  }
+
+  const comparators = [{ operator: '>=', version: createVersion(lower.parts, lower.prerelease) }];
+  if (upper.parts.length === 3) {
+    comparators.push({ operator: '<=', version: createVersion(upper.parts, upper.prerelease) });
+  } else if (upper.parts.length > 0) {
+    comparators.push({ operator: '<', version: createUpperBound(upper.parts) });
+  }
+  return comparators;
+}
+
+/**
+ * Checks whether a version satisfies all comparators of a set.
+ *
+ * @param {SemVer} version - The version
+ * @param {Comparator[]} comparators - The comparator set
+ * @returns {boolean} True if the version satisfies the set
+ * @private
+ */
+function satisfiesSet(version, comparators) {
+  const matches = comparators.every(({ operator, version: other }) => {
+    const order = compareVersions(version, other);
+    switch (operator) {
+      case '<': return order < 0;
+      case '<=': return order <= 0;
+      case '>': return order > 0;
+      case '>=': return order >= 0;
+      default: return order === 0;
+    }
+  });
+  if (!matches || version.prerelease.length === 0) {
+    return matches;
+  }
+
+  // Prereleases only match comparators that opt into prereleases of the same release
+  return comparators.some(({ version: other }) =>
+    other.prerelease.length > 0 &&
+    other.major === version.major &&
+    other.minor === version.minor &&
+    other.patch === version.patch);
+}
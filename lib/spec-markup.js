@@ -0,0 +1,159 @@
+/**
+ * @fileoverview Parser for Spec-Up-T terminology markup
+ *
+ * Spec-Up-T specifications define and reference terms with double-bracket
+ * markup in their markdown:
+ *
+ * ```markdown
+ * [[def: verifiable credential, VC]]
+ * ~ A credential that can be verified cryptographically.
+ *
+ * Each [[ref: VC]] is issued by an issuer, see [[xref: vc-data-model, issuer]].
+ * [[tref: keri-spec, AID, autonomic identifier]]
+ * ```
+ *
+ * - `[[def: term, alias...]]` defines a term, usually in its own file in
+ *   `spec_terms_directory`
+ * - `[[ref: term]]` references a term (or alias) of the same specification
+ * - `[[xref: spec, term]]` references a term of an external specification
+ * - `[[tref: spec, term, alias...]]` transcludes the definition of a term of an
+ *   external specification, which defines it (and its aliases) locally
+ *
+ * Markup inside fenced code blocks and inline code is ignored, since
+ * specifications document the syntax that way.
+ *
+ * @author spec-up-t-healthcheck
+ */
+
+import { joinProviderPath } from './providers/provider-utils.js';
+
+/**
+ * Types of terminology markup.
+ * @type {readonly string[]}
+ */
+export const TERM_MARKUP_TYPES = Object.freeze(['def', 'ref', 'xref', 'tref']);
+
+/**
+ * Matches terminology markup. Captures the type and the comma-separated arguments.
+ * @type {RegExp}
+ * @private
+ */
+const TERM_MARKUP_REGEX = /\[\[(def|ref|xref|tref):([^\]]*)\]\]/g;
+
+/**
+ * Matches inline code spans, whose content is not parsed.
+ * @type {RegExp}
+ * @private
+ */
+const INLINE_CODE_REGEX = /(`+)[^`]*?\1/g;
+
+/**
+ * @typedef {Object} TermMarkup
+ * @property {'def'|'ref'|'xref'|'tref'} type - Type of the markup
+ * @property {string[]} args - The trimmed arguments, e.g. ['vc-data-model', 'issuer'] (empty arguments are kept)
+ * @property {string} source - The markup as written, e.g. '[[xref: vc-data-model, issuer]]'
+ * @property {number} line - Line of the markup (1-based)
+ * @property {number} column - Column of the markup (1-based)
+ */
+
+/**
+ * Normalizes a term the way Spec-Up-T builds term anchors, so that references
+ * match definitions regardless of case and whitespace.
+ *
+ * @param {string} term - The term as written
+ * @returns {string} The normalized term
+ *
+ * @example
+ * ```javascript
+ * normalizeTerm(' Verifiable  Credential'); // 'verifiable-credential'
+ * ```
+ */
+export function normalizeTerm(term) {
+  return String(term).trim().replace(/\s+/g, '-').toLowerCase();
+}
+
+/**
+ * Parses the terminology markup of a markdown file.
+ *
+ * @param {string} content - The markdown content
+ * @returns {TermMarkup[]} The markup, in document order
+ *
+ * @example
+ * ```javascript
+ * parseTermMarkup('[[def: issuer, issuers]]\n~ An entity that issues credentials.');
+ * // Returns: [{ type: 'def', args: ['issuer', 'issuers'], source: '[[def: issuer, issuers]]', line: 1, column: 1 }]
+ * ```
+ */
+export function parseTermMarkup(content) {
+  const markup = [];
+  let inCodeBlock = false;
+
+  content.split('\n').forEach((text, index) => {
+    const trimmed = text.trim();
+
+    // Track fenced code blocks so documented examples aren't parsed
+    if (trimmed.startsWith('```') || trimmed.startsWith('~~~')) {
+      inCodeBlock = !inCodeBlock;
+      return;
+    }
+    if (inCodeBlock) return;
+
+    // Blank out inline code, keeping the columns of the remaining markup
+    const visible = text.replace(INLINE_CODE_REGEX, code => ' '.repeat(code.length));
+    for (const match of visible.matchAll(TERM_MARKUP_REGEX)) {
+      markup.push({
+        type: match[1],
+        args: match[2].split(',').map(arg => arg.trim()),
+        source: match[0],
+        line: index + 1,
+        column: match.index + 1
+      });
+    }
+  });
+
+  return markup;
+}
+
+/**
+ * Resolves the terms directory of a spec entry in specs.json.
+ *
+ * `spec_terms_directory` is relative to `spec_directory`, unless it starts
+ * with './' or '/', in which case it is relative to the repository root.
+ *
+ * @param {Object} spec - A spec entry of specs.json
+ * @returns {string|null} The terms directory relative to the repository root, or null if not configured
+ *
+ * @example
+ * ```javascript
+ * getTermsDirectory({ spec_directory: './spec', spec_terms_directory: 'terms-definitions' });
+ * // Returns: 'spec/terms-definitions'
+ * ```
+ */
+export function getTermsDirectory(spec) {
+  const { spec_directory: specDirectory, spec_terms_directory: termsDirectory } = spec || {};
+  if (!termsDirectory) {
+    return null;
+  }
+  if (!specDirectory || termsDirectory.startsWith('./') || termsDirectory.startsWith('/')) {
+    return joinProviderPath(termsDirectory);
+  }
+  return joinProviderPath(specDirectory, termsDirectory);
+}
+
+/**
+ * Returns the directories with the markdown of a spec entry in specs.json:
+ * spec_directory and spec_terms_directory.
+ *
+ * @param {Object} spec - A spec entry of specs.json
+ * @returns {string[]} The directories relative to the repository root ('' for the root), without duplicates
+ *
+ * @example
+ * ```javascript
+ * getSpecMarkdownPaths({ spec_directory: './spec', spec_terms_directory: 'terms-definitions' });
+ * // Returns: ['spec', 'spec/terms-definitions']
+ * ```
+ */
+export function getSpecMarkdownPaths(spec) {
+  const specDirectory = spec && spec.spec_directory ? joinProviderPath(spec.spec_directory) : null;
+  return [...new Set([specDirectory, getTermsDirectory(spec)].filter(directory => directory !== null))];
+}
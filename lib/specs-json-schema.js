@@ -0,0 +1,137 @@
+/**
+ * @fileoverview JSON Schema of specs.json
+ *
+ * Describes the configuration file of Spec-Up-T: a `specs` array holding one
+ * spec object, with every field Spec-Up-T is known to read. Editors that
+ * support JSON Schema validate and complete specs.json when it references the
+ * schema (write it with `spec-up-t-healthcheck schema -o specs.schema.json`
+ * and add `"$schema": "./specs.schema.json"`); the specs-json health check
+ * validates specs.json against it with `validateJsonSchema` of json-schema.js.
+ *
+ * Which spec fields are required differs between spec-up-t versions, so the
+ * schema is built from the expected fields of a reference bundle; the
+ * published {@link SPECS_JSON_SCHEMA} uses the defaults.
+ *
+ * @author spec-up-t-healthcheck
+ */
+
+import { DEFAULT_SPECS_JSON_FIELDS } from './reference-bundles.js';
+
+/**
+ * Schemas of the known fields of the spec object, by field name.
+ * @type {Readonly<Object<string, Object>>}
+ * @private
+ */
+const SPEC_FIELD_SCHEMAS = Object.freeze({
+  title: { type: 'string', description: 'Title of the specification' },
+  description: { type: 'string', description: 'Short description of the specification' },
+  author: { type: 'string', description: 'Author(s) of the specification' },
+  spec_directory: { type: 'string', description: 'Directory holding the markdown files, e.g. "./spec"' },
+  spec_terms_directory: { type: 'string', description: 'Directory of the term definitions, relative to spec_directory' },
+  output_path: { type: 'string', description: 'Directory the rendered specification is written to, e.g. "./docs"' },
+  markdown_paths: {
+    type: 'array',
+    description: 'Markdown files of the specification, relative to spec_directory, in rendering order',
+    items: { type: 'string' }
+  },
+  logo: { type: 'string', description: 'URL of the logo shown in the header' },
+  logo_link: { type: 'string', description: 'URL the logo links to' },
+  favicon: { type: 'string', description: 'URL of the favicon' },
+  source: {
+    type: 'object',
+    description: 'Repository of the specification',
+    properties: {
+      host: { type: 'string', minLength: 1, description: 'Git host, e.g. "github"' },
+      account: { type: 'string', minLength: 1, description: 'Account or organization owning the repository' },
+      repo: { type: 'string', minLength: 1, description: 'Repository name' },
+      branch: {
+        type: 'string',
+        deprecated: true,
+        description: 'Deprecated since spec-up-t 1.0.0: the branch is read from the spec-up-t:github-repo-info meta tag'
+      }
+    },
+    required: ['host', 'account', 'repo'],
+    additionalProperties: false
+  },
+  external_specs: {
+    type: 'array',
+    description: 'Specifications whose terms are referenced with [[xref]] and [[tref]]',
+    items: {
+      type: 'object',
+      properties: {
+        external_spec: { type: 'string', minLength: 1, description: 'Name used in references to the specification' },
+        gh_page: { type: 'string', minLength: 1, description: 'URL of the rendered specification' },
+        url: { type: 'string', minLength: 1, description: 'URL of the repository of the specification' },
+        terms_dir: { type: 'string', description: 'Directory of the term definitions in that repository' }
+      },
+      required: ['external_spec', 'gh_page', 'url'],
+      additionalProperties: false
+    }
+  },
+  katex: { type: 'boolean', description: 'Render TeX math with KaTeX' },
+  anchor_symbol: { type: 'string', description: 'Symbol of the anchor links next to headings' }
+});
+
+/**
+ * Builds the JSON Schema of specs.json for a set of expected spec fields.
+ *
+ * Required fields must be present and, if strings or arrays, non-empty.
+ * Fields unknown to the schema are accepted if they are expected; any other
+ * field is reported as unknown.
+ *
+ * @param {{required: readonly string[], warning: readonly string[], optional: readonly string[]}} [fields]
+ *        Expected spec fields, e.g. from a reference bundle (defaults to {@link DEFAULT_SPECS_JSON_FIELDS})
+ * @returns {Object} The JSON Schema
+ *
+ * @example
+ * ```javascript
+ * const { bundle } = await resolveReferenceData(context);
+ * const schema = createSpecsJsonSchema(bundle.specsJsonFields);
+ * ```
+ */
+export function createSpecsJsonSchema(fields = DEFAULT_SPECS_JSON_FIELDS) {
+  const properties = {};
+  for (const [field, schema] of Object.entries(SPEC_FIELD_SCHEMAS)) {
+    properties[field] = structuredClone(schema);
+  }
+  for (const field of [...fields.required, ...fields.warning, ...fields.optional]) {
+    properties[field] ??= {};
+  }
+  for (const field of fields.required) {
+    if (properties[field].type === 'string') {
+      properties[field].minLength = 1;
+    } else if (properties[field].type === 'array') {
+      properties[field].minItems = 1;
+    }
+  }
+
+  return {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    title: 'Spec-Up-T specs.json',
+    description: 'Configuration of a Spec-Up-T specification',
+    type: 'object',
+    properties: {
+      $schema: { type: 'string', description: 'JSON Schema the file is validated against' },
+      specs: {
+        type: 'array',
+        description: 'The specification; Spec-Up-T renders exactly one',
+        minItems: 1,
+        maxItems: 1,
+        items: {
+          type: 'object',
+          properties,
+          required: [...fields.required],
+          additionalProperties: false
+        }
+      }
+    },
+    required: ['specs'],
+    additionalProperties: false
+  };
+}
+
+/**
+ * JSON Schema of specs.json with the default expected fields.
+ * @type {Readonly<Object>}
+ */
+export const SPECS_JSON_SCHEMA = Object.freeze(createSpecsJsonSchema());
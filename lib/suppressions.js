@@ -0,0 +1,130 @@
+/**
+ * @fileoverview Inline suppression comments for markdown-scanning checks
+ *
+ * Authors can mark intentional deviations directly in the markdown source with
+ * HTML comments, which don't show up in the rendered specification:
+ *
+ * ```markdown
+ * <!-- healthcheck-disable-next-line heading-hierarchy -->
+ * #### Deliberately deep heading
+ *
+ * <!-- healthcheck-disable markdown-tables/row-column-mismatch -->
+ * | a | b |
+ * |---|---|
+ * | 1 |
+ * <!-- healthcheck-enable markdown-tables/row-column-mismatch -->
+ * ```
+ *
+ * Supported directives:
+ * - `healthcheck-disable-next-line [rules]` - suppresses findings on the following line
+ * - `healthcheck-disable-line [rules]` - suppresses findings on the same line
+ * - `healthcheck-disable [rules]` - suppresses findings until a matching `healthcheck-enable`
+ *   (or the end of the file)
+ * - `healthcheck-enable [rules]` - ends the blocks opened with the same rules
+ *   (all open blocks when no rules are given)
+ *
+ * Rules are separated by spaces or commas and are either check IDs, which
+ * match all rules of the check (`heading-hierarchy`), or full rule IDs
+ * (`markdown-tables/row-column-mismatch`). Without rules all findings are
+ * suppressed. Directives inside fenced code blocks are ignored.
+ *
+ * @author spec-up-t-healthcheck
+ */
+
+/**
+ * Matches suppression directives in HTML comments.
+ * Captures the directive name and the rule list.
+ * @type {RegExp}
+ * @private
+ */
+const DIRECTIVE_REGEX = /<!--\s*healthcheck-(disable-next-line|disable-line|disable|enable)\b(.*?)-->/g;
+
+/**
+ * @typedef {Object} Suppression
+ * @property {string} directive - The directive, e.g. 'disable-next-line'
+ * @property {string[]} rules - Check or rule IDs the suppression applies to (empty for all)
+ * @property {number} line - Line of the directive (1-based)
+ * @property {number} startLine - First suppressed line (1-based)
+ * @property {number} endLine - Last suppressed line (Infinity for blocks that are never closed)
+ */
+
+/**
+ * @typedef {import('./health-check-utils.js').Finding & {suppressedBy: {directive: string, line: number}}} SuppressedFinding
+ * @description A finding that was suppressed, with the directive that suppressed it
+ */
+
+/**
+ * Parses the suppression directives of a markdown file.
+ *
+ * @param {string} content - The markdown content
+ * @returns {Suppression[]} The suppressions, in order of their directives
+ *
+ * @example
+ * ```javascript
+ * parseSuppressions('<!-- healthcheck-disable-next-line heading-hierarchy -->\n### Heading');
+ * // Returns: [{ directive: 'disable-next-line', rules: ['heading-hierarchy'], line: 1, startLine: 2, endLine: 2 }]
+ * ```
+ */
+export function parseSuppressions(content) {
+  const lines = content.split('\n');
+  const suppressions = [];
+  const openBlocks = [];
+  let inCodeBlock = false;
+
+  lines.forEach((text, index) => {
+    const line = index + 1;
+    const trimmed = text.trim();
+
+    // Track fenced code blocks so examples of directives aren't applied
+    if (trimmed.startsWith('```') || trimmed.startsWith('~~~')) {
+      inCodeBlock = !inCodeBlock;
+      return;
+    }
+    if (inCodeBlock) return;
+
+    for (const match of text.matchAll(DIRECTIVE_REGEX)) {
+      const directive = match[1];
+      const rules = match[2].split(/[\s,]+/).filter(Boolean);
+
+      if (directive === 'disable-line') {
+        suppressions.push({ directive, rules, line, startLine: line, endLine: line });
+      } else if (directive === 'disable-next-line') {
+        suppressions.push({ directive, rules, line, startLine: line + 1, endLine: line + 1 });
+      } else if (directive === 'disable') {
+        const block = { directive, rules, line, startLine: line, endLine: Infinity };
+        suppressions.push(block);
+        openBlocks.push(block);
+      } else {
+        const key = [...rules].sort().join(',');
+        for (let i = openBlocks.length - 1; i >= 0; i--) {
+          if (rules.length === 0 || [...openBlocks[i].rules].sort().join(',') === key) {
+            openBlocks[i].endLine = line;
+            openBlocks.splice(i, 1);
+          }
+        }
+      }
+    }
+  });
+
+  return suppressions;
+}
+
+/**
+ * Finds the suppression that applies to a finding location.
+ *
+ * @param {Suppression[]} suppressions - The suppressions of the file
+ * @param {string} ruleId - The rule of the finding, e.g. 'heading-hierarchy/skipped-level'
+ * @param {number} [line] - The line of the finding; findings without a line can't be suppressed
+ * @returns {Suppression|undefined} The first matching suppression
+ */
+export function findSuppression(suppressions, ruleId, line) {
+  if (!line) {
+    return undefined;
+  }
+  return suppressions.find(suppression =>
+    line >= suppression.startLine &&
+    line <= suppression.endLine &&
+    (suppression.rules.length === 0 ||
+      suppression.rules.some(rule => rule === ruleId || ruleId.startsWith(`${rule}/`)))
+  );
+}
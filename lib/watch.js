@@ -0,0 +1,318 @@
+/**
+ * @fileoverview Watch mode for local specification repositories
+ *
+ * Watch mode runs the health checks once and then watches the repository for
+ * changes. Changed files are mapped to the checks that read them (see the
+ * `watchPatterns` of the registered checks): a change to specs.json re-runs
+ * specs-json and external-specs-urls, a changed markdown file re-runs the
+ * markdown checks, and so on. Only those checks run again; their results
+ * replace the previous ones in the report, so every run delivers a complete,
+ * up-to-date report.
+ *
+ * Re-runs include the prerequisites of the affected checks, so a check whose
+ * prerequisite fails (e.g. terminology after a broken specs.json) is skipped
+ * just as in the initial run.
+ *
+ * Changes are debounced, so saving several files at once (or an editor writing
+ * a file in several steps) triggers a single run. Changes that arrive while
+ * checks are running are handled in the next run.
+ *
+ * This module depends on Node.js' `fs` module and is therefore not available
+ * in browser environments.
+ *
+ * @author spec-up-t-healthcheck
+ */
+
+import { watch, readdirSync, statSync } from 'fs';
+import path from 'path';
+import { runHealthChecks } from './health-check-orchestrator.js';
+import { globalRegistry, matchesWatchPattern } from './health-check-registry.js';
+import { calculateSummary } from './health-check-utils.js';
+
+/**
+ * Paths that never trigger a run, as watch patterns.
+ * @type {readonly string[]}
+ */
+export const DEFAULT_WATCH_IGNORE = Object.freeze(['.git/**', 'node_modules/**']);
+
+/**
+ * Time in milliseconds to wait for further changes before checks run.
+ * @type {number}
+ */
+export const DEFAULT_DEBOUNCE_MS = 300;
+
+/**
+ * @typedef {Object} WatchRun
+ * @property {import('./health-check-utils.js').HealthCheckReport} report - The complete, updated report
+ * @property {string[]} changedFiles - Files that triggered the run (empty for the initial run)
+ * @property {string[]} checks - IDs of the checks that ran (empty for the initial run, which runs all selected checks)
+ */
+
+/**
+ * @typedef {Object} HealthCheckWatcher
+ * @property {function(): void} close - Stops watching the repository
+ */
+
+/**
+ * Replaces the results of checks that ran again in a report.
+ *
+ * @param {import('./health-check-utils.js').HealthCheckReport} previous - The previous report
+ * @param {import('./health-check-utils.js').HealthCheckReport} update - Report of the checks that ran again
+ * @returns {import('./health-check-utils.js').HealthCheckReport} The merged report
+ * @private
+ */
+function mergeReports(previous, update) {
+  const updated = new Map(update.results.map(result => [result.check, result]));
+  const known = new Set(previous.results.map(result => result.check));
+  const results = [
+    ...previous.results.map(result => updated.get(result.check) || result),
+    ...update.results.filter(result => !known.has(result.check))
+  ];
+
+  return {
+    ...previous,
+    results,
+    summary: { ...previous.summary, ...calculateSummary(results) },
+    timestamp: update.timestamp
+  };
+}
+
+/**
+ * Determines the checks selected by the health check options, which are the
+ * candidates for re-runs.
+ *
+ * @param {import('./health-check-orchestrator.js').HealthCheckOptions} options - The health check options
+ * @returns {string[]} IDs of the selected checks
+ * @private
+ */
+function getSelectedChecks(options) {
+  if (options.checks && options.checks.length > 0) {
+    return options.checks;
+  }
+  if (options.categories && options.categories.length > 0) {
+    return globalRegistry.getAllIds().filter(id => options.categories.includes(globalRegistry.get(id).category));
+  }
+  return globalRegistry.getAllIds();
+}
+
+/**
+ * Adds the prerequisites of checks (and theirs, transitively) that are among
+ * the selected checks.
+ *
+ * @param {string[]} checks - IDs of the affected checks
+ * @param {string[]} selectedChecks - IDs of the selected checks
+ * @returns {string[]} IDs of the affected checks and their selected prerequisites
+ * @private
+ */
+function addPrerequisites(checks, selectedChecks) {
+  const withPrerequisites = new Set();
+  const add = id => {
+    if (withPrerequisites.has(id)) {
+      return;
+    }
+    withPrerequisites.add(id);
+    globalRegistry.getDependencies(id)
+      .filter(dependency => selectedChecks.includes(dependency))
+      .forEach(add);
+  };
+  checks.forEach(add);
+  return [...withPrerequisites];
+}
+
+/**
+ * Watches a directory tree for changes.
+ *
+ * On Linux, and where recursive `fs.watch` is not available, every directory
+ * is watched on its own and directories created later are watched as they
+ * appear. This skips ignored directories, which recursive `fs.watch` on Linux
+ * would add to the limited inotify watches (failing with ENOSPC for large
+ * `node_modules`). Other watch errors are passed to `onError` once per code.
+ *
+ * @param {string} rootPath - Absolute path of the directory tree
+ * @param {function(string): boolean} isIgnored - Tells whether a path (relative to the root, with
+ *        a trailing slash for directories) is ignored
+ * @param {function(string): void} onChange - Called with the relative path of every changed file
+ * @param {function(Error): void} onError - Called when a watcher fails
+ * @returns {function(): void} Function that stops watching
+ * @private
+ */
+function watchTree(rootPath, isIgnored, onChange, onError) {
+  const toRelativePath = filename => filename.toString().split(path.sep).join('/');
+
+  if (process.platform !== 'linux') {
+    try {
+      const watcher = watch(rootPath, { recursive: true }, (eventType, filename) => {
+        if (filename) {
+          onChange(toRelativePath(filename));
+        }
+      });
+      watcher.on('error', onError);
+      return () => watcher.close();
+    } catch (error) {
+      if (error.code !== 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM') {
+        throw error;
+      }
+    }
+  }
+
+  /** @type {Map<string, import('fs').FSWatcher>} Watchers by relative directory ('' for the root) */
+  const watchers = new Map();
+  /** @type {Set<string>} Codes of the watch errors passed to `onError` */
+  const reportedErrors = new Set();
+  const unwatchDirectory = directory => {
+    for (const [watched, watcher] of watchers) {
+      if (watched === directory || watched.startsWith(`${directory}/`)) {
+        watcher.close();
+        watchers.delete(watched);
+      }
+    }
+  };
+  const watchDirectory = directory => {
+    if (watchers.has(directory) || (directory && isIgnored(`${directory}/`))) {
+      return;
+    }
+    const absolutePath = path.join(rootPath, directory);
+    let entries;
+    try {
+      const watcher = watch(absolutePath, (eventType, filename) => {
+        if (!filename) {
+          return;
+        }
+        try {
+          statSync(absolutePath);
+        } catch (error) {
+          // The watched directory itself was removed; its parent reports the removal
+          unwatchDirectory(directory);
+          return;
+        }
+        const filePath = directory ? `${directory}/${toRelativePath(filename)}` : toRelativePath(filename);
+        let isDirectory = false;
+        try {
+          isDirectory = statSync(path.join(rootPath, filePath)).isDirectory();
+        } catch (error) {
+          unwatchDirectory(filePath); // Deleted (or renamed away)
+        }
+        if (isDirectory) {
+          watchDirectory(filePath);
+        } else {
+          onChange(filePath);
+        }
+      });
+      watcher.on('error', onError);
+      watchers.set(directory, watcher);
+      entries = readdirSync(absolutePath, { withFileTypes: true });
+    } catch (error) {
+      // A directory removed before it could be watched is not an error
+      if (error.code !== 'ENOENT' && error.code !== 'ENOTDIR' && !reportedErrors.has(error.code)) {
+        reportedErrors.add(error.code);
+        onError(error);
+      }
+      return;
+    }
+    entries
+      .filter(entry => entry.isDirectory())
+      .forEach(entry => watchDirectory(directory ? `${directory}/${entry.name}` : entry.name));
+  };
+
+  watchDirectory('');
+  return () => [...watchers.values()].forEach(watcher => watcher.close());
+}
+
+/**
+ * Runs the health checks on a local repository and re-runs the affected checks
+ * whenever files change.
+ *
+ * The callback receives the complete report after the initial run and after
+ * every re-run; it may be async, and runs don't overlap. Errors of re-runs and
+ * of the file watcher are passed to `onError` and don't stop watching.
+ *
+ * @param {import('./providers.js').Provider} provider - A local provider for the repository
+ * @param {Object} [options={}] - Watch options; other options are passed to the health checks
+ * @param {number} [options.debounceMs=DEFAULT_DEBOUNCE_MS] - Time to wait for further changes
+ * @param {string[]} [options.ignore=[]] - Watch patterns of paths that don't trigger runs, in addition
+ *        to {@link DEFAULT_WATCH_IGNORE} (e.g. the report file written by the callback)
+ * @param {function(Error): void} [options.onError] - Called when a re-run or the watcher fails
+ *        (defaults to logging the error)
+ * @param {function(WatchRun): (void|Promise<void>)} onRun - Called with the report of every run
+ * @returns {Promise<HealthCheckWatcher>} The watcher, once the initial run completed
+ * @throws {Error} When the provider is not a local provider
+ *
+ * @example
+ * ```javascript
+ * const watcher = await watchHealthChecks(createLocalProvider('./my-spec'), {}, ({ report, changedFiles }) => {
+ *   console.clear();
+ *   console.log(formatResultsAsText(report));
+ *   if (changedFiles.length > 0) console.log(`Changed: ${changedFiles.join(', ')}`);
+ * });
+ * // Later: watcher.close();
+ * ```
+ */
+export async function watchHealthChecks(provider, options = {}, onRun) {
+  if (provider.type !== 'local') {
+    throw new Error(`Watch mode requires a local repository (got a ${provider.type} provider)`);
+  }
+
+  const {
+    debounceMs = DEFAULT_DEBOUNCE_MS,
+    ignore = [],
+    onError = error => console.error(`Watch mode error: ${error.message}`),
+    ...healthCheckOptions
+  } = options;
+  const ignorePatterns = [...DEFAULT_WATCH_IGNORE, ...ignore];
+  const rootPath = path.resolve(provider.getBasePath());
+
+  let report = await runHealthChecks(provider, healthCheckOptions);
+  await onRun({ report, changedFiles: [], checks: [] });
+
+  const pending = new Set();
+  let timer = null;
+  let running = false;
+  let closed = false;
+
+  const runPending = async () => {
+    if (running) {
+      return; // The active run picks up the pending changes when it finishes
+    }
+    running = true;
+    try {
+      while (pending.size > 0 && !closed) {
+        const changedFiles = [...pending].sort();
+        pending.clear();
+
+        const selectedChecks = getSelectedChecks(healthCheckOptions);
+        const affectedChecks = globalRegistry.getChecksForFiles(changedFiles, selectedChecks);
+        if (affectedChecks.length === 0) {
+          continue;
+        }
+        const checks = addPrerequisites(affectedChecks, selectedChecks);
+
+        try {
+          report = mergeReports(report, await runHealthChecks(provider, { ...healthCheckOptions, checks }));
+          await onRun({ report, changedFiles, checks });
+        } catch (error) {
+          onError(error);
+        }
+      }
+    } finally {
+      running = false;
+    }
+  };
+
+  const isIgnored = filePath => ignorePatterns.some(pattern => matchesWatchPattern(pattern, filePath));
+  const stopWatching = watchTree(rootPath, isIgnored, filePath => {
+    if (closed || isIgnored(filePath)) {
+      return;
+    }
+    pending.add(filePath);
+    clearTimeout(timer);
+    timer = setTimeout(runPending, debounceMs);
+  }, onError);
+
+  return {
+    close() {
+      closed = true;
+      clearTimeout(timer);
+      stopWatching();
+    }
+  };
+}
@@ -6,6 +6,9 @@
  * - link-checker (depends on linkinator with Node.js streams)
  * - providers (uses providers-browser.js instead of providers.js)
  * 
+ * The modules re-exported here have no Node.js dependencies, so they work in
+ * browsers as well.
+ * 
  * The auto-discovery system will automatically skip Node.js-only checks
  * when running in a browser environment.
  * 
@@ -13,7 +16,7 @@
  */
 
 // Re-export provider functionality (browser-compatible version without Node.js imports)
-export { createProvider } from './providers-browser.js';
+export { createProvider, createGitHubProvider, createMemoryProvider } from './providers-browser.js';
 
 // Re-export health checking functionality (browser-compatible)
 export { 
@@ -22,14 +25,46 @@ export {
   checkPackageJson, 
   checkSpecFiles, 
   checkSpecsJson,
-  checkHeadingHierarchy
+  checkHeadingHierarchy,
+  checkTerminology,
+  checkExternalReferences,
+  checkXtrefsCache,
+  checkSpecUpTVersion,
+  checkLockfile
 } from './health-checker.js';
 
+// Re-export the shared repository context for custom checks (browser-compatible)
+export { createRepositoryContext } from './repository-context.js';
+
+// Re-export inline suppression helpers for custom markdown checks (browser-compatible)
+export { parseSuppressions, findSuppression } from './suppressions.js';
+
+// Re-export the terminology markup parser for custom checks (browser-compatible)
+export { parseTermMarkup, normalizeTerm, getTermsDirectory, getSpecMarkdownPaths } from './spec-markup.js';
+export { parseXtrefsData, findXtrefEntry } from './xtrefs-data.js';
+
+// Re-export the network client, e.g. for offline mode (browser-compatible)
+export { createNetworkClient, createMemoryCacheStore, isOfflineError } from './network.js';
+
+// Re-export the reference bundles, e.g. to pin reference data in memory providers (browser-compatible)
+export { fetchReferenceBundle, parseReferenceBundle, resolveInstalledSpecUpTVersion, getReferenceBundlePath } from './reference-bundles.js';
+export { parseLockfile, findLockedDependency } from './lockfiles.js';
+export { parseVersion, compareVersions, parseRange, satisfies, minVersion } from './semver.js';
+export { validateJsonSchema, mapJsonPointers, locateJsonPointer } from './json-schema.js';
+export { SPECS_JSON_SCHEMA, createSpecsJsonSchema } from './specs-json-schema.js';
+
+// Re-export automatic fixes, e.g. for memory providers (browser-compatible)
+export { applyFixes, getFixableFindings, formatPatch } from './fixes.js';
+
 // Re-export formatting functionality (browser-compatible)
 export { 
   formatResultsAsText, 
   formatResultsAsJson, 
-  formatResultsAsHtml 
+  formatResultsAsHtml,
+  formatResultsAsMarkdown,
+  formatResultsAsSarif,
+  formatResultsAsJunit,
+  formatFixResultAsText
 } from './formatters.js';
 
 // Import functions for internal use
@@ -0,0 +1,92 @@
+/**
+ * @fileoverview Reader for the xtrefs cache generated by Spec-Up-T
+ *
+ * When Spec-Up-T renders a specification, it fetches the terms referenced with
+ * `[[xref: ...]]` and `[[tref: ...]]` from the external specifications and
+ * stores them in `.cache/xtrefs-data.json`:
+ *
+ * ```json
+ * {
+ *   "xtrefs": [
+ *     { "externalSpec": "kmg", "term": "AID", "content": "<dd>...</dd>", "commitHash": "4f2a..." }
+ *   ]
+ * }
+ * ```
+ *
+ * Terms that could not be found in the external specification are kept with a
+ * "not found" marker instead of their content. This module parses the cache
+ * so checks can verify external references offline.
+ *
+ * @author spec-up-t-healthcheck
+ */
+
+import { normalizeTerm } from './spec-markup.js';
+
+/**
+ * Path of the xtrefs cache, relative to the repository root.
+ * @type {string}
+ */
+export const XTREFS_DATA_PATH = '.cache/xtrefs-data.json';
+
+/**
+ * Matches the placeholders Spec-Up-T stores for terms missing in the external specification.
+ * @type {RegExp}
+ * @private
+ */
+const NOT_FOUND_REGEX = /not found/i;
+
+/**
+ * @typedef {Object} XtrefEntry
+ * @property {string} externalSpec - ID of the external specification (`external_spec` in specs.json)
+ * @property {string} term - The referenced term
+ * @property {boolean} found - Whether the term was found in the external specification
+ * @property {Object} data - The entry as stored in the cache
+ */
+
+/**
+ * Parses the content of the xtrefs cache.
+ *
+ * @param {string} content - Content of xtrefs-data.json
+ * @returns {XtrefEntry[]} The cached entries (entries without spec or term are left out)
+ * @throws {Error} When the content is not valid JSON or has no `xtrefs` array
+ *
+ * @example
+ * ```javascript
+ * parseXtrefsData('{"xtrefs":[{"externalSpec":"kmg","term":"AID","content":"<dd>...</dd>"}]}');
+ * // Returns: [{ externalSpec: 'kmg', term: 'AID', found: true, data: { ... } }]
+ * ```
+ */
+export function parseXtrefsData(content) {
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Invalid JSON in ${XTREFS_DATA_PATH}: ${error.message}`);
+  }
+  if (!data || !Array.isArray(data.xtrefs)) {
+    throw new Error(`${XTREFS_DATA_PATH} does not contain an "xtrefs" array`);
+  }
+
+  return data.xtrefs
+    .filter(entry => entry && typeof entry.externalSpec === 'string' && typeof entry.term === 'string')
+    .map(entry => ({
+      externalSpec: entry.externalSpec,
+      term: entry.term,
+      found: typeof entry.content === 'string' && entry.content.trim() !== '' &&
+        !NOT_FOUND_REGEX.test(entry.content) && !NOT_FOUND_REGEX.test(String(entry.commitHash ?? '')),
+      data: entry
+    }));
+}
+
+/**
+ * Finds the cache entry for a term of an external specification.
+ *
+ * @param {XtrefEntry[]} entries - The cached entries
+ * @param {string} externalSpec - ID of the external specification
+ * @param {string} term - The term, matched like Spec-Up-T matches terms (case and whitespace insensitive)
+ * @returns {XtrefEntry|undefined} The entry, or undefined if the term isn't cached
+ */
+export function findXtrefEntry(entries, externalSpec, term) {
+  const key = normalizeTerm(term);
+  return entries.find(entry => entry.externalSpec === externalSpec && normalizeTerm(entry.term) === key);
+}
@@ -0,0 +1,120 @@
+/**
+ * @fileoverview Tests for baseline fingerprints and applying baselines to reports
+ *
+ * @author spec-up-t-healthcheck
+ */
+
+import { applyBaseline, createBaseline, getFindingFingerprints } from '../lib/baseline.js';
+import { calculateSummary, createFinding, createHealthCheckResult } from '../lib/health-check-utils.js';
+
+/**
+ * Creates a report from check results.
+ *
+ * @param {import('../lib/health-check-utils.js').HealthCheckResult[]} results - The results
+ * @returns {import('../lib/health-check-utils.js').HealthCheckReport} The report
+ */
+function createReport(results) {
+  return { results, summary: calculateSummary(results), timestamp: new Date().toISOString(), provider: { type: 'memory' } };
+}
+
+/**
+ * Creates a heading-hierarchy result with skipped-level findings.
+ *
+ * @param {Array<{message: string, line: number, file?: string}>} findings - The findings
+ * @returns {import('../lib/health-check-utils.js').HealthCheckResult} The result
+ */
+function createHeadingResult(findings) {
+  return createHealthCheckResult('heading-hierarchy', findings.length > 0 ? 'warn' : 'pass', 'Headings checked', {
+    findings: findings.map(({ message, line, file = 'spec/intro.md' }) =>
+      createFinding('heading-hierarchy/skipped-level', 'warning', message, { file, line }))
+  });
+}
+
+describe('getFindingFingerprints', () => {
+  test('ignores lines, columns and path spellings', () => {
+    const [before] = getFindingFingerprints([createFinding('a/rule', 'error', 'Problem', { file: 'spec/intro.md', line: 3, column: 1 })]);
+    const [after] = getFindingFingerprints([createFinding('a/rule', 'error', 'Problem', { file: './spec/intro.md', line: 40, column: 7 })]);
+
+    expect(after).toBe(before);
+  });
+
+  test('tells identical findings apart by their occurrence', () => {
+    const finding = createFinding('a/rule', 'error', 'Problem', { file: 'spec/intro.md' });
+    const fingerprints = getFindingFingerprints([finding, finding, createFinding('a/rule', 'error', 'Other problem')]);
+
+    expect(fingerprints[0]).toMatch(/^[0-9a-f]{16}:0$/);
+    expect(fingerprints[1]).toBe(fingerprints[0].replace(/:0$/, ':1'));
+    expect(fingerprints[2]).toMatch(/:0$/);
+  });
+
+  test('distinguishes rules, files and messages', () => {
+    const fingerprints = getFindingFingerprints([
+      createFinding('a/rule', 'error', 'Problem', { file: 'x.md' }),
+      createFinding('a/other', 'error', 'Problem', { file: 'x.md' }),
+      createFinding('a/rule', 'error', 'Problem', { file: 'y.md' }),
+      createFinding('a/rule', 'error', 'Another problem', { file: 'x.md' })
+    ]);
+
+    expect(new Set(fingerprints).size).toBe(4);
+  });
+});
+
+describe('applyBaseline', () => {
+  const baseline = createBaseline(createReport([
+    createHeadingResult([
+      { message: 'h3 "Details" follows h1 "Intro"', line: 5 },
+      { message: 'h3 "Details" follows h1 "Intro"', line: 9 }
+    ])
+  ]));
+
+  test('suppresses known findings after lines moved and recalculates status and summary', () => {
+    const report = createReport([
+      createHeadingResult([
+        { message: 'h3 "Details" follows h1 "Intro"', line: 12 },
+        { message: 'h3 "Details" follows h1 "Intro"', line: 20 }
+      ])
+    ]);
+
+    const result = applyBaseline(report, baseline);
+
+    expect(result.results[0].status).toBe('pass');
+    expect(result.results[0].details.findings).toEqual([]);
+    expect(result.results[0].details.baseline).toEqual({ originalStatus: 'warn', suppressed: 2 });
+    expect(result.summary).toMatchObject({ total: 1, passed: 1, warnings: 0 });
+    expect(result.baseline).toEqual({ newFindings: 0, knownFindings: 2, fixedFindings: [] });
+    expect(report.results[0].status).toBe('warn');
+  });
+
+  test('reports a further duplicate as new', () => {
+    const result = applyBaseline(createReport([
+      createHeadingResult([
+        { message: 'h3 "Details" follows h1 "Intro"', line: 5 },
+        { message: 'h3 "Details" follows h1 "Intro"', line: 9 },
+        { message: 'h3 "Details" follows h1 "Intro"', line: 14 }
+      ])
+    ]), baseline);
+
+    expect(result.results[0].status).toBe('warn');
+    expect(result.results[0].details.findings.map(finding => finding.line)).toEqual([14]);
+    expect(result.baseline).toMatchObject({ newFindings: 1, knownFindings: 2 });
+  });
+
+  test('reports findings that no longer occur as fixed', () => {
+    const result = applyBaseline(createReport([
+      createHeadingResult([{ message: 'h3 "Details" follows h1 "Intro"', line: 5 }])
+    ]), baseline);
+
+    expect(result.baseline.knownFindings).toBe(1);
+    expect(result.baseline.fixedFindings).toEqual([baseline.findings[1]]);
+  });
+
+  test('does not report findings of checks that did not run or were skipped as fixed', () => {
+    const skipped = applyBaseline(createReport([
+      createHealthCheckResult('heading-hierarchy', 'skip', 'Skipped', { skippedDueTo: ['specs-json'] })
+    ]), baseline);
+    const notRun = applyBaseline(createReport([]), baseline);
+
+    expect(skipped.baseline.fixedFindings).toEqual([]);
+    expect(notRun.baseline.fixedFindings).toEqual([]);
+  });
+});
@@ -0,0 +1,62 @@
+/**
+ * @fileoverview Tests for the discovery of configuration files in the target repository
+ *
+ * @author spec-up-t-healthcheck
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { loadConfig } from '../lib/config.js';
+
+describe('loadConfig with a configuration in the target', () => {
+  let root;
+  let repo;
+  let cwd;
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'healthcheck-config-'));
+    repo = path.join(root, 'repo');
+    cwd = path.join(root, 'cwd');
+    await fs.mkdir(repo);
+    await fs.mkdir(cwd);
+  });
+
+  afterEach(async () => {
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  test('ignores healthcheck.config.js in the target', async () => {
+    await fs.writeFile(path.join(repo, 'healthcheck.config.js'), 'throw new Error("executed");');
+
+    await expect(loadConfig({ target: repo, cwd })).resolves.toEqual({ config: {}, path: null });
+  });
+
+  test('resolves paths inside the target against it', async () => {
+    await fs.writeFile(path.join(repo, '.healthcheckrc'), JSON.stringify({ output: 'reports/report.html', cacheDir: '.cache/network' }));
+
+    const { config } = await loadConfig({ target: repo, cwd });
+
+    expect(config.output).toBe(path.join(repo, 'reports/report.html'));
+    expect(config.cacheDir).toBe(path.join(repo, '.cache/network'));
+  });
+
+  test.each([
+    ['output', '../report.html'],
+    ['baseline', path.join(os.tmpdir(), 'baseline.json')],
+    ['cacheDir', 'link/cache']
+  ])('rejects a %s outside the target', async (key, value) => {
+    await fs.symlink(cwd, path.join(repo, 'link'));
+    await fs.writeFile(path.join(repo, '.healthcheckrc.json'), JSON.stringify({ [key]: value }));
+
+    await expect(loadConfig({ target: repo, cwd })).rejects.toThrow(`"${key}" must be a path inside the checked repository`);
+  });
+
+  test('keeps outside paths of the configuration in the working directory', async () => {
+    await fs.writeFile(path.join(cwd, '.healthcheckrc'), JSON.stringify({ output: '../report.html' }));
+
+    const { config } = await loadConfig({ target: repo, cwd });
+
+    expect(config.output).toBe(path.join(root, 'report.html'));
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * @fileoverview Tests for applying fixes across passes
+ *
+ * @author spec-up-t-healthcheck
+ */
+
+import { applyFixes } from '../lib/fixes.js';
+import { runHealthChecks } from '../lib/health-check-orchestrator.js';
+import { createHealthCheckResult, createFinding } from '../lib/health-check-utils.js';
+import { globalRegistry } from '../lib/health-check-registry.js';
+import { createMemoryProvider } from '../lib/providers/memory-provider.js';
+
+/**
+ * Creates a check that appends a marker to the first line of notes.md until it is there.
+ *
+ * @param {string} marker - The marker
+ * @returns {import('../lib/health-check-registry.js').HealthCheckMetadata} The check metadata
+ */
+function createMarkerCheck(marker) {
+  const id = `fix-test-${marker}`;
+  return {
+    id,
+    name: `Marker ${marker}`,
+    description: `Appends "${marker}" to the first line of notes.md`,
+    checkFunction: async provider => {
+      const [firstLine] = (await provider.readFile('notes.md')).split('\n');
+      const text = firstLine.replace(/\r$/, '');
+      if (text.includes(marker)) {
+        return createHealthCheckResult(id, 'pass', 'Marker present', { findings: [] });
+      }
+      return createHealthCheckResult(id, 'warn', 'Marker missing', {
+        findings: [createFinding(`${id}/missing-marker`, 'warning', `Marker "${marker}" is missing`, {
+          file: 'notes.md',
+          line: 1,
+          fix: { description: `Append "${marker}"`, line: 1, text: `${text}${marker}` }
+        })]
+      });
+    }
+  };
+}
+
+const CHECK_IDS = ['fix-test-a', 'fix-test-b'];
+
+describe('applyFixes', () => {
+  let autoDiscovered;
+
+  beforeAll(() => {
+    // Only the marker checks are needed, so the built-in checks are not discovered
+    autoDiscovered = globalRegistry.autoDiscovered;
+    globalRegistry.autoDiscovered = true;
+    globalRegistry.register(createMarkerCheck('a'));
+    globalRegistry.register(createMarkerCheck('b'));
+  });
+
+  afterAll(() => {
+    CHECK_IDS.forEach(id => globalRegistry.unregister(id));
+    globalRegistry.autoDiscovered = autoDiscovered;
+  });
+
+  test('applies a fix held back for a line another fix changed in the next pass', async () => {
+    const provider = createMemoryProvider({ 'notes.md': 'x\ny\n' });
+    const report = await runHealthChecks(provider, { checks: CHECK_IDS });
+
+    const result = await applyFixes(provider, report, { checks: CHECK_IDS });
+
+    expect(result.passes).toBe(2);
+    expect(result.fixCount).toBe(2);
+    expect(provider.getFiles()['notes.md']).toBe('xab\ny\n');
+  });
+
+  test('keeps CRLF line endings of replaced lines', async () => {
+    const provider = createMemoryProvider({ 'notes.md': 'x\r\ny\r\n' });
+    const report = await runHealthChecks(provider, { checks: CHECK_IDS });
+
+    await applyFixes(provider, report, { checks: CHECK_IDS });
+
+    expect(provider.getFiles()['notes.md']).toBe('xab\r\ny\r\n');
+  });
+});
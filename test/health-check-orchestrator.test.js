@@ -0,0 +1,142 @@
+/**
+ * @fileoverview Tests for dependency-aware scheduling and skipping in the health check orchestrator
+ *
+ * @author spec-up-t-healthcheck
+ */
+
+import { HealthCheckOrchestrator } from '../lib/health-check-orchestrator.js';
+import { HealthCheckRegistry } from '../lib/health-check-registry.js';
+import { createHealthCheckResult } from '../lib/health-check-utils.js';
+import { createMemoryProvider } from '../lib/providers/memory-provider.js';
+
+/**
+ * Creates an orchestrator with checks that return fixed results and record their runs.
+ *
+ * @param {Object<string, {status?: string, details?: Object, dependencies?: string[], throws?: boolean,
+ *        delayMs?: number}>} checks - Check behavior by ID
+ * @returns {{orchestrator: HealthCheckOrchestrator, runs: string[]}} The orchestrator and the IDs of the
+ *          checks that ran, in the order they finished
+ */
+function createOrchestrator(checks) {
+  const registry = new HealthCheckRegistry();
+  registry.autoDiscovered = true;
+  const runs = [];
+  for (const [id, { status = 'pass', details = {}, dependencies = [], throws = false, delayMs = 0 }] of Object.entries(checks)) {
+    registry.register({
+      id,
+      name: id,
+      description: id,
+      dependencies,
+      checkFunction: async () => {
+        await new Promise(resolve => setTimeout(resolve, delayMs));
+        runs.push(id);
+        if (throws) {
+          throw new Error(`${id} crashed`);
+        }
+        return createHealthCheckResult(id, status, `${id} ${status}`, details);
+      }
+    });
+  }
+  return { orchestrator: new HealthCheckOrchestrator(registry), runs };
+}
+
+/**
+ * Maps the results of a report to their status.
+ *
+ * @param {import('../lib/health-check-utils.js').HealthCheckReport} report - The report
+ * @returns {Object<string, string>} Status by check ID
+ */
+function statuses(report) {
+  return Object.fromEntries(report.results.map(result => [result.check, result.status]));
+}
+
+describe.each([false, true])('HealthCheckOrchestrator with parallel: %s', parallel => {
+  const provider = createMemoryProvider();
+
+  test('skips dependents of a failed prerequisite, transitively', async () => {
+    const { orchestrator, runs } = createOrchestrator({
+      parse: { status: 'fail' },
+      terms: { dependencies: ['parse'] },
+      report: { dependencies: ['terms'] },
+      other: {}
+    });
+
+    const report = await orchestrator.runHealthChecks(provider, { parallel });
+
+    expect(statuses(report)).toEqual({ other: 'pass', parse: 'fail', terms: 'skip', report: 'skip' });
+    expect(report.results.find(result => result.check === 'terms').details.skippedDueTo).toEqual(['parse']);
+    expect(report.results.find(result => result.check === 'report').details.skippedDueTo).toEqual(['terms']);
+    expect(runs.sort()).toEqual(['other', 'parse']);
+  });
+
+  test('skips dependents of a prerequisite that crashed', async () => {
+    const { orchestrator } = createOrchestrator({
+      parse: { throws: true },
+      terms: { dependencies: ['parse'] }
+    });
+
+    const report = await orchestrator.runHealthChecks(provider, { parallel });
+
+    expect(statuses(report)).toEqual({ parse: 'fail', terms: 'skip' });
+  });
+
+  test('runs dependents of a failed prerequisite that does not block them', async () => {
+    const { orchestrator } = createOrchestrator({
+      parse: { status: 'fail', details: { blocksDependents: false } },
+      terms: { dependencies: ['parse'] }
+    });
+
+    const report = await orchestrator.runHealthChecks(provider, { parallel });
+
+    expect(statuses(report)).toEqual({ parse: 'fail', terms: 'pass' });
+  });
+
+  test('runs dependents when a warning is escalated to a failure by a severity override', async () => {
+    const { orchestrator } = createOrchestrator({
+      parse: { status: 'warn' },
+      terms: { dependencies: ['parse'] }
+    });
+
+    const report = await orchestrator.runHealthChecks(provider, { parallel, severity: { parse: 'fail' } });
+
+    expect(statuses(report)).toEqual({ parse: 'fail', terms: 'pass' });
+  });
+
+  test('runs checks whose dependencies are missing or not selected', async () => {
+    const { orchestrator } = createOrchestrator({
+      parse: { status: 'fail' },
+      terms: { dependencies: ['parse', 'not-registered'] }
+    });
+
+    const report = await orchestrator.runHealthChecks(provider, { parallel, checks: ['terms'] });
+
+    expect(statuses(report)).toEqual({ terms: 'pass' });
+  });
+
+  test('reports a dependency cycle as an error instead of running checks', async () => {
+    const { orchestrator, runs } = createOrchestrator({
+      a: { dependencies: ['b'] },
+      b: { dependencies: ['a'] }
+    });
+
+    const report = await orchestrator.runHealthChecks(provider, { parallel });
+
+    expect(runs).toEqual([]);
+    expect(report.error).toEqual({ message: 'Circular dependency between health checks: a -> b -> a', type: 'orchestration' });
+  });
+});
+
+describe('HealthCheckOrchestrator parallel scheduling', () => {
+  test('starts a check only after its prerequisites finished, and reports in execution order', async () => {
+    const { orchestrator, runs } = createOrchestrator({
+      parse: { delayMs: 30 },
+      terms: { dependencies: ['parse'] },
+      other: {}
+    });
+
+    const report = await orchestrator.runHealthChecks(createMemoryProvider(), { parallel: true });
+
+    expect(runs).toEqual(['other', 'parse', 'terms']);
+    expect(report.results.map(result => result.check)).toEqual(['other', 'parse', 'terms']);
+  });
+});
@@ -0,0 +1,87 @@
+/**
+ * @fileoverview Tests for dependency ordering and validation in the health check registry
+ *
+ * @author spec-up-t-healthcheck
+ */
+
+import { HealthCheckRegistry } from '../lib/health-check-registry.js';
+
+/**
+ * Registers checks that pass, with the given dependencies and priorities.
+ *
+ * @param {HealthCheckRegistry} registry - The registry
+ * @param {Object<string, {dependencies?: string[], priority?: number}>} checks - Metadata by check ID
+ */
+function registerChecks(registry, checks) {
+  for (const [id, metadata] of Object.entries(checks)) {
+    registry.register({ id, name: id, description: id, checkFunction: async () => ({}), ...metadata });
+  }
+}
+
+describe('HealthCheckRegistry dependencies', () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = new HealthCheckRegistry();
+  });
+
+  test('orders checks after their dependencies, then by priority and ID', () => {
+    registerChecks(registry, {
+      report: { dependencies: ['parse', 'lint'], priority: 1 },
+      lint: { dependencies: ['parse'], priority: 5 },
+      parse: { priority: 10 },
+      standalone: { priority: 5 }
+    });
+
+    expect(registry.getExecutionOrder().map(check => check.id)).toEqual(['standalone', 'parse', 'lint', 'report']);
+  });
+
+  test('reports a dependency cycle with the checks forming it', () => {
+    registerChecks(registry, {
+      a: { dependencies: ['b'] },
+      b: { dependencies: ['c'] },
+      c: { dependencies: ['a'] },
+      d: {}
+    });
+
+    expect(() => registry.getExecutionOrder()).toThrow('Circular dependency between health checks: a -> b -> c -> a');
+  });
+
+  test('ignores a cycle outside the selected checks', () => {
+    registerChecks(registry, {
+      a: { dependencies: ['b'] },
+      b: { dependencies: ['a'] },
+      d: {}
+    });
+
+    expect(registry.getExecutionOrder(['a', 'd']).map(check => check.id)).toEqual(['a', 'd']);
+  });
+
+  test('does not let missing, unselected or disabled dependencies constrain the order', () => {
+    registerChecks(registry, {
+      a: { dependencies: ['not-registered', 'b'], priority: 1 },
+      b: { priority: 2, enabled: false }
+    });
+
+    expect(registry.getExecutionOrder().map(check => check.id)).toEqual(['a']);
+    expect(registry.getDependencies('a')).toEqual(['not-registered', 'b']);
+  });
+
+  test('rejects a check that depends on itself or has invalid dependencies', () => {
+    expect(() => registerChecks(registry, { a: { dependencies: ['a'] } })).toThrow("Health check 'a' cannot depend on itself");
+    expect(() => registerChecks(registry, { b: { dependencies: 'a' } })).toThrow('Health check dependencies must be an array');
+    expect(() => registerChecks(registry, { c: { dependencies: [''] } })).toThrow('Health check dependencies must be non-empty check IDs');
+  });
+
+  test('adds dependents of checks affected by changed files', () => {
+    registerChecks(registry, {
+      parse: { watchPatterns: ['specs.json'] },
+      terms: { dependencies: ['parse'], watchPatterns: ['**/*.md'] },
+      report: { dependencies: ['terms'], watchPatterns: ['report.txt'] },
+      other: { watchPatterns: ['other.txt'] }
+    });
+
+    expect(registry.getChecksForFiles(['specs.json'])).toEqual(['parse', 'terms', 'report']);
+    expect(registry.getChecksForFiles(['spec/intro.md'])).toEqual(['terms', 'report']);
+  });
+});
@@ -0,0 +1,162 @@
+/**
+ * @fileoverview Tests for the archive provider with tar, gzip and zip archives built in memory
+ *
+ * @author spec-up-t-healthcheck
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import { createArchiveProvider } from '../../lib/providers/archive-provider.js';
+
+/**
+ * Builds a ustar archive.
+ *
+ * @param {Array<{path: string, content?: string}>} entries - Entries; paths ending with '/' are directories
+ * @returns {Buffer} The tar content, with the end-of-archive marker
+ */
+function createTar(entries) {
+  const blocks = [];
+  for (const entry of entries) {
+    const isDirectory = entry.path.endsWith('/');
+    const data = Buffer.from(entry.content || '');
+    const header = Buffer.alloc(512);
+    header.write(entry.path, 0, 100, 'utf8');
+    header.write('0000644\0', 100);
+    header.write('0000000\0', 108);
+    header.write('0000000\0', 116);
+    header.write(`${data.length.toString(8).padStart(11, '0')}\0`, 124);
+    header.write('00000000000\0', 136);
+    header.write(' '.repeat(8), 148);
+    header.write(isDirectory ? '5' : '0', 156);
+    header.write('ustar\0', 257);
+    header.write('00', 263);
+    const checksum = header.reduce((sum, byte) => sum + byte, 0);
+    header.write(`${checksum.toString(8).padStart(6, '0')}\0 `, 148);
+
+    blocks.push(header, data, Buffer.alloc((512 - (data.length % 512)) % 512));
+  }
+  blocks.push(Buffer.alloc(1024));
+  return Buffer.concat(blocks);
+}
+
+/**
+ * Builds a zip archive with deflated files.
+ *
+ * @param {Array<{path: string, content?: string}>} entries - Entries; paths ending with '/' are directories
+ * @returns {Buffer} The zip content
+ */
+function createZip(entries) {
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = Buffer.from(entry.path);
+    const isDirectory = entry.path.endsWith('/');
+    const data = Buffer.from(entry.content || '');
+    const compressed = isDirectory ? Buffer.alloc(0) : zlib.deflateRawSync(data);
+    const method = isDirectory ? 0 : 8;
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    localParts.push(local, name, compressed);
+    centralParts.push(central, name);
+    offset += local.length + name.length + compressed.length;
+  }
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+const SPEC_ENTRIES = [
+  { path: 'spec-1.0.0/' },
+  { path: 'spec-1.0.0/specs.json', content: '{"specs":[]}' },
+  { path: 'spec-1.0.0/spec/' },
+  { path: 'spec-1.0.0/spec/intro.md', content: '# Introduction' }
+];
+
+describe('createArchiveProvider', () => {
+  test.each([
+    ['tar.gz', () => zlib.gzipSync(createTar(SPEC_ENTRIES))],
+    ['tar', () => createTar(SPEC_ENTRIES)],
+    ['zip', () => createZip(SPEC_ENTRIES)]
+  ])('reads a %s archive and strips its single top-level directory', async (format, build) => {
+    const provider = createArchiveProvider(build());
+
+    await expect(provider.readFile('specs.json')).resolves.toBe('{"specs":[]}');
+    await expect(provider.readFile('spec/intro.md')).resolves.toBe('# Introduction');
+    await expect(provider.fileExists('spec/intro.md')).resolves.toBe(true);
+    await expect(provider.fileExists('spec-1.0.0/specs.json')).resolves.toBe(false);
+    await expect(provider.directoryExists('spec')).resolves.toBe(true);
+    const entries = await provider.listFiles('');
+    expect(entries.map(entry => entry.name).sort()).toEqual(['spec', 'specs.json']);
+  });
+
+  test('keeps the top-level directory with stripRoot: false', async () => {
+    const provider = createArchiveProvider(createZip(SPEC_ENTRIES), { stripRoot: false });
+
+    await expect(provider.fileExists('spec-1.0.0/specs.json')).resolves.toBe(true);
+    await expect(provider.fileExists('specs.json')).resolves.toBe(false);
+  });
+
+  test('does not strip a top-level directory that is not shared by all entries', async () => {
+    const provider = createArchiveProvider(createTar([
+      { path: 'specs.json', content: '{}' },
+      { path: 'spec/intro.md', content: '# Introduction' }
+    ]));
+
+    await expect(provider.fileExists('specs.json')).resolves.toBe(true);
+    await expect(provider.fileExists('spec/intro.md')).resolves.toBe(true);
+  });
+
+  test.each([
+    ['truncated tar.gz', () => zlib.gzipSync(createTar(SPEC_ENTRIES)).subarray(0, 60), /unexpected end of file/],
+    ['truncated tar', () => createTar(SPEC_ENTRIES).subarray(0, 1100), /truncated or corrupt entry/],
+    ['truncated zip', () => createZip(SPEC_ENTRIES).subarray(0, 120), /end of central directory not found/],
+    ['non-archive', () => Buffer.from('not an archive'), /Unsupported archive format/]
+  ])('rejects a %s instead of reporting files as missing', async (description, build, message) => {
+    const provider = createArchiveProvider(build(), { name: 'broken' });
+
+    await expect(provider.fileExists('specs.json')).rejects.toThrow(message);
+    await expect(provider.directoryExists('spec')).rejects.toThrow('Error reading archive broken');
+    await expect(provider.readFile('specs.json')).rejects.toThrow(message);
+  });
+
+  test('reads an archive that appears after a failed attempt', async () => {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'healthcheck-archive-'));
+    const archivePath = path.join(directory, 'spec.zip');
+    try {
+      const provider = createArchiveProvider(archivePath);
+      await expect(provider.fileExists('specs.json')).rejects.toThrow('ENOENT');
+
+      await fs.writeFile(archivePath, createZip(SPEC_ENTRIES));
+      await expect(provider.fileExists('specs.json')).resolves.toBe(true);
+    } finally {
+      await fs.rm(directory, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,110 @@
+/**
+ * @fileoverview Tests for the GitHub provider against a local mock of the GitHub API
+ *
+ * @author spec-up-t-healthcheck
+ */
+
+import http from 'http';
+import { createGitHubProvider } from '../../lib/providers/github-provider.js';
+
+/**
+ * Starts a mock GitHub API that answers requests with the given handler.
+ *
+ * @param {function(URL): {status: number, body: any}} handler - Response for a request URL
+ * @returns {Promise<{baseUrl: string, requests: string[], close: function(): Promise<void>}>} The server
+ */
+async function startMockApi(handler) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    requests.push(`${url.pathname}${url.search}`);
+    const { status, body } = handler(url);
+    res.writeHead(status, { 'Content-Type': typeof body === 'string' ? 'text/plain' : 'application/json' });
+    res.end(typeof body === 'string' ? body : JSON.stringify(body));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+const TREE = {
+  truncated: false,
+  tree: [
+    { path: 'specs.json', type: 'blob' },
+    { path: 'spec', type: 'tree' },
+    { path: 'spec/intro.md', type: 'blob' }
+  ]
+};
+
+describe('createGitHubProvider with a mock API', () => {
+  let api;
+
+  afterEach(async () => {
+    await api?.close();
+    api = null;
+  });
+
+  test('reads the tree and files of the default branch from apiBaseUrl', async () => {
+    api = await startMockApi(url => {
+      switch (url.pathname) {
+        case '/repos/org/spec': return { status: 200, body: { default_branch: 'main' } };
+        case '/repos/org/spec/git/trees/main': return { status: 200, body: TREE };
+        case '/repos/org/spec/contents/specs.json': return { status: 200, body: '{"specs":[]}' };
+        default: return { status: 404, body: { message: 'Not Found' } };
+      }
+    });
+    const provider = createGitHubProvider('https://github.com/org/spec', { apiBaseUrl: api.baseUrl });
+
+    await expect(provider.getRef()).resolves.toBe('main');
+    await expect(provider.fileExists('specs.json')).resolves.toBe(true);
+    await expect(provider.fileExists('missing.md')).resolves.toBe(false);
+    await expect(provider.directoryExists('spec')).resolves.toBe(true);
+    await expect(provider.listFiles('spec')).resolves.toEqual([
+      expect.objectContaining({ name: 'intro.md', path: 'spec/intro.md', isFile: true })
+    ]);
+    await expect(provider.readFile('specs.json')).resolves.toBe('{"specs":[]}');
+    expect(api.requests).toContain('/repos/org/spec/contents/specs.json?ref=main');
+  });
+
+  test('reports API failures instead of missing files', async () => {
+    api = await startMockApi(() => ({ status: 403, body: { message: 'API rate limit exceeded' } }));
+    const provider = createGitHubProvider('https://github.com/org/spec', { apiBaseUrl: api.baseUrl });
+
+    await expect(provider.fileExists('specs.json')).rejects.toThrow('HTTP 403 API rate limit exceeded');
+    await expect(provider.directoryExists('spec')).rejects.toThrow('HTTP 403 API rate limit exceeded');
+  });
+
+  test('retries resolving the default branch after a failure', async () => {
+    let repoRequests = 0;
+    api = await startMockApi(url => {
+      if (url.pathname === '/repos/org/spec') {
+        repoRequests++;
+        return repoRequests === 1
+          ? { status: 502, body: { message: 'Bad Gateway' } }
+          : { status: 200, body: { default_branch: 'main' } };
+      }
+      return { status: 404, body: { message: 'Not Found' } };
+    });
+    const provider = createGitHubProvider('https://github.com/org/spec', { apiBaseUrl: api.baseUrl });
+
+    await expect(provider.getRef()).rejects.toThrow('HTTP 502');
+    await expect(provider.getRef()).resolves.toBe('main');
+  });
+
+  test('sends requests through an injected fetch with the token', async () => {
+    const calls = [];
+    const fetch = async (url, init) => {
+      calls.push({ url, init });
+      return new Response(JSON.stringify(TREE), { status: 200 });
+    };
+    const provider = createGitHubProvider('https://github.com/org/spec/tree/v1.0.0', { fetch, token: 'secret' });
+
+    await expect(provider.fileExists('spec/intro.md')).resolves.toBe(true);
+    expect(calls).toHaveLength(1);
+    expect(calls[0].url).toBe('https://api.github.com/repos/org/spec/git/trees/v1.0.0?recursive=1');
+    expect(calls[0].init.headers.Authorization).toBe('Bearer secret');
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * @fileoverview Tests for the change and error events of the memory provider
+ *
+ * @author spec-up-t-healthcheck
+ */
+
+import { createMemoryProvider } from '../../lib/providers/memory-provider.js';
+
+describe('createMemoryProvider events', () => {
+  test('emits change events for created, updated and deleted files', async () => {
+    const provider = createMemoryProvider({ 'spec/intro.md': '# Introduction' });
+    const events = [];
+    provider.on('change', event => events.push(event));
+
+    await provider.writeFile('spec/intro.md', '# Introduction');
+    await provider.writeFile('spec/intro.md', '# Overview');
+    await provider.writeFile('specs.json', '{}');
+    await provider.deleteFile('specs.json');
+
+    expect(events).toEqual([
+      { type: 'update', path: 'spec/intro.md' },
+      { type: 'create', path: 'specs.json' },
+      { type: 'delete', path: 'specs.json' }
+    ]);
+  });
+
+  test('passes errors of change listeners to error listeners and still calls all listeners', async () => {
+    const provider = createMemoryProvider();
+    const errors = [];
+    let calls = 0;
+    provider.on('change', () => {
+      throw new Error('listener failed');
+    });
+    provider.on('change', () => calls++);
+    provider.on('error', error => errors.push(error.message));
+
+    await provider.writeFile('specs.json', '{}');
+
+    expect(calls).toBe(1);
+    expect(errors).toEqual(['listener failed']);
+  });
+
+  test('rethrows errors of change listeners without an error listener, after applying the change', async () => {
+    const provider = createMemoryProvider();
+    provider.on('change', () => {
+      throw new Error('listener failed');
+    });
+
+    await expect(provider.writeFile('specs.json', '{}')).rejects.toThrow('listener failed');
+    expect(provider.getFiles()).toEqual({ 'specs.json': '{}' });
+  });
+
+  test('passes rejections of async change listeners to error listeners', async () => {
+    const provider = createMemoryProvider();
+    const errored = new Promise(resolve => provider.on('error', resolve));
+    provider.on('change', async () => {
+      await Promise.resolve();
+      throw new Error('async listener failed');
+    });
+
+    await provider.writeFile('specs.json', '{}');
+
+    await expect(errored).resolves.toEqual(new Error('async listener failed'));
+  });
+});
@@ -0,0 +1,8 @@
+/**
+ * @fileoverview Jest setup shared by all test files
+ *
+ * Referenced by `setupFilesAfterEnv` in jest.config.js, which also sets the
+ * test timeout. Nothing needs to be set up yet.
+ *
+ * @author spec-up-t-healthcheck
+ */
@@ -0,0 +1,118 @@
+/**
+ * @fileoverview Tests for parsing inline suppression directives and matching findings against them
+ *
+ * @author spec-up-t-healthcheck
+ */
+
+import { findSuppression, parseSuppressions } from '../lib/suppressions.js';
+
+/**
+ * Maps suppressions to their directive, rules and suppressed line range.
+ *
+ * @param {import('../lib/suppressions.js').Suppression[]} suppressions - The suppressions
+ * @returns {Array<[string, string, number, number]>} Directive, rules, start and end line of each suppression
+ */
+function ranges(suppressions) {
+  return suppressions.map(({ directive, rules, startLine, endLine }) => [directive, rules.join(','), startLine, endLine]);
+}
+
+describe('parseSuppressions', () => {
+  test('suppresses the directive line or the following line', () => {
+    const content = [
+      '<!-- healthcheck-disable-next-line heading-hierarchy -->',
+      '#### Deep heading',
+      'Text <!-- healthcheck-disable-line terminology/undefined-term, xtrefs-cache -->'
+    ].join('\n');
+
+    expect(ranges(parseSuppressions(content))).toEqual([
+      ['disable-next-line', 'heading-hierarchy', 2, 2],
+      ['disable-line', 'terminology/undefined-term,xtrefs-cache', 3, 3]
+    ]);
+  });
+
+  test('ends only the blocks opened with the same rules', () => {
+    const content = [
+      '<!-- healthcheck-disable heading-hierarchy -->',
+      '<!-- healthcheck-disable markdown-tables terminology -->',
+      'text',
+      '<!-- healthcheck-enable heading-hierarchy -->',
+      'text',
+      '<!-- healthcheck-enable terminology,markdown-tables -->'
+    ].join('\n');
+
+    expect(ranges(parseSuppressions(content))).toEqual([
+      ['disable', 'heading-hierarchy', 1, 4],
+      ['disable', 'markdown-tables,terminology', 2, 6]
+    ]);
+  });
+
+  test('ends all open blocks with an enable directive without rules', () => {
+    const content = [
+      '<!-- healthcheck-disable heading-hierarchy -->',
+      '<!-- healthcheck-disable -->',
+      '<!-- healthcheck-enable -->',
+      '<!-- healthcheck-disable terminology -->'
+    ].join('\n');
+
+    expect(ranges(parseSuppressions(content))).toEqual([
+      ['disable', 'heading-hierarchy', 1, 3],
+      ['disable', '', 2, 3],
+      ['disable', 'terminology', 4, Infinity]
+    ]);
+  });
+
+  test('keeps blocks open until the end of the file when no matching enable follows', () => {
+    const content = [
+      '<!-- healthcheck-disable heading-hierarchy -->',
+      '<!-- healthcheck-enable terminology -->',
+      'text'
+    ].join('\n');
+
+    expect(ranges(parseSuppressions(content))).toEqual([['disable', 'heading-hierarchy', 1, Infinity]]);
+  });
+
+  test('ignores directives inside fenced code blocks', () => {
+    const content = [
+      '<!-- healthcheck-disable heading-hierarchy -->',
+      '```markdown',
+      '<!-- healthcheck-enable heading-hierarchy -->',
+      '<!-- healthcheck-disable-next-line -->',
+      '```',
+      '~~~',
+      '<!-- healthcheck-disable-line -->',
+      '~~~'
+    ].join('\n');
+
+    expect(ranges(parseSuppressions(content))).toEqual([['disable', 'heading-hierarchy', 1, Infinity]]);
+  });
+
+  test('reads directives in files with CRLF line endings', () => {
+    const content = '<!-- healthcheck-disable-next-line heading-hierarchy -->\r\n#### Deep heading\r\n';
+
+    expect(ranges(parseSuppressions(content))).toEqual([['disable-next-line', 'heading-hierarchy', 2, 2]]);
+  });
+});
+
+describe('findSuppression', () => {
+  const suppressions = parseSuppressions([
+    '<!-- healthcheck-disable markdown-tables/row-column-mismatch -->',
+    'text',
+    '<!-- healthcheck-enable markdown-tables/row-column-mismatch -->',
+    '<!-- healthcheck-disable-next-line heading-hierarchy -->',
+    '#### Deep heading',
+    'text <!-- healthcheck-disable-line -->'
+  ].join('\n'));
+
+  test('matches full rule IDs and check IDs within the suppressed lines', () => {
+    expect(findSuppression(suppressions, 'markdown-tables/row-column-mismatch', 2)).toBe(suppressions[0]);
+    expect(findSuppression(suppressions, 'heading-hierarchy/skipped-level', 5)).toBe(suppressions[1]);
+    expect(findSuppression(suppressions, 'heading-hierarchy/skipped-level', 6)).toBe(suppressions[2]);
+  });
+
+  test('does not match other rules, checks sharing a prefix, other lines or findings without a line', () => {
+    expect(findSuppression(suppressions, 'markdown-tables/missing-separator', 2)).toBeUndefined();
+    expect(findSuppression(suppressions, 'heading-hierarchy-extra/skipped-level', 5)).toBeUndefined();
+    expect(findSuppression(suppressions, 'heading-hierarchy/skipped-level', 4)).toBeUndefined();
+    expect(findSuppression(suppressions, 'heading-hierarchy/skipped-level', undefined)).toBeUndefined();
+  });
+});